@@ -1,4 +1,5 @@
 import admin from 'firebase-admin';
+import { randomUUID } from 'crypto';
 
 let initialized = false;
 
@@ -53,15 +54,118 @@ export class FirestoreClient {
   }
 }
 
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const MOCK_OPERATORS = {
+  '==': (a, b) => comparable(a) === comparable(b),
+  '<': (a, b) => comparable(a) < comparable(b),
+  '<=': (a, b) => comparable(a) <= comparable(b),
+  '>': (a, b) => comparable(a) > comparable(b),
+  '>=': (a, b) => comparable(a) >= comparable(b),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+/**
+ * Just enough of the Firestore query API for local development without credentials
+ */
+class MockQuery {
+  constructor(entries, orders = []) {
+    this.entries = entries;
+    this.orders = orders;
+  }
+
+  where(field, operator, value) {
+    const matches = MOCK_OPERATORS[operator];
+    if (!matches) {
+      throw new Error(`Mock Firestore does not support the '${operator}' operator`);
+    }
+    return new MockQuery(
+      this.entries.filter(([, data]) => matches(data[field], value)),
+      this.orders
+    );
+  }
+
+  orderBy(field, direction = 'asc') {
+    const orders = [...this.orders, { field, sign: direction === 'desc' ? -1 : 1 }];
+    const sorted = [...this.entries].sort(([, a], [, b]) => {
+      for (const { field: key, sign } of orders) {
+        if (comparable(a[key]) < comparable(b[key])) return -sign;
+        if (comparable(a[key]) > comparable(b[key])) return sign;
+      }
+      return 0;
+    });
+    return new MockQuery(sorted, orders);
+  }
+
+  startAfter(...values) {
+    const sortsAfterCursor = ([, data]) => {
+      for (const [position, { field, sign }] of this.orders.entries()) {
+        const a = comparable(data[field]);
+        const b = comparable(values[position]);
+        if (a !== b) return (a > b ? 1 : -1) === sign;
+      }
+      return false;
+    };
+    return new MockQuery(this.entries.filter(sortsAfterCursor), this.orders);
+  }
+
+  limit(count) {
+    return new MockQuery(this.entries.slice(0, count), this.orders);
+  }
+
+  async get() {
+    const docs = this.entries.map(([id, data]) => ({ id, exists: true, data: () => ({ ...data }) }));
+    return { empty: docs.length === 0, size: docs.length, docs };
+  }
+}
+
+function createMockCollections() {
+  const collections = new Map();
+
+  const getDocs = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  return (name) => {
+    const docs = getDocs(name);
+    return {
+      doc: (id) => ({
+        async set(data, options = {}) {
+          const existing = options.merge ? docs.get(id) ?? {} : {};
+          docs.set(id, { ...existing, ...data });
+        },
+        async get() {
+          const data = docs.get(id);
+          return { id, exists: Boolean(data), data: () => (data ? { ...data } : undefined) };
+        },
+      }),
+      async add(data) {
+        const id = randomUUID();
+        docs.set(id, { ...data });
+        return { id };
+      },
+      where: (field, operator, value) => new MockQuery([...docs.entries()]).where(field, operator, value),
+      orderBy: (field, direction) => new MockQuery([...docs.entries()]).orderBy(field, direction),
+    };
+  };
+}
+
 export function createFirestoreClient() {
   try {
     return new FirestoreClient();
   } catch (error) {
     console.warn('[firestore] Using mock client:', error.message);
+    const collection = createMockCollections();
     return {
       isMock: true,
-      collection: () => ({ doc: () => ({ set: async () => {} }) }),
-      setDoc: async () => {},
+      collection,
+      setDoc: async (path, data) => {
+        const [name, doc] = path.split('/');
+        return collection(name).doc(doc).set(data, { merge: true });
+      },
       async healthCheck() {
         return { ok: true, degraded: true, reason: 'mock-firestore' };
       },
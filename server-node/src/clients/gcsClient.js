@@ -1,8 +1,76 @@
 import { Storage } from '@google-cloud/storage';
 import { randomUUID } from 'crypto';
+import { formatContentDisposition } from '../utils/contentDisposition.js';
 
 const DEFAULT_UPLOAD_TTL_SECONDS = Number(process.env.GCS_UPLOAD_TTL_SECONDS ?? 900);
 const DEFAULT_DOWNLOAD_TTL_SECONDS = Number(process.env.GCS_DOWNLOAD_TTL_SECONDS ?? 900);
+const ORIGINALS_PREFIX = 'originals/';
+const RESTORED_PREFIX = 'restored/';
+export const UPLOADS_PREFIX = 'uploads/';
+
+/**
+ * Staged uploads are written by the client, so ownership and the original
+ * filename travel as signed x-goog-meta-* headers the client must send.
+ */
+const UPLOAD_USER_HEADER = 'x-goog-meta-user-id';
+const UPLOAD_FILENAME_HEADER = 'x-goog-meta-filename';
+
+/**
+ * Headers a client must send with a signed upload, including Content-Type
+ */
+export function buildUploadHeaders({ userId, contentType, filename, maxBytes }) {
+  const headers = {
+    'Content-Type': contentType,
+    [UPLOAD_USER_HEADER]: userId,
+    [UPLOAD_FILENAME_HEADER]: encodeURIComponent(filename ?? ''),
+  };
+  if (maxBytes) {
+    headers['x-goog-content-length-range'] = `0,${maxBytes}`;
+  }
+  return headers;
+}
+
+/**
+ * Map stored object metadata (custom keys as written by the upload headers)
+ * to the describeUpload result
+ */
+export function describeUploadMetadata(objectName, { size, contentType, metadata }) {
+  const custom = metadata ?? {};
+  return {
+    objectName,
+    size: Number(size),
+    contentType: contentType ?? null,
+    userId: custom['user-id'] ?? null,
+    filename: custom.filename ? decodeURIComponent(custom.filename) : null,
+  };
+}
+
+/**
+ * Raised when an object's recorded owner does not match the user a download
+ * is being prepared for
+ */
+export class ObjectOwnershipError extends Error {
+  constructor(objectName) {
+    super(`Object ${objectName} does not belong to the requesting user`);
+    this.name = 'ObjectOwnershipError';
+    this.objectName = objectName;
+  }
+}
+
+/**
+ * Retention per object prefix, shared by every storage driver
+ * @returns {Array<Object>} { prefix, ageDays } for each configured prefix
+ */
+export function getLifecycleRules() {
+  const retention = [
+    [ORIGINALS_PREFIX, Number(process.env.GCS_ORIGINAL_RETENTION_DAYS ?? 30)],
+    [RESTORED_PREFIX, Number(process.env.GCS_RESTORED_RETENTION_DAYS ?? 90)],
+    [UPLOADS_PREFIX, Number(process.env.GCS_UPLOAD_RETENTION_DAYS ?? 1)],
+  ];
+  return retention
+    .filter(([, ageDays]) => Number.isFinite(ageDays))
+    .map(([prefix, ageDays]) => ({ prefix, ageDays }));
+}
 
 function buildClient() {
   const bucketName = process.env.GCS_BUCKET;
@@ -25,60 +93,101 @@ export class GcsClient {
 
   async ensureLifecyclePolicies() {
     const { bucket } = this.bucketInfo;
-    const rules = [];
-    const originalsRetention = Number(process.env.GCS_ORIGINAL_RETENTION_DAYS ?? 30);
-    const restoredRetention = Number(process.env.GCS_RESTORED_RETENTION_DAYS ?? 90);
-
-    if (Number.isFinite(originalsRetention)) {
-      rules.push({ action: { type: 'Delete' }, condition: { age: originalsRetention, matchesPrefix: ['originals/'] } });
-    }
-    if (Number.isFinite(restoredRetention)) {
-      rules.push({ action: { type: 'Delete' }, condition: { age: restoredRetention, matchesPrefix: ['restored/'] } });
-    }
+    const rules = getLifecycleRules().map(({ prefix, ageDays }) => ({
+      action: { type: 'Delete' },
+      condition: { age: ageDays, matchesPrefix: [prefix] },
+    }));
 
     if (rules.length > 0) {
       await bucket.setMetadata({ lifecycle: { rule: rules } });
     }
   }
 
-  async generateUploadUrl({ userId, contentType }) {
+  /**
+   * Sign a PUT URL for a client-side upload into the staging prefix. The
+   * returned headers are part of the signature and must be sent unchanged.
+   */
+  async generateUploadUrl({ userId, contentType, filename, maxBytes }) {
     const { bucket } = this.bucketInfo;
-    const objectName = `originals/${userId}/${randomUUID()}`;
+    const objectName = `${UPLOADS_PREFIX}${userId}/${randomUUID()}`;
     const expires = Date.now() + DEFAULT_UPLOAD_TTL_SECONDS * 1000;
 
+    const headers = buildUploadHeaders({ userId, contentType, filename, maxBytes });
+    const { 'Content-Type': _contentType, ...extensionHeaders } = headers;
     const [url] = await bucket.file(objectName).generateSignedUrl({
       version: 'v4',
       action: 'write',
       expires,
       contentType,
+      extensionHeaders,
     });
 
-    await bucket.file(objectName).setMetadata({
-      metadata: { userId },
+    return {
+      url,
+      objectName,
+      headers,
+      expiresAt: new Date(expires).toISOString(),
+    };
+  }
+
+  /**
+   * Describe a staged upload written through generateUploadUrl
+   * @returns {Promise<Object|null>} size, contentType, userId and filename, or null when missing
+   */
+  async describeUpload(objectName) {
+    const { bucket } = this.bucketInfo;
+
+    try {
+      const [metadata] = await bucket.file(objectName).getMetadata();
+      return describeUploadMetadata(objectName, metadata);
+    } catch (error) {
+      if (error?.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async uploadObject({ objectName, buffer, contentType, metadata = {} }) {
+    const { bucket } = this.bucketInfo;
+
+    await bucket.file(objectName).save(buffer, {
+      resumable: false,
       contentType,
-      cacheControl: 'private, max-age=0, no-store',
+      metadata: {
+        cacheControl: 'private, max-age=0, no-store',
+        metadata,
+      },
     });
 
     return {
-      url,
       objectName,
-      expiresAt: new Date(expires).toISOString(),
+      size: buffer.length,
     };
   }
 
-  async generateDownloadUrl({ userId, objectName, filename }) {
+  async downloadObject(objectName) {
     const { bucket } = this.bucketInfo;
-    const file = bucket.file(objectName);
+    const [buffer] = await bucket.file(objectName).download();
+    return buffer;
+  }
 
-    await file.setMetadata({ metadata: { userId } });
+  /**
+   * Sign a short-lived read URL after checking the object's recorded owner
+   * @throws {ObjectOwnershipError} When the object's userId metadata differs
+   */
+  async generateDownloadUrl({ userId, objectName, filename, disposition = 'attachment' }) {
+    const { bucket } = this.bucketInfo;
+    const file = bucket.file(objectName);
+    const metadata = await this._assertOwner(file, userId);
 
     const expires = Date.now() + DEFAULT_DOWNLOAD_TTL_SECONDS * 1000;
     const [url] = await file.generateSignedUrl({
       version: 'v4',
       action: 'read',
       expires,
-      responseDisposition: `attachment; filename="${filename ?? 'restored.jpg'}"`,
-      responseType: 'application/octet-stream',
+      responseDisposition: formatContentDisposition(disposition, filename ?? 'restored.jpg'),
+      responseType: metadata.contentType ?? 'application/octet-stream',
     });
 
     return {
@@ -87,6 +196,31 @@ export class GcsClient {
     };
   }
 
+  /**
+   * Open a read stream after checking the object's recorded owner
+   * @returns {Promise<Object>} { stream, contentType, size }
+   * @throws {ObjectOwnershipError} When the object's userId metadata differs
+   */
+  async openDownloadStream({ userId, objectName }) {
+    const { bucket } = this.bucketInfo;
+    const file = bucket.file(objectName);
+    const metadata = await this._assertOwner(file, userId);
+
+    return {
+      stream: file.createReadStream(),
+      contentType: metadata.contentType ?? 'application/octet-stream',
+      size: Number(metadata.size),
+    };
+  }
+
+  async _assertOwner(file, userId) {
+    const [metadata] = await file.getMetadata();
+    if (metadata.metadata?.userId !== userId) {
+      throw new ObjectOwnershipError(file.name);
+    }
+    return metadata;
+  }
+
   async healthCheck() {
     const { bucket } = this.bucketInfo;
     const [exists] = await bucket.exists();
@@ -108,9 +242,21 @@ export function createGcsClient(options) {
       async generateUploadUrl() {
         throw new Error('GCS is not configured.');
       },
+      async describeUpload() {
+        throw new Error('GCS is not configured.');
+      },
       async generateDownloadUrl() {
         throw new Error('GCS is not configured.');
       },
+      async openDownloadStream() {
+        throw new Error('GCS is not configured.');
+      },
+      async uploadObject() {
+        throw new Error('GCS is not configured.');
+      },
+      async downloadObject() {
+        throw new Error('GCS is not configured.');
+      },
       async healthCheck() {
         return { ok: false, degraded: true, reason: 'mock-gcs' };
       },
@@ -0,0 +1,367 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { formatContentDisposition } from '../utils/contentDisposition.js';
+import {
+  ObjectOwnershipError,
+  UPLOADS_PREFIX,
+  buildUploadHeaders,
+  describeUploadMetadata,
+  getLifecycleRules,
+} from './gcsClient.js';
+
+/**
+ * Local Storage Client - Filesystem driver with the GcsClient interface
+ *
+ * Objects live under LOCAL_STORAGE_DIR with a `.meta.json` sidecar holding the
+ * content type and custom metadata. "Signed" URLs point at the API's own
+ * /storage routes and carry an HMAC token; lifecycle retention is enforced
+ * by a periodic sweeper instead of bucket rules.
+ */
+
+const DEFAULT_UPLOAD_TTL_SECONDS = Number(process.env.GCS_UPLOAD_TTL_SECONDS ?? 900);
+const DEFAULT_DOWNLOAD_TTL_SECONDS = Number(process.env.GCS_DOWNLOAD_TTL_SECONDS ?? 900);
+const SWEEP_INTERVAL_MS = Number(process.env.LOCAL_STORAGE_SWEEP_INTERVAL_MS ?? 60 * 60 * 1000);
+const METADATA_SUFFIX = '.meta.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ObjectNotFoundError extends Error {
+  constructor(objectName) {
+    super(`No such object: ${objectName}`);
+    this.name = 'ObjectNotFoundError';
+    this.code = 404;
+    this.objectName = objectName;
+  }
+}
+
+/**
+ * Raised by the /storage routes when a signed request cannot be honoured
+ */
+export class SignedRequestError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'SignedRequestError';
+    this.status = status;
+  }
+}
+
+function encodeObjectPath(objectName) {
+  return objectName.split('/').map(encodeURIComponent).join('/');
+}
+
+export class LocalStorageClient {
+  constructor({ rootDir, secret, publicUrl, logger } = {}) {
+    this.rootDir = path.resolve(rootDir ?? process.env.LOCAL_STORAGE_DIR ?? '.local-storage');
+    // Without a configured secret, URLs only verify in the process that signed them
+    this.secret = secret ?? process.env.LOCAL_STORAGE_SECRET ?? randomBytes(32).toString('hex');
+    this.publicUrl = (publicUrl ?? process.env.LOCAL_STORAGE_PUBLIC_URL ?? `http://localhost:${process.env.PORT || 3000}`)
+      .replace(/\/+$/, '');
+    this.logger = logger ?? console;
+    this.isMock = false;
+    this.isLocal = true;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start the retention sweeper (idempotent)
+   */
+  async ensureLifecyclePolicies() {
+    await fsp.mkdir(this.rootDir, { recursive: true });
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch((error) => {
+        this.logger.error('[local-storage] Sweep failed', { error: error.message });
+      });
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Delete objects older than their prefix's retention
+   * @param {number} now - Reference time in ms
+   * @returns {Promise<Object>} { deleted } object names removed
+   */
+  async sweep(now = Date.now()) {
+    const deleted = [];
+
+    for (const { prefix, ageDays } of getLifecycleRules()) {
+      const cutoff = now - ageDays * DAY_MS;
+      for (const objectName of await this._listObjects(prefix)) {
+        const meta = await this._readMetadata(objectName);
+        const createdAt = Date.parse(meta?.createdAt ?? '');
+        if (Number.isFinite(createdAt) && createdAt < cutoff) {
+          await this._removeObject(objectName);
+          deleted.push(objectName);
+        }
+      }
+    }
+
+    if (deleted.length > 0) {
+      this.logger.info('[local-storage] Expired objects removed', { count: deleted.length });
+    }
+    return { deleted };
+  }
+
+  close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  async generateUploadUrl({ userId, contentType, filename, maxBytes }) {
+    const objectName = `${UPLOADS_PREFIX}${userId}/${randomUUID()}`;
+    const expires = Date.now() + DEFAULT_UPLOAD_TTL_SECONDS * 1000;
+    const headers = buildUploadHeaders({ userId, contentType, filename, maxBytes });
+
+    return {
+      url: this._signedUrl({ action: 'write', objectName, expires, headers }),
+      objectName,
+      headers,
+      expiresAt: new Date(expires).toISOString(),
+    };
+  }
+
+  async describeUpload(objectName) {
+    const meta = await this._readMetadata(objectName);
+    return meta ? describeUploadMetadata(objectName, meta) : null;
+  }
+
+  async uploadObject({ objectName, buffer, contentType, metadata = {} }) {
+    const filePath = this._resolve(objectName);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+    await this._writeMetadata(objectName, { contentType, size: buffer.length, metadata });
+
+    return {
+      objectName,
+      size: buffer.length,
+    };
+  }
+
+  async downloadObject(objectName) {
+    try {
+      return await fsp.readFile(this._resolve(objectName));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ObjectNotFoundError(objectName);
+      }
+      throw error;
+    }
+  }
+
+  async generateDownloadUrl({ userId, objectName, filename, disposition = 'attachment' }) {
+    const meta = await this._assertOwner(objectName, userId);
+    const expires = Date.now() + DEFAULT_DOWNLOAD_TTL_SECONDS * 1000;
+
+    const url = this._signedUrl({
+      action: 'read',
+      objectName,
+      expires,
+      headers: {
+        'Content-Type': meta.contentType ?? 'application/octet-stream',
+        'Content-Disposition': formatContentDisposition(disposition, filename ?? 'restored.jpg'),
+      },
+    });
+
+    return {
+      url,
+      expiresAt: new Date(expires).toISOString(),
+    };
+  }
+
+  async openDownloadStream({ userId, objectName }) {
+    const meta = await this._assertOwner(objectName, userId);
+
+    return {
+      stream: fs.createReadStream(this._resolve(objectName)),
+      contentType: meta.contentType ?? 'application/octet-stream',
+      size: Number(meta.size),
+    };
+  }
+
+  async healthCheck() {
+    await fsp.mkdir(this.rootDir, { recursive: true });
+    await fsp.access(this.rootDir, fs.constants.R_OK | fs.constants.W_OK);
+    return { ok: true, driver: 'local' };
+  }
+
+  /**
+   * Check a /storage request token
+   * @param {string} token - Token from the query string
+   * @param {Object} expected - action and objectName taken from the request
+   * @returns {Object} Signed payload (headers to enforce or send)
+   * @throws {SignedRequestError} When the token is invalid, expired or for another object
+   */
+  verifyToken(token, { action, objectName, now = Date.now() }) {
+    const [encoded, signature] = String(token ?? '').split('.');
+    if (!encoded || !signature) {
+      throw new SignedRequestError('Missing or malformed signature');
+    }
+
+    const expected = Buffer.from(this._sign(encoded));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+      throw new SignedRequestError('Signature does not match');
+    }
+
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (payload.action !== action || payload.objectName !== objectName) {
+      throw new SignedRequestError('Signature was issued for a different request');
+    }
+    if (payload.expires < now) {
+      throw new SignedRequestError('Signed URL has expired');
+    }
+    return payload;
+  }
+
+  /**
+   * Store the body of a signed PUT, enforcing the signed headers the way GCS
+   * does: every signed header must be sent unchanged and the length range
+   * caps the body.
+   */
+  async writeSignedUpload(objectName, { headers }, request) {
+    const metadata = {};
+    let maxBytes = Infinity;
+
+    for (const [name, value] of Object.entries(headers)) {
+      const lower = name.toLowerCase();
+      if (request.headers[lower] !== value) {
+        throw new SignedRequestError(`Signed header ${lower} is missing or different`);
+      }
+      if (lower.startsWith('x-goog-meta-')) {
+        metadata[lower.slice('x-goog-meta-'.length)] = value;
+      }
+      if (lower === 'x-goog-content-length-range') {
+        maxBytes = Number(value.split(',')[1]);
+      }
+    }
+
+    const filePath = this._resolve(objectName);
+    const partialPath = `${filePath}.${randomUUID()}.partial`;
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    let size = 0;
+    const limiter = new Transform({
+      transform(chunk, _encoding, callback) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          return callback(new SignedRequestError('Upload exceeds the signed size limit', 400));
+        }
+        return callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(request, limiter, fs.createWriteStream(partialPath));
+      await fsp.rename(partialPath, filePath);
+    } catch (error) {
+      await fsp.rm(partialPath, { force: true });
+      throw error;
+    }
+
+    await this._writeMetadata(objectName, { contentType: headers['Content-Type'], size, metadata });
+    return { objectName, size };
+  }
+
+  /**
+   * Open the file behind a signed GET
+   */
+  openSignedDownload(objectName) {
+    const filePath = this._resolve(objectName);
+    if (!fs.existsSync(filePath)) {
+      throw new ObjectNotFoundError(objectName);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  _signedUrl({ action, objectName, expires, headers }) {
+    const encoded = Buffer.from(JSON.stringify({ action, objectName, expires, headers })).toString('base64url');
+    const token = `${encoded}.${this._sign(encoded)}`;
+    return `${this.publicUrl}/storage/${encodeObjectPath(objectName)}?token=${token}`;
+  }
+
+  _sign(encoded) {
+    return createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+
+  async _assertOwner(objectName, userId) {
+    const meta = await this._readMetadata(objectName);
+    if (!meta) {
+      throw new ObjectNotFoundError(objectName);
+    }
+    if (meta.metadata?.userId !== userId) {
+      throw new ObjectOwnershipError(objectName);
+    }
+    return meta;
+  }
+
+  /**
+   * Map an object name to a path inside rootDir, refusing traversal
+   */
+  _resolve(objectName) {
+    const filePath = path.resolve(this.rootDir, objectName);
+    if (!filePath.startsWith(`${this.rootDir}${path.sep}`) || objectName.endsWith(METADATA_SUFFIX)) {
+      throw new SignedRequestError(`Invalid object name: ${objectName}`, 400);
+    }
+    return filePath;
+  }
+
+  async _readMetadata(objectName) {
+    try {
+      return JSON.parse(await fsp.readFile(`${this._resolve(objectName)}${METADATA_SUFFIX}`, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async _writeMetadata(objectName, { contentType, size, metadata }) {
+    const meta = { contentType: contentType ?? null, size, metadata, createdAt: new Date().toISOString() };
+    await fsp.writeFile(`${this._resolve(objectName)}${METADATA_SUFFIX}`, JSON.stringify(meta));
+  }
+
+  async _removeObject(objectName) {
+    const filePath = this._resolve(objectName);
+    await fsp.rm(filePath, { force: true });
+    await fsp.rm(`${filePath}${METADATA_SUFFIX}`, { force: true });
+  }
+
+  async _listObjects(prefix) {
+    const start = path.join(this.rootDir, prefix);
+    const objectNames = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (!entry.name.endsWith(METADATA_SUFFIX) && !entry.name.endsWith('.partial')) {
+          objectNames.push(path.relative(this.rootDir, entryPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(start);
+    return objectNames;
+  }
+}
+
+export function createLocalStorageClient(options) {
+  return new LocalStorageClient(options);
+}
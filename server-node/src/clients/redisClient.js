@@ -1,3 +1,4 @@
+import { EventEmitter } from 'events';
 import { createClient as createRedisClient } from 'redis';
 
 const DEFAULT_URL = process.env.REDIS_URL;
@@ -7,6 +8,9 @@ function createInMemoryStore() {
   const buckets = new Map();
   const idempotency = new Map();
   const kv = new Map();
+  const lists = new Map();
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
 
   const guardExpiration = (map, key) => {
     const entry = map.get(key);
@@ -60,11 +64,12 @@ function createInMemoryStore() {
       if (script.includes('free_usage')) {
         const key = keys[0];
         const limit = Number(args[0] ?? 0);
+        const amount = Number(args[1] ?? 1);
         const current = Number(await this.get(key) ?? 0);
-        if (current >= limit) {
+        if (current + amount > limit) {
           return 0;
         }
-        const newValue = await this.incr(key);
+        const newValue = await this.incrBy(key, amount);
         await this.expire(key, 86400);
         return newValue;
       }
@@ -124,6 +129,34 @@ function createInMemoryStore() {
     async decr(key) {
       return this.incrBy(key, -1);
     },
+
+    async appendToList(key, value, { ttlSeconds } = {}) {
+      const entry = guardExpiration(lists, key) ?? { values: [], expiresAt: null };
+      entry.values.push(value);
+      if (ttlSeconds) {
+        entry.expiresAt = Date.now() + ttlSeconds * 1000;
+      }
+      lists.set(key, entry);
+      return entry.values.length;
+    },
+
+    async readList(key, start = 0) {
+      const entry = guardExpiration(lists, key);
+      return entry ? entry.values.slice(start) : [];
+    },
+
+    async publish(channel, message) {
+      const receivers = channels.listenerCount(channel);
+      channels.emit(channel, message);
+      return receivers;
+    },
+
+    async subscribe(channel, listener) {
+      channels.on(channel, listener);
+      return async () => {
+        channels.off(channel, listener);
+      };
+    },
   };
 }
 
@@ -176,6 +209,19 @@ export function createRedisStore({ url = DEFAULT_URL } = {}) {
     return {1, remaining, reset}
   `;
 
+  // Subscriptions need a dedicated connection; create it on first use.
+  let subscriberPromise;
+  const getSubscriber = () => {
+    if (!subscriberPromise) {
+      const subscriber = client.duplicate();
+      subscriber.on('error', (err) => {
+        console.error('[redis] Subscriber error', err);
+      });
+      subscriberPromise = subscriber.connect().then(() => subscriber);
+    }
+    return subscriberPromise;
+  };
+
   const readyPromise = client
     .connect()
     .then(() => {
@@ -304,6 +350,42 @@ export function createRedisStore({ url = DEFAULT_URL } = {}) {
       }
       return client.decr(key);
     },
+
+    async appendToList(key, value, options = {}) {
+      if (useFallbackStore) {
+        return fallbackStore.appendToList(key, value, options);
+      }
+      const length = await client.rPush(key, value);
+      if (options?.ttlSeconds) {
+        await client.expire(key, options.ttlSeconds);
+      }
+      return length;
+    },
+
+    async readList(key, start = 0) {
+      if (useFallbackStore) {
+        return fallbackStore.readList(key, start);
+      }
+      return client.lRange(key, start, -1);
+    },
+
+    async publish(channel, message) {
+      if (useFallbackStore) {
+        return fallbackStore.publish(channel, message);
+      }
+      return client.publish(channel, message);
+    },
+
+    async subscribe(channel, listener) {
+      if (useFallbackStore) {
+        return fallbackStore.subscribe(channel, listener);
+      }
+      const subscriber = await getSubscriber();
+      await subscriber.subscribe(channel, listener);
+      return async () => {
+        await subscriber.unsubscribe(channel, listener);
+      };
+    },
   };
 
   storeCache.set(cacheKey, store);
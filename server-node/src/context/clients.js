@@ -3,6 +3,19 @@ import { createGeminiClient } from '../clients/geminiClient.js';
 import { createFirestoreClient } from '../clients/firestoreClient.js';
 import { createRedisStore } from '../clients/redisClient.js';
 import { createGcsClient } from '../clients/gcsClient.js';
+import { createLocalStorageClient } from '../clients/localStorageClient.js';
+
+/**
+ * STORAGE_DRIVER picks gcs or local; without it, development runs without a
+ * bucket fall back to the filesystem driver.
+ */
+function createStorageClient() {
+  const driver =
+    process.env.STORAGE_DRIVER ??
+    (process.env.GCS_BUCKET || process.env.NODE_ENV === 'production' ? 'gcs' : 'local');
+
+  return driver === 'local' ? createLocalStorageClient() : createGcsClient({});
+}
 
 let memoized;
 
@@ -18,7 +31,7 @@ export function getClients() {
       gemini: createGeminiClient({}),
       firestore: createFirestoreClient(),
       redis: redisStore,
-      gcs: createGcsClient({}),
+      gcs: createStorageClient(),
       logger,
     };
   }
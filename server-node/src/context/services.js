@@ -4,6 +4,15 @@ import { createPromptEnhancerService } from '../services/promptEnhancer.js';
 import { createRestoratorService } from '../services/restorator.js';
 import { createCreditsService } from '../services/credits.js';
 import { createModerationService } from '../services/moderation.js';
+import { createJobsService } from '../services/jobs.js';
+import { createJobEventsService } from '../services/jobEvents.js';
+import { createWebhooksService } from '../services/webhooks.js';
+import { createBatchesService } from '../services/batches.js';
+import { createRestorationCacheService } from '../services/restorationCache.js';
+import { createComparisonService } from '../services/comparisons.js';
+import { createRenditionService } from '../services/renditions.js';
+import { createPostProcessorService } from '../services/postProcessor.js';
+import { createDocumentService } from '../services/documents.js';
 
 /**
  * Service Factory - Creates and manages all business logic services
@@ -68,6 +77,47 @@ export function getServices(clients) {
         visionClient,
         firestoreClient: clients.firestore,
         logger
+      }),
+
+      jobs: createJobsService({
+        firestoreClient: clients.firestore,
+        logger
+      }),
+
+      jobEvents: createJobEventsService({
+        redisClient: clients.redis,
+        logger
+      }),
+
+      webhooks: createWebhooksService({
+        firestoreClient: clients.firestore,
+        logger
+      }),
+
+      batches: createBatchesService({
+        firestoreClient: clients.firestore,
+        logger
+      }),
+
+      restorationCache: createRestorationCacheService({
+        firestoreClient: clients.firestore,
+        logger
+      }),
+
+      comparisons: createComparisonService({
+        logger
+      }),
+
+      renditions: createRenditionService({
+        logger
+      }),
+
+      postProcessor: createPostProcessorService({
+        logger
+      }),
+
+      documents: createDocumentService({
+        logger
       })
     };
   }
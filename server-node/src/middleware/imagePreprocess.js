@@ -1,9 +1,19 @@
 import sharp from 'sharp';
-import { createProblem } from '../utils/problem.js';
+import heicDecode from 'heic-decode';
+import decodeBmp from 'decode-bmp';
+import { createProblem, isProblem } from '../utils/problem.js';
 
 const MAX_DIMENSION = 2048;
 const JPEG_QUALITY = 85;
 
+// Formats the prebuilt libvips cannot read (HEVC is patent-encumbered, BMP
+// is not built in); both decoders return the first image as RGBA
+const RGBA_DECODERS = {
+  'image/heic': async (buffer) => heicDecode({ buffer }),
+  'image/heif': async (buffer) => heicDecode({ buffer }),
+  'image/bmp': async (buffer) => decodeBmp(buffer),
+};
+
 function needsResize(width, height) {
   if (!width || !height) return false;
   return width > MAX_DIMENSION || height > MAX_DIMENSION;
@@ -21,27 +31,118 @@ function calculateResizeDimensions(width, height) {
   };
 }
 
-export async function preprocessImage(req, _res, next) {
-  if (!req.file?.buffer) {
-    return next(
-      createProblem({
-        type: 'https://docs.image-restoration.ai/problem/image-missing',
-        title: 'Image File Required',
-        status: 400,
-        detail: 'An image file must be provided in the request.',
-      })
-    );
+/**
+ * The upload's dimensions as displayed, i.e. after EXIF auto-orientation
+ * @returns {Object|null} { width, height }; null before preprocessing
+ */
+export function describeOriginalDimensions(file) {
+  const { width, height, orientation } = file?.originalMetadata ?? {};
+  if (!width || !height) {
+    return null;
   }
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
 
+function invalidPage(detail, pageCount) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/invalid-page',
+    title: 'Invalid Page',
+    status: 400,
+    detail,
+    extras: { pageCount },
+  });
+}
+
+/**
+ * The upload as something every later sharp pipeline reads the same way:
+ * HEIC and BMP are decoded to PNG, and a page other than the first of a
+ * multi-page TIFF or animated GIF is extracted on its own (TIFF pages keep
+ * their bit depth). Everything else is returned untouched.
+ * @param {Object} file - Upload with buffer and detectedMime
+ * @param {Object} options
+ * @param {number} options.page - 0-based page or frame to use
+ * @returns {Promise<Object>} { buffer, mimetype, ext, operations }
+ * @throws {Problem} When the page does not exist
+ */
+export async function decodeUpload(file, { page = 0 } = {}) {
+  const mimetype = file.detectedMime ?? file.mimetype;
+  const decode = RGBA_DECODERS[mimetype];
+  if (decode) {
+    if (page > 0) {
+      throw invalidPage('Only the first image of a HEIC or BMP file can be restored.', 1);
+    }
+    const { width, height, data } = await decode(file.buffer);
+    const buffer = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 },
+    })
+      .png()
+      .toBuffer();
+    return { buffer, mimetype: 'image/png', ext: 'png', operations: [`decode_${mimetype.split('/')[1]}`] };
+  }
+
+  const { pages = 1, depth } = await sharp(file.buffer, { failOnError: false }).metadata();
+  if (page >= pages) {
+    throw invalidPage(`page must be from 0 to ${pages - 1} for this image.`, pages);
+  }
+  if (page === 0) {
+    // Without a page option sharp reads the first page or frame
+    return { buffer: file.buffer, mimetype, ext: file.detectedExt, operations: [] };
+  }
+
+  const selected = sharp(file.buffer, { failOnError: false, page });
+  const buffer =
+    mimetype === 'image/tiff'
+      ? await (depth === 'ushort' ? selected.toColourspace('rgb16') : selected).tiff({ compression: 'deflate' }).toBuffer()
+      : await selected.png().toBuffer();
+  const [ext, type] = mimetype === 'image/tiff' ? ['tif', 'image/tiff'] : ['png', 'image/png'];
+  return { buffer, mimetype: type, ext, operations: [`select_page_${page}`] };
+}
+
+/**
+ * Stretch 16-bit samples to the bit depth they actually use before sharp
+ * drops the low byte: scanners often store 12 or 14-bit data in a 16-bit
+ * container, which would otherwise come out nearly black.
+ * @returns {Promise<number>} Multiplier for the 16-bit samples
+ */
+async function toneMapScale(buffer) {
+  const { channels } = await sharp(buffer, { failOnError: false }).stats();
+  const white = Math.max(...channels.slice(0, 3).map((channel) => channel.max));
+  const usedBits = Math.min(16, Math.max(8, Math.ceil(Math.log2(white + 1))));
+  return 65535 / (2 ** usedBits - 1);
+}
+
+/**
+ * Normalize one uploaded file in place: pick the page, auto-orient, map
+ * 16-bit and CMYK input to 8-bit sRGB, bound the longest side, re-encode as
+ * JPEG, and keep the (decoded) original buffer and metadata.
+ * @param {Object} file - Validated upload
+ * @param {Object} options
+ * @param {number} options.page - 0-based page or frame of a multi-page upload
+ * @throws {Problem} When the page does not exist or the image cannot be decoded or encoded
+ */
+export async function normalizeImageFile(file, { page = 0 } = {}) {
   try {
-    const operations = [];
+    const decoded = await decodeUpload(file, { page });
+    const operations = [...decoded.operations];
 
-    const sourceBuffer = req.file.buffer;
+    const sourceBuffer = decoded.buffer;
     const sourceMetadata = await sharp(sourceBuffer, { failOnError: false }).metadata();
 
     let pipeline = sharp(sourceBuffer, { failOnError: false }).rotate();
     operations.push('auto_orient');
 
+    if (sourceMetadata.depth === 'ushort') {
+      const scale = await toneMapScale(sourceBuffer);
+      if (scale !== 1) {
+        pipeline = pipeline.linear(scale, 0);
+      }
+      operations.push('tone_map_16bit');
+    }
+    if (sourceMetadata.space === 'cmyk') {
+      pipeline = pipeline.toColourspace('srgb');
+      operations.push('cmyk_to_srgb');
+    }
+
     const { width, height } = sourceMetadata;
     if (needsResize(width, height)) {
       const dimensions = calculateResizeDimensions(width, height);
@@ -67,25 +168,51 @@ export async function preprocessImage(req, _res, next) {
     const processedBuffer = await pipeline.toBuffer();
     const processedMetadata = await sharp(processedBuffer).metadata();
 
-    req.file.originalBuffer = sourceBuffer;
-    req.file.originalMetadata = sourceMetadata;
-    req.file.buffer = processedBuffer;
-    req.file.processedMetadata = processedMetadata;
-    req.file.mimetype = 'image/jpeg';
-    req.file.detectedMime = 'image/jpeg';
-    req.file.detectedExt = 'jpg';
-    req.file.size = processedBuffer.length;
-    req.file.preprocessOperations = operations;
-
-    return next();
+    file.originalBuffer = sourceBuffer;
+    file.originalMetadata = sourceMetadata;
+    file.originalMimetype = decoded.mimetype;
+    file.originalExt = decoded.ext ?? sourceMetadata.format;
+    file.buffer = processedBuffer;
+    file.processedMetadata = processedMetadata;
+    file.mimetype = 'image/jpeg';
+    file.detectedMime = 'image/jpeg';
+    file.detectedExt = 'jpg';
+    file.size = processedBuffer.length;
+    file.preprocessOperations = operations;
   } catch (error) {
+    if (isProblem(error)) {
+      throw error;
+    }
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/preprocess-failed',
+      title: 'Image Preprocessing Failed',
+      status: 422,
+      detail: error?.message ?? 'Unable to preprocess the uploaded image.',
+    });
+  }
+}
+
+export async function preprocessImage(req, _res, next) {
+  if (!req.file?.buffer) {
     return next(
       createProblem({
-        type: 'https://docs.image-restoration.ai/problem/preprocess-failed',
-        title: 'Image Preprocessing Failed',
-        status: 422,
-        detail: error?.message ?? 'Unable to preprocess the uploaded image.',
+        type: 'https://docs.image-restoration.ai/problem/image-missing',
+        title: 'Image File Required',
+        status: 400,
+        detail: 'An image file must be provided in the request.',
       })
     );
   }
+
+  const page = req.body?.page === undefined || req.body.page === '' ? 0 : Number(req.body.page);
+  if (!Number.isInteger(page) || page < 0) {
+    return next(invalidPage('page must be a non-negative integer.', null));
+  }
+
+  try {
+    await normalizeImageFile(req.file, { page });
+    return next();
+  } catch (problem) {
+    return next(problem);
+  }
 }
@@ -1,48 +1,72 @@
-import { createProblem } from '../utils/problem.js';
+import { createProblem, isProblem } from '../utils/problem.js';
 
-export async function moderateImage(req, _res, next) {
+/**
+ * Run SafeSearch moderation on one image buffer
+ * @param {Buffer} buffer - Image to check
+ * @param {Object} options
+ * @param {Object} options.moderation - ModerationService
+ * @param {Object} options.context - userId, jobId and requestId for the audit log
+ * @returns {Promise<Object>} Moderation result for allowed images
+ * @throws {Problem} When the image is rejected or moderation fails (fail closed)
+ */
+export async function moderateBuffer(buffer, { moderation, context }) {
+  let moderationResult;
   try {
-    if (!req.file?.buffer) {
-      return next(
-        createProblem({
-          type: 'https://docs.image-restoration.ai/problem/image-missing',
-          title: 'Image File Required',
-          status: 400,
-          detail: 'An image file must be provided in the request.',
-        })
-      );
-    }
+    moderationResult = await moderation.moderate(buffer, context);
+  } catch (error) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/moderation-failed',
+      title: 'Content Moderation Failed',
+      status: 500,
+      detail: error?.message ?? 'Unable to moderate the uploaded image.',
+    });
+  }
 
-    if (!req.services?.moderation) {
-      return next(new Error('Moderation service is not available.'));
-    }
+  if (!moderationResult.allowed) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/moderation-rejected',
+      title: 'Content Moderation Rejected Image',
+      status: 422,
+      detail: moderationResult.rejection?.reason || 'Uploaded content violates our safety policy.',
+      extras: {
+        categories: moderationResult.rejection?.categories ?? [],
+        flags: moderationResult.flags,
+      },
+    });
+  }
+
+  return moderationResult;
+}
 
-    const context = {
-      userId: req.user?.id,
-      jobId: req.body?.jobId || null,
-      requestId: req.context?.requestId,
-    };
+export async function moderateImage(req, _res, next) {
+  if (!req.file?.buffer) {
+    return next(
+      createProblem({
+        type: 'https://docs.image-restoration.ai/problem/image-missing',
+        title: 'Image File Required',
+        status: 400,
+        detail: 'An image file must be provided in the request.',
+      })
+    );
+  }
 
-    const moderationResult = await req.services.moderation.moderate(req.file.buffer, context);
-    req.moderation = moderationResult;
+  if (!req.services?.moderation) {
+    return next(new Error('Moderation service is not available.'));
+  }
 
-    if (!moderationResult.allowed) {
-      return next(
-        createProblem({
-          type: 'https://docs.image-restoration.ai/problem/moderation-rejected',
-          title: 'Content Moderation Rejected Image',
-          status: 422,
-          detail: moderationResult.rejection?.reason || 'Uploaded content violates our safety policy.',
-          extras: {
-            categories: moderationResult.rejection?.categories ?? [],
-            flags: moderationResult.flags,
-          },
-        })
-      );
-    }
+  const context = {
+    userId: req.user?.id,
+    jobId: req.jobId || req.body?.jobId || null,
+    requestId: req.context?.requestId,
+  };
 
+  try {
+    req.moderation = await moderateBuffer(req.file.buffer, { moderation: req.services.moderation, context });
     return next();
   } catch (error) {
+    if (isProblem(error)) {
+      return next(error);
+    }
     return next(
       createProblem({
         type: 'https://docs.image-restoration.ai/problem/moderation-failed',
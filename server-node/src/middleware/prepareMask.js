@@ -0,0 +1,167 @@
+import sharp from 'sharp';
+import { createProblem, isProblem } from '../utils/problem.js';
+import { decodeUpload, describeOriginalDimensions } from './imagePreprocess.js';
+import { inspectImageFile } from './uploadValidation.js';
+import { hashContent } from '../services/restorationCache.js';
+
+// Masks are drawn on a possibly resized copy, so allow a little rounding
+const ASPECT_RATIO_TOLERANCE = 0.01;
+// Anti-aliased or JPEG-compressed edges leave some grey in a binary mask
+const MAX_GREY_FRACTION = 0.02;
+const GREY_MARGIN = 32;
+const MAX_POLYGONS = 32;
+const MAX_POLYGON_POINTS = 1000;
+
+function invalidMask(detail, extras) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/invalid-mask',
+    title: 'Invalid Mask',
+    status: 400,
+    detail,
+    ...(extras && { extras }),
+  });
+}
+
+function parsePolygons(value) {
+  let polygons = value;
+  if (typeof value === 'string') {
+    try {
+      polygons = JSON.parse(value);
+    } catch {
+      throw invalidMask('maskPolygons must be JSON.');
+    }
+  }
+
+  const isPoint = (point) =>
+    Array.isArray(point) && point.length === 2 && point.every((v) => Number.isFinite(v) && v >= 0 && v <= 1);
+  const isPolygon = (polygon) =>
+    Array.isArray(polygon) && polygon.length >= 3 && polygon.length <= MAX_POLYGON_POINTS && polygon.every(isPoint);
+  if (!Array.isArray(polygons) || polygons.length === 0 || polygons.length > MAX_POLYGONS || !polygons.every(isPolygon)) {
+    throw invalidMask(
+      `maskPolygons must be 1-${MAX_POLYGONS} polygons of 3-${MAX_POLYGON_POINTS} [x, y] points, ` +
+        'with coordinates as fractions (0-1) of the image width and height.'
+    );
+  }
+  return polygons;
+}
+
+function rasterizePolygons(polygons, { width, height }) {
+  const shapes = polygons
+    .map((polygon) => `<polygon points="${polygon.map(([x, y]) => `${x * width},${y * height}`).join(' ')}"/>`)
+    .join('');
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#000"/><g fill="#fff">${shapes}</g></svg>`;
+  return sharp(Buffer.from(svg)).extractChannel(0).raw().toBuffer();
+}
+
+/**
+ * Single-channel pixels of an uploaded mask at the original's displayed size.
+ * A mask with real transparency is read from its alpha channel (opaque =
+ * restore); anything else must be black and white (white = restore).
+ */
+async function decodeMaskImage(file, { width, height }) {
+  await inspectImageFile(file);
+  const { buffer } = await decodeUpload(file);
+
+  const metadata = await sharp(buffer, { failOnError: false }).metadata();
+  const mask = describeOriginalDimensions({ originalMetadata: metadata });
+  if (!mask || Math.abs(mask.width / mask.height - width / height) > (width / height) * ASPECT_RATIO_TOLERANCE) {
+    throw invalidMask('The mask must have the same aspect ratio as the image.', {
+      maskWidth: mask?.width ?? null,
+      maskHeight: mask?.height ?? null,
+      imageWidth: width,
+      imageHeight: height,
+    });
+  }
+
+  const oriented = sharp(buffer, { failOnError: false }).rotate();
+  if (metadata.hasAlpha) {
+    const alpha = await oriented.clone().resize({ width, height, fit: 'fill' }).extractChannel(3).raw().toBuffer();
+    if (alpha.some((value) => value < 255)) {
+      return alpha;
+    }
+  }
+
+  // Nearest neighbour keeps a binary mask binary at the image's size
+  const grey = await oriented
+    .resize({ width, height, fit: 'fill', kernel: 'nearest' })
+    .flatten({ background: '#000000' })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer();
+  let greyCount = 0;
+  for (const value of grey) {
+    if (value > GREY_MARGIN && value < 255 - GREY_MARGIN) greyCount += 1;
+  }
+  if (greyCount > grey.length * MAX_GREY_FRACTION) {
+    throw invalidMask('The mask must be black and white, or carry the selection in its alpha channel.');
+  }
+  for (let i = 0; i < grey.length; i += 1) {
+    grey[i] = grey[i] >= 128 ? 255 : 0;
+  }
+  return grey;
+}
+
+/**
+ * Validate an optional region mask, sent either as a `mask` image part or as
+ * `maskPolygons` JSON, and normalize it to a greyscale PNG at the original's
+ * displayed size as req.mask: { buffer, hash, source, coverage, bounds }.
+ * Runs after preprocessing, which records the original's dimensions.
+ */
+export async function prepareMask(req, _res, next) {
+  const polygonsValue = req.body?.maskPolygons;
+  const hasPolygons = polygonsValue !== undefined && polygonsValue !== '';
+  if (!req.maskFile && !hasPolygons) {
+    return next();
+  }
+
+  try {
+    if (req.maskFile && hasPolygons) {
+      throw invalidMask('Send either a mask image or maskPolygons, not both.');
+    }
+    const dimensions = describeOriginalDimensions(req.file);
+    if (!dimensions) {
+      throw invalidMask('A mask needs an image with known dimensions.');
+    }
+
+    const pixels = req.maskFile
+      ? await decodeMaskImage(req.maskFile, dimensions)
+      : await rasterizePolygons(parsePolygons(polygonsValue), dimensions);
+
+    const { width, height } = dimensions;
+    let selected = 0;
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        if (pixels[y * width + x] === 0) continue;
+        selected += 1;
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+    if (selected === 0) {
+      throw invalidMask('The mask does not select any part of the image.');
+    }
+
+    const buffer = await sharp(pixels, { raw: { width, height, channels: 1 } }).toColourspace('b-w').png().toBuffer();
+    req.mask = {
+      buffer,
+      hash: hashContent(buffer),
+      source: req.maskFile ? 'image' : 'polygons',
+      coverage: Math.round((selected / (width * height)) * 10000) / 10000,
+      bounds: { left, top, width: right - left + 1, height: bottom - top + 1 },
+    };
+    return next();
+  } catch (error) {
+    if (isProblem(error)) {
+      return next(error);
+    }
+    return next(invalidMask(error?.message ?? 'Unable to read the mask.'));
+  }
+}
@@ -1,48 +1,155 @@
 import path from 'path';
 import multer from 'multer';
 import { fileTypeFromBuffer } from 'file-type';
-import { createProblem } from '../utils/problem.js';
+import { createProblem, isProblem } from '../utils/problem.js';
 
 const MAX_FILE_SIZE_BYTES = 10 * 1024 * 1024; // 10 MB
-const ACCEPTED_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
-const ACCEPTED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+// A single image may be a full-resolution scan meant for tiled restoration
+// (a 10000 px JPEG runs to tens of MB), so it gets more room than batch items
+const SINGLE_UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES ?? 64 * 1024 * 1024);
+const BATCH_MAX_FILES = Math.max(1, Number(process.env.BATCH_MAX_FILES ?? 10));
+// Direct uploads skip Express memory on the way in, so they may be larger
+const DIRECT_UPLOAD_MAX_BYTES = Number(process.env.DIRECT_UPLOAD_MAX_BYTES ?? 100 * 1024 * 1024);
+// HEIC from phones, TIFF from flatbed scanners; preprocessing decodes the
+// formats sharp cannot read and picks the page of multi-page files
+const ACCEPTED_MIME_TYPES = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+  'image/tiff',
+  'image/bmp',
+  'image/gif',
+]);
+const ACCEPTED_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif', '.tif', '.tiff', '.bmp', '.gif']);
 const RETRY_AFTER_SECONDS = 60;
+// Multi-page scans (album PDFs, multi-page TIFFs) are split into a batch
+const DOCUMENT_MAX_BYTES = Number(process.env.DOCUMENT_MAX_BYTES ?? 50 * 1024 * 1024);
+const DOCUMENT_KINDS_BY_MIME = { 'application/pdf': 'pdf', 'image/tiff': 'tiff' };
+const DOCUMENT_EXTENSIONS = new Set(['.pdf', '.tif', '.tiff']);
 
 function getFileExtension(filename) {
   if (!filename) return '';
   return path.extname(filename.toLowerCase());
 }
 
+function unsupportedExtensionProblem() {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/unsupported-file-extension',
+    title: 'Unsupported File Extension',
+    status: 415,
+    detail: 'Only .jpg, .jpeg, .png, .webp, .heic, .heif, .tif, .tiff, .bmp, or .gif files are allowed.',
+  });
+}
+
+function fileTooLargeProblem(maxBytes = MAX_FILE_SIZE_BYTES) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/file-too-large',
+    title: 'File Too Large',
+    status: 413,
+    detail: `The uploaded file exceeds the maximum allowed size of ${maxBytes / (1024 * 1024)} MB.`,
+  });
+}
+
+function acceptImageExtension(_req, file, cb) {
+  const extension = getFileExtension(file.originalname);
+  if (!ACCEPTED_EXTENSIONS.has(extension)) {
+    return cb(unsupportedExtensionProblem());
+  }
+  cb(null, true);
+}
+
 const storage = multer.memoryStorage();
 
 const upload = multer({
   storage,
   limits: {
-    fileSize: MAX_FILE_SIZE_BYTES,
+    fileSize: SINGLE_UPLOAD_MAX_BYTES,
     files: 1,
   },
-  fileFilter(_req, file, cb) {
-    const extension = getFileExtension(file.originalname);
-    if (!ACCEPTED_EXTENSIONS.has(extension)) {
-      return cb(
-        createProblem({
-          type: 'https://docs.image-restoration.ai/problem/unsupported-file-extension',
-          title: 'Unsupported File Extension',
-          status: 415,
-          detail: 'Only .jpg, .jpeg, .png, or .webp files are allowed.',
-        })
-      );
-    }
-    cb(null, true);
+  fileFilter: acceptImageExtension,
+});
+
+/**
+ * Memory storage that drains oversized files instead of aborting the whole
+ * request, so a batch can reject them individually.
+ */
+function createBoundedMemoryStorage(maxBytes) {
+  return {
+    _handleFile(_req, file, cb) {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          tooLarge = true;
+          chunks.length = 0;
+        } else if (!tooLarge) {
+          chunks.push(chunk);
+        }
+      });
+      file.stream.on('error', cb);
+      file.stream.on('end', () => {
+        cb(null, { buffer: tooLarge ? Buffer.alloc(0) : Buffer.concat(chunks), size, tooLarge });
+      });
+    },
+    _removeFile(_req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    },
+  };
+}
+
+const batchUpload = multer({
+  storage: createBoundedMemoryStorage(MAX_FILE_SIZE_BYTES),
+  limits: {
+    files: BATCH_MAX_FILES,
   },
 });
 
-export function handleUpload(fieldName = 'image') {
-  const uploadSingle = upload.single(fieldName);
+export function getBatchMaxFiles() {
+  return BATCH_MAX_FILES;
+}
+
+export function getDirectUploadMaxBytes() {
+  return DIRECT_UPLOAD_MAX_BYTES;
+}
+
+/**
+ * Whether a declared upload (before any bytes exist) is an accepted image type
+ */
+export function isAcceptedUpload({ contentType, filename }) {
+  return ACCEPTED_MIME_TYPES.has(contentType) && ACCEPTED_EXTENSIONS.has(getFileExtension(filename ?? ''));
+}
+
+/**
+ * Accept one image in fieldName, plus an optional mask image in maskField
+ * (exposed as req.maskFile)
+ */
+export function handleUpload(fieldName = 'image', { maskField = null } = {}) {
+  const uploadSingle = maskField
+    ? multer({
+        storage,
+        limits: { fileSize: SINGLE_UPLOAD_MAX_BYTES, files: 2 },
+        fileFilter: acceptImageExtension,
+      }).fields([
+        { name: fieldName, maxCount: 1 },
+        { name: maskField, maxCount: 1 },
+      ])
+    : upload.single(fieldName);
 
   return (req, res, next) => {
     uploadSingle(req, res, (err) => {
       if (!err) {
+        if (maskField) {
+          // Keep req.files unset: downstream it means a fusion submission
+          req.file = req.files?.[fieldName]?.[0];
+          req.maskFile = req.files?.[maskField]?.[0];
+          delete req.files;
+        }
         if (!req.file) {
           return next(
             createProblem({
@@ -58,14 +165,7 @@ export function handleUpload(fieldName = 'image') {
 
       if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
         res.set('Retry-After', RETRY_AFTER_SECONDS);
-        return next(
-          createProblem({
-            type: 'https://docs.image-restoration.ai/problem/file-too-large',
-            title: 'File Too Large',
-            status: 413,
-            detail: `The uploaded file exceeds the maximum allowed size of ${MAX_FILE_SIZE_BYTES / (1024 * 1024)} MB.`,
-          })
-        );
+        return next(fileTooLargeProblem(SINGLE_UPLOAD_MAX_BYTES));
       }
 
       if (err instanceof Error && err.name === 'Problem') {
@@ -84,25 +184,230 @@ export function handleUpload(fieldName = 'image') {
   };
 }
 
-export async function validateUploadedImage(req, _res, next) {
-  try {
-    const detected = await fileTypeFromBuffer(req.file.buffer);
-    if (!detected || !ACCEPTED_MIME_TYPES.has(detected.mime)) {
+/**
+ * Accepts between minFiles and maxFiles images in one field that are all
+ * needed together (e.g. fusion inputs), so any oversized or disallowed file
+ * rejects the request like a single upload would.
+ */
+export function handleMultiUpload(fieldName, { minFiles, maxFiles }) {
+  const uploadArray = multer({
+    storage,
+    limits: {
+      fileSize: MAX_FILE_SIZE_BYTES,
+      files: maxFiles,
+    },
+    fileFilter: acceptImageExtension,
+  }).array(fieldName, maxFiles);
+
+  const countProblem = () =>
+    createProblem({
+      type: 'https://docs.image-restoration.ai/problem/invalid-file-count',
+      title: 'Invalid File Count',
+      status: 400,
+      detail: `Between ${minFiles} and ${maxFiles} images must be provided in the "${fieldName}" field.`,
+    });
+
+  return (req, res, next) => {
+    uploadArray(req, res, (err) => {
+      if (!err) {
+        const count = req.files?.length ?? 0;
+        return next(count < minFiles || count > maxFiles ? countProblem() : undefined);
+      }
+
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        res.set('Retry-After', RETRY_AFTER_SECONDS);
+        return next(fileTooLargeProblem());
+      }
+
+      if (err instanceof multer.MulterError && ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(err.code)) {
+        return next(countProblem());
+      }
+
+      if (isProblem(err)) {
+        return next(err);
+      }
+
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/upload-failed',
+          title: 'Upload Failed',
+          status: 400,
+          detail: err?.message ?? 'Unable to process the uploaded files.',
+        })
+      );
+    });
+  };
+}
+
+/**
+ * Accepts up to BATCH_MAX_FILES files in one field. Per-file problems (size,
+ * extension, content) are left for the caller to report item by item.
+ */
+export function handleBatchUpload(fieldName = 'images') {
+  const uploadArray = batchUpload.array(fieldName, BATCH_MAX_FILES);
+
+  return (req, res, next) => {
+    uploadArray(req, res, (err) => {
+      if (!err) {
+        if (!req.files?.length) {
+          return next(
+            createProblem({
+              type: 'https://docs.image-restoration.ai/problem/image-missing',
+              title: 'Image File Required',
+              status: 400,
+              detail: `At least one image must be provided in the "${fieldName}" field.`,
+            })
+          );
+        }
+        return next();
+      }
+
+      if (err instanceof multer.MulterError && ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(err.code)) {
+        return next(
+          createProblem({
+            type: 'https://docs.image-restoration.ai/problem/too-many-files',
+            title: 'Too Many Files',
+            status: 413,
+            detail: `A batch may contain at most ${BATCH_MAX_FILES} files in the "${fieldName}" field.`,
+          })
+        );
+      }
+
       return next(
         createProblem({
-          type: 'https://docs.image-restoration.ai/problem/unsupported-media-type',
-          title: 'Unsupported Media Type',
+          type: 'https://docs.image-restoration.ai/problem/upload-failed',
+          title: 'Upload Failed',
+          status: 400,
+          detail: err?.message ?? 'Unable to process the uploaded files.',
+        })
+      );
+    });
+  };
+}
+
+const documentUpload = multer({
+  storage,
+  limits: {
+    fileSize: DOCUMENT_MAX_BYTES,
+    files: 1,
+  },
+  fileFilter(_req, file, cb) {
+    if (!DOCUMENT_EXTENSIONS.has(getFileExtension(file.originalname))) {
+      return cb(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/unsupported-file-extension',
+          title: 'Unsupported File Extension',
           status: 415,
-          detail: 'Only JPEG, PNG, or WebP images are supported.',
+          detail: 'Only .pdf, .tif, or .tiff documents are allowed.',
         })
       );
     }
+    return cb(null, true);
+  },
+});
+
+/**
+ * Accept one multi-page PDF or TIFF in fieldName and record its kind
+ * ('pdf' or 'tiff', from the magic bytes) as req.file.documentKind
+ */
+export function handleDocumentUpload(fieldName = 'document') {
+  const uploadSingle = documentUpload.single(fieldName);
+
+  return (req, res, next) => {
+    uploadSingle(req, res, async (err) => {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        res.set('Retry-After', RETRY_AFTER_SECONDS);
+        return next(
+          createProblem({
+            type: 'https://docs.image-restoration.ai/problem/file-too-large',
+            title: 'File Too Large',
+            status: 413,
+            detail: `The uploaded document exceeds the maximum allowed size of ${DOCUMENT_MAX_BYTES / (1024 * 1024)} MB.`,
+          })
+        );
+      }
+      if (isProblem(err)) {
+        return next(err);
+      }
+      if (err) {
+        return next(
+          createProblem({
+            type: 'https://docs.image-restoration.ai/problem/upload-failed',
+            title: 'Upload Failed',
+            status: 400,
+            detail: err?.message ?? 'Unable to process the uploaded document.',
+          })
+        );
+      }
+      if (!req.file) {
+        return next(
+          createProblem({
+            type: 'https://docs.image-restoration.ai/problem/document-missing',
+            title: 'Document Required',
+            status: 400,
+            detail: `A PDF or TIFF document must be provided in the "${fieldName}" field.`,
+          })
+        );
+      }
+
+      try {
+        const detected = await fileTypeFromBuffer(req.file.buffer);
+        const kind = DOCUMENT_KINDS_BY_MIME[detected?.mime];
+        if (!kind) {
+          return next(
+            createProblem({
+              type: 'https://docs.image-restoration.ai/problem/unsupported-media-type',
+              title: 'Unsupported Media Type',
+              status: 415,
+              detail: 'Only PDF or TIFF documents are supported.',
+            })
+          );
+        }
+        req.file.detectedMime = detected.mime;
+        req.file.documentKind = kind;
+        return next();
+      } catch (error) {
+        return next(error);
+      }
+    });
+  };
+}
 
-    req.file.detectedMime = detected.mime;
-    req.file.detectedExt = detected.ext;
+/**
+ * Check one uploaded file's size flag, extension and magic bytes, recording
+ * the detected type on the file.
+ * @throws {Problem} When the file is not an accepted image
+ */
+export async function inspectImageFile(file) {
+  if (file.tooLarge) {
+    throw fileTooLargeProblem();
+  }
+  if (file.originalname !== undefined && !ACCEPTED_EXTENSIONS.has(getFileExtension(file.originalname))) {
+    throw unsupportedExtensionProblem();
+  }
+
+  const detected = await fileTypeFromBuffer(file.buffer);
+  if (!detected || !ACCEPTED_MIME_TYPES.has(detected.mime)) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/unsupported-media-type',
+      title: 'Unsupported Media Type',
+      status: 415,
+      detail: 'Only JPEG, PNG, WebP, HEIC, TIFF, BMP, or GIF images are supported.',
+    });
+  }
 
+  file.detectedMime = detected.mime;
+  file.detectedExt = detected.ext;
+}
+
+export async function validateUploadedImage(req, _res, next) {
+  try {
+    await inspectImageFile(req.file);
     return next();
   } catch (error) {
+    if (isProblem(error)) {
+      return next(error);
+    }
     return next(
       createProblem({
         type: 'https://docs.image-restoration.ai/problem/upload-validation-failed',
@@ -113,3 +418,81 @@ export async function validateUploadedImage(req, _res, next) {
     );
   }
 }
+
+function uploadNotFound(objectName) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/upload-not-found',
+    title: 'Upload Not Found',
+    status: 404,
+    detail: `No completed upload ${objectName} exists for this account.`,
+  });
+}
+
+/**
+ * Loads a direct upload named by req.body.objectName into req.file so the
+ * regular validation, preprocessing and moderation middleware can run on it.
+ * Uploads owned by someone else get the same 404 as missing ones.
+ */
+export async function loadStagedUpload(req, _res, next) {
+  const { objectName } = req.body ?? {};
+  if (typeof objectName !== 'string' || objectName.length === 0) {
+    return next(
+      createProblem({
+        type: 'https://docs.image-restoration.ai/problem/image-missing',
+        title: 'Image File Required',
+        status: 400,
+        detail: 'Provide an image file or the objectName of a completed upload.',
+      })
+    );
+  }
+
+  try {
+    const { gcs } = req.clients;
+    const userId = req.user.id;
+    if (!objectName.startsWith(`uploads/${userId}/`)) {
+      return next(uploadNotFound(objectName));
+    }
+
+    const upload = await gcs.describeUpload(objectName);
+    if (!upload || upload.userId !== userId) {
+      return next(uploadNotFound(objectName));
+    }
+    if (upload.size > DIRECT_UPLOAD_MAX_BYTES) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/file-too-large',
+          title: 'File Too Large',
+          status: 413,
+          detail: `The upload exceeds the maximum allowed size of ${DIRECT_UPLOAD_MAX_BYTES / (1024 * 1024)} MB.`,
+        })
+      );
+    }
+
+    const buffer = await gcs.downloadObject(objectName);
+    req.file = {
+      buffer,
+      size: buffer.length,
+      originalname: upload.filename ?? undefined,
+      mimetype: upload.contentType,
+      stagedObjectName: objectName,
+    };
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Accept either a multipart file in fieldName or a JSON body naming a
+ * direct upload
+ */
+export function handleUploadOrObject(fieldName = 'image', { maskField = null } = {}) {
+  const uploadSingle = handleUpload(fieldName, { maskField });
+
+  return (req, res, next) => {
+    if (req.is('multipart/form-data')) {
+      return uploadSingle(req, res, next);
+    }
+    return loadStagedUpload(req, res, next);
+  };
+}
@@ -3,15 +3,22 @@ import IORedis from 'ioredis';
 
 const DEFAULT_QUEUE_NAME = process.env.JOBS_QUEUE_NAME ?? 'image-restoration-jobs';
 const MAX_ATTEMPTS = Number(process.env.JOBS_MAX_ATTEMPTS ?? 5);
+const BACKOFF_TYPE = 'jittered-exponential';
 const BASE_DELAY_MS = Number(process.env.JOBS_BACKOFF_BASE_MS ?? 1000);
 const JITTER_RATIO = Number(process.env.JOBS_BACKOFF_JITTER ?? 0.3);
 const REMOVE_ON_COMPLETE = Number(process.env.JOBS_REMOVE_ON_COMPLETE ?? 100);
 const REMOVE_ON_FAIL = Number(process.env.JOBS_REMOVE_ON_FAIL ?? 500);
+const WEBHOOK_QUEUE_NAME = process.env.WEBHOOKS_QUEUE_NAME ?? 'image-restoration-webhooks';
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOKS_MAX_ATTEMPTS ?? 8);
+
+export const RESTORE_JOB_NAME = 'restore';
+export const RESTORE_BATCH_JOB_NAME = 'restore-batch';
 
 let queueInstance;
+let webhookQueueInstance;
 let connectionInstance;
 
-function getRedisConnection() {
+export function getQueueConnection() {
   if (connectionInstance) {
     return connectionInstance;
   }
@@ -34,7 +41,7 @@ function getRedisConnection() {
   return connectionInstance;
 }
 
-function calculateBackoff(attemptsMade) {
+export function calculateBackoff(attemptsMade) {
   const exponent = Math.max(0, attemptsMade - 1);
   const baseDelay = BASE_DELAY_MS * Math.pow(2, exponent);
   const jitter = baseDelay * JITTER_RATIO;
@@ -44,24 +51,51 @@ function calculateBackoff(attemptsMade) {
   return Math.round(Math.max(delay, 0));
 }
 
+/**
+ * BullMQ only consults custom backoff strategies on the Worker, so workers
+ * must pass this as `settings.backoffStrategy`.
+ */
+export function jobBackoffStrategy(attemptsMade, type) {
+  if (type === BACKOFF_TYPE) {
+    return calculateBackoff(attemptsMade);
+  }
+  return 0;
+}
+
+export function getJobQueueName() {
+  return DEFAULT_QUEUE_NAME;
+}
+
+export function getMaxJobAttempts() {
+  return MAX_ATTEMPTS;
+}
+
+export function getWebhookQueueName() {
+  return WEBHOOK_QUEUE_NAME;
+}
+
+export function getMaxWebhookAttempts() {
+  return WEBHOOK_MAX_ATTEMPTS;
+}
+
 export function getJobQueue() {
   if (queueInstance) {
     return queueInstance;
   }
 
-  const connection = getRedisConnection();
+  const connection = getQueueConnection();
 
   queueInstance = new Queue(DEFAULT_QUEUE_NAME, {
     connection,
     defaultJobOptions: {
       attempts: MAX_ATTEMPTS,
-      backoff: { type: 'jittered-exponential' },
+      backoff: { type: BACKOFF_TYPE },
       removeOnComplete: REMOVE_ON_COMPLETE,
       removeOnFail: REMOVE_ON_FAIL,
     },
     settings: {
       backoffStrategies: {
-        'jittered-exponential': (attemptsMade) => calculateBackoff(attemptsMade),
+        [BACKOFF_TYPE]: (attemptsMade) => calculateBackoff(attemptsMade),
       },
     },
   });
@@ -74,12 +108,43 @@ export function getJobQueue() {
   return queueInstance;
 }
 
+/**
+ * Callback deliveries get their own queue so a slow receiver never occupies
+ * a restoration worker slot. Retries use the same jittered backoff.
+ */
+export function getWebhookQueue() {
+  if (webhookQueueInstance) {
+    return webhookQueueInstance;
+  }
+
+  webhookQueueInstance = new Queue(WEBHOOK_QUEUE_NAME, {
+    connection: getQueueConnection(),
+    defaultJobOptions: {
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      backoff: { type: BACKOFF_TYPE },
+      removeOnComplete: REMOVE_ON_COMPLETE,
+      removeOnFail: REMOVE_ON_FAIL,
+    },
+  });
+
+  webhookQueueInstance.on('error', (error) => {
+    // eslint-disable-next-line no-console
+    console.error('[queue] Webhook queue error', { error: error?.message });
+  });
+
+  return webhookQueueInstance;
+}
+
 export async function closeJobQueue() {
   const tasks = [];
   if (queueInstance) {
     tasks.push(queueInstance.close());
     queueInstance = undefined;
   }
+  if (webhookQueueInstance) {
+    tasks.push(webhookQueueInstance.close());
+    webhookQueueInstance = undefined;
+  }
   if (connectionInstance) {
     tasks.push(connectionInstance.quit());
     connectionInstance = undefined;
@@ -0,0 +1,976 @@
+import { Worker, UnrecoverableError } from 'bullmq';
+import { fileTypeFromBuffer } from 'file-type';
+import { trace, context, propagation, SpanStatusCode } from '@opentelemetry/api';
+import {
+  getJobQueueName,
+  getMaxJobAttempts,
+  getQueueConnection,
+  getWebhookQueue as getDefaultWebhookQueue,
+  jobBackoffStrategy,
+  RESTORE_BATCH_JOB_NAME,
+} from '../jobQueue.js';
+import { JOB_STATUSES, isTerminalStatus } from '../../services/jobs.js';
+import { JOB_EVENT_TYPES } from '../../services/jobEvents.js';
+import { WEBHOOK_EVENTS } from '../../services/webhooks.js';
+import { completeCancellation } from '../../services/jobCancellation.js';
+import { DOCUMENT_STATUSES } from '../../services/documents.js';
+import { enqueueWebhook } from './webhookWorker.js';
+
+const DEFAULT_CONCURRENCY = Math.max(1, Number(process.env.WORKER_CONCURRENCY ?? 2));
+const FALLBACK_RESULT_TYPE = { mime: 'image/png', ext: 'png' };
+
+/**
+ * Raised when RestoratorService returns a structured failure so BullMQ can
+ * retry the job while keeping the failure stage and error type.
+ */
+export class RestorationFailedError extends Error {
+  constructor(result) {
+    super(result?.error?.message ?? 'Restoration failed');
+    this.name = 'RestorationFailedError';
+    this.code = result?.error?.code ?? 'RESTORATION_FAILED';
+    this.type = result?.error?.type ?? 'UNKNOWN_ERROR';
+    this.failureStage = result?.metadata?.failureStage ?? 'UNKNOWN';
+    this.timings = result?.timings ?? {};
+  }
+}
+
+function describeError(error) {
+  return {
+    code: error?.code ?? 'RESTORATION_FAILED',
+    message: error?.message ?? 'Restoration failed',
+    type: error?.type ?? 'UNKNOWN_ERROR',
+    failureStage: error?.failureStage ?? 'UNKNOWN',
+  };
+}
+
+function buildResultObjectName({ userId, jobId, ext }) {
+  return `restored/${userId}/${jobId}.${ext}`;
+}
+
+function buildVariantObjectName({ userId, jobId, index, ext }) {
+  return `restored/${userId}/${jobId}/variant-${index}.${ext}`;
+}
+
+function buildAssetObjectName({ userId, jobId, kind, ext }) {
+  return `restored/${userId}/${jobId}/${kind}.${ext}`;
+}
+
+function buildRenditionObjectName({ userId, jobId, width, ext }) {
+  return `restored/${userId}/${jobId}/rendition-${width}.${ext}`;
+}
+
+function buildDocumentObjectName({ userId, batchId, ext }) {
+  return `restored/${userId}/batches/${batchId}.${ext}`;
+}
+
+function extractParentContext(data) {
+  if (!data?.traceparent) {
+    return context.active();
+  }
+  return propagation.extract(context.active(), {
+    traceparent: data.traceparent,
+    tracestate: data.tracestate ?? undefined,
+  });
+}
+
+/**
+ * Queue the job's callback. A finished job stays finished even when the
+ * callback cannot be queued, so failures are only logged.
+ */
+async function notifyCallback(jobData, event, data, deps) {
+  try {
+    await enqueueWebhook({ jobData, event, data }, deps);
+  } catch (error) {
+    (deps.clients.logger ?? console).error('[worker] Failed to queue webhook', {
+      jobId: jobData.jobId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Index the result for identical resubmissions. Losing an entry only costs a
+ * future cache miss, so failures are logged rather than failing the job.
+ */
+async function rememberResult(
+  jobData,
+  { resultObjectName, resultContentType, variants, renditions, assets, result },
+  { clients, services }
+) {
+  if (!jobData.cacheKey || !services.restorationCache) {
+    return;
+  }
+
+  try {
+    await services.restorationCache.remember(jobData.cacheKey, {
+      sourceJobId: jobData.jobId,
+      userId: jobData.userId,
+      resultObjectName,
+      resultContentType,
+      variants,
+      renditions,
+      assets,
+      degradation: result.degradationAnalysis ?? null,
+      degradationTypes: (result.metadata?.classificationIssues ?? []).map((issue) => issue.type),
+      enhancedPrompt: result.enhancedPrompt ?? null,
+      metadata: result.metadata ?? null,
+    });
+  } catch (error) {
+    (clients.logger ?? console).warn('[worker] Failed to cache restoration result', {
+      jobId: jobData.jobId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Refund a result that drifted from the original. The result is delivered
+ * either way and a retry would restore the photo again, so failures are
+ * logged for reconciliation rather than failing the job.
+ */
+async function refundLowFidelity({ jobId, userId, credits }, { clients, services }) {
+  try {
+    await services.credits.refund({
+      userId,
+      jobId,
+      amount: credits?.amount ?? 1,
+      reason: 'Low fidelity result',
+    });
+  } catch (error) {
+    (clients.logger ?? console).error('[worker] Failed to refund low-fidelity result', {
+      jobId,
+      userId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Upload one restored image under the type sniffed from its bytes
+ */
+async function storeRestoredImage(base64Image, { userId, jobId, variantIndex }, { clients }) {
+  const buffer = Buffer.from(base64Image, 'base64');
+  const detected = (await fileTypeFromBuffer(buffer)) ?? FALLBACK_RESULT_TYPE;
+  const objectName =
+    variantIndex === undefined
+      ? buildResultObjectName({ userId, jobId, ext: detected.ext })
+      : buildVariantObjectName({ userId, jobId, index: variantIndex, ext: detected.ext });
+
+  await clients.gcs.uploadObject({
+    objectName,
+    buffer,
+    contentType: detected.mime,
+    metadata: { userId, jobId },
+  });
+  return { objectName, contentType: detected.mime, bytes: buffer.length };
+}
+
+/**
+ * Upload rendered images next to the result and describe them for the job
+ * document. `fields` are copied onto each descriptor ahead of the common ones.
+ */
+async function uploadDerivatives({ userId, jobId }, items, { clients }) {
+  const stored = [];
+  for (const { objectName, buffer, contentType, width, height, fields } of items) {
+    await clients.gcs.uploadObject({ objectName, buffer, contentType, metadata: { userId, jobId } });
+    stored.push({ ...fields, objectName, contentType, width, height, bytes: buffer.length });
+  }
+  return stored;
+}
+
+/**
+ * Render the gallery renditions of the primary result. Clients can always
+ * fall back to the full result, so a failure is logged and the job still
+ * succeeds without renditions.
+ * @returns {Promise<Array<Object>|null>} Stored rendition descriptors
+ */
+async function storeRenditions(jobData, restoredImage, { clients, services }) {
+  if (!services.renditions) {
+    return null;
+  }
+
+  const { jobId, userId } = jobData;
+  try {
+    const renditions = await services.renditions.render(restoredImage);
+    return await uploadDerivatives(
+      jobData,
+      renditions.map(({ format, ...rendition }) => ({
+        ...rendition,
+        fields: { format },
+        objectName: buildRenditionObjectName({ userId, jobId, width: rendition.width, ext: rendition.ext }),
+      })),
+      { clients }
+    );
+  } catch (error) {
+    (clients.logger ?? console).warn('[worker] Failed to generate renditions', {
+      jobId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Render the before/after comparisons against the primary result and store
+ * them next to it. They exist for sharing and QA, so a failure is logged and
+ * the job still succeeds without assets.
+ * @returns {Promise<Array<Object>|null>} Stored asset descriptors
+ */
+async function storeComparisonAssets(jobData, { restoredImage, inputImage, sourceImage }, { clients, services }) {
+  if (!services.comparisons) {
+    return null;
+  }
+
+  const { jobId, userId } = jobData;
+  try {
+    // Older jobs and batch children have no stored source; their normalized input stands in
+    const before =
+      sourceImage ?? (jobData.sourceObjectName ? await clients.gcs.downloadObject(jobData.sourceObjectName) : inputImage);
+    if (!before) {
+      return null;
+    }
+
+    const artifacts = await services.comparisons.render({ before, after: restoredImage });
+    return await uploadDerivatives(
+      jobData,
+      artifacts.map(({ kind, ...artifact }) => ({
+        ...artifact,
+        fields: { kind },
+        objectName: buildAssetObjectName({ userId, jobId, kind, ext: artifact.ext }),
+      })),
+      { clients }
+    );
+  } catch (error) {
+    (clients.logger ?? console).warn('[worker] Failed to generate comparison assets', {
+      jobId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Store a successful restoration and move the job to succeeded. Every
+ * variant of a multi-variant result is stored; the first one is the job's
+ * result until the user picks a preferred variant. A low-fidelity result is
+ * still delivered, but its credits are refunded and it is not cached.
+ * @param {Object} jobData - jobId, userId, credits and optional callbackUrl
+ * @param {Object} result - Successful RestoratorService result
+ * @param {Object} deps - Shared clients, services and webhook queue accessor
+ * @param {Object} sources - `inputImage`, the normalized input, and `sourceImage`, the untouched upload when already downloaded
+ * @returns {Promise<Object>} Stored result location
+ */
+async function recordRestorationSuccess(jobData, result, deps, { inputImage = null, sourceImage = null } = {}) {
+  const { services } = deps;
+  const { jobId, userId } = jobData;
+  const lowFidelity = result.metadata?.fidelity?.lowFidelity === true;
+
+  let variants = null;
+  let primary;
+  if (result.variants) {
+    variants = [];
+    for (const variant of result.variants) {
+      const stored = await storeRestoredImage(variant.restoredImage, { userId, jobId, variantIndex: variant.index }, deps);
+      variants.push({ index: variant.index, ...stored, prompt: variant.prompt ?? null });
+    }
+    [primary] = variants;
+  } else {
+    primary = await storeRestoredImage(result.restoredImage, { userId, jobId }, deps);
+  }
+  const { objectName: resultObjectName, contentType: resultContentType } = primary;
+  const primaryImage = Buffer.from(result.variants?.[0].restoredImage ?? result.restoredImage, 'base64');
+  const renditions = await storeRenditions(jobData, primaryImage, deps);
+  const assets = await storeComparisonAssets(jobData, { restoredImage: primaryImage, inputImage, sourceImage }, deps);
+
+  await services.jobs.updateJob(jobId, {
+    status: JOB_STATUSES.SUCCEEDED,
+    resultObjectName,
+    resultContentType,
+    ...(variants && { variants, preferredVariant: null }),
+    ...(renditions && { renditions }),
+    ...(assets && { assets }),
+    timings: result.timings,
+    degradation: result.degradationAnalysis,
+    // Flattened for array-contains filtering in the job history listing
+    degradationTypes: (result.metadata?.classificationIssues ?? []).map((issue) => issue.type),
+    enhancedPrompt: result.enhancedPrompt,
+    metadata: result.metadata,
+    error: null,
+    completedAt: new Date(),
+  });
+  if (lowFidelity) {
+    // The provider changed who or what is in the photo; the user keeps the
+    // result but is not charged for it. Refunded after the succeeded write,
+    // so a failure before it leaves the refund to the retry or failure path.
+    await refundLowFidelity(jobData, deps);
+  } else {
+    await rememberResult(jobData, { resultObjectName, resultContentType, variants, renditions, assets, result }, deps);
+  }
+  await services.jobEvents.publish(jobId, JOB_EVENT_TYPES.RESULT, {
+    status: JOB_STATUSES.SUCCEEDED,
+    resultContentType,
+    ...(variants && { variantCount: variants.length }),
+    ...(lowFidelity && { lowFidelity }),
+    timings: result.timings,
+  });
+  await notifyCallback(
+    jobData,
+    WEBHOOK_EVENTS.JOB_SUCCEEDED,
+    {
+      jobId,
+      status: JOB_STATUSES.SUCCEEDED,
+      resultContentType,
+      ...(variants && { variantCount: variants.length }),
+      ...(lowFidelity && { lowFidelity }),
+      timings: result.timings,
+    },
+    deps
+  );
+
+  return { resultObjectName };
+}
+
+/**
+ * Move a job to failed, refund its credits and notify the submitter
+ * @param {Object} jobData - jobId, userId, credits and optional callbackUrl
+ * @param {Object} failure - Described error (code, message, type, failureStage)
+ * @param {Object} details - attempts made and stage timings
+ * @param {Object} deps - Shared clients, services and webhook queue accessor
+ */
+async function recordRestorationFailure(jobData, failure, { attempts, timings = null }, deps) {
+  const { services } = deps;
+  const { jobId, userId, credits } = jobData;
+
+  await services.jobs.updateJob(jobId, {
+    status: JOB_STATUSES.FAILED,
+    attempts,
+    error: failure,
+    timings,
+    failedAt: new Date(),
+  });
+  await services.jobEvents.publish(jobId, JOB_EVENT_TYPES.ERROR, {
+    status: JOB_STATUSES.FAILED,
+    error: failure,
+  });
+
+  await services.credits.refund({
+    userId,
+    jobId,
+    amount: credits?.amount ?? 1,
+    reason: 'Restoration failed',
+  });
+
+  await notifyCallback(
+    jobData,
+    WEBHOOK_EVENTS.JOB_FAILED,
+    { jobId, status: JOB_STATUSES.FAILED, error: failure, timings },
+    deps
+  );
+}
+
+async function stopCancelledJob(job, stage, { clients, services }) {
+  const { jobId, userId, credits } = job.data;
+  await completeCancellation({ jobId, userId, amount: credits?.amount ?? 1, stage }, services);
+  (clients.logger ?? console).info('[worker] Restoration job cancelled', { jobId, userId, stage });
+  return { cancelled: true, stage };
+}
+
+/**
+ * Process a single restoration job pulled from the queue
+ * @param {Object} job - BullMQ job with restoration payload
+ * @param {Object} deps - Shared clients, services and webhook queue accessor
+ * @returns {Promise<Object>} Stored result location
+ */
+export async function processRestorationJob(job, deps) {
+  const { clients, services } = deps;
+  const {
+    jobId,
+    userId,
+    inputObjectName,
+    inputObjectNames,
+    userPrompt,
+    variantCount = 1,
+    promptJitter = false,
+    output = null,
+    targetSize = null,
+    detailTransfer = false,
+    sourceObjectName = null,
+    tiling = null,
+    maskObjectName = null,
+  } = job.data;
+  const logger = clients.logger ?? console;
+
+  const parentContext = extractParentContext(job.data);
+  const span = trace.getTracer('worker').startSpan(
+    'worker.processRestorationJob',
+    {
+      attributes: {
+        'job.id': jobId,
+        'job.attempt': job.attemptsMade + 1,
+        'user.id': userId,
+      },
+    },
+    parentContext
+  );
+
+  try {
+    return await context.with(trace.setSpan(parentContext, span), async () => {
+      // Cancellation requested while the job runs arrives as an event; one
+      // requested before pickup is already on the job document.
+      const cancellation = new AbortController();
+      const stopListening = await services.jobEvents.subscribe(jobId, (event) => {
+        if (event.type === JOB_EVENT_TYPES.CANCEL_REQUESTED) {
+          cancellation.abort();
+        }
+      });
+
+      try {
+        const current = await services.jobs.getJob(jobId);
+        if (current?.status === JOB_STATUSES.CANCELLED) {
+          return { cancelled: true, stage: current.cancelledStage ?? null };
+        }
+        // A retry of a job that already finished (its attempt failed after
+        // recording the outcome) must not call the provider again
+        if (isTerminalStatus(current?.status)) {
+          logger.warn('[worker] Skipping restoration job that already finished', {
+            jobId,
+            status: current.status,
+          });
+          return { skipped: true, status: current.status };
+        }
+        if (current?.cancellation) {
+          span.setAttribute('job.cancelled', true);
+          return await stopCancelledJob(job, 'QUEUED', deps);
+        }
+
+        await services.jobs.updateJob(jobId, {
+          status: JOB_STATUSES.PROCESSING,
+          attempts: job.attemptsMade + 1,
+          startedAt: new Date(),
+        });
+        await services.jobEvents.publish(jobId, JOB_EVENT_TYPES.PROCESSING, {
+          status: JOB_STATUSES.PROCESSING,
+          attempt: job.attemptsMade + 1,
+        });
+
+        // Fusion jobs carry every input; single-image jobs only inputObjectName
+        const images = await Promise.all(
+          (inputObjectNames ?? [inputObjectName]).map((objectName) => clients.gcs.downloadObject(objectName))
+        );
+
+        // Tiles and masked regions are cut from the untouched upload, which
+        // also guides the upscale; the 2048 px input has lost the detail
+        const needsSource = tiling || maskObjectName || (targetSize && detailTransfer);
+        const sourceImage = needsSource && sourceObjectName ? await clients.gcs.downloadObject(sourceObjectName) : null;
+        if ((tiling || maskObjectName) && !sourceImage) {
+          throw new UnrecoverableError(`${tiling ? 'Tiled' : 'Masked'} restoration needs the stored source image`);
+        }
+
+        const common = {
+          userPrompt: userPrompt ?? undefined,
+          userContext: { userId, jobId },
+          onProgress: (stage, attributes) => {
+            services.jobEvents.publish(jobId, stage, attributes);
+          },
+          signal: cancellation.signal,
+        };
+        let result;
+        if (tiling) {
+          result = await services.restorator.restoreTiled({
+            ...common,
+            imageBuffer: sourceImage,
+            guideBuffer: images[0],
+            options: { ...tiling, ...(output && { output }) },
+          });
+        } else if (maskObjectName) {
+          result = await services.restorator.restoreMasked({
+            ...common,
+            imageBuffer: sourceImage,
+            maskBuffer: await clients.gcs.downloadObject(maskObjectName),
+            options: { ...(output && { output }) },
+          });
+        } else {
+          result = await services.restorator.restore({
+            ...common,
+            ...(inputObjectNames ? { imageBuffers: images } : { imageBuffer: images[0] }),
+            options: {
+              variants: variantCount,
+              promptJitter,
+              ...(output && { output }),
+              ...(targetSize && { targetSize, detailSource: sourceImage }),
+            },
+          });
+        }
+
+        if (!result.success && result.error?.type === 'CANCELLED') {
+          span.setAttribute('job.cancelled', true);
+          return await stopCancelledJob(job, result.metadata?.failureStage ?? 'UNKNOWN', deps);
+        }
+
+        if (!result.success) {
+          throw new RestorationFailedError(result);
+        }
+
+        const { resultObjectName } = await recordRestorationSuccess(job.data, result, deps, {
+          inputImage: images[0],
+          sourceImage,
+        });
+
+        logger.info('[worker] Restoration job succeeded', { jobId, userId, resultObjectName });
+
+        span.setStatus({ code: SpanStatusCode.OK });
+        return { resultObjectName };
+      } finally {
+        await stopListening();
+      }
+    });
+  } catch (error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Reassemble a document batch's pages, in page order, into a file of the
+ * uploaded kind once every child is finished. Restored pages use the result;
+ * pages that failed or were cancelled keep the (normalized) scan so the
+ * document stays complete. Pages rejected at intake have no image to use and
+ * are left out. A no-op for ordinary batches.
+ * @param {string} batchId - Batch identifier
+ * @param {Object} deps - Shared clients and services
+ */
+export async function assembleBatchDocument(batchId, deps) {
+  const { clients, services } = deps;
+  const logger = clients.logger ?? console;
+  const batch = await services.batches.getBatch(batchId);
+  const document = batch?.document;
+  if (!document || document.status === DOCUMENT_STATUSES.ASSEMBLED) {
+    return;
+  }
+
+  const span = trace.getTracer('worker').startSpan('worker.assembleBatchDocument', {
+    attributes: { 'batch.id': batchId, 'document.kind': document.kind, 'document.page_count': document.pageCount },
+  });
+
+  try {
+    const children = (await Promise.all(batch.jobIds.map((jobId) => services.jobs.getJob(jobId))))
+      .filter(Boolean)
+      .sort((a, b) => a.batchIndex - b.batchIndex);
+    const restoredPages = [];
+    const originalPages = [];
+    const pages = [];
+    for (const child of children) {
+      const restored = child.status === JOB_STATUSES.SUCCEEDED && child.resultObjectName;
+      pages.push({
+        buffer: await clients.gcs.downloadObject(restored ? child.resultObjectName : child.inputObjectName),
+        pageSize: document.pages?.find((page) => page.index === child.batchIndex)?.pageSize ?? null,
+      });
+      (restored ? restoredPages : originalPages).push(child.batchIndex);
+    }
+    const included = new Set(children.map((child) => child.batchIndex));
+    const omittedPages = (document.pages ?? []).map(({ index }) => index).filter((index) => !included.has(index));
+
+    span.setAttributes({
+      'document.restored_pages': restoredPages.length,
+      'document.original_pages': originalPages.length,
+      'document.omitted_pages': omittedPages.length,
+    });
+    if (restoredPages.length === 0) {
+      logger.warn('[worker] No document pages were restored; skipping assembly', { batchId });
+      await services.batches.updateBatch(batchId, {
+        document: { ...document, status: DOCUMENT_STATUSES.FAILED, restoredPages, originalPages, omittedPages },
+      });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return;
+    }
+
+    const assembled = await services.documents.assemble({ kind: document.kind, pages });
+    const resultObjectName = buildDocumentObjectName({ userId: batch.userId, batchId, ext: assembled.ext });
+    await clients.gcs.uploadObject({
+      objectName: resultObjectName,
+      buffer: assembled.buffer,
+      contentType: assembled.contentType,
+      metadata: { userId: batch.userId },
+    });
+    await services.batches.updateBatch(batchId, {
+      document: {
+        ...document,
+        status: DOCUMENT_STATUSES.ASSEMBLED,
+        resultObjectName,
+        resultContentType: assembled.contentType,
+        restoredPages,
+        originalPages,
+        omittedPages,
+        assembledAt: new Date(),
+      },
+    });
+    logger.info('[worker] Batch document assembled', { batchId, pages: pages.length, restored: restoredPages.length });
+    span.setStatus({ code: SpanStatusCode.OK });
+  } catch (error) {
+    // The pages stay downloadable one by one, so a failed assembly does not fail the batch
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    logger.error('[worker] Batch document assembly failed', { batchId, error: error.message });
+    await services.batches
+      .updateBatch(batchId, { document: { ...document, status: DOCUMENT_STATUSES.FAILED } })
+      .catch(() => {});
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Process a batch job: restore every child that has not finished yet.
+ *
+ * Each child is settled as soon as its own restoration returns, so one bad
+ * image never holds back or fails the others. Children that fail with
+ * attempts remaining are left queued and the batch job throws, letting BullMQ
+ * retry only the unfinished children.
+ * @param {Object} job - BullMQ job with batch payload
+ * @param {Object} deps - Shared clients, services and webhook queue accessor
+ * @returns {Promise<Object>} Per-status counts for the children processed
+ */
+export async function processBatchJob(job, deps) {
+  const { clients, services } = deps;
+  const { batchId, userId, jobIds, userPrompt } = job.data;
+  const logger = clients.logger ?? console;
+  const attempt = job.attemptsMade + 1;
+  const finalAttempt = attempt >= (job.opts?.attempts ?? getMaxJobAttempts());
+
+  const parentContext = extractParentContext(job.data);
+  const span = trace.getTracer('worker').startSpan(
+    'worker.processBatchJob',
+    {
+      attributes: {
+        'batch.id': batchId,
+        'batch.size': jobIds.length,
+        'job.attempt': attempt,
+        'user.id': userId,
+      },
+    },
+    parentContext
+  );
+
+  try {
+    return await context.with(trace.setSpan(parentContext, span), async () => {
+      // Cancelling a child only flags it, as it has no queue entry of its own;
+      // a child cancelled while the batch runs is stopped through its signal
+      const cancellations = new Map(jobIds.map((jobId) => [jobId, new AbortController()]));
+      const stopListening = await Promise.all(
+        jobIds.map((jobId) =>
+          services.jobEvents.subscribe(jobId, (event) => {
+            if (event.type === JOB_EVENT_TYPES.CANCEL_REQUESTED) {
+              cancellations.get(jobId).abort();
+            }
+          })
+        )
+      );
+
+      try {
+        const children = await Promise.all(jobIds.map((jobId) => services.jobs.getJob(jobId)));
+        const pending = [];
+
+        for (const child of children) {
+          if (!child || isTerminalStatus(child.status)) {
+            continue;
+          }
+          if (child.cancellation) {
+            await completeCancellation(
+              { jobId: child.jobId, userId, amount: child.credits?.amount ?? 1, stage: 'QUEUED' },
+              services
+            );
+            continue;
+          }
+          pending.push(child);
+        }
+
+        span.setAttribute('batch.pending_count', pending.length);
+        if (pending.length === 0) {
+          await services.batches.updateBatch(batchId, { completedAt: new Date() });
+          await assembleBatchDocument(batchId, deps);
+          span.setStatus({ code: SpanStatusCode.OK });
+          return { batchId, processed: 0 };
+        }
+
+        await services.batches.updateBatch(batchId, { attempts: attempt, startedAt: new Date() });
+        const running = [];
+        for (const child of pending) {
+          // Read again: the child may have been cancelled since the batch was picked up
+          const current = await services.jobs.getJob(child.jobId);
+          if (!current || isTerminalStatus(current.status)) {
+            continue;
+          }
+          if (current.cancellation) {
+            await completeCancellation(
+              { jobId: child.jobId, userId, amount: child.credits?.amount ?? 1, stage: 'QUEUED' },
+              services
+            );
+            continue;
+          }
+
+          await services.jobs.updateJob(child.jobId, {
+            status: JOB_STATUSES.PROCESSING,
+            attempts: attempt,
+            startedAt: new Date(),
+          });
+          await services.jobEvents.publish(child.jobId, JOB_EVENT_TYPES.PROCESSING, {
+            status: JOB_STATUSES.PROCESSING,
+            attempt,
+            batchId,
+          });
+          running.push(current);
+        }
+
+        const images = await Promise.all(
+          running.map((child) => clients.gcs.downloadObject(child.inputObjectName))
+        );
+        const outcomes = { succeeded: 0, failed: 0, retrying: 0, cancelled: 0 };
+
+        await services.restorator.restoreBatch({
+          images,
+          userPrompt: userPrompt ?? undefined,
+          userContext: { userId, batchId },
+          signals: running.map((child) => cancellations.get(child.jobId).signal),
+          onItemComplete: async (index, result) => {
+            const child = running[index];
+            const current = await services.jobs.getJob(child.jobId);
+
+            if (current?.status === JOB_STATUSES.CANCELLED) {
+              outcomes.cancelled += 1;
+              return;
+            }
+            if (current?.cancellation) {
+              outcomes.cancelled += 1;
+              await completeCancellation(
+                {
+                  jobId: child.jobId,
+                  userId,
+                  amount: child.credits?.amount ?? 1,
+                  stage: result.metadata?.failureStage ?? 'AI_RESTORATION',
+                },
+                services
+              );
+              return;
+            }
+
+            if (result.success) {
+              outcomes.succeeded += 1;
+              await recordRestorationSuccess(child, result, deps, { inputImage: images[index] });
+              return;
+            }
+
+            const failure = describeError(new RestorationFailedError(result));
+            if (finalAttempt) {
+              outcomes.failed += 1;
+              await recordRestorationFailure(
+                child,
+                failure,
+                { attempts: attempt, timings: result.timings ?? null },
+                deps
+              );
+              return;
+            }
+
+            outcomes.retrying += 1;
+            await services.jobs.updateJob(child.jobId, {
+              status: JOB_STATUSES.QUEUED,
+              attempts: attempt,
+              lastError: failure,
+            });
+            await services.jobEvents.publish(child.jobId, JOB_EVENT_TYPES.RETRYING, {
+              status: JOB_STATUSES.QUEUED,
+              attempt,
+              error: failure,
+              batchId,
+            });
+          },
+        });
+
+        span.setAttributes({
+          'batch.succeeded_count': outcomes.succeeded,
+          'batch.failed_count': outcomes.failed,
+          'batch.retrying_count': outcomes.retrying,
+        });
+
+        if (outcomes.retrying > 0) {
+          throw new Error(`${outcomes.retrying} of ${running.length} batch items failed`);
+        }
+
+        await services.batches.updateBatch(batchId, { completedAt: new Date() });
+        await assembleBatchDocument(batchId, deps);
+        logger.info('[worker] Batch job finished', { batchId, userId, ...outcomes });
+
+        span.setStatus({ code: SpanStatusCode.OK });
+        return { batchId, processed: running.length, ...outcomes };
+      } finally {
+        await Promise.all(stopListening.map((stop) => stop()));
+      }
+    });
+  } catch (error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Record a failed attempt and refund credits once retries are exhausted
+ * @param {Object} job - BullMQ job that failed
+ * @param {Error} error - Failure raised by the processor
+ * @param {Object} deps - Shared clients, services and webhook queue accessor
+ */
+export async function handleFailedJob(job, error, deps) {
+  if (!job) {
+    return;
+  }
+
+  const { clients, services } = deps;
+  const logger = clients.logger ?? console;
+  const { jobId, userId } = job.data;
+  const maxAttempts = job.opts?.attempts ?? getMaxJobAttempts();
+  const exhausted = error instanceof UnrecoverableError || job.attemptsMade >= maxAttempts;
+  const failure = describeError(error);
+
+  // An attempt that fails after recording the outcome (e.g. publishing the
+  // result event) must neither requeue nor fail and refund a finished job
+  const current = await services.jobs.getJob(jobId);
+  if (isTerminalStatus(current?.status)) {
+    logger.warn('[worker] Ignoring failure of a finished restoration job', {
+      jobId,
+      status: current.status,
+      error: failure.message,
+    });
+    return;
+  }
+
+  if (!exhausted) {
+    logger.warn('[worker] Restoration attempt failed; retrying', {
+      jobId,
+      attempt: job.attemptsMade,
+      maxAttempts,
+      error: failure.message,
+    });
+    await services.jobs.updateJob(jobId, {
+      status: JOB_STATUSES.QUEUED,
+      attempts: job.attemptsMade,
+      lastError: failure,
+    });
+    await services.jobEvents.publish(jobId, JOB_EVENT_TYPES.RETRYING, {
+      status: JOB_STATUSES.QUEUED,
+      attempt: job.attemptsMade,
+      maxAttempts,
+      error: failure,
+    });
+    return;
+  }
+
+  logger.error('[worker] Restoration job failed permanently', {
+    jobId,
+    userId,
+    attempts: job.attemptsMade,
+    error: failure.message,
+  });
+
+  await recordRestorationFailure(
+    job.data,
+    failure,
+    { attempts: job.attemptsMade, timings: error?.timings ?? null },
+    deps
+  );
+}
+
+/**
+ * Fail every unfinished child of a batch once the batch job gives up; children
+ * the user asked to cancel are cancelled instead
+ * @param {Object} job - BullMQ batch job that failed
+ * @param {Error} error - Failure raised by the processor
+ * @param {Object} deps - Shared clients, services and webhook queue accessor
+ */
+export async function handleFailedBatchJob(job, error, deps) {
+  if (!job) {
+    return;
+  }
+
+  const { clients, services } = deps;
+  const logger = clients.logger ?? console;
+  const { batchId, userId, jobIds } = job.data;
+  const maxAttempts = job.opts?.attempts ?? getMaxJobAttempts();
+
+  if (!(error instanceof UnrecoverableError) && job.attemptsMade < maxAttempts) {
+    logger.warn('[worker] Batch attempt failed; retrying', {
+      batchId,
+      attempt: job.attemptsMade,
+      maxAttempts,
+      error: error?.message,
+    });
+    return;
+  }
+
+  logger.error('[worker] Batch job failed permanently', {
+    batchId,
+    userId,
+    attempts: job.attemptsMade,
+    error: error?.message,
+  });
+
+  const failure = describeError(error);
+  for (const jobId of jobIds) {
+    const child = await services.jobs.getJob(jobId);
+    if (!child || isTerminalStatus(child.status)) {
+      continue;
+    }
+    if (child.cancellation) {
+      const stage = child.status === JOB_STATUSES.QUEUED ? 'QUEUED' : 'UNKNOWN';
+      await completeCancellation({ jobId, userId, amount: child.credits?.amount ?? 1, stage }, services);
+      continue;
+    }
+    await recordRestorationFailure(child, failure, { attempts: job.attemptsMade }, deps);
+  }
+
+  await services.batches.updateBatch(batchId, { completedAt: new Date() });
+  await assembleBatchDocument(batchId, deps);
+}
+
+export function createRestorationWorker({
+  clients,
+  services,
+  concurrency = DEFAULT_CONCURRENCY,
+  connection = getQueueConnection(),
+  getWebhookQueue = getDefaultWebhookQueue,
+}) {
+  const deps = { clients, services, getWebhookQueue };
+  const logger = clients.logger ?? console;
+
+  const worker = new Worker(
+    getJobQueueName(),
+    (job) => (job.name === RESTORE_BATCH_JOB_NAME ? processBatchJob(job, deps) : processRestorationJob(job, deps)),
+    {
+      connection,
+      concurrency,
+      settings: {
+        backoffStrategy: jobBackoffStrategy,
+      },
+    }
+  );
+
+  worker.on('failed', (job, error) => {
+    const handler = job?.name === RESTORE_BATCH_JOB_NAME ? handleFailedBatchJob : handleFailedJob;
+    handler(job, error, deps).catch((handlerError) => {
+      logger.error('[worker] Failed to record job failure', {
+        jobId: job?.data?.jobId ?? job?.data?.batchId,
+        error: handlerError.message,
+      });
+    });
+  });
+
+  worker.on('error', (error) => {
+    logger.error('[worker] Worker error', { error: error?.message });
+  });
+
+  return worker;
+}
@@ -0,0 +1,115 @@
+import { Worker, UnrecoverableError } from 'bullmq';
+import {
+  getMaxWebhookAttempts,
+  getQueueConnection,
+  getWebhookQueueName,
+  jobBackoffStrategy,
+} from '../jobQueue.js';
+
+const DEFAULT_CONCURRENCY = Math.max(1, Number(process.env.WEBHOOKS_CONCURRENCY ?? 5));
+export const WEBHOOK_JOB_NAME = 'deliver';
+
+/**
+ * Queue a callback for a finished job when the submitter supplied a callbackUrl
+ * @param {Object} params
+ * @param {Object} params.jobData - Restoration job payload (needs jobId, userId, callbackUrl)
+ * @param {string} params.event - One of WEBHOOK_EVENTS
+ * @param {Object} params.data - Event payload data
+ * @param {Object} deps - Services and webhook queue accessor
+ * @returns {Promise<Object|null>} Delivery document or null when no callback was requested
+ */
+export async function enqueueWebhook({ jobData, event, data }, { services, getWebhookQueue }) {
+  if (!jobData.callbackUrl) {
+    return null;
+  }
+
+  const delivery = await services.webhooks.createDelivery({
+    userId: jobData.userId,
+    jobId: jobData.jobId,
+    url: jobData.callbackUrl,
+    event,
+    data,
+  });
+
+  await getWebhookQueue().add(
+    WEBHOOK_JOB_NAME,
+    { deliveryId: delivery.deliveryId, jobId: jobData.jobId },
+    { jobId: delivery.deliveryId }
+  );
+
+  return delivery;
+}
+
+export async function processWebhookDelivery(job, { services }) {
+  const delivery = await services.webhooks.getDelivery(job.data.deliveryId);
+  if (!delivery) {
+    throw new UnrecoverableError(`Webhook delivery ${job.data.deliveryId} not found`);
+  }
+
+  try {
+    return await services.webhooks.attemptDelivery(job.data.deliveryId, { attempt: job.attemptsMade + 1 });
+  } catch (error) {
+    // A refused destination stays refused, so there is nothing to retry
+    if (error.retryable === false) {
+      throw new UnrecoverableError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Mark the delivery failed once BullMQ has used up its attempts
+ */
+export async function handleFailedWebhook(job, error, { clients, services }) {
+  if (!job) {
+    return;
+  }
+
+  const maxAttempts = job.opts?.attempts ?? getMaxWebhookAttempts();
+  if (!(error instanceof UnrecoverableError) && job.attemptsMade < maxAttempts) {
+    return;
+  }
+
+  const logger = clients.logger ?? console;
+  logger.error('[webhooks] Delivery failed permanently', {
+    deliveryId: job.data.deliveryId,
+    jobId: job.data.jobId,
+    attempts: job.attemptsMade,
+    error: error?.message,
+  });
+
+  await services.webhooks.markFailed(job.data.deliveryId);
+}
+
+export function createWebhookWorker({
+  clients,
+  services,
+  concurrency = DEFAULT_CONCURRENCY,
+  connection = getQueueConnection(),
+}) {
+  const deps = { clients, services };
+  const logger = clients.logger ?? console;
+
+  const worker = new Worker(getWebhookQueueName(), (job) => processWebhookDelivery(job, deps), {
+    connection,
+    concurrency,
+    settings: {
+      backoffStrategy: jobBackoffStrategy,
+    },
+  });
+
+  worker.on('failed', (job, error) => {
+    handleFailedWebhook(job, error, deps).catch((handlerError) => {
+      logger.error('[webhooks] Failed to record delivery failure', {
+        deliveryId: job?.data?.deliveryId,
+        error: handlerError.message,
+      });
+    });
+  });
+
+  worker.on('error', (error) => {
+    logger.error('[webhooks] Worker error', { error: error?.message });
+  });
+
+  return worker;
+}
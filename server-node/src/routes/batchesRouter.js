@@ -0,0 +1,471 @@
+import { Router } from 'express';
+import { randomUUID } from 'crypto';
+import { RESTORE_BATCH_JOB_NAME, getJobQueue } from '../queues/jobQueue.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+import { handleBatchUpload, handleDocumentUpload, inspectImageFile } from '../middleware/uploadValidation.js';
+import { normalizeImageFile } from '../middleware/imagePreprocess.js';
+import { moderateBuffer } from '../middleware/moderateImage.js';
+import { createProblem, isProblem } from '../utils/problem.js';
+import { JOB_STATUSES } from '../services/jobs.js';
+import { JOB_EVENT_TYPES } from '../services/jobEvents.js';
+import { describeCallbackUrlProblem } from '../services/webhooks.js';
+import { summarizeBatch } from '../services/batches.js';
+import { DOCUMENT_KINDS, DOCUMENT_STATUSES } from '../services/documents.js';
+import { hashContent } from '../services/restorationCache.js';
+import { buildOriginalObjectName, deriveResultFilename, isAdmin, toIsoString } from './shared.js';
+
+const CREDITS_PER_IMAGE = 1;
+
+function batchNotFound(batchId) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/batch-not-found',
+    title: 'Batch Not Found',
+    status: 404,
+    detail: `No batch with id ${batchId} exists.`,
+  });
+}
+
+function rejectItem(item, problem) {
+  return {
+    ...item,
+    jobId: null,
+    status: 'rejected',
+    error: { type: problem.type, title: problem.title, status: problem.status, detail: problem.detail },
+  };
+}
+
+/**
+ * Run the single-image intake checks on one batch file. Problems are turned
+ * into a rejected item; anything else is unexpected and propagates.
+ */
+async function screenFile(file, index, { moderation, context }) {
+  const item = { index, filename: file.originalname ?? null };
+  const jobId = randomUUID();
+
+  try {
+    if (file.problem) {
+      throw file.problem;
+    }
+    await inspectImageFile(file);
+    await normalizeImageFile(file);
+    const moderationResult = await moderateBuffer(file.buffer, {
+      moderation,
+      context: { ...context, jobId },
+    });
+    return { ...item, jobId, status: 'accepted', error: null, file, moderation: moderationResult };
+  } catch (error) {
+    if (isProblem(error)) {
+      return rejectItem(item, error);
+    }
+    throw error;
+  }
+}
+
+function toItemResource({ index, filename, jobId, status, error }) {
+  return { index, filename, jobId, status, error };
+}
+
+function toChildResource(job, baseUrl) {
+  return {
+    jobId: job.jobId,
+    index: job.batchIndex ?? null,
+    filename: job.originalFilename ?? null,
+    status: job.status,
+    statusUrl: `${baseUrl}/${job.jobId}`,
+    resultUrl: job.status === JOB_STATUSES.SUCCEEDED ? `${baseUrl}/${job.jobId}/result` : null,
+    completedAt: toIsoString(job.completedAt ?? job.failedAt ?? job.cancelledAt),
+    error: job.status === JOB_STATUSES.FAILED && job.error
+      ? { code: job.error.code, message: job.error.message, failureStage: job.error.failureStage }
+      : null,
+  };
+}
+
+function toDocumentResource(document, batchUrl) {
+  if (!document) return null;
+  return {
+    kind: document.kind,
+    filename: document.filename,
+    pageCount: document.pageCount,
+    status: document.status,
+    restoredPages: document.restoredPages ?? null,
+    originalPages: document.originalPages ?? null,
+    omittedPages: document.omittedPages ?? null,
+    assembledAt: toIsoString(document.assembledAt),
+    resultUrl: document.status === DOCUMENT_STATUSES.ASSEMBLED ? `${batchUrl}/document` : null,
+  };
+}
+
+/**
+ * Split an uploaded multi-page document into one pseudo-upload per page in
+ * req.files, so the regular batch intake screens, charges and queues each
+ * page. Unreadable pages become rejected items. Page layout for reassembly is
+ * kept in req.document.
+ */
+async function splitDocument(req, _res, next) {
+  const { documents } = req.services;
+  const { documentKind: kind, buffer, originalname } = req.file;
+
+  let pages;
+  try {
+    const pageCount = await documents.countPages({ buffer, kind });
+    if (pageCount > documents.maxPages) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/too-many-pages',
+          title: 'Too Many Pages',
+          status: 413,
+          detail: `A document may contain at most ${documents.maxPages} pages; this one has ${pageCount}.`,
+          extras: { pageCount, maxPages: documents.maxPages },
+        })
+      );
+    }
+    pages = await documents.split({ buffer, kind });
+  } catch (error) {
+    return next(
+      createProblem({
+        type: 'https://docs.image-restoration.ai/problem/document-unreadable',
+        title: 'Document Unreadable',
+        status: 422,
+        detail: `The ${kind === 'pdf' ? 'PDF' : 'TIFF'} could not be read: ${error.message}`,
+      })
+    );
+  }
+
+  const pageName = (index, ext = DOCUMENT_KINDS[kind].ext) =>
+    deriveResultFilename({ originalFilename: originalname }, { objectName: `page.${ext}`, label: `page-${index + 1}` });
+  req.files = pages.map((page) =>
+    page.buffer
+      ? { buffer: page.buffer, size: page.buffer.length, originalname: pageName(page.index, page.ext) }
+      : {
+          buffer: Buffer.alloc(0),
+          size: 0,
+          originalname: pageName(page.index),
+          problem: createProblem({
+            type: 'https://docs.image-restoration.ai/problem/page-unreadable',
+            title: 'Page Unreadable',
+            status: 422,
+            detail: page.error,
+          }),
+        }
+  );
+  req.document = {
+    kind,
+    filename: originalname ?? null,
+    pageCount: pages.length,
+    pages: pages.map(({ index, pageSize }) => ({ index, pageSize })),
+  };
+  return next();
+}
+
+function createSubmitBatchHandler({ getQueue }) {
+  return async function submitBatch(req, res, next) {
+    const { credits, jobs, jobEvents, batches, moderation } = req.services;
+    const { gcs } = req.clients;
+    const userId = req.user.id;
+    const batchId = randomUUID();
+    const callbackUrl = req.body.callbackUrl || null;
+    const userPrompt = typeof req.body.prompt === 'string' ? req.body.prompt : null;
+
+    const callbackUrlProblem = callbackUrl ? describeCallbackUrlProblem(callbackUrl) : null;
+    if (callbackUrlProblem) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/invalid-callback-url',
+          title: 'Invalid Callback URL',
+          status: 400,
+          detail: callbackUrlProblem,
+        })
+      );
+    }
+
+    if (!moderation) {
+      return next(new Error('Moderation service is not available.'));
+    }
+
+    const context = { userId, requestId: req.context?.requestId };
+    let items;
+    try {
+      items = [];
+      for (const [index, file] of req.files.entries()) {
+        items.push(await screenFile(file, index, { moderation, context }));
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    const accepted = () => items.filter((item) => item.status === 'accepted');
+
+    if (accepted().length === 0) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/batch-rejected',
+          title: 'Batch Rejected',
+          status: 422,
+          detail: 'None of the uploaded files could be accepted.',
+          extras: { items: items.map(toItemResource) },
+        })
+      );
+    }
+
+    // Check the whole batch up front so a short balance fails the request
+    // instead of silently dropping the last few images.
+    const required = accepted().length * CREDITS_PER_IMAGE;
+    try {
+      const balance = await credits.getBalance(userId);
+      if (balance.totalAvailable < required) {
+        return next(
+          createProblem({
+            type: 'https://docs.image-restoration.ai/problem/insufficient-credits',
+            title: 'Insufficient Credits',
+            status: 402,
+            detail: `This batch needs ${required} credits but only ${balance.totalAvailable} are available.`,
+            extras: {
+              required,
+              available: balance.totalAvailable,
+              items: items.map(toItemResource),
+            },
+          })
+        );
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    const charged = [];
+    const created = [];
+    try {
+      for (const item of accepted()) {
+        const creditResult = await credits.checkAndDeduct({
+          userId,
+          amount: CREDITS_PER_IMAGE,
+          jobId: item.jobId,
+        });
+
+        // Another request can spend the balance between the check and here
+        if (!creditResult.allowed) {
+          Object.assign(
+            item,
+            rejectItem(
+              item,
+              createProblem({
+                type: 'https://docs.image-restoration.ai/problem/insufficient-credits',
+                title: 'Insufficient Credits',
+                status: 402,
+                detail: 'Credits ran out before this image could be charged.',
+              })
+            )
+          );
+          continue;
+        }
+        charged.push(item.jobId);
+
+        const contentHash = hashContent(item.file.buffer);
+        const inputObjectName = buildOriginalObjectName({ userId, contentHash });
+        await gcs.uploadObject({
+          objectName: inputObjectName,
+          buffer: item.file.buffer,
+          contentType: item.file.mimetype,
+          metadata: { userId, sha256: contentHash },
+        });
+
+        await jobs.createJob({
+          jobId: item.jobId,
+          userId,
+          batchId,
+          batchIndex: item.index,
+          inputObjectName,
+          inputHashes: [contentHash],
+          originalFilename: item.filename,
+          userPrompt,
+          callbackUrl,
+          credits: {
+            type: creditResult.type,
+            remainingCredits: creditResult.remainingCredits,
+            dailyFreeUsed: creditResult.dailyFreeUsed,
+            dailyFreeLimit: creditResult.dailyFreeLimit,
+            amount: CREDITS_PER_IMAGE,
+          },
+          preprocess: {
+            operations: item.file.preprocessOperations ?? [],
+            width: item.file.processedMetadata?.width ?? null,
+            height: item.file.processedMetadata?.height ?? null,
+          },
+          moderation: item.moderation?.flags ?? null,
+          requestId: req.context?.requestId ?? null,
+        });
+        created.push(item.jobId);
+        await jobEvents.publish(item.jobId, JOB_EVENT_TYPES.QUEUED, { status: JOB_STATUSES.QUEUED, batchId });
+      }
+
+      const jobIds = accepted().map((item) => item.jobId);
+      if (jobIds.length === 0) {
+        return next(
+          createProblem({
+            type: 'https://docs.image-restoration.ai/problem/insufficient-credits',
+            title: 'Insufficient Credits',
+            status: 402,
+            detail: 'Credits ran out before any image in the batch could be charged.',
+            extras: { items: items.map(toItemResource) },
+          })
+        );
+      }
+
+      const batch = await batches.createBatch({
+        batchId,
+        userId,
+        jobIds,
+        items: items.map(toItemResource),
+        userPrompt,
+        callbackUrl,
+        document: req.document ? { ...req.document, status: DOCUMENT_STATUSES.PENDING } : null,
+        requestId: req.context?.requestId ?? null,
+      });
+
+      await getQueue().add(
+        RESTORE_BATCH_JOB_NAME,
+        {
+          batchId,
+          userId,
+          jobIds,
+          userPrompt,
+          requestId: req.context?.requestId ?? null,
+          traceparent: req.context?.traceparent ?? null,
+          tracestate: req.context?.tracestate ?? null,
+        },
+        { jobId: batchId }
+      );
+
+      const statusUrl = `${req.baseUrl}/${batchId}`;
+      res.status(202).location(statusUrl).json({
+        batchId,
+        status: summarizeBatch(jobIds.map(() => ({ status: JOB_STATUSES.QUEUED }))).status,
+        statusUrl,
+        createdAt: batch.createdAt.toISOString(),
+        credits: { charged: jobIds.length * CREDITS_PER_IMAGE },
+        items: items.map(toItemResource),
+        ...(batch.document && { document: toDocumentResource(batch.document, statusUrl) }),
+      });
+    } catch (error) {
+      console.error('[batches] Batch submission failed', { batchId, userId, error: error.message });
+
+      for (const jobId of charged) {
+        await credits
+          .refund({ userId, jobId, amount: CREDITS_PER_IMAGE, reason: 'Job submission failed' })
+          .catch(() => {});
+      }
+      for (const jobId of created) {
+        await jobs
+          .updateJob(jobId, {
+            status: JOB_STATUSES.FAILED,
+            error: { code: 'SUBMISSION_FAILED', message: error.message },
+          })
+          .catch(() => {});
+        await jobEvents.publish(jobId, JOB_EVENT_TYPES.ERROR, {
+          status: JOB_STATUSES.FAILED,
+          error: { code: 'SUBMISSION_FAILED', message: 'The job could not be queued.' },
+        });
+      }
+
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/batch-submission-failed',
+          title: 'Batch Submission Failed',
+          status: 503,
+          detail: 'The batch could not be queued. Any credits charged have been refunded.',
+        })
+      );
+    }
+  };
+}
+
+async function getBatch(req, res, next) {
+  try {
+    const { batches, jobs } = req.services;
+    const batch = await batches.getBatch(req.params.id);
+    if (!batch || (batch.userId !== req.user.id && !isAdmin(req.user))) {
+      return next(batchNotFound(req.params.id));
+    }
+
+    const children = (await Promise.all(batch.jobIds.map((jobId) => jobs.getJob(jobId)))).filter(Boolean);
+    const { status, progress } = summarizeBatch(children);
+    const jobsBaseUrl = req.baseUrl.replace(/\/batches$/, '/jobs');
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      batchId: batch.batchId,
+      status,
+      progress,
+      createdAt: toIsoString(batch.createdAt),
+      completedAt: toIsoString(batch.completedAt),
+      userPrompt: batch.userPrompt ?? null,
+      rejected: (batch.items ?? []).filter((item) => item.status === 'rejected'),
+      jobs: children.map((job) => toChildResource(job, jobsBaseUrl)),
+      ...(batch.document && { document: toDocumentResource(batch.document, `${req.baseUrl}/${batch.batchId}`) }),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Redirects the owner to the reassembled document of a document batch
+ */
+async function downloadBatchDocument(req, res, next) {
+  try {
+    const { batches } = req.services;
+    const batch = await batches.getBatch(req.params.id);
+    if (!batch || (batch.userId !== req.user.id && !isAdmin(req.user))) {
+      return next(batchNotFound(req.params.id));
+    }
+
+    const { document } = batch;
+    if (document?.status !== DOCUMENT_STATUSES.ASSEMBLED || !document.resultObjectName) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/result-not-available',
+          title: 'Result Not Available',
+          status: 409,
+          detail: document
+            ? `The restored document for batch ${batch.batchId} is not available yet.`
+            : `Batch ${batch.batchId} was not submitted as a document.`,
+          extras: { documentStatus: document?.status ?? null },
+        })
+      );
+    }
+
+    const { url } = await req.clients.gcs.generateDownloadUrl({
+      userId: batch.userId,
+      objectName: document.resultObjectName,
+      filename: deriveResultFilename({ originalFilename: document.filename }, { objectName: document.resultObjectName }),
+      disposition: 'attachment',
+    });
+    res.set('Cache-Control', 'private, no-store');
+    return res.redirect(302, url);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+export function createBatchesRouter({ clients, getQueue = getJobQueue }) {
+  const router = Router();
+
+  router.post(
+    '/',
+    idempotencyMiddleware({ store: clients.redis }),
+    handleBatchUpload('images'),
+    createSubmitBatchHandler({ getQueue })
+  );
+
+  router.post(
+    '/documents',
+    idempotencyMiddleware({ store: clients.redis }),
+    handleDocumentUpload('document'),
+    splitDocument,
+    createSubmitBatchHandler({ getQueue })
+  );
+
+  router.get('/:id', getBatch);
+  router.get('/:id/document', downloadBatchDocument);
+
+  return router;
+}
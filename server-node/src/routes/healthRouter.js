@@ -58,6 +58,10 @@ async function checkGcs(gcs) {
     return { info, ok: true, degraded: true };
   }
 
+  if (gcs.isLocal) {
+    info.driver = 'local';
+  }
+
   try {
     if (gcs.healthCheck) {
       await gcs.healthCheck();
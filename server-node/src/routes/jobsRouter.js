@@ -0,0 +1,1316 @@
+import { Router } from 'express';
+import { randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { buffer as readStream } from 'stream/consumers';
+import { ObjectOwnershipError } from '../clients/gcsClient.js';
+import { formatContentDisposition } from '../utils/contentDisposition.js';
+import { RESTORE_JOB_NAME, getJobQueue, getWebhookQueue as getDefaultWebhookQueue } from '../queues/jobQueue.js';
+import { enqueueWebhook } from '../queues/workers/webhookWorker.js';
+import { idempotencyMiddleware } from '../middleware/idempotency.js';
+import {
+  handleMultiUpload,
+  handleUploadOrObject,
+  inspectImageFile,
+  validateUploadedImage,
+} from '../middleware/uploadValidation.js';
+import { describeOriginalDimensions, normalizeImageFile, preprocessImage } from '../middleware/imagePreprocess.js';
+import { moderateBuffer, moderateImage } from '../middleware/moderateImage.js';
+import { prepareMask } from '../middleware/prepareMask.js';
+import { createProblem, isProblem } from '../utils/problem.js';
+import { MAX_FUSION_INPUTS, MAX_VARIANTS } from '../services/restorator.js';
+import { JOB_STATUSES, InvalidCursorError, isTerminalStatus } from '../services/jobs.js';
+import { JOB_EVENT_TYPES, isTerminalEvent } from '../services/jobEvents.js';
+import { WEBHOOK_EVENTS, describeCallbackUrlProblem } from '../services/webhooks.js';
+import { buildCacheKey, hashContent } from '../services/restorationCache.js';
+import { CANCELLATION_REASON, completeCancellation } from '../services/jobCancellation.js';
+import { OUTPUT_FORMATS, findOutputFormatByContentType } from '../services/postProcessor.js';
+import { MAX_TILES, planTiles } from '../utils/tiling.js';
+import { buildOriginalObjectName, deriveResultFilename, isAdmin, toIsoString } from './shared.js';
+
+const EVENTS_HEARTBEAT_MS = Number(process.env.JOB_EVENTS_HEARTBEAT_MS ?? 15000);
+const EVENTS_RETRY_MS = 3000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * The upload exactly as received, before normalization, kept as the "before"
+ * side of the comparison assets
+ */
+function buildSourceObjectName({ userId, contentHash, ext }) {
+  return `originals/${userId}/${contentHash}.source.${ext}`;
+}
+
+/**
+ * Normalized region masks, content-addressed like the originals they belong to
+ */
+function buildMaskObjectName({ userId, maskHash }) {
+  return `masks/${userId}/${maskHash}.png`;
+}
+
+function describePreprocess(file) {
+  return {
+    operations: file.preprocessOperations ?? [],
+    width: file.processedMetadata?.width ?? null,
+    height: file.processedMetadata?.height ?? null,
+  };
+}
+
+function summarizeCredits(creditResult) {
+  return {
+    type: creditResult.type,
+    remainingCredits: creditResult.remainingCredits,
+    dailyFreeUsed: creditResult.dailyFreeUsed,
+    dailyFreeLimit: creditResult.dailyFreeLimit,
+  };
+}
+
+function jobNotFound(jobId) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/job-not-found',
+    title: 'Job Not Found',
+    status: 404,
+    detail: `No job with id ${jobId} exists.`,
+  });
+}
+
+/**
+ * Loads req.job for the owner or an admin. Everyone else gets the same 404 as
+ * a missing job so job ids cannot be probed.
+ */
+async function loadOwnedJob(req, _res, next) {
+  try {
+    const job = await req.services.jobs.getJob(req.params.id);
+    if (!job || (job.userId !== req.user.id && !isAdmin(req.user))) {
+      return next(jobNotFound(req.params.id));
+    }
+    req.job = job;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+const RESULT_DISPOSITIONS = new Set(['inline', 'attachment']);
+const RESULT_DELIVERIES = new Set(['redirect', 'stream']);
+
+async function signResultObject(job, { objectName, contentType, index, label }, gcs) {
+  try {
+    const { url, expiresAt } = await gcs.generateDownloadUrl({
+      userId: job.userId,
+      objectName,
+      filename: deriveResultFilename(job, { objectName, variantIndex: index, ...(label && { label }) }),
+    });
+    return { contentType: contentType ?? null, url, expiresAt };
+  } catch (error) {
+    console.warn('[jobs] Unable to sign result URL', { jobId: job.jobId, objectName, error: error.message });
+    return { contentType: contentType ?? null, url: null, expiresAt: null };
+  }
+}
+
+async function buildResultLink(job, gcs) {
+  if (job.status !== JOB_STATUSES.SUCCEEDED || !job.resultObjectName) {
+    return null;
+  }
+
+  const result = await signResultObject(
+    job,
+    { objectName: job.resultObjectName, contentType: job.resultContentType },
+    gcs
+  );
+  if (job.variants) {
+    result.variants = await Promise.all(
+      job.variants.map(async (variant) => ({ index: variant.index, ...(await signResultObject(job, variant, gcs)) }))
+    );
+  }
+  if (job.renditions) {
+    // Listed smallest first within each format, ready for a `srcset`
+    result.renditions = await Promise.all(
+      job.renditions.map(async (rendition) => ({
+        format: rendition.format,
+        width: rendition.width,
+        height: rendition.height,
+        bytes: rendition.bytes,
+        ...(await signResultObject(job, { ...rendition, label: `restored-${rendition.width}w` }, gcs)),
+      }))
+    );
+  }
+  if (job.assets) {
+    result.assets = await Promise.all(
+      job.assets.map(async (asset) => ({
+        kind: asset.kind,
+        width: asset.width ?? null,
+        height: asset.height ?? null,
+        bytes: asset.bytes ?? null,
+        ...(await signResultObject(job, { ...asset, label: asset.kind }, gcs)),
+      }))
+    );
+  }
+  return result;
+}
+
+function toJobResource(job, { result = null } = {}) {
+  const failed = job.status === JOB_STATUSES.FAILED;
+
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    mode: job.mode ?? 'single',
+    inputCount: job.inputObjectNames?.length ?? 1,
+    variantCount: job.variants?.length ?? job.variantCount ?? 1,
+    preferredVariant: job.preferredVariant ?? null,
+    output: job.output ?? null,
+    resolution: job.targetSize
+      ? {
+          target: job.targetSize,
+          detailTransfer: job.detailTransfer ?? false,
+          scale: job.metadata?.resolution?.scale ?? null,
+        }
+      : null,
+    tiling: job.tiling ?? null,
+    mask: job.mask
+      ? {
+          source: job.mask.source,
+          coverage: job.mask.coverage,
+          bounds: job.mask.bounds,
+          region: job.metadata?.mask?.region ?? null,
+        }
+      : null,
+    batchId: job.batchId ?? null,
+    createdAt: toIsoString(job.createdAt),
+    updatedAt: toIsoString(job.updatedAt),
+    startedAt: toIsoString(job.startedAt),
+    completedAt: toIsoString(job.completedAt ?? job.failedAt ?? job.cancelledAt),
+    attempts: job.attempts ?? 0,
+    userPrompt: job.userPrompt ?? null,
+    callbackUrl: job.callbackUrl ?? null,
+    timings: job.timings ?? null,
+    degradation: job.degradation
+      ? {
+          analysis: job.degradation,
+          issues: job.metadata?.classificationIssues ?? [],
+          ...(job.metadata?.fusion && {
+            inputs: job.metadata.fusion.inputs.map(({ index, issues }) => ({ index, issues })),
+          }),
+        }
+      : null,
+    quality: job.metadata?.quality ?? null,
+    fidelity: job.metadata?.fidelity ?? null,
+    error: failed && job.error
+      ? {
+          code: job.error.code,
+          message: job.error.message,
+          type: job.error.type,
+          failureStage: job.error.failureStage,
+        }
+      : null,
+    cancellation: job.cancellation
+      ? {
+          requestedAt: toIsoString(job.cancellation.requestedAt),
+          reason: job.cancellation.reason,
+          stage: job.cancelledStage ?? null,
+        }
+      : null,
+    credits: job.credits ?? null,
+    cache: job.cache ?? null,
+    lineage: describeLineage(job),
+    result,
+  };
+}
+
+/**
+ * What this job alone cost: failed, cancelled and low-fidelity jobs are
+ * refunded, and a cache hit reuses another job's metadata without making a
+ * provider call
+ */
+function ownCharges(job) {
+  const refunded =
+    job.status === JOB_STATUSES.FAILED ||
+    job.status === JOB_STATUSES.CANCELLED ||
+    job.metadata?.fidelity?.lowFidelity === true;
+  return {
+    credits: refunded ? 0 : job.credits?.amount ?? 0,
+    estimatedCostUsd: job.cache?.hit ? 0 : job.metadata?.estimatedCostUsd ?? 0,
+  };
+}
+
+/**
+ * Lineage for follow-up jobs. Ancestor totals are frozen on the job when it is
+ * created (its parent has finished by then), so reads never walk the chain.
+ */
+function describeLineage(job) {
+  const lineage = job.lineage ?? {};
+  const own = ownCharges(job);
+  return {
+    parentJobId: lineage.parentJobId ?? null,
+    rootJobId: lineage.rootJobId ?? job.jobId,
+    generation: lineage.generation ?? 1,
+    accumulatedCost: {
+      credits: (lineage.priorCredits ?? 0) + own.credits,
+      estimatedCostUsd: (lineage.priorCostUsd ?? 0) + own.estimatedCostUsd,
+    },
+  };
+}
+
+function buildChildLineage(parent) {
+  const { rootJobId, generation, accumulatedCost } = describeLineage(parent);
+  return {
+    parentJobId: parent.jobId,
+    rootJobId,
+    generation: generation + 1,
+    priorCredits: accumulatedCost.credits,
+    priorCostUsd: accumulatedCost.estimatedCostUsd,
+  };
+}
+
+function writeEvent(res, { id, type, data }) {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function parseLastEventId(req) {
+  const raw = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const value = Number.parseInt(raw, 10);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Streams job progress as Server-Sent Events. Recorded events after
+ * Last-Event-ID are replayed first, then live events follow until the job
+ * reaches a terminal state. Subscribing before the replay avoids missing
+ * events published in between; ids de-duplicate the overlap.
+ */
+function createJobEventsHandler({ heartbeatMs }) {
+  return async function streamJobEvents(req, res, next) {
+    const { jobEvents } = req.services;
+    const job = req.job;
+    let lastId = parseLastEventId(req);
+    let replaying = true;
+    let closed = false;
+    const pending = [];
+    let unsubscribe = null;
+    let heartbeat = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe().catch(() => {});
+      }
+      res.end();
+    };
+
+    const forward = (event) => {
+      if (closed || event.id <= lastId) return;
+      lastId = event.id;
+      writeEvent(res, event);
+      if (isTerminalEvent(event.type)) {
+        close();
+      }
+    };
+
+    try {
+      unsubscribe = await jobEvents.subscribe(job.jobId, (event) => {
+        if (replaying) {
+          pending.push(event);
+        } else {
+          forward(event);
+        }
+      });
+      const history = await jobEvents.getHistory(job.jobId, lastId);
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+
+      req.on('close', close);
+
+      writeEvent(res, { type: 'status', data: { jobId: job.jobId, status: job.status } });
+      history.forEach(forward);
+      replaying = false;
+      pending.splice(0).forEach(forward);
+
+      if (closed) return;
+
+      // Without a recorded terminal event (expired log, or a job that failed
+      // before the worker picked it up) the snapshot is all the client gets.
+      if (isTerminalStatus(job.status)) {
+        return close();
+      }
+
+      heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error('[jobs] Event stream failed', { jobId: job.jobId, error: error.message });
+        return close();
+      }
+      if (unsubscribe) {
+        unsubscribe().catch(() => {});
+      }
+      return next(error);
+    }
+  };
+}
+
+function invalidQuery(detail) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/invalid-query',
+    title: 'Invalid Query',
+    status: 400,
+    detail,
+  });
+}
+
+function parseDateParam(name, value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw invalidQuery(`${name} must be an ISO 8601 date.`);
+  }
+  return date;
+}
+
+function parseListQuery(query) {
+  const statuses = Object.values(JOB_STATUSES);
+  if (query.status !== undefined && !statuses.includes(query.status)) {
+    throw invalidQuery(`status must be one of: ${statuses.join(', ')}.`);
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw invalidQuery(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+  }
+
+  const createdAfter = parseDateParam('from', query.from);
+  const createdBefore = parseDateParam('to', query.to);
+  if (createdAfter && createdBefore && createdAfter >= createdBefore) {
+    throw invalidQuery('from must be earlier than to.');
+  }
+
+  return {
+    status: query.status,
+    degradationType: typeof query.degradation === 'string' ? query.degradation : undefined,
+    createdAfter,
+    createdBefore,
+    limit,
+    cursor: typeof query.cursor === 'string' ? query.cursor : undefined,
+  };
+}
+
+/**
+ * Builds the RFC 8288 Link header; filters are carried over so following a
+ * link keeps the same result set.
+ */
+function buildPageLinks(req, { nextCursor }) {
+  const base = Object.fromEntries(
+    ['status', 'degradation', 'from', 'to', 'limit']
+      .filter((key) => typeof req.query[key] === 'string')
+      .map((key) => [key, req.query[key]])
+  );
+  const link = (params, rel) => `<${req.baseUrl}?${new URLSearchParams(params)}>; rel="${rel}"`;
+
+  const links = [link(base, 'first')];
+  if (nextCursor) {
+    links.push(link({ ...base, cursor: nextCursor }, 'next'));
+  }
+  return links.join(', ');
+}
+
+async function listJobs(req, res, next) {
+  try {
+    const filters = parseListQuery(req.query);
+    const { jobs, nextCursor } = await req.services.jobs.listJobs({ userId: req.user.id, ...filters });
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Link', buildPageLinks(req, { nextCursor }));
+    res.json({ jobs: jobs.map((job) => toJobResource(job)), nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return next(invalidQuery('cursor is not valid; restart from the first page.'));
+    }
+    return next(error);
+  }
+}
+
+/**
+ * Pull a job out of BullMQ if no worker holds it yet. Returns false when the
+ * job is running (or was just picked up) so the caller falls back to asking
+ * the worker to stop.
+ */
+async function removeFromQueue(queue, jobId) {
+  const queued = await queue.getJob(jobId);
+  if (!queued) {
+    return true;
+  }
+
+  try {
+    if ((await queued.getState()) === 'active') {
+      return false;
+    }
+    await queued.remove();
+    return true;
+  } catch (error) {
+    console.warn('[jobs] Unable to remove queued job', { jobId, error: error.message });
+    return false;
+  }
+}
+
+function resultNotAvailable(job) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/result-not-available',
+    title: 'Result Not Available',
+    status: 409,
+    detail: `Job ${job.jobId} has no result to download.`,
+    extras: { jobStatus: job.status },
+  });
+}
+
+/**
+ * @throws {Problem} When `disposition` or `delivery` is not a known value
+ */
+function parseDeliveryOptions(query) {
+  const disposition = query.disposition ?? 'attachment';
+  const delivery = query.delivery ?? 'redirect';
+
+  if (!RESULT_DISPOSITIONS.has(disposition)) {
+    throw invalidQuery('disposition must be "inline" or "attachment".');
+  }
+  if (!RESULT_DELIVERIES.has(delivery)) {
+    throw invalidQuery('delivery must be "redirect" or "stream".');
+  }
+  return { disposition, delivery };
+}
+
+/**
+ * Hands one of the job's stored objects to its owner, either as a 302 to a
+ * short-lived signed URL or streamed through the API. With `convertTo` the
+ * object is re-encoded first, which can only be streamed.
+ */
+async function sendJobObject(req, res, next, { objectName, filename, disposition, delivery, convertTo = null }) {
+  const { job } = req;
+  const { gcs } = req.clients;
+  res.set('Cache-Control', 'private, no-store');
+
+  try {
+    if (convertTo) {
+      const download = await gcs.openDownloadStream({ userId: job.userId, objectName });
+      const converted = await req.services.postProcessor.encode(await readStream(download.stream), {
+        format: convertTo,
+      });
+      res.status(200);
+      res.set('Content-Type', converted.contentType);
+      res.set(
+        'Content-Disposition',
+        formatContentDisposition(disposition, filename.replace(/\.[^.]+$/, `.${converted.ext}`))
+      );
+      res.set('Content-Length', String(converted.buffer.length));
+      return res.end(converted.buffer);
+    }
+
+    if (delivery === 'redirect') {
+      const { url } = await gcs.generateDownloadUrl({
+        userId: job.userId,
+        objectName,
+        filename,
+        disposition,
+      });
+      return res.redirect(302, url);
+    }
+
+    const download = await gcs.openDownloadStream({ userId: job.userId, objectName });
+    res.status(200);
+    res.set('Content-Type', download.contentType);
+    res.set('Content-Disposition', formatContentDisposition(disposition, filename));
+    if (Number.isFinite(download.size)) {
+      res.set('Content-Length', String(download.size));
+    }
+    await pipeline(download.stream, res);
+    return undefined;
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('[jobs] Result stream interrupted', { jobId: job.jobId, error: error.message });
+      return res.destroy(error);
+    }
+    if (error instanceof ObjectOwnershipError) {
+      // The job says the caller owns it but the stored object disagrees
+      console.error('[jobs] Result object owner mismatch', { jobId: job.jobId, objectName: error.objectName });
+      return next(resultNotAvailable(job));
+    }
+    return next(error);
+  }
+}
+
+/**
+ * Decide whether the stored result satisfies the `Accept` header. The stored
+ * bytes win whenever they are acceptable at all (wildcards included), so
+ * browsers advertising AVIF/WebP support do not trigger a conversion.
+ * @returns {string|null} Output format to convert to, or null to serve as stored
+ * @throws {Problem} 406 when no supported format is acceptable
+ */
+function negotiateResultFormat(req, storedContentType) {
+  const storedFormat = findOutputFormatByContentType(storedContentType);
+  if (!req.get('Accept') || !storedFormat || req.accepts(storedContentType)) {
+    return null;
+  }
+
+  const alternatives = Object.keys(OUTPUT_FORMATS).filter((format) => format !== storedFormat);
+  const accepted = req.accepts(alternatives.map((format) => OUTPUT_FORMATS[format].contentType));
+  if (!accepted) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/not-acceptable',
+      title: 'Not Acceptable',
+      status: 406,
+      detail: 'The result can only be delivered as one of the listed content types.',
+      extras: { available: Object.values(OUTPUT_FORMATS).map(({ contentType }) => contentType) },
+    });
+  }
+  return findOutputFormatByContentType(accepted);
+}
+
+/**
+ * Serves a finished job's output (or one of its variants) to its owner,
+ * by default as a redirect to a signed URL
+ */
+async function downloadResult(req, res, next) {
+  const { job } = req;
+
+  let options;
+  try {
+    options = parseDeliveryOptions(req.query);
+  } catch (error) {
+    return next(error);
+  }
+  if (job.status !== JOB_STATUSES.SUCCEEDED || !job.resultObjectName) {
+    return next(resultNotAvailable(job));
+  }
+
+  let objectName = job.resultObjectName;
+  let contentType = job.resultContentType;
+  let filename = deriveResultFilename(job);
+  if (req.query.variant !== undefined) {
+    const variant = job.variants?.find((candidate) => String(candidate.index) === req.query.variant);
+    if (!variant) {
+      return next(invalidQuery(`variant must be one of this job's variant indexes (0-${(job.variants?.length ?? 1) - 1}).`));
+    }
+    objectName = variant.objectName;
+    contentType = variant.contentType;
+    filename = deriveResultFilename(job, { objectName, variantIndex: variant.index });
+  }
+
+  let convertTo;
+  res.vary('Accept');
+  try {
+    convertTo = negotiateResultFormat(req, contentType);
+  } catch (error) {
+    return next(error);
+  }
+
+  return sendJobObject(req, res, next, { objectName, filename, ...options, convertTo });
+}
+
+/**
+ * Serves one of the comparison assets generated alongside the result
+ */
+async function downloadAsset(req, res, next) {
+  const { job } = req;
+  const { kind } = req.params;
+
+  let options;
+  try {
+    options = parseDeliveryOptions(req.query);
+  } catch (error) {
+    return next(error);
+  }
+  if (job.status !== JOB_STATUSES.SUCCEEDED) {
+    return next(resultNotAvailable(job));
+  }
+
+  const asset = job.assets?.find((candidate) => candidate.kind === kind);
+  if (!asset) {
+    return next(
+      createProblem({
+        type: 'https://docs.image-restoration.ai/problem/asset-not-found',
+        title: 'Asset Not Found',
+        status: 404,
+        detail: `Job ${job.jobId} has no ${kind} asset.`,
+        extras: { availableKinds: (job.assets ?? []).map((candidate) => candidate.kind) },
+      })
+    );
+  }
+
+  const filename = deriveResultFilename(job, { objectName: asset.objectName, label: asset.kind });
+  return sendJobObject(req, res, next, { objectName: asset.objectName, filename, ...options });
+}
+
+function createCancelJobHandler({ getQueue }) {
+  return async function cancelJob(req, res, next) {
+    const job = req.job;
+
+    if (job.status === JOB_STATUSES.SUCCEEDED || job.status === JOB_STATUSES.FAILED) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/job-not-cancellable',
+          title: 'Job Not Cancellable',
+          status: 409,
+          detail: `Job ${job.jobId} has already ${job.status}.`,
+          extras: { jobStatus: job.status },
+        })
+      );
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    if (job.status === JOB_STATUSES.CANCELLED) {
+      return res.json(toJobResource(job));
+    }
+
+    try {
+      const { jobs, jobEvents } = req.services;
+      const cancellation = job.cancellation ?? {
+        requestedAt: new Date(),
+        requestedBy: req.user.id,
+        reason: CANCELLATION_REASON,
+      };
+      // Recorded first so a worker picking the job up concurrently sees it.
+      await jobs.updateJob(job.jobId, { cancellation });
+
+      // Batch children share the batch's queue entry, so only the batch
+      // worker can take them out of the run; it also owns their refund.
+      if (!job.batchId && (await removeFromQueue(getQueue(), job.jobId))) {
+        const update = await completeCancellation(
+          { jobId: job.jobId, userId: job.userId, amount: job.credits?.amount ?? 1, stage: 'QUEUED' },
+          req.services
+        );
+        return res.json(toJobResource({ ...job, cancellation, ...update }));
+      }
+
+      await jobEvents.publish(job.jobId, JOB_EVENT_TYPES.CANCEL_REQUESTED, { requestedAt: cancellation.requestedAt });
+      return res.status(202).json(toJobResource({ ...job, cancellation }));
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+/**
+ * Record which variant the owner prefers; the job's result (status link and
+ * download) follows the choice.
+ */
+async function selectPreferredVariant(req, res, next) {
+  const { job } = req;
+  const variantIndex = req.body?.variant;
+
+  if (job.status !== JOB_STATUSES.SUCCEEDED || !job.variants) {
+    return next(
+      createProblem({
+        type: 'https://docs.image-restoration.ai/problem/variants-not-available',
+        title: 'Variants Not Available',
+        status: 409,
+        detail: `Job ${job.jobId} has no restoration variants to choose from.`,
+        extras: { jobStatus: job.status },
+      })
+    );
+  }
+  if (!job.variants.some((variant) => variant.index === variantIndex)) {
+    return next(
+      createProblem({
+        type: 'https://docs.image-restoration.ai/problem/invalid-variant',
+        title: 'Invalid Variant',
+        status: 400,
+        detail: `variant must be an integer from 0 to ${job.variants.length - 1}.`,
+      })
+    );
+  }
+
+  try {
+    const update = await req.services.jobs.selectPreferredVariant(job, variantIndex);
+    const updated = { ...job, ...update };
+    const result = await buildResultLink(updated, req.clients.gcs);
+    res.set('Cache-Control', 'no-store');
+    return res.json(toJobResource(updated, { result }));
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * `variants` (1-4) and `promptJitter` from a form or JSON submission
+ */
+function parseVariantOptions(body) {
+  let variantCount = 1;
+  if (body.variants !== undefined && body.variants !== '') {
+    variantCount = Number(body.variants);
+    if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_VARIANTS) {
+      throw createProblem({
+        type: 'https://docs.image-restoration.ai/problem/invalid-variants',
+        title: 'Invalid Variants',
+        status: 400,
+        detail: `variants must be an integer from 1 to ${MAX_VARIANTS}.`,
+      });
+    }
+  }
+  return { variantCount, promptJitter: isTrueFlag(body.promptJitter) };
+}
+
+/**
+ * Results are resampled to the original upload's size unless
+ * `originalResolution=false`; `detailTransfer=true` also re-adds the
+ * original's fine detail during the upscale.
+ */
+function parseResolutionOptions(body) {
+  const originalResolution =
+    body.originalResolution === undefined || body.originalResolution === '' || isTrueFlag(body.originalResolution);
+  return { originalResolution, detailTransfer: originalResolution && isTrueFlag(body.detailTransfer) };
+}
+
+/**
+ * `tiled=true` restores a large scan in overlapping tiles at full resolution
+ * instead of the 2048 px preprocessed copy, at one credit per tile. The grid
+ * travels with the job so the worker cuts exactly the tiles that were charged.
+ * @returns {Object|null} { columns, rows, tileSize, overlap, tileCount }
+ * @throws {Problem} When combined with fusion or variants, or when the scan needs too many tiles
+ */
+function planTiledJob(body, { file, fusion, variantCount }) {
+  if (!isTrueFlag(body.tiled)) {
+    return null;
+  }
+
+  const dimensions = describeOriginalDimensions(file);
+  if (fusion || variantCount > 1 || !dimensions || !file.originalBuffer) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/invalid-tiling',
+      title: 'Invalid Tiling',
+      status: 400,
+      detail: 'Tiled restoration takes a single image and one variant.',
+    });
+  }
+
+  const { tiles, ...grid } = planTiles(dimensions);
+  if (tiles.length > MAX_TILES) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/too-many-tiles',
+      title: 'Too Many Tiles',
+      status: 413,
+      detail: `A ${dimensions.width}x${dimensions.height} image needs ${tiles.length} tiles; the limit is ${MAX_TILES}.`,
+      extras: { tileCount: tiles.length, maxTiles: MAX_TILES },
+    });
+  }
+  return { ...grid, tileCount: tiles.length };
+}
+
+/**
+ * A masked job restores one region of the stored source and composites it
+ * back at full size, so it cannot be tiled or fan out into variants.
+ * @throws {Problem} When the mask is combined with an incompatible option
+ */
+function checkMaskedJob(mask, { source, tiling, variantCount }) {
+  if (mask && (tiling || variantCount > 1 || !source)) {
+    throw createProblem({
+      type: 'https://docs.image-restoration.ai/problem/invalid-mask',
+      title: 'Invalid Mask',
+      status: 400,
+      detail: 'A masked restoration takes a single uploaded image, one variant and no tiling.',
+    });
+  }
+}
+
+const OUTPUT_FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+
+function invalidOutputOptions(detail) {
+  return createProblem({
+    type: 'https://docs.image-restoration.ai/problem/invalid-output-options',
+    title: 'Invalid Output Options',
+    status: 400,
+    detail,
+  });
+}
+
+/**
+ * `outputFormat` re-encodes the result (the provider's encoding is kept when
+ * it is absent); `quality` (1-100) only applies to the lossy formats.
+ * @returns {Object|null} { format, quality? }
+ * @throws {Problem} When either option is invalid
+ */
+function parseOutputOptions(body) {
+  const hasQuality = body.quality !== undefined && body.quality !== '';
+  if (body.outputFormat === undefined || body.outputFormat === '') {
+    if (hasQuality) {
+      throw invalidOutputOptions('quality requires an outputFormat.');
+    }
+    return null;
+  }
+
+  const requested = String(body.outputFormat).toLowerCase();
+  const format = OUTPUT_FORMAT_ALIASES[requested] ?? requested;
+  const spec = OUTPUT_FORMATS[format];
+  if (!spec) {
+    throw invalidOutputOptions(`outputFormat must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}.`);
+  }
+  if (!hasQuality) {
+    return { format };
+  }
+  if (!spec.lossy) {
+    throw invalidOutputOptions(`quality does not apply to lossless ${format} output.`);
+  }
+
+  const quality = Number(body.quality);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw invalidOutputOptions('quality must be an integer from 1 to 100.');
+  }
+  return { format, quality };
+}
+
+/**
+ * Load the parent job's current result (its preferred variant, if chosen) as
+ * req.file so a follow-up runs through the usual validation, preprocessing
+ * and moderation. Only the owner can build on a job.
+ */
+async function loadParentResult(req, _res, next) {
+  const parent = req.job;
+  if (parent.userId !== req.user.id) {
+    return next(jobNotFound(parent.jobId));
+  }
+  if (parent.status !== JOB_STATUSES.SUCCEEDED || !parent.resultObjectName) {
+    return next(resultNotAvailable(parent));
+  }
+
+  try {
+    const buffer = await req.clients.gcs.downloadObject(parent.resultObjectName);
+    req.parentJob = parent;
+    // No originalname: results are stored by sniffed type, not extension
+    req.file = { buffer, size: buffer.length, mimetype: parent.resultContentType ?? 'application/octet-stream' };
+    return next();
+  } catch (error) {
+    console.error('[jobs] Unable to load parent result', { jobId: parent.jobId, error: error.message });
+    return next(resultNotAvailable(parent));
+  }
+}
+
+function assignJobId(req, _res, next) {
+  req.jobId = randomUUID();
+  next();
+}
+
+/**
+ * Validate, normalize and moderate every fusion input. The fused result needs
+ * all of them, so the first bad input fails the request; its problem names
+ * the input so the client knows which file to replace.
+ */
+async function screenFusionInputs(req, _res, next) {
+  if (!req.services?.moderation) {
+    return next(new Error('Moderation service is not available.'));
+  }
+
+  const flags = [];
+  for (const [index, file] of req.files.entries()) {
+    try {
+      await inspectImageFile(file);
+      await normalizeImageFile(file);
+      const moderationResult = await moderateBuffer(file.buffer, {
+        moderation: req.services.moderation,
+        context: { userId: req.user.id, jobId: req.jobId, requestId: req.context?.requestId, inputIndex: index },
+      });
+      flags.push(moderationResult.flags ?? null);
+    } catch (error) {
+      if (isProblem(error)) {
+        error.extras = { ...error.extras, inputIndex: index, filename: file.originalname ?? null };
+      }
+      return next(error);
+    }
+  }
+
+  req.moderation = { allowed: true, flags };
+  return next();
+}
+
+function isTrueFlag(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Settle a submission from the restoration cache: the job is created already
+ * succeeded, pointing at the earlier result, and nothing is charged.
+ */
+async function respondFromCache(req, res, { job: fields, cached, getWebhookQueue }) {
+  const { jobs, jobEvents } = req.services;
+  const { jobId, userId, callbackUrl } = fields;
+  const cache = { hit: true, sourceJobId: cached.sourceJobId };
+  const creditSummary = { type: 'cache', amount: 0 };
+
+  const created = await jobs.createJob({ ...fields, credits: creditSummary, cache });
+  await jobs.updateJob(jobId, {
+    status: JOB_STATUSES.SUCCEEDED,
+    resultObjectName: cached.resultObjectName,
+    resultContentType: cached.resultContentType,
+    ...(cached.variants && { variants: cached.variants, preferredVariant: null }),
+    ...(cached.renditions && { renditions: cached.renditions }),
+    ...(cached.assets && { assets: cached.assets }),
+    degradation: cached.degradation ?? null,
+    degradationTypes: cached.degradationTypes ?? [],
+    enhancedPrompt: cached.enhancedPrompt ?? null,
+    metadata: cached.metadata ?? null,
+    completedAt: new Date(),
+  });
+  await jobEvents.publish(jobId, JOB_EVENT_TYPES.RESULT, {
+    status: JOB_STATUSES.SUCCEEDED,
+    resultContentType: cached.resultContentType,
+    cache,
+  });
+
+  try {
+    await enqueueWebhook(
+      {
+        jobData: { jobId, userId, callbackUrl },
+        event: WEBHOOK_EVENTS.JOB_SUCCEEDED,
+        data: { jobId, status: JOB_STATUSES.SUCCEEDED, resultContentType: cached.resultContentType, cache },
+      },
+      { services: req.services, getWebhookQueue }
+    );
+  } catch (error) {
+    console.error('[jobs] Failed to queue webhook for cached result', { jobId, error: error.message });
+  }
+
+  const statusUrl = `${req.baseUrl}/${jobId}`;
+  return res.status(200).location(statusUrl).json({
+    jobId,
+    status: JOB_STATUSES.SUCCEEDED,
+    statusUrl,
+    createdAt: created.createdAt.toISOString(),
+    credits: creditSummary,
+    cache,
+  });
+}
+
+/**
+ * Handles both single-image submissions (req.file) and fusion submissions
+ * (req.files), optionally limited to the region in req.mask; a job is charged
+ * one credit per input per variant, or one per tile when tiled. An identical
+ * earlier request is answered from the restoration cache unless `force=true`.
+ */
+function createSubmitJobHandler({ getQueue, getWebhookQueue }) {
+  return async function submitJob(req, res, next) {
+    const { credits, jobs, jobEvents, restorationCache } = req.services;
+    const { gcs } = req.clients;
+    const userId = req.user.id;
+    const jobId = req.jobId;
+    const fusion = Array.isArray(req.files);
+    const inputs = fusion ? req.files : [req.file];
+    const callbackUrl = req.body.callbackUrl || null;
+    const userPrompt = typeof req.body.prompt === 'string' ? req.body.prompt : null;
+
+    const { mask } = req;
+
+    // Fusion comparisons fall back to the first normalized input in the worker
+    const source = req.file?.originalBuffer
+      ? {
+          buffer: req.file.originalBuffer,
+          contentType: req.file.originalMimetype ?? 'application/octet-stream',
+          objectName: buildSourceObjectName({
+            userId,
+            contentHash: hashContent(req.file.originalBuffer),
+            ext: req.file.originalExt ?? 'bin',
+          }),
+        }
+      : null;
+
+    let variantOptions;
+    let output;
+    let tiling;
+    try {
+      variantOptions = parseVariantOptions(req.body);
+      output = parseOutputOptions(req.body);
+      tiling = planTiledJob(req.body, { file: req.file, fusion, variantCount: variantOptions.variantCount });
+      checkMaskedJob(mask, { source, tiling, variantCount: variantOptions.variantCount });
+    } catch (error) {
+      return next(error);
+    }
+    const { variantCount, promptJitter } = variantOptions;
+    const { originalResolution, detailTransfer } = parseResolutionOptions(req.body);
+    // Fusion inputs differ in size, so only single-image jobs have a target;
+    // tiled and masked results are built at full size and need no resampling
+    const targetSize = originalResolution && !tiling && !mask ? describeOriginalDimensions(req.file) : null;
+    const maskObjectName = mask ? buildMaskObjectName({ userId, maskHash: mask.hash }) : null;
+    const creditAmount = tiling ? tiling.tileCount : inputs.length * variantCount;
+
+    const callbackUrlProblem = callbackUrl ? describeCallbackUrlProblem(callbackUrl) : null;
+    if (callbackUrlProblem) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/invalid-callback-url',
+          title: 'Invalid Callback URL',
+          status: 400,
+          detail: callbackUrlProblem,
+        })
+      );
+    }
+
+    const inputHashes = inputs.map((file) => hashContent(file.buffer));
+    const inputObjectNames = inputHashes.map((contentHash) => buildOriginalObjectName({ userId, contentHash }));
+    const [inputObjectName] = inputObjectNames;
+    const cacheKey = buildCacheKey({
+      userId,
+      inputHashes,
+      prompt: userPrompt,
+      options: {
+        mode: fusion ? 'fusion' : 'single',
+        variantCount,
+        promptJitter,
+        ...(output && { output }),
+        targetSize,
+        detailTransfer: Boolean(targetSize) && detailTransfer,
+        ...(tiling && { tiling: { tileSize: tiling.tileSize, overlap: tiling.overlap } }),
+        ...(mask && { mask: mask.hash }),
+      },
+    });
+
+    const parent = req.parentJob;
+    const jobFields = {
+      jobId,
+      userId,
+      inputObjectName,
+      originalFilename: parent ? parent.originalFilename ?? null : inputs[0].originalname ?? null,
+      ...(inputs[0].stagedObjectName && { uploadObjectName: inputs[0].stagedObjectName }),
+      ...(fusion && {
+        mode: 'fusion',
+        inputObjectNames,
+        originalFilenames: inputs.map((file) => file.originalname ?? null),
+      }),
+      inputHashes,
+      ...(source && { sourceObjectName: source.objectName }),
+      cacheKey,
+      variantCount,
+      promptJitter,
+      output,
+      targetSize,
+      detailTransfer: Boolean(targetSize) && detailTransfer,
+      tiling,
+      mask: mask ? { objectName: maskObjectName, source: mask.source, coverage: mask.coverage, bounds: mask.bounds } : null,
+      ...(parent && { lineage: buildChildLineage(parent) }),
+      userPrompt,
+      callbackUrl,
+      preprocess: fusion ? inputs.map(describePreprocess) : describePreprocess(req.file),
+      moderation: req.moderation?.flags ?? null,
+      requestId: req.context?.requestId ?? null,
+    };
+
+    if (!isTrueFlag(req.body.force)) {
+      let cached = null;
+      try {
+        cached = await restorationCache.lookup(cacheKey);
+      } catch (error) {
+        // A broken cache should cost a Gemini call, not the submission
+        console.warn('[jobs] Restoration cache unavailable', { jobId, error: error.message });
+      }
+
+      if (cached) {
+        try {
+          return await respondFromCache(req, res, { job: jobFields, cached, getWebhookQueue });
+        } catch (error) {
+          return next(error);
+        }
+      }
+    }
+
+    let creditResult;
+    try {
+      creditResult = await credits.checkAndDeduct({ userId, amount: creditAmount, jobId });
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!creditResult.allowed) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/insufficient-credits',
+          title: 'Insufficient Credits',
+          status: 402,
+          detail: 'You do not have enough credits to submit this job.',
+          extras: {
+            required: creditAmount,
+            remainingCredits: creditResult.remainingCredits,
+            dailyFreeUsed: creditResult.dailyFreeUsed,
+            dailyFreeLimit: creditResult.dailyFreeLimit,
+          },
+        })
+      );
+    }
+
+    let jobCreated = false;
+    try {
+      // Rewriting an existing original is harmless and restarts its retention
+      const stored = new Set();
+      for (const [index, file] of inputs.entries()) {
+        if (stored.has(inputObjectNames[index])) continue;
+        await gcs.uploadObject({
+          objectName: inputObjectNames[index],
+          buffer: file.buffer,
+          contentType: file.mimetype,
+          metadata: { userId, sha256: inputHashes[index] },
+        });
+        stored.add(inputObjectNames[index]);
+      }
+      if (source) {
+        await gcs.uploadObject({
+          objectName: source.objectName,
+          buffer: source.buffer,
+          contentType: source.contentType,
+          metadata: { userId },
+        });
+      }
+      if (mask) {
+        await gcs.uploadObject({
+          objectName: maskObjectName,
+          buffer: mask.buffer,
+          contentType: 'image/png',
+          metadata: { userId },
+        });
+      }
+
+      const creditSummary = { ...summarizeCredits(creditResult), amount: creditAmount };
+
+      const job = await jobs.createJob({ ...jobFields, credits: creditSummary });
+      jobCreated = true;
+      await jobEvents.publish(jobId, JOB_EVENT_TYPES.QUEUED, { status: JOB_STATUSES.QUEUED });
+
+      await getQueue().add(
+        RESTORE_JOB_NAME,
+        {
+          jobId,
+          userId,
+          inputObjectName,
+          ...(fusion && { inputObjectNames }),
+          ...(source && { sourceObjectName: source.objectName }),
+          userPrompt,
+          callbackUrl,
+          cacheKey,
+          variantCount,
+          promptJitter,
+          ...(output && { output }),
+          ...(targetSize && { targetSize, detailTransfer }),
+          ...(tiling && { tiling: { tileSize: tiling.tileSize, overlap: tiling.overlap } }),
+          ...(mask && { maskObjectName }),
+          credits: creditSummary,
+          requestId: req.context?.requestId ?? null,
+          traceparent: req.context?.traceparent ?? null,
+          tracestate: req.context?.tracestate ?? null,
+        },
+        { jobId }
+      );
+
+      const statusUrl = `${req.baseUrl}/${jobId}`;
+      res.status(202).location(statusUrl).json({
+        jobId,
+        status: job.status,
+        statusUrl,
+        createdAt: job.createdAt.toISOString(),
+        credits: creditSummary,
+      });
+    } catch (error) {
+      console.error('[jobs] Job submission failed', { jobId, userId, error: error.message });
+
+      await credits
+        .refund({ userId, jobId, amount: creditAmount, reason: 'Job submission failed' })
+        .catch(() => {});
+
+      if (jobCreated) {
+        await jobs
+          .updateJob(jobId, {
+            status: JOB_STATUSES.FAILED,
+            error: { code: 'SUBMISSION_FAILED', message: error.message },
+          })
+          .catch(() => {});
+        await jobEvents.publish(jobId, JOB_EVENT_TYPES.ERROR, {
+          status: JOB_STATUSES.FAILED,
+          error: { code: 'SUBMISSION_FAILED', message: 'The job could not be queued.' },
+        });
+      }
+
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/job-submission-failed',
+          title: 'Job Submission Failed',
+          status: 503,
+          detail: 'The job could not be queued. Any credits charged have been refunded.',
+        })
+      );
+    }
+  };
+}
+
+export function createJobsRouter({
+  clients,
+  getQueue = getJobQueue,
+  getWebhookQueue = getDefaultWebhookQueue,
+  eventsHeartbeatMs = EVENTS_HEARTBEAT_MS,
+}) {
+  const router = Router();
+
+  router.post(
+    '/',
+    idempotencyMiddleware({ store: clients.redis }),
+    assignJobId,
+    handleUploadOrObject('image', { maskField: 'mask' }),
+    validateUploadedImage,
+    preprocessImage,
+    prepareMask,
+    moderateImage,
+    createSubmitJobHandler({ getQueue, getWebhookQueue })
+  );
+
+  router.post(
+    '/fusion',
+    idempotencyMiddleware({ store: clients.redis }),
+    assignJobId,
+    handleMultiUpload('images', { minFiles: 2, maxFiles: MAX_FUSION_INPUTS }),
+    screenFusionInputs,
+    createSubmitJobHandler({ getQueue, getWebhookQueue })
+  );
+
+  router.get('/', listJobs);
+
+  router.delete('/:id', loadOwnedJob, createCancelJobHandler({ getQueue }));
+
+  router.get('/:id/result', loadOwnedJob, downloadResult);
+
+  router.get('/:id/assets/:kind', loadOwnedJob, downloadAsset);
+
+  router.put('/:id/preferred-variant', loadOwnedJob, selectPreferredVariant);
+
+  router.post(
+    '/:id/follow-ups',
+    idempotencyMiddleware({ store: clients.redis }),
+    loadOwnedJob,
+    loadParentResult,
+    assignJobId,
+    validateUploadedImage,
+    preprocessImage,
+    prepareMask,
+    moderateImage,
+    createSubmitJobHandler({ getQueue, getWebhookQueue })
+  );
+
+  router.get('/:id/events', loadOwnedJob, createJobEventsHandler({ heartbeatMs: eventsHeartbeatMs }));
+
+  router.get('/:id', loadOwnedJob, async (req, res, next) => {
+    try {
+      const result = await buildResultLink(req.job, req.clients.gcs);
+      res.set('Cache-Control', 'no-store');
+      res.json(toJobResource(req.job, { result }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,67 @@
+import { Router } from 'express';
+import { pipeline } from 'stream/promises';
+import { createProblem } from '../utils/problem.js';
+
+/**
+ * Serves the URLs signed by the local storage driver. Requests authenticate
+ * with the token alone, so this router is mounted outside firebaseAuth.
+ */
+export function createLocalStorageRouter({ storage }) {
+  const router = Router();
+
+  function toProblem(error) {
+    if (error.name === 'ObjectNotFoundError') {
+      return createProblem({
+        type: 'https://docs.image-restoration.ai/problem/object-not-found',
+        title: 'Object Not Found',
+        status: 404,
+        detail: 'The requested object does not exist.',
+      });
+    }
+    if (error.name === 'SignedRequestError') {
+      return createProblem({
+        type: 'https://docs.image-restoration.ai/problem/invalid-signature',
+        title: 'Invalid Signature',
+        status: error.status,
+        detail: error.message,
+      });
+    }
+    return error;
+  }
+
+  router.put('/*', async (req, res, next) => {
+    const objectName = req.params[0];
+
+    try {
+      const { headers } = storage.verifyToken(req.query.token, { action: 'write', objectName });
+      await storage.writeSignedUpload(objectName, { headers }, req);
+      res.status(200).end();
+    } catch (error) {
+      if (error.name !== 'SignedRequestError') {
+        console.error('[storage] Upload failed', { objectName, error: error.message });
+      }
+      next(toProblem(error));
+    }
+  });
+
+  router.get('/*', async (req, res, next) => {
+    const objectName = req.params[0];
+
+    try {
+      const { headers } = storage.verifyToken(req.query.token, { action: 'read', objectName });
+      const stream = storage.openSignedDownload(objectName);
+
+      res.set(headers);
+      res.set('Cache-Control', 'private, no-store');
+      await pipeline(stream, res);
+    } catch (error) {
+      if (res.headersSent) {
+        console.error('[storage] Download interrupted', { objectName, error: error.message });
+        return res.destroy(error);
+      }
+      next(toProblem(error));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,48 @@
+import path from 'path';
+
+/**
+ * Helpers shared by the routers, kept in one place so they all
+ * store and describe jobs the same way
+ */
+
+/**
+ * Originals are content-addressed, so a photo uploaded again (alone, as a
+ * fusion input or as a batch item) is stored once per user.
+ */
+export function buildOriginalObjectName({ userId, contentHash }) {
+  return `originals/${userId}/${contentHash}.jpg`;
+}
+
+export function toIsoString(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+export function isAdmin(user) {
+  return user?.claims?.admin === true;
+}
+
+/**
+ * `attic scan.jpg` → `attic scan-restored.png` (`-restored-variant-2.png` for
+ * a specific variant, `-comparison-flip.webp` for an asset); falls back to
+ * `{label}.{ext}` when the job has no original filename.
+ */
+export function deriveResultFilename(
+  job,
+  {
+    objectName = job.resultObjectName,
+    variantIndex,
+    label = variantIndex === undefined ? 'restored' : `restored-variant-${variantIndex}`,
+  } = {}
+) {
+  const extension = objectName.split('.').pop();
+  const original = job.originalFilename ? path.basename(job.originalFilename.replace(/\\/g, '/')) : '';
+  const stem = original
+    .slice(0, original.length - path.extname(original).length)
+    .replace(/[\u0000-\u001f\u007f/]/g, '')
+    .trim()
+    .slice(0, 100);
+  return stem ? `${stem}-${label}.${extension}` : `${label}.${extension}`;
+}
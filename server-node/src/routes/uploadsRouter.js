@@ -0,0 +1,65 @@
+import { Router } from 'express';
+import { createProblem } from '../utils/problem.js';
+import { getDirectUploadMaxBytes, isAcceptedUpload } from '../middleware/uploadValidation.js';
+
+export function createUploadsRouter() {
+  const router = Router();
+
+  router.post('/', async (req, res, next) => {
+    const { contentType, filename } = req.body ?? {};
+
+    if (typeof contentType !== 'string' || typeof filename !== 'string' || filename.length === 0) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/invalid-upload-request',
+          title: 'Invalid Upload Request',
+          status: 400,
+          detail: 'contentType and filename are required.',
+        })
+      );
+    }
+
+    if (!isAcceptedUpload({ contentType, filename })) {
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/unsupported-media-type',
+          title: 'Unsupported Media Type',
+          status: 415,
+          detail: 'Only JPEG, PNG, WebP, HEIC, TIFF, BMP, or GIF images are supported.',
+        })
+      );
+    }
+
+    try {
+      const maxBytes = getDirectUploadMaxBytes();
+      const upload = await req.clients.gcs.generateUploadUrl({
+        userId: req.user.id,
+        contentType,
+        filename,
+        maxBytes,
+      });
+
+      res.set('Cache-Control', 'no-store');
+      res.status(201).json({
+        objectName: upload.objectName,
+        uploadUrl: upload.url,
+        method: 'PUT',
+        headers: upload.headers,
+        maxBytes,
+        expiresAt: upload.expiresAt,
+      });
+    } catch (error) {
+      console.error('[uploads] Unable to sign upload URL', { userId: req.user.id, error: error.message });
+      return next(
+        createProblem({
+          type: 'https://docs.image-restoration.ai/problem/upload-unavailable',
+          title: 'Upload Unavailable',
+          status: 503,
+          detail: 'A signed upload URL could not be issued. Try again or upload the file directly.',
+        })
+      );
+    }
+  });
+
+  return router;
+}
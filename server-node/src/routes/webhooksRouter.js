@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import { toIsoString } from './shared.js';
+
+const MAX_DELIVERY_LIMIT = 100;
+
+function toSecretResource({ secret, createdAt }) {
+  return { secret, createdAt: toIsoString(createdAt) };
+}
+
+function toDeliveryResource(delivery) {
+  return {
+    deliveryId: delivery.deliveryId,
+    jobId: delivery.jobId,
+    event: delivery.event,
+    url: delivery.url,
+    status: delivery.status,
+    createdAt: toIsoString(delivery.createdAt),
+    deliveredAt: toIsoString(delivery.deliveredAt),
+    attempts: (delivery.attempts ?? []).map((attempt) => ({
+      attempt: attempt.attempt,
+      attemptedAt: toIsoString(attempt.attemptedAt),
+      durationMs: attempt.durationMs,
+      statusCode: attempt.statusCode,
+      error: attempt.error,
+    })),
+  };
+}
+
+function parseLimit(value) {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) {
+    return 50;
+  }
+  return Math.min(limit, MAX_DELIVERY_LIMIT);
+}
+
+export function createWebhooksRouter() {
+  const router = Router();
+
+  router.get('/secret', async (req, res, next) => {
+    try {
+      const secret = await req.services.webhooks.getSecret(req.user.id);
+      res.set('Cache-Control', 'no-store');
+      res.json(toSecretResource(secret));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/secret/rotate', async (req, res, next) => {
+    try {
+      const secret = await req.services.webhooks.rotateSecret(req.user.id);
+      res.set('Cache-Control', 'no-store');
+      res.status(201).json(toSecretResource(secret));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/deliveries', async (req, res, next) => {
+    try {
+      const deliveries = await req.services.webhooks.listDeliveries({
+        userId: req.user.id,
+        jobId: typeof req.query.jobId === 'string' ? req.query.jobId : undefined,
+        limit: parseLimit(req.query.limit),
+      });
+      res.set('Cache-Control', 'no-store');
+      res.json({ deliveries: deliveries.map(toDeliveryResource) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
@@ -7,16 +7,17 @@ import { requestContext } from './middleware/requestContext.js';
 import { requestTiming } from './middleware/requestTiming.js';
 import { firebaseAuth } from './middleware/firebaseAuth.js';
 import { rateLimitMiddleware } from './middleware/rateLimit.js';
-import { idempotencyMiddleware } from './middleware/idempotency.js';
 import { notFoundHandler } from './middleware/notFound.js';
-import { createProblem, errorHandler } from './utils/problem.js';
+import { errorHandler } from './utils/problem.js';
 import { attachClients } from './middleware/clients.js';
 import { getClients } from './context/clients.js';
 import { attachServices } from './context/services.js';
-import { handleUpload, validateUploadedImage } from './middleware/uploadValidation.js';
-import { preprocessImage } from './middleware/imagePreprocess.js';
-import { moderateImage } from './middleware/moderateImage.js';
 import { createHealthRouter } from './routes/healthRouter.js';
+import { createJobsRouter } from './routes/jobsRouter.js';
+import { createBatchesRouter } from './routes/batchesRouter.js';
+import { createUploadsRouter } from './routes/uploadsRouter.js';
+import { createWebhooksRouter } from './routes/webhooksRouter.js';
+import { createLocalStorageRouter } from './routes/localStorageRouter.js';
 
 assertRequiredSecrets();
 
@@ -43,29 +44,20 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 app.use('/health', createHealthRouter({ clients: getClients() }));
 
+if (getClients().gcs.isLocal) {
+  app.use('/storage', createLocalStorageRouter({ storage: getClients().gcs }));
+}
+
 const apiRouter = express.Router();
 
 apiRouter.use(firebaseAuth());
 const sharedClients = getClients();
 apiRouter.use(rateLimitMiddleware({ store: sharedClients.redis }));
 
-apiRouter.post(
-  '/jobs',
-  idempotencyMiddleware({ store: sharedClients.redis }),
-  handleUpload('image'),
-  validateUploadedImage,
-  preprocessImage,
-  moderateImage,
-  (_req, _res, next) =>
-  next(
-    createProblem({
-      type: 'https://docs.image-restoration.ai/problem/not-implemented',
-      title: 'Not Implemented',
-      status: 501,
-      detail: 'Job submission endpoint is not yet implemented.',
-    })
-  )
-);
+apiRouter.use('/jobs', createJobsRouter({ clients: sharedClients }));
+apiRouter.use('/batches', createBatchesRouter({ clients: sharedClients }));
+apiRouter.use('/uploads', createUploadsRouter());
+apiRouter.use('/webhooks', createWebhooksRouter());
 
 app.use('/v1', apiRouter);
 
@@ -0,0 +1,142 @@
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { JOB_STATUSES, isTerminalStatus } from './jobs.js';
+
+/**
+ * Batches Service - Parent records for multi-image submissions
+ *
+ * A batch document (`batches/{batchId}`) lists its child job ids and the
+ * per-file intake outcome. Child jobs are ordinary `jobs` documents, so
+ * status, cancellation and refunds work per image; the batch status and
+ * progress are derived from the children when read.
+ */
+
+const BATCHES_COLLECTION = 'batches';
+
+export const BATCH_STATUSES = Object.freeze({
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  PARTIALLY_SUCCEEDED: 'partially_succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+/**
+ * Derive aggregate status and progress counters from child jobs
+ * @param {Array} jobs - Child job documents
+ * @returns {Object} { status, progress }
+ */
+export function summarizeBatch(jobs) {
+  const counts = Object.fromEntries(Object.values(JOB_STATUSES).map((status) => [status, 0]));
+  for (const job of jobs) {
+    counts[job.status] = (counts[job.status] ?? 0) + 1;
+  }
+
+  const total = jobs.length;
+  const completed = jobs.filter((job) => isTerminalStatus(job.status)).length;
+
+  let status;
+  if (completed < total) {
+    status = completed > 0 || counts.processing > 0 ? BATCH_STATUSES.PROCESSING : BATCH_STATUSES.QUEUED;
+  } else if (counts.succeeded === total) {
+    status = BATCH_STATUSES.SUCCEEDED;
+  } else if (counts.succeeded > 0) {
+    status = BATCH_STATUSES.PARTIALLY_SUCCEEDED;
+  } else if (counts.cancelled === total) {
+    status = BATCH_STATUSES.CANCELLED;
+  } else {
+    status = BATCH_STATUSES.FAILED;
+  }
+
+  return {
+    status,
+    progress: {
+      total,
+      completed,
+      percent: total === 0 ? 100 : Math.round((completed / total) * 100),
+      ...counts
+    }
+  };
+}
+
+export class BatchesService {
+  constructor({ firestoreClient, logger } = {}) {
+    if (!firestoreClient) {
+      throw new Error('BatchesService requires a firestoreClient');
+    }
+
+    this.firestore = firestoreClient;
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Persist a new batch
+   * @param {Object} params - Batch fields
+   * @param {string} params.batchId - Batch identifier
+   * @param {string} params.userId - Owner of the batch
+   * @param {Array<string>} params.jobIds - Child job ids in upload order
+   * @returns {Promise<Object>} Persisted batch document
+   */
+  async createBatch({ batchId, userId, jobIds, ...fields }) {
+    const tracer = trace.getTracer('batches');
+    const span = tracer.startSpan('batches.createBatch', {
+      attributes: {
+        'batches.batch_id': batchId,
+        'batches.user_id': userId,
+        'batches.job_count': jobIds.length
+      }
+    });
+
+    try {
+      const now = new Date();
+      const batch = { ...fields, batchId, userId, jobIds, createdAt: now, updatedAt: now };
+
+      await this._doc(batchId).set(batch);
+
+      this.logger.info('[batches] Batch created', { batchId, userId, jobCount: jobIds.length });
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      return batch;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[batches] Failed to create batch', { batchId, userId, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Load a batch document
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<Object|null>} Batch document or null when missing
+   */
+  async getBatch(batchId) {
+    const snapshot = await this._doc(batchId).get();
+    if (!snapshot.exists) {
+      return null;
+    }
+    return { batchId, ...snapshot.data() };
+  }
+
+  /**
+   * Merge fields into an existing batch document
+   * @param {string} batchId - Batch identifier
+   * @param {Object} patch - Fields to merge
+   * @returns {Promise<Object>} The merged patch including updatedAt
+   */
+  async updateBatch(batchId, patch) {
+    const update = { ...patch, updatedAt: new Date() };
+    await this._doc(batchId).set(update, { merge: true });
+    return update;
+  }
+
+  _doc(batchId) {
+    return this.firestore.collection(BATCHES_COLLECTION).doc(batchId);
+  }
+}
+
+export function createBatchesService({ firestoreClient, logger } = {}) {
+  return new BatchesService({ firestoreClient, logger });
+}
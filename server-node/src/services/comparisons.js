@@ -0,0 +1,158 @@
+import sharp from 'sharp';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { muxAnimatedWebp } from '../utils/animatedWebp.js';
+
+/**
+ * Comparison Service - Before/after artifacts for sharing and QA
+ *
+ * Renders, from the uploaded original and the restored output:
+ * - a side-by-side JPEG (both at the same height)
+ * - a split-diagonal JPEG (original top-left, restored bottom-right)
+ * - a small animated WebP flipping between the two
+ */
+
+export const COMPARISON_KINDS = Object.freeze({
+  SIDE_BY_SIDE: 'comparison-side-by-side',
+  SPLIT_DIAGONAL: 'comparison-split-diagonal',
+  FLIP: 'comparison-flip'
+});
+
+const MAX_STILL_HEIGHT = Number(process.env.COMPARISON_MAX_HEIGHT ?? 1024);
+const MAX_FLIP_DIMENSION = Number(process.env.COMPARISON_FLIP_MAX_DIMENSION ?? 512);
+const FLIP_FRAME_MS = 1000;
+const GUTTER_PX = 8;
+const JPEG_QUALITY = 85;
+const FLIP_QUALITY = 75;
+
+/**
+ * Auto-orient, resize to exact dimensions and drop transparency. The original
+ * and restored images share an aspect ratio up to rounding, so `fill` does not
+ * distort. `flatten` (unlike `removeAlpha`) runs before any composite, which
+ * the diagonal mask relies on.
+ */
+function fitTo(buffer, width, height) {
+  return sharp(buffer, { failOnError: false })
+    .rotate()
+    .resize({ width, height, fit: 'fill' })
+    .flatten({ background: '#ffffff' });
+}
+
+function diagonalMask(width, height) {
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<polygon points="${width},0 ${width},${height} 0,${height}" fill="#fff"/></svg>`
+  );
+}
+
+function diagonalLine(width, height) {
+  const stroke = Math.max(2, Math.round(Math.min(width, height) / 200));
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<line x1="${width}" y1="0" x2="0" y2="${height}" stroke="#fff" stroke-width="${stroke}"/></svg>`
+  );
+}
+
+function scaleToFit({ width, height }, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+export class ComparisonService {
+  constructor({ logger } = {}) {
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Render every comparison artifact
+   * @param {Object} params
+   * @param {Buffer} params.before - Original image as uploaded
+   * @param {Buffer} params.after - Restored image
+   * @returns {Promise<Array<Object>>} { kind, buffer, contentType, ext, width, height } per artifact
+   */
+  async render({ before, after }) {
+    const tracer = trace.getTracer('comparisons');
+    const span = tracer.startSpan('comparisons.render', {
+      attributes: {
+        'comparison.before_bytes': before.length,
+        'comparison.after_bytes': after.length
+      }
+    });
+
+    try {
+      const startTime = Date.now();
+      const afterMeta = await sharp(after).metadata();
+      const size = scaleToFit(afterMeta, Infinity, MAX_STILL_HEIGHT);
+
+      const artifacts = [
+        await this._sideBySide(before, after, size),
+        await this._splitDiagonal(before, after, size),
+        await this._flip(before, after, scaleToFit(afterMeta, MAX_FLIP_DIMENSION, MAX_FLIP_DIMENSION))
+      ];
+
+      span.setAttributes({
+        'comparison.duration_ms': Date.now() - startTime,
+        'comparison.total_bytes': artifacts.reduce((total, artifact) => total + artifact.buffer.length, 0)
+      });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return artifacts;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[comparisons] Rendering failed', { error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  async _sideBySide(before, after, { width, height }) {
+    const canvasWidth = width * 2 + GUTTER_PX;
+    const [left, right] = await Promise.all([
+      fitTo(before, width, height).toBuffer(),
+      fitTo(after, width, height).toBuffer()
+    ]);
+
+    const buffer = await sharp({
+      create: { width: canvasWidth, height, channels: 3, background: '#ffffff' }
+    })
+      .composite([
+        { input: left, left: 0, top: 0 },
+        { input: right, left: width + GUTTER_PX, top: 0 }
+      ])
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer();
+
+    return { kind: COMPARISON_KINDS.SIDE_BY_SIDE, buffer, contentType: 'image/jpeg', ext: 'jpg', width: canvasWidth, height };
+  }
+
+  async _splitDiagonal(before, after, { width, height }) {
+    const restoredHalf = await fitTo(after, width, height)
+      .ensureAlpha()
+      .composite([{ input: diagonalMask(width, height), blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+
+    const buffer = await fitTo(before, width, height)
+      .composite([{ input: restoredHalf }, { input: diagonalLine(width, height) }])
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer();
+
+    return { kind: COMPARISON_KINDS.SPLIT_DIAGONAL, buffer, contentType: 'image/jpeg', ext: 'jpg', width, height };
+  }
+
+  async _flip(before, after, { width, height }) {
+    const frames = await Promise.all(
+      [before, after].map(async (source) => ({
+        webp: await fitTo(source, width, height).webp({ quality: FLIP_QUALITY }).toBuffer(),
+        durationMs: FLIP_FRAME_MS
+      }))
+    );
+
+    const buffer = muxAnimatedWebp(frames, { width, height, loopCount: 0 });
+    return { kind: COMPARISON_KINDS.FLIP, buffer, contentType: 'image/webp', ext: 'webp', width, height };
+  }
+}
+
+export function createComparisonService({ logger } = {}) {
+  return new ComparisonService({ logger });
+}
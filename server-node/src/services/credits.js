@@ -57,29 +57,30 @@ export class CreditsService {
       const freeUsage = await this._checkDailyFreeUsage(userId);
       const dailyLimit = this._getDailyFreeLimit(userId);
       
-      if (freeUsage.used < dailyLimit) {
-        // User has free credits available
-        const success = await this._consumeFreeCredit(userId, jobId);
+      // Free credits cover the whole amount or none of it; a partial charge
+      // would leave the ledger split across two transaction types
+      if (freeUsage.used + amount <= dailyLimit) {
+        const success = await this._consumeFreeCredit(userId, jobId, amount);
         if (success) {
           span.setAttributes({
             'credits.type': 'free',
-            'credits.daily_used': freeUsage.used + 1,
-            'credits.daily_remaining': dailyLimit - freeUsage.used - 1
+            'credits.daily_used': freeUsage.used + amount,
+            'credits.daily_remaining': dailyLimit - freeUsage.used - amount
           });
 
           this.logger.info('[credits] Free credit consumed', {
             userId,
             jobId,
-            dailyUsed: freeUsage.used + 1,
-            dailyRemaining: dailyLimit - freeUsage.used - 1
+            dailyUsed: freeUsage.used + amount,
+            dailyRemaining: dailyLimit - freeUsage.used - amount
           });
 
           span.setStatus({ code: SpanStatusCode.OK });
           return {
             allowed: true,
             type: 'free',
-            remainingCredits: dailyLimit - freeUsage.used - 1,
-            dailyFreeUsed: freeUsage.used + 1,
+            remainingCredits: dailyLimit - freeUsage.used - amount,
+            dailyFreeUsed: freeUsage.used + amount,
             dailyFreeLimit: dailyLimit
           };
         }
@@ -160,6 +161,16 @@ export class CreditsService {
         reason
       });
 
+      // A job can reach more than one refund path when a worker retries it
+      // (low fidelity, then a final failure); its credits come back once
+      const previousRefund = await this._getRefundByJobId(jobId);
+      if (previousRefund) {
+        this.logger.info('[credits] Job already refunded', { userId, jobId, refundId: previousRefund.id });
+        span.setAttribute('credits.already_refunded', true);
+        span.setStatus({ code: SpanStatusCode.OK });
+        return { success: true, alreadyRefunded: true };
+      }
+
       // Check if this was a free credit or paid credit from the ledger
       const originalTransaction = await this._getTransactionByJobId(jobId);
       
@@ -171,7 +182,7 @@ export class CreditsService {
       let refundResult;
       
       if (originalTransaction.type === 'free') {
-        refundResult = await this._refundFreeCredit(userId, jobId);
+        refundResult = await this._refundFreeCredit(userId, amount, jobId);
       } else {
         refundResult = await this._refundPaidCredits(userId, amount, jobId, reason);
       }
@@ -281,7 +292,7 @@ export class CreditsService {
     }
   }
 
-  async _consumeFreeCredit(userId, jobId) {
+  async _consumeFreeCredit(userId, jobId, amount = 1) {
     const today = this._getTodayKey();
     const key = `free_usage:${userId}:${today}`;
     const dailyLimit = this._getDailyFreeLimit(userId);
@@ -291,21 +302,22 @@ export class CreditsService {
       const script = `
         local key = KEYS[1]
         local limit = tonumber(ARGV[1])
+        local amount = tonumber(ARGV[2] or 1)
         local current = redis.call('GET', key) or 0
         current = tonumber(current)
         
-        if current >= limit then
+        if current + amount > limit then
           return 0
         end
         
-        local new_value = redis.call('INCR', key)
+        local new_value = redis.call('INCRBY', key, amount)
         redis.call('EXPIRE', key, 86400)
         return new_value
       `;
 
       const result = await this.redis.eval(script, {
         keys: [key],
-        arguments: [dailyLimit.toString()]
+        arguments: [dailyLimit.toString(), amount.toString()]
       });
 
       if (result > 0) {
@@ -313,7 +325,7 @@ export class CreditsService {
         await this._recordTransaction({
           userId,
           jobId,
-          amount: -1,
+          amount: -amount,
           type: 'free',
           reason: 'Daily free credit consumed'
         });
@@ -391,14 +403,14 @@ export class CreditsService {
     }
   }
 
-  async _refundFreeCredit(userId, jobId) {
+  async _refundFreeCredit(userId, amount, jobId) {
     const today = this._getTodayKey();
     const key = `free_usage:${userId}:${today}`;
     
     try {
-      const current = await this.redis.get(key);
-      if (current && parseInt(current) > 0) {
-        await this.redis.decr(key);
+      const current = parseInt(await this.redis.get(key)) || 0;
+      if (current > 0) {
+        await this.redis.incrBy(key, -Math.min(amount, current));
         return { success: true, type: 'free' };
       }
       return { success: false, reason: 'No free credits to refund' };
@@ -508,6 +520,27 @@ export class CreditsService {
     }
   }
 
+  async _getRefundByJobId(jobId) {
+    try {
+      const query = await this.firestore
+        .collection('credit_ledger')
+        .where('jobId', '==', jobId)
+        .where('type', '==', 'refund')
+        .limit(1)
+        .get();
+
+      if (query.empty) {
+        return null;
+      }
+
+      const doc = query.docs[0];
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      this.logger.error('[credits] Failed to get refund by job ID', { jobId, error: error.message });
+      return null;
+    }
+  }
+
   _getDailyFreeLimit(userId) {
     // Could be user-specific in the future
     return DEFAULT_DAILY_FREE_LIMIT;
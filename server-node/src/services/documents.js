@@ -0,0 +1,304 @@
+import sharp from 'sharp';
+import { crc32, deflateSync, inflateSync } from 'zlib';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { PDFArray, PDFDict, PDFDocument, PDFName, PDFNumber, PDFRawStream } from 'pdf-lib';
+import { encodeMultiPageTiff } from '../utils/multiPageTiff.js';
+
+/**
+ * Document Service - Multi-page scans in, multi-page results out
+ *
+ * Album scans arrive as one multi-page TIFF or PDF. `split` turns the file
+ * into one image per page so each page can be restored as an ordinary batch
+ * child; `assemble` puts the restored pages back into a file of the same
+ * kind, in page order.
+ *
+ * PDFs are not rasterized: scanner PDFs hold one full-page image per page,
+ * which is extracted as is. Pages without an embedded JPEG or 8-bit
+ * Flate-compressed image (vector pages, CCITT fax scans) are reported as
+ * unreadable rather than rendered.
+ */
+
+export const DOCUMENT_KINDS = Object.freeze({
+  pdf: { contentType: 'application/pdf', ext: 'pdf' },
+  tiff: { contentType: 'image/tiff', ext: 'tif' }
+});
+
+export const DOCUMENT_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  ASSEMBLED: 'assembled',
+  FAILED: 'failed'
+});
+
+export const DOCUMENT_MAX_PAGES = Math.max(1, Number(process.env.DOCUMENT_MAX_PAGES ?? 50));
+
+// Restored pages are re-embedded as JPEG; PDF has no better lossy option
+const PDF_JPEG_QUALITY = 90;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_COLOR_TYPES = { 1: 0, 3: 2 };
+
+export class DocumentPageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentPageError';
+  }
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, checksum]);
+}
+
+/**
+ * Wrap Flate-compressed PDF samples in a PNG, which shares the zlib stream
+ * and (with a PNG predictor) the row filters, so sharp can decode them
+ */
+function flateImageToPng({ contents, width, height, bitsPerComponent, components, predictor }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(bitsPerComponent, 8);
+  header.writeUInt8(PNG_COLOR_TYPES[components], 9);
+
+  let data = Buffer.from(contents);
+  if (predictor < 10) {
+    // Unfiltered samples: prefix every row with PNG filter type 0 (None)
+    const samples = inflateSync(data);
+    const rowBytes = Math.ceil((width * components * bitsPerComponent) / 8);
+    const rows = Buffer.alloc(height * (rowBytes + 1));
+    for (let y = 0; y < height; y += 1) {
+      samples.copy(rows, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+    }
+    data = deflateSync(rows);
+  }
+
+  return Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('IDAT', data), pngChunk('IEND', Buffer.alloc(0))]);
+}
+
+function componentCount(context, colorSpace) {
+  if (colorSpace === PDFName.of('DeviceGray')) return 1;
+  if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+  if (colorSpace instanceof PDFArray && colorSpace.get(0) === PDFName.of('ICCBased')) {
+    const profile = context.lookup(colorSpace.get(1));
+    return profile?.dict?.lookup(PDFName.of('N'), PDFNumber)?.asNumber() ?? null;
+  }
+  return null;
+}
+
+/**
+ * The page's largest image XObject as a JPEG or PNG
+ * @returns {Object} { buffer, ext }
+ * @throws {DocumentPageError} When the page has no image sharp can read
+ */
+function extractPageImage(document, page) {
+  const xObjects = page.node.Resources()?.lookup(PDFName.of('XObject'), PDFDict);
+  const images = (xObjects?.entries() ?? [])
+    .map(([, ref]) => document.context.lookup(ref))
+    .filter((stream) => stream instanceof PDFRawStream && stream.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'))
+    .map((stream) => ({
+      stream,
+      width: stream.dict.lookup(PDFName.of('Width'), PDFNumber).asNumber(),
+      height: stream.dict.lookup(PDFName.of('Height'), PDFNumber).asNumber()
+    }))
+    .sort((a, b) => b.width * b.height - a.width * a.height);
+
+  if (images.length === 0) {
+    throw new DocumentPageError('The page has no scanned image.');
+  }
+
+  const { stream, width, height } = images[0];
+  const { dict, contents } = stream;
+  const filters = dict.get(PDFName.of('Filter'));
+  const filter = filters instanceof PDFArray ? (filters.size() === 1 ? filters.get(0) : null) : filters;
+
+  if (filter === PDFName.of('DCTDecode')) {
+    return { buffer: Buffer.from(contents), ext: 'jpg' };
+  }
+
+  const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'), PDFNumber)?.asNumber();
+  const components = componentCount(document.context, dict.lookup(PDFName.of('ColorSpace')));
+  if (filter === PDFName.of('FlateDecode') && bitsPerComponent === 8 && PNG_COLOR_TYPES[components] !== undefined) {
+    const parms = dict.lookup(PDFName.of('DecodeParms'));
+    const predictor = parms instanceof PDFDict ? (parms.lookup(PDFName.of('Predictor'), PDFNumber)?.asNumber() ?? 1) : 1;
+    if (predictor === 2) {
+      throw new DocumentPageError('TIFF-predicted page images are not supported.');
+    }
+    const buffer = flateImageToPng({ contents, width, height, bitsPerComponent, components, predictor });
+    return { buffer, ext: 'png' };
+  }
+
+  throw new DocumentPageError(`The page image uses an unsupported encoding (${filter?.asString() ?? 'none'}).`);
+}
+
+export class DocumentService {
+  constructor({ maxPages = DOCUMENT_MAX_PAGES, logger } = {}) {
+    this.maxPages = maxPages;
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Number of pages, without decoding them
+   * @param {Object} params
+   * @param {Buffer} params.buffer - Document bytes
+   * @param {string} params.kind - 'pdf' or 'tiff'
+   * @returns {Promise<number>}
+   */
+  async countPages({ buffer, kind }) {
+    if (kind === 'pdf') {
+      const document = await PDFDocument.load(buffer, { updateMetadata: false });
+      return document.getPageCount();
+    }
+    const { pages = 1 } = await sharp(buffer).metadata();
+    return pages;
+  }
+
+  /**
+   * Split a document into one image per page
+   * @param {Object} params
+   * @param {Buffer} params.buffer - Document bytes
+   * @param {string} params.kind - 'pdf' or 'tiff'
+   * @returns {Promise<Array<Object>>} { index, buffer, ext, pageSize, error } in page order.
+   *   pageSize is the PDF page size in points (null for TIFF); an unreadable
+   *   page has a null buffer and the reason in error.
+   */
+  async split({ buffer, kind }) {
+    const tracer = trace.getTracer('documents');
+    const span = tracer.startSpan('documents.split', { attributes: { 'document.kind': kind } });
+
+    try {
+      const pages = kind === 'pdf' ? await this._splitPdf(buffer) : await this._splitTiff(buffer);
+      span.setAttributes({
+        'document.pages': pages.length,
+        'document.unreadable_pages': pages.filter((page) => page.error).length
+      });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return pages;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[documents] Split failed', { kind, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  async _splitTiff(buffer) {
+    const { pages = 1, depth } = await sharp(buffer).metadata();
+    const split = [];
+    for (let index = 0; index < pages; index += 1) {
+      const page = sharp(buffer, { page: index });
+      // Keep 16-bit pages 16-bit so preprocessing can tone map them
+      const pageBuffer = await (depth === 'ushort' ? page.toColourspace('rgb16') : page)
+        .tiff({ compression: 'deflate' })
+        .toBuffer();
+      split.push({ index, buffer: pageBuffer, ext: 'tif', pageSize: null, error: null });
+    }
+    return split;
+  }
+
+  async _splitPdf(buffer) {
+    const document = await PDFDocument.load(buffer, { updateMetadata: false });
+    const split = [];
+    for (const [index, page] of document.getPages().entries()) {
+      const { width, height } = page.getSize();
+      const angle = ((page.getRotation().angle % 360) + 360) % 360;
+      const pageSize = angle % 180 === 0 ? { width, height } : { width: height, height: width };
+
+      let image;
+      try {
+        image = extractPageImage(document, page);
+      } catch (error) {
+        if (!(error instanceof DocumentPageError)) throw error;
+        split.push({ index, buffer: null, ext: null, pageSize, error: error.message });
+        continue;
+      }
+      // /Rotate turns the page clockwise when displayed; bake it into the image
+      if (angle === 0) {
+        split.push({ index, buffer: image.buffer, ext: image.ext, pageSize, error: null });
+      } else {
+        const rotated = await sharp(image.buffer).rotate(angle).png().toBuffer();
+        split.push({ index, buffer: rotated, ext: 'png', pageSize, error: null });
+      }
+    }
+    return split;
+  }
+
+  /**
+   * Build a document from page images
+   * @param {Object} params
+   * @param {string} params.kind - 'pdf' or 'tiff'
+   * @param {Array<Object>} params.pages - { buffer, pageSize } in page order; pageSize
+   *   (points) keeps a PDF page's physical size, otherwise it follows the image
+   * @returns {Promise<Object>} { buffer, contentType, ext, pageCount }
+   */
+  async assemble({ kind, pages }) {
+    const tracer = trace.getTracer('documents');
+    const span = tracer.startSpan('documents.assemble', {
+      attributes: { 'document.kind': kind, 'document.pages': pages.length }
+    });
+
+    try {
+      const startTime = Date.now();
+      const buffer = kind === 'pdf' ? await this._assemblePdf(pages) : await this._assembleTiff(pages);
+      span.setAttributes({
+        'document.bytes': buffer.length,
+        'document.duration_ms': Date.now() - startTime
+      });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return { buffer, ...DOCUMENT_KINDS[kind], pageCount: pages.length };
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[documents] Assembly failed', { kind, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  async _assembleTiff(pages) {
+    const raw = [];
+    for (const page of pages) {
+      const { data, info } = await sharp(page.buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      raw.push({ width: info.width, height: info.height, data });
+    }
+    return encodeMultiPageTiff(raw);
+  }
+
+  async _assemblePdf(pages) {
+    const document = await PDFDocument.create();
+    for (const page of pages) {
+      const { data, info } = await sharp(page.buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: PDF_JPEG_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+      const image = await document.embedJpg(data);
+
+      // Fit the image inside the original page, centred
+      const pageWidth = page.pageSize?.width ?? info.width;
+      const pageHeight = page.pageSize?.height ?? info.height;
+      const scale = Math.min(pageWidth / info.width, pageHeight / info.height);
+      const width = info.width * scale;
+      const height = info.height * scale;
+      document
+        .addPage([pageWidth, pageHeight])
+        .drawImage(image, { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height });
+    }
+    return Buffer.from(await document.save());
+  }
+}
+
+export function createDocumentService({ logger } = {}) {
+  return new DocumentService({ logger });
+}
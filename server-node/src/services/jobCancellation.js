@@ -0,0 +1,31 @@
+import { JOB_STATUSES } from './jobs.js';
+import { JOB_EVENT_TYPES } from './jobEvents.js';
+
+export const CANCELLATION_REASON = 'cancelled by user';
+
+/**
+ * Move a job to `cancelled` and return its credits. Called by the API when a
+ * waiting job is pulled from the queue, and by the worker when a running job
+ * stops at a cancellation checkpoint; exactly one of them owns the refund.
+ * @param {Object} params
+ * @param {string} params.jobId - Job identifier
+ * @param {string} params.userId - Job owner to refund
+ * @param {number} params.amount - Credits charged for the job
+ * @param {string} params.stage - Where the job stopped (QUEUED or a restoration stage)
+ * @param {Object} services - jobs, credits and jobEvents services
+ */
+export async function completeCancellation({ jobId, userId, amount = 1, stage }, { jobs, credits, jobEvents }) {
+  const update = await jobs.updateJob(jobId, {
+    status: JOB_STATUSES.CANCELLED,
+    cancelledAt: new Date(),
+    cancelledStage: stage
+  });
+
+  await credits.refund({ userId, jobId, amount, reason: CANCELLATION_REASON });
+  await jobEvents.publish(jobId, JOB_EVENT_TYPES.CANCELLED, {
+    status: JOB_STATUSES.CANCELLED,
+    stage
+  });
+
+  return update;
+}
@@ -0,0 +1,112 @@
+/**
+ * Job Events Service - Ordered progress events per job with cross-instance fan-out
+ *
+ * Every event is appended to a per-job Redis list (its 1-based position is the
+ * event id used for Last-Event-ID resume) and then published on a per-job
+ * channel so any API instance holding an SSE connection can forward it.
+ * Falls back to the in-memory store in single-process setups.
+ */
+
+const DEFAULT_TTL_SECONDS = Number(process.env.JOB_EVENTS_TTL_SECONDS ?? 60 * 60 * 24);
+
+export const JOB_EVENT_TYPES = Object.freeze({
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  CLASSIFICATION_COMPLETE: 'classification_complete',
+  PROMPT_ENHANCEMENT_COMPLETE: 'prompt_enhancement_complete',
+  TILE_COMPLETE: 'tile_complete',
+  RESTORATION_COMPLETE: 'restoration_complete',
+  FIDELITY_RETRY: 'fidelity_retry',
+  POSTPROCESSING_COMPLETE: 'postprocessing_complete',
+  RETRYING: 'retrying',
+  CANCEL_REQUESTED: 'cancel_requested',
+  CANCELLED: 'cancelled',
+  RESULT: 'result',
+  ERROR: 'error'
+});
+
+const TERMINAL_EVENT_TYPES = new Set([
+  JOB_EVENT_TYPES.RESULT,
+  JOB_EVENT_TYPES.ERROR,
+  JOB_EVENT_TYPES.CANCELLED
+]);
+
+export function isTerminalEvent(type) {
+  return TERMINAL_EVENT_TYPES.has(type);
+}
+
+export class JobEventsService {
+  constructor({ redisClient, logger, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    if (!redisClient) {
+      throw new Error('JobEventsService requires a redisClient');
+    }
+
+    this.redis = redisClient;
+    this.logger = logger ?? console;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Record and broadcast a job event. Failures are logged, never thrown, so
+   * progress reporting cannot break job processing.
+   * @param {string} jobId - Job identifier
+   * @param {string} type - Event type (see JOB_EVENT_TYPES)
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object|null>} Published event or null on failure
+   */
+  async publish(jobId, type, data = {}) {
+    const event = { type, data, timestamp: new Date().toISOString() };
+
+    try {
+      const id = await this.redis.appendToList(this._listKey(jobId), JSON.stringify(event), {
+        ttlSeconds: this.ttlSeconds
+      });
+      const published = { id, ...event };
+      await this.redis.publish(this._channel(jobId), JSON.stringify(published));
+      return published;
+    } catch (error) {
+      this.logger.warn('[job-events] Failed to publish event', { jobId, type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Read recorded events after the given id
+   * @param {string} jobId - Job identifier
+   * @param {number} afterId - Last event id the client has seen
+   * @returns {Promise<Array>} Events in publish order
+   */
+  async getHistory(jobId, afterId = 0) {
+    const start = Math.max(0, Number(afterId) || 0);
+    const entries = await this.redis.readList(this._listKey(jobId), start);
+    return entries.map((entry, index) => ({ id: start + index + 1, ...JSON.parse(entry) }));
+  }
+
+  /**
+   * Receive live events for a job
+   * @param {string} jobId - Job identifier
+   * @param {Function} listener - Called with each published event
+   * @returns {Promise<Function>} Async unsubscribe function
+   */
+  async subscribe(jobId, listener) {
+    return this.redis.subscribe(this._channel(jobId), (message) => {
+      try {
+        listener(JSON.parse(message));
+      } catch (error) {
+        this.logger.warn('[job-events] Dropping malformed event', { jobId, error: error.message });
+      }
+    });
+  }
+
+  _listKey(jobId) {
+    return `job_events:${jobId}`;
+  }
+
+  _channel(jobId) {
+    return `job_events:${jobId}`;
+  }
+}
+
+export function createJobEventsService({ redisClient, logger, ttlSeconds } = {}) {
+  return new JobEventsService({ redisClient, logger, ttlSeconds });
+}
@@ -0,0 +1,278 @@
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+
+/**
+ * Jobs Service - Persists restoration job state in Firestore
+ *
+ * Job documents live in the `jobs` collection keyed by job id and move through
+ * queued → processing → succeeded | failed | cancelled.
+ */
+
+const JOBS_COLLECTION = 'jobs';
+const VARIANT_PREFERENCES_COLLECTION = 'variant_preferences';
+const DEFAULT_PAGE_SIZE = 20;
+
+export const JOB_STATUSES = Object.freeze({
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+const TERMINAL_STATUSES = new Set([
+  JOB_STATUSES.SUCCEEDED,
+  JOB_STATUSES.FAILED,
+  JOB_STATUSES.CANCELLED
+]);
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+export class InvalidCursorError extends Error {
+  constructor(message = 'Cursor is malformed or expired') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+function toDate(value) {
+  return typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the last job's sort key
+ */
+function encodeCursor(job) {
+  const payload = JSON.stringify({ createdAt: toDate(job.createdAt).toISOString(), jobId: job.jobId });
+  return Buffer.from(payload).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { createdAt, jobId } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (typeof jobId !== 'string' || Number.isNaN(date.getTime())) {
+      throw new Error('missing fields');
+    }
+    return { createdAt: date, jobId };
+  } catch {
+    throw new InvalidCursorError();
+  }
+}
+
+export class JobsService {
+  constructor({ firestoreClient, logger } = {}) {
+    if (!firestoreClient) {
+      throw new Error('JobsService requires a firestoreClient');
+    }
+
+    this.firestore = firestoreClient;
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Create a new job document in the queued state
+   * @param {Object} params - Job fields
+   * @param {string} params.jobId - Job identifier
+   * @param {string} params.userId - Owner of the job
+   * @returns {Promise<Object>} Persisted job document
+   */
+  async createJob({ jobId, userId, ...fields }) {
+    const tracer = trace.getTracer('jobs');
+    const span = tracer.startSpan('jobs.createJob', {
+      attributes: {
+        'jobs.job_id': jobId,
+        'jobs.user_id': userId
+      }
+    });
+
+    try {
+      const now = new Date();
+      const job = {
+        ...fields,
+        jobId,
+        userId,
+        status: JOB_STATUSES.QUEUED,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this._doc(jobId).set(job);
+
+      this.logger.info('[jobs] Job created', { jobId, userId });
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      return job;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[jobs] Failed to create job', { jobId, userId, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Load a job document
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Job document or null when missing
+   */
+  async getJob(jobId) {
+    const snapshot = await this._doc(jobId).get();
+    if (!snapshot.exists) {
+      return null;
+    }
+    return { jobId, ...snapshot.data() };
+  }
+
+  /**
+   * Merge fields into an existing job document
+   * @param {string} jobId - Job identifier
+   * @param {Object} patch - Fields to merge
+   * @returns {Promise<Object>} The merged patch including updatedAt
+   */
+  async updateJob(jobId, patch) {
+    const update = { ...patch, updatedAt: new Date() };
+
+    try {
+      await this._doc(jobId).set(update, { merge: true });
+      return update;
+    } catch (error) {
+      this.logger.error('[jobs] Failed to update job', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Make one of a job's stored variants its result. Every choice (including
+   * a changed mind) is also appended to `variant_preferences` for analytics.
+   * @param {Object} job - Succeeded job document with variants
+   * @param {number} variantIndex - Index of the chosen variant
+   * @returns {Promise<Object>} The merged job patch
+   */
+  async selectPreferredVariant(job, variantIndex) {
+    const tracer = trace.getTracer('jobs');
+    const span = tracer.startSpan('jobs.selectPreferredVariant', {
+      attributes: {
+        'jobs.job_id': job.jobId,
+        'jobs.variant_count': job.variants.length,
+        'jobs.preferred_variant': variantIndex
+      }
+    });
+
+    try {
+      const variant = job.variants.find((candidate) => candidate.index === variantIndex);
+      const now = new Date();
+
+      const update = await this.updateJob(job.jobId, {
+        preferredVariant: variantIndex,
+        preferredVariantAt: now,
+        resultObjectName: variant.objectName,
+        resultContentType: variant.contentType
+      });
+      await this.firestore.collection(VARIANT_PREFERENCES_COLLECTION).add({
+        jobId: job.jobId,
+        userId: job.userId,
+        variant: variantIndex,
+        previousVariant: job.preferredVariant ?? null,
+        variantCount: job.variants.length,
+        prompt: variant.prompt ?? null,
+        createdAt: now
+      });
+
+      this.logger.info('[jobs] Preferred variant selected', { jobId: job.jobId, variant: variantIndex });
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      return update;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[jobs] Failed to select preferred variant', { jobId: job.jobId, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * List a user's jobs newest first using keyset pagination
+   * @param {Object} params - Query parameters
+   * @param {string} params.userId - Owner whose jobs to list
+   * @param {string} params.status - Optional status filter
+   * @param {Date} params.createdAfter - Optional inclusive lower bound on createdAt
+   * @param {Date} params.createdBefore - Optional exclusive upper bound on createdAt
+   * @param {string} params.degradationType - Optional detected issue type (e.g. `blur`)
+   * @param {number} params.limit - Page size
+   * @param {string} params.cursor - Opaque cursor from a previous page
+   * @returns {Promise<Object>} { jobs, nextCursor }
+   * @throws {InvalidCursorError} When the cursor cannot be decoded
+   */
+  async listJobs({
+    userId,
+    status,
+    createdAfter,
+    createdBefore,
+    degradationType,
+    limit = DEFAULT_PAGE_SIZE,
+    cursor
+  }) {
+    const tracer = trace.getTracer('jobs');
+    const span = tracer.startSpan('jobs.listJobs', {
+      attributes: {
+        'jobs.user_id': userId,
+        'jobs.page_size': limit,
+        'jobs.has_cursor': Boolean(cursor)
+      }
+    });
+
+    try {
+      let query = this.firestore.collection(JOBS_COLLECTION).where('userId', '==', userId);
+
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+      if (degradationType) {
+        query = query.where('degradationTypes', 'array-contains', degradationType);
+      }
+      if (createdAfter) {
+        query = query.where('createdAt', '>=', createdAfter);
+      }
+      if (createdBefore) {
+        query = query.where('createdAt', '<', createdBefore);
+      }
+
+      // jobId breaks ties between jobs created in the same millisecond
+      query = query.orderBy('createdAt', 'desc').orderBy('jobId', 'desc');
+
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        query = query.startAfter(position.createdAt, position.jobId);
+      }
+
+      // Fetch one extra document to learn whether another page exists
+      const snapshot = await query.limit(limit + 1).get();
+      const jobs = snapshot.docs.slice(0, limit).map((doc) => ({ jobId: doc.id, ...doc.data() }));
+      const nextCursor = snapshot.docs.length > limit ? encodeCursor(jobs[jobs.length - 1]) : null;
+
+      span.setAttribute('jobs.result_count', jobs.length);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return { jobs, nextCursor };
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  _doc(jobId) {
+    return this.firestore.collection(JOBS_COLLECTION).doc(jobId);
+  }
+}
+
+export function createJobsService({ firestoreClient, logger } = {}) {
+  return new JobsService({ firestoreClient, logger });
+}
@@ -0,0 +1,166 @@
+import sharp from 'sharp';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+
+/**
+ * Post-Processor Service - Final size and encoding of restored images
+ *
+ * Preprocessing caps inputs at 2048 px and the provider answers at its own
+ * resolution, so this stage can resample each output back to the original
+ * upload's dimensions, optionally re-adding the original's fine detail.
+ * It then encodes the output as AVIF, WebP, PNG, JPEG or 16-bit TIFF. It is
+ * also used to convert stored results on download when the client's
+ * `Accept` header rules out the stored format.
+ */
+
+export const OUTPUT_FORMATS = Object.freeze({
+  avif: { contentType: 'image/avif', ext: 'avif', lossy: true, defaultQuality: 60 },
+  webp: { contentType: 'image/webp', ext: 'webp', lossy: true, defaultQuality: 85 },
+  jpeg: { contentType: 'image/jpeg', ext: 'jpg', lossy: true, defaultQuality: 90 },
+  png: { contentType: 'image/png', ext: 'png', lossy: false },
+  tiff: { contentType: 'image/tiff', ext: 'tif', lossy: false }
+});
+
+// Bounds memory for huge scans; larger targets keep their aspect ratio at this area
+const MAX_OUTPUT_PIXELS = Number(process.env.RESTORE_MAX_OUTPUT_PIXELS ?? 50_000_000);
+// Share of the original's high-frequency band added back to the upscaled result
+const DETAIL_STRENGTH = 0.6;
+
+const SHARP_FORMATS = { jpeg: 'jpeg', png: 'png', webp: 'webp', heif: 'avif', tiff: 'tiff' };
+
+export function findOutputFormatByContentType(contentType) {
+  return Object.keys(OUTPUT_FORMATS).find((format) => OUTPUT_FORMATS[format].contentType === contentType) ?? null;
+}
+
+function encode(pipeline, format, quality) {
+  switch (format) {
+    case 'avif':
+      return pipeline.avif({ quality });
+    case 'webp':
+      return pipeline.webp({ quality });
+    case 'jpeg':
+      return pipeline.jpeg({ quality, chromaSubsampling: '4:4:4', mozjpeg: true });
+    case 'png':
+      return pipeline.png({ compressionLevel: 9 });
+    case 'tiff':
+      // 16 bits per channel gives archivists editing headroom; deflate keeps it lossless
+      return pipeline.toColourspace('rgb16').tiff({ compression: 'deflate', predictor: 'horizontal' });
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+}
+
+function capToMaxPixels({ width, height }) {
+  const scale = Math.min(1, Math.sqrt(MAX_OUTPUT_PIXELS / (width * height)));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+function roundScale(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Upscale `image` to `size` and add back the detail the provider's resolution
+ * could not carry: the original minus a blur matched to the upscale factor.
+ * @returns {Promise<Buffer>} Raw interleaved sRGB pixels at `size`
+ */
+async function upscaleWithDetail(image, detailSource, { width, height }, scale) {
+  const sigma = Math.max(0.5, scale / 2);
+  const original = sharp(detailSource, { failOnError: false })
+    .rotate()
+    .resize({ width, height, fit: 'fill' })
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb');
+
+  const [base, detail, lowPass] = await Promise.all([
+    sharp(image).resize({ width, height, fit: 'fill' }).flatten({ background: '#ffffff' }).toColourspace('srgb').raw().toBuffer(),
+    original.clone().raw().toBuffer(),
+    original.clone().blur(sigma).raw().toBuffer()
+  ]);
+
+  const output = Buffer.allocUnsafe(base.length);
+  for (let i = 0; i < base.length; i += 1) {
+    const value = base[i] + DETAIL_STRENGTH * (detail[i] - lowPass[i]);
+    output[i] = value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+  }
+  return output;
+}
+
+export class PostProcessorService {
+  constructor({ logger } = {}) {
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Resample and/or re-encode one image
+   * @param {Buffer} image - Restored image in any format sharp can read
+   * @param {Object} output - { format, quality }; keeps the image's own format when null
+   * @param {string} output.format - One of OUTPUT_FORMATS
+   * @param {number} output.quality - 1-100 for lossy formats; the format default when omitted
+   * @param {Object} resample
+   * @param {Object} resample.targetSize - { width, height } to resample to (exactly, aspect ratio included)
+   * @param {Buffer} resample.detailSource - Full-resolution original whose fine detail guides the upscale
+   * @returns {Promise<Object>} { buffer, format, contentType, ext, resolution }; resolution is null without a targetSize
+   */
+  async encode(image, output, { targetSize = null, detailSource = null } = {}) {
+    const tracer = trace.getTracer('postProcessor');
+    const span = tracer.startSpan('postProcessor.encode', {
+      attributes: {
+        'postprocess.input_bytes': image.length,
+        'postprocess.resample': Boolean(targetSize),
+        'postprocess.detail_transfer': Boolean(targetSize && detailSource)
+      }
+    });
+
+    try {
+      const metadata = await sharp(image, { failOnError: false }).metadata();
+      const format = output?.format ?? SHARP_FORMATS[metadata.format] ?? 'png';
+      const spec = OUTPUT_FORMATS[format];
+      if (!spec) {
+        throw new Error(`Unsupported output format: ${format}`);
+      }
+
+      let pipeline = sharp(image, { failOnError: false }).rotate();
+      let resolution = null;
+      if (targetSize) {
+        const size = capToMaxPixels(targetSize);
+        const scaleX = size.width / metadata.width;
+        const scaleY = size.height / metadata.height;
+        resolution = {
+          from: { width: metadata.width, height: metadata.height },
+          to: size,
+          scale: { x: roundScale(scaleX), y: roundScale(scaleY) },
+          detailTransfer: Boolean(detailSource)
+        };
+
+        pipeline = detailSource
+          ? sharp(await upscaleWithDetail(image, detailSource, size, Math.max(scaleX, scaleY)), {
+              raw: { ...size, channels: 3 }
+            })
+          : pipeline.resize({ ...size, fit: 'fill', kernel: 'lanczos3' });
+        span.setAttributes({ 'postprocess.scale_x': resolution.scale.x, 'postprocess.scale_y': resolution.scale.y });
+      }
+
+      const effectiveQuality = spec.lossy ? output?.quality ?? spec.defaultQuality : undefined;
+      const buffer = await encode(pipeline, format, effectiveQuality).toBuffer();
+
+      span.setAttributes({
+        'postprocess.format': format,
+        'postprocess.output_bytes': buffer.length,
+        ...(effectiveQuality !== undefined && { 'postprocess.quality': effectiveQuality })
+      });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return { buffer, format, contentType: spec.contentType, ext: spec.ext, resolution };
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[postProcessor] Post-processing failed', { format: output?.format, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+}
+
+export function createPostProcessorService({ logger } = {}) {
+  return new PostProcessorService({ logger });
+}
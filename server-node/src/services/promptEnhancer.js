@@ -44,10 +44,33 @@ const DEGRADATION_TEMPLATES = {
   }
 };
 
+const FUSION_ISSUE_LABELS = {
+  blur: 'blur',
+  noise: 'noise',
+  lowLight: 'underexposure',
+  compression: 'compression artifacts',
+  scratch: 'scratches and physical damage',
+  fade: 'fading',
+  colorShift: 'color cast'
+};
+
+/**
+ * Extra emphasis appended to variant prompts so repeated runs explore
+ * different trade-offs instead of relying on sampling noise alone.
+ */
+const VARIANT_EMPHASES = [
+  "favor preserving original film grain and fine texture over smoothness",
+  "favor clean, even surfaces while keeping facial and edge detail intact",
+  "favor faithful, restrained color and tonal balance"
+];
+
+const MAX_PROMPT_LENGTH = 1000;
+
 const BASE_INSTRUCTIONS = {
   quality: "Maintain the highest possible image quality and preserve important details",
   naturalness: "Ensure the result looks natural and realistic, avoiding over-processing",
-  preservation: "Preserve the original composition, subject matter, and artistic intent"
+  preservation: "Preserve the original composition, subject matter, and artistic intent",
+  identity: "Keep every face, expression, and body exactly as in the original, and do not add, remove, or move people or objects"
 };
 
 export class PromptEnhancerService {
@@ -115,6 +138,35 @@ export class PromptEnhancerService {
     }
   }
 
+  /**
+   * Derive the prompt for one restoration variant; variant 0 keeps the
+   * enhanced prompt unchanged
+   * @param {string} prompt - Enhanced prompt
+   * @param {number} variantIndex - Zero-based variant number
+   * @returns {string} Prompt for that variant
+   */
+  varyPrompt(prompt, variantIndex) {
+    if (variantIndex === 0) {
+      return prompt;
+    }
+
+    const emphasis = ` Variation: ${VARIANT_EMPHASES[(variantIndex - 1) % VARIANT_EMPHASES.length]}.`;
+    return prompt.substring(0, MAX_PROMPT_LENGTH - emphasis.length) + emphasis;
+  }
+
+  /**
+   * Derive the retry prompt for a result that drifted from the original:
+   * the preservation guidelines lead and the repairs are kept minimal
+   * @param {string} prompt - Enhanced prompt of the drifted attempt
+   * @returns {string} Conservative prompt
+   */
+  conservePrompt(prompt) {
+    const preface =
+      `Strict preservation: ${BASE_INSTRUCTIONS.preservation}. ${BASE_INSTRUCTIONS.identity}. ` +
+      'Apply only the minimal corrections needed for the following and change nothing else.';
+    return `${preface} ${prompt}`.substring(0, MAX_PROMPT_LENGTH);
+  }
+
   /**
    * Identify top degradation issues that need addressing
    */
@@ -170,6 +222,10 @@ export class PromptEnhancerService {
       parts.push(`User request: ${userPrompt.trim()}.`);
     }
 
+    if (options.fusionInputs?.length > 1) {
+      parts.push(this._buildFusionGuidance(options.fusionInputs));
+    }
+
     // Add technical restoration instructions
     if (degradationInstructions.length > 0) {
       const technicalInstructions = degradationInstructions.join(', ');
@@ -196,7 +252,7 @@ export class PromptEnhancerService {
     let prompt = parts.join(' ');
 
     // Ensure prompt isn't too long (Gemini has token limits)
-    if (prompt.length > 1000) {
+    if (prompt.length > MAX_PROMPT_LENGTH) {
       prompt = prompt.substring(0, 950) + '...';
       this.logger.warn('[prompt-enhancer] Prompt truncated due to length', { originalLength: parts.join(' ').length });
     }
@@ -204,6 +260,33 @@ export class PromptEnhancerService {
     return prompt;
   }
 
+  /**
+   * Tell the model which input to draw from for each problem seen in any of
+   * the fused photos. Images are numbered from 1 in the order supplied.
+   */
+  _buildFusionGuidance(analyses) {
+    const threshold = 0.3;
+    const preferences = [];
+
+    for (const type of Object.keys(analyses[0])) {
+      const scores = analyses.map((analysis) => analysis[type]);
+      if (Math.max(...scores) <= threshold) {
+        continue;
+      }
+      const best = scores.indexOf(Math.min(...scores));
+      preferences.push(`image ${best + 1} has the least ${FUSION_ISSUE_LABELS[type] ?? type}`);
+    }
+
+    const guidance = [
+      `These ${analyses.length} photos show the same subject.`,
+      'Combine them into a single restored photo, taking each region from the photo where it is best preserved and aligning to the composition of image 1.'
+    ];
+    if (preferences.length > 0) {
+      guidance.push(`Prefer: ${preferences.join('; ')}.`);
+    }
+    return guidance.join(' ');
+  }
+
   /**
    * Get available degradation templates for reference
    */
@@ -0,0 +1,114 @@
+import sharp from 'sharp';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+
+/**
+ * Rendition Service - Responsive derivatives of a restored image
+ *
+ * Produces one image per configured width and format so clients can build
+ * `srcset` without downloading the full result. Widths are upper bounds:
+ * results are never enlarged, and a result narrower than a configured width
+ * is rendered once at its own width.
+ */
+
+// AVIF effort 2 is ~6x faster than the default for a few percent more bytes
+const FORMATS = Object.freeze({
+  webp: { contentType: 'image/webp', encode: (pipeline) => pipeline.webp({ quality: 80 }) },
+  avif: { contentType: 'image/avif', encode: (pipeline) => pipeline.avif({ quality: 55, effort: 2 }) }
+});
+
+const DEFAULT_WIDTHS = [256, 768, 1600];
+const DEFAULT_FORMATS = ['webp', 'avif'];
+
+function parseList(value) {
+  return value
+    ?.split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read `RENDITION_WIDTHS` / `RENDITION_FORMATS` (comma separated)
+ * @throws {Error} When a width is not a positive integer or a format is unsupported
+ */
+export function resolveRenditionConfig(env = process.env) {
+  const widths = parseList(env.RENDITION_WIDTHS)?.map(Number) ?? DEFAULT_WIDTHS;
+  const formats = parseList(env.RENDITION_FORMATS)?.map((format) => format.toLowerCase()) ?? DEFAULT_FORMATS;
+
+  const badWidth = widths.find((width) => !Number.isInteger(width) || width <= 0);
+  if (badWidth !== undefined) {
+    throw new Error(`RENDITION_WIDTHS contains an invalid width: ${badWidth}`);
+  }
+  const badFormat = formats.find((format) => !FORMATS[format]);
+  if (badFormat) {
+    throw new Error(`RENDITION_FORMATS contains an unsupported format: ${badFormat}`);
+  }
+
+  return { widths: [...new Set(widths)].sort((a, b) => a - b), formats: [...new Set(formats)] };
+}
+
+export class RenditionService {
+  constructor({ widths = DEFAULT_WIDTHS, formats = DEFAULT_FORMATS, logger } = {}) {
+    this.widths = widths;
+    this.formats = formats;
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Render every configured width in every configured format
+   * @param {Buffer} image - Restored image
+   * @returns {Promise<Array<Object>>} { width, height, format, contentType, ext, buffer }, by format then width
+   */
+  async render(image) {
+    const tracer = trace.getTracer('renditions');
+    const span = tracer.startSpan('renditions.render', {
+      attributes: {
+        'rendition.widths': this.widths.join(','),
+        'rendition.formats': this.formats.join(',')
+      }
+    });
+
+    try {
+      const startTime = Date.now();
+      const { width: sourceWidth } = await sharp(image).metadata();
+      const targetWidths = [...new Set(this.widths.map((width) => Math.min(width, sourceWidth)))];
+
+      const renditions = [];
+      // Sequential on purpose: AVIF encoding is CPU-bound and the worker shares the host
+      for (const format of this.formats) {
+        for (const width of targetWidths) {
+          const { data, info } = await FORMATS[format]
+            .encode(sharp(image).rotate().resize({ width, withoutEnlargement: true }))
+            .toBuffer({ resolveWithObject: true });
+
+          renditions.push({
+            width: info.width,
+            height: info.height,
+            format,
+            contentType: FORMATS[format].contentType,
+            ext: format,
+            buffer: data
+          });
+        }
+      }
+
+      span.setAttributes({
+        'rendition.count': renditions.length,
+        'rendition.total_bytes': renditions.reduce((total, rendition) => total + rendition.buffer.length, 0),
+        'rendition.duration_ms': Date.now() - startTime
+      });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return renditions;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[renditions] Rendering failed', { error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+}
+
+export function createRenditionService({ logger } = {}) {
+  return new RenditionService({ ...resolveRenditionConfig(), logger });
+}
@@ -0,0 +1,129 @@
+import { createHash } from 'crypto';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { getLifecycleRules } from '../clients/gcsClient.js';
+
+/**
+ * Restoration Cache Service - Content-addressed index of finished restorations
+ *
+ * Entries (`restoration_cache/{key}`) map the SHA-256 of each preprocessed
+ * input plus the prompt and options to the job that produced the result, so
+ * an identical resubmission can reuse the stored output. Keys include the
+ * user id: results are only ever shared with the user who paid for them.
+ */
+
+const CACHE_COLLECTION = 'restoration_cache';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 of a buffer as lowercase hex
+ * @param {Buffer} buffer - Content to hash
+ * @returns {string} Hex digest
+ */
+export function hashContent(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => [key, canonicalize(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Derive the cache key for a restoration request
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the request
+ * @param {Array<string>} params.inputHashes - hashContent of each input, in order
+ * @param {string|null} params.prompt - User prompt
+ * @param {Object} params.options - Any other request options that change the output
+ * @returns {string} Hex key
+ */
+export function buildCacheKey({ userId, inputHashes, prompt = null, options = {} }) {
+  const material = JSON.stringify(canonicalize({ userId, inputHashes, prompt: prompt ?? null, options }));
+  return hashContent(Buffer.from(material));
+}
+
+export class RestorationCacheService {
+  constructor({ firestoreClient, logger } = {}) {
+    if (!firestoreClient) {
+      throw new Error('RestorationCacheService requires a firestoreClient');
+    }
+
+    this.firestore = firestoreClient;
+    this.logger = logger ?? console;
+  }
+
+  /**
+   * Find a reusable result
+   * @param {string} cacheKey - Key from buildCacheKey
+   * @param {Object} options
+   * @param {Date} options.now - Reference time for the expiry check
+   * @returns {Promise<Object|null>} Cache entry, or null on a miss
+   */
+  async lookup(cacheKey, { now = new Date() } = {}) {
+    const tracer = trace.getTracer('restoration-cache');
+    const span = tracer.startSpan('restorationCache.lookup', {
+      attributes: { 'cache.key': cacheKey }
+    });
+
+    try {
+      const snapshot = await this._doc(cacheKey).get();
+      const entry = snapshot.exists ? snapshot.data() : null;
+      const hit = Boolean(entry) && !this._isExpired(entry, now);
+
+      span.setAttribute('cache.hit', hit);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return hit ? { cacheKey, ...entry } : null;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      this.logger.error('[restoration-cache] Lookup failed', { cacheKey, error: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Record a finished restoration under its key, replacing any older entry
+   * @param {string} cacheKey - Key from buildCacheKey
+   * @param {Object} entry - sourceJobId, userId, resultObjectName, resultContentType and result details
+   * @returns {Promise<Object>} Stored entry
+   */
+  async remember(cacheKey, entry) {
+    const record = { ...entry, createdAt: new Date() };
+    await this._doc(cacheKey).set(record);
+    this.logger.info('[restoration-cache] Result cached', { cacheKey, sourceJobId: entry.sourceJobId });
+    return record;
+  }
+
+  /**
+   * Entries outlive nothing they point at: once the result object is due for
+   * lifecycle deletion (less a day of slack) the entry counts as a miss.
+   */
+  _isExpired(entry, now) {
+    const rule = getLifecycleRules().find(({ prefix }) => prefix === 'restored/');
+    if (!rule) {
+      return false;
+    }
+    const createdAt = typeof entry.createdAt?.toDate === 'function' ? entry.createdAt.toDate() : new Date(entry.createdAt);
+    return now.getTime() - createdAt.getTime() > (rule.ageDays - 1) * DAY_MS;
+  }
+
+  _doc(cacheKey) {
+    return this.firestore.collection(CACHE_COLLECTION).doc(cacheKey);
+  }
+}
+
+export function createRestorationCacheService({ firestoreClient, logger } = {}) {
+  return new RestorationCacheService({ firestoreClient, logger });
+}
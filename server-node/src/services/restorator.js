@@ -1,128 +1,338 @@
 import { trace, context, SpanStatusCode } from '@opentelemetry/api';
 import pLimit from 'p-limit';
+import sharp from 'sharp';
 import { createClassifierService } from './classifier.js';
 import { createPromptEnhancerService } from './promptEnhancer.js';
+import { createPostProcessorService } from './postProcessor.js';
+import { planTiles } from '../utils/tiling.js';
+import { compareImages, compareStructure } from '../utils/imageQuality.js';
 
 /**
  * Restorator Service - Orchestrates the complete image restoration workflow
  * 
- * Workflow: Image → Classification → Prompt Enhancement → AI Restoration → Result
+ * Workflow: Image → Classification → Prompt Enhancement → AI Restoration → Fidelity Guard → Quality Metrics → Post-Processing → Result
  * Includes retry logic, cost tracking, and comprehensive error handling
  */
 
 const BATCH_REQUEST_DELAY_MS = Number(process.env.RESTORATION_BATCH_DELAY_MS ?? 0);
 const BATCH_CONCURRENCY = Math.max(1, Number(process.env.RESTORATION_BATCH_CONCURRENCY ?? 3));
 
+// Gemini accepts up to three reference images per restoration call
+export const MAX_FUSION_INPUTS = 3;
+
+// Each variant is a separate billed provider call
+export const MAX_VARIANTS = 4;
+
+// Structural similarity (0-1) an output needs to count as the same photo;
+// 0 turns the identity-drift guard off
+export const FIDELITY_FLOOR = Number(process.env.FIDELITY_FLOOR ?? 0.65);
+// Conservative re-runs per drifting output before it is flagged low fidelity
+const FIDELITY_RETRIES = Math.max(0, Number(process.env.FIDELITY_RETRIES ?? 1));
+
+// Surroundings sent with a masked region so the model sees its context
+const MASK_CONTEXT_FRACTION = 0.25;
+const MASK_CONTEXT_MIN_PX = 32;
+// Masked regions are sent at most at the preprocessed input size
+const MASK_REGION_MAX_DIMENSION = 2048;
+
+/**
+ * Degradation left after fusing inputs: each region can come from the input
+ * where it is best preserved, so take the lowest score per type.
+ */
+function combineDegradation(analyses) {
+  const combined = {};
+  for (const type of Object.keys(analyses[0])) {
+    combined[type] = Math.min(...analyses.map((analysis) => analysis[type]));
+  }
+  return combined;
+}
+
+/**
+ * Total a numeric provider metric across variant calls; undefined when no
+ * call reported it
+ */
+function sumMetric(outputs, key) {
+  const values = outputs.map((output) => output.metadata?.[key]).filter(Number.isFinite);
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) : undefined;
+}
+
+/**
+ * Alpha ramp over the overlap with the left and upper neighbours. Tiles are
+ * composited row-major with `over`, so each ramp cross-fades from what is
+ * already on the canvas to this tile.
+ */
+function featherMask({ width, height }, { overlapLeft, overlapTop }) {
+  const mask = Buffer.alloc(width * height, 255);
+  for (let y = 0; y < height; y += 1) {
+    const alphaY = y < overlapTop ? (y + 0.5) / overlapTop : 1;
+    const rampEnd = alphaY < 1 ? width : Math.min(overlapLeft, width);
+    for (let x = 0; x < rampEnd; x += 1) {
+      const alphaX = x < overlapLeft ? (x + 0.5) / overlapLeft : 1;
+      mask[y * width + x] = Math.round(255 * alphaX * alphaY);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Bounding box of the non-zero mask pixels, grown by some context on every
+ * side and clamped to the image
+ */
+function maskRegion(mask, { width, height }) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (mask[y * width + x] === 0) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+  if (right < 0) {
+    return null;
+  }
+
+  const marginX = Math.max(MASK_CONTEXT_MIN_PX, Math.round((right - left + 1) * MASK_CONTEXT_FRACTION));
+  const marginY = Math.max(MASK_CONTEXT_MIN_PX, Math.round((bottom - top + 1) * MASK_CONTEXT_FRACTION));
+  const regionLeft = Math.max(0, left - marginX);
+  const regionTop = Math.max(0, top - marginY);
+  return {
+    left: regionLeft,
+    top: regionTop,
+    width: Math.min(width, right + 1 + marginX) - regionLeft,
+    height: Math.min(height, bottom + 1 + marginY) - regionTop
+  };
+}
+
+function toIssues(degradation) {
+  return Object.entries(degradation)
+    .filter(([_, score]) => score > 0.3)
+    .map(([type, score]) => ({ type, confidence: score }));
+}
+
 export class RestoratorService {
-  constructor({ geminiClient, logger } = {}) {
+  constructor({ geminiClient, logger, fidelityFloor = FIDELITY_FLOOR, fidelityRetries = FIDELITY_RETRIES } = {}) {
     if (!geminiClient) {
       throw new Error('RestoratorService requires a geminiClient');
     }
     
     this.geminiClient = geminiClient;
     this.logger = logger ?? console;
+    this.fidelityFloor = fidelityFloor;
+    this.fidelityRetries = fidelityRetries;
     this.classifier = createClassifierService({ logger });
     this.promptEnhancer = createPromptEnhancerService({ logger });
+    this.postProcessor = createPostProcessorService({ logger });
   }
 
   /**
    * Restore an image using the complete AI-powered workflow
    * @param {Object} params - Restoration parameters
    * @param {Buffer} params.imageBuffer - Input image buffer
+   * @param {Array<Buffer>} params.imageBuffers - 2-3 photos of the same subject to fuse (instead of imageBuffer)
    * @param {string} params.userPrompt - Optional user prompt
    * @param {Object} params.userContext - User context (userId, etc.)
    * @param {Object} params.options - Additional options
+   * @param {number} params.options.variants - Number of provider calls to make, 1-4 (default 1)
+   * @param {boolean} params.options.promptJitter - Vary the prompt per variant instead of reusing it
+   * @param {Object} params.options.output - { format, quality } to re-encode every output in; provider encoding when omitted
+   * @param {Object} params.options.targetSize - { width, height } to resample every output to, usually the original upload's
+   * @param {Buffer} params.options.detailSource - Full-resolution original used to restore fine detail when resampling
+   * @param {Function} params.onProgress - Optional callback receiving each stage event name and attributes
+   * @param {AbortSignal} params.signal - Optional signal; checked before classification and before the Gemini call
    * @returns {Promise<Object>} Restoration result with metadata
    */
-  async restore({ imageBuffer, userPrompt, userContext, options = {} }) {
+  async restore({ imageBuffer, imageBuffers, userPrompt, userContext, options = {}, onProgress, signal }) {
+    const inputs = imageBuffers ?? [imageBuffer];
+    const fusion = inputs.length > 1;
+    const variantCount = options.variants ?? 1;
     const tracer = trace.getTracer('restorator');
     const span = tracer.startSpan('restorator.restore', {
       attributes: {
         'restoration.user_id': userContext?.userId || 'anonymous',
         'restoration.has_user_prompt': !!userPrompt,
-        'restoration.image_size_bytes': imageBuffer.length
+        'restoration.image_size_bytes': inputs.reduce((total, buffer) => total + (buffer?.length ?? 0), 0),
+        'restoration.input_count': inputs.length,
+        'restoration.variant_count': variantCount
       }
     });
 
     const startTime = Date.now();
     const timings = {};
+    // The step under way, reported as the failure stage if it throws
+    let stage = 'CLASSIFICATION';
 
     try {
       this.logger.info('[restorator] Starting restoration workflow', {
         userId: userContext?.userId,
-        imageSize: imageBuffer.length,
+        imageSize: inputs[0]?.length,
+        inputCount: inputs.length,
         hasUserPrompt: !!userPrompt
       });
 
-      // Step 1: Classify image degradation
+      if (inputs.length === 0 || inputs.length > MAX_FUSION_INPUTS || !inputs.every(Buffer.isBuffer)) {
+        throw new Error(`Invalid input: expected 1-${MAX_FUSION_INPUTS} image buffers`);
+      }
+      if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_VARIANTS) {
+        throw new Error(`Invalid input: variants must be an integer from 1 to ${MAX_VARIANTS}`);
+      }
+
+      this._throwIfCancelled(signal);
+
+      // Step 1: Classify image degradation (each input separately when fusing)
       const classifyStart = Date.now();
-      const degradation = await context.with(trace.setSpan(context.active(), span), () =>
-        this.classifier.analyze(imageBuffer)
-      );
+      const analyses = [];
+      for (const buffer of inputs) {
+        analyses.push(
+          await context.with(trace.setSpan(context.active(), span), () => this.classifier.analyze(buffer))
+        );
+      }
+      const degradation = fusion ? combineDegradation(analyses) : analyses[0];
       timings.classify_ms = Date.now() - classifyStart;
 
-      span.addEvent('classification_complete', {
+      this._recordStage(span, onProgress, 'classification_complete', {
         'classification.duration_ms': timings.classify_ms,
         'classification.issues_detected': Object.entries(degradation)
           .filter(([_, score]) => score > 0.3).length
       });
 
       // Step 2: Enhance prompt based on degradation analysis
+      stage = 'PROMPT_ENHANCEMENT';
       const promptStart = Date.now();
       const enhancedPrompt = await context.with(trace.setSpan(context.active(), span), () =>
         this.promptEnhancer.enhance({
           degradation,
           userPrompt,
-          options
+          options: fusion ? { ...options, fusionInputs: analyses } : options
         })
       );
       timings.prompt_ms = Date.now() - promptStart;
 
-      span.addEvent('prompt_enhancement_complete', {
+      this._recordStage(span, onProgress, 'prompt_enhancement_complete', {
         'prompt.duration_ms': timings.prompt_ms,
         'prompt.final_length': enhancedPrompt.length
       });
 
-      // Step 3: Perform AI restoration
+      // Last point where cancelling avoids a billed provider call
+      stage = 'AI_RESTORATION';
+      this._throwIfCancelled(signal);
+
+      // Step 3: Perform AI restoration, once per requested variant
       const restoreStart = Date.now();
-      const restorationResult = await context.with(trace.setSpan(context.active(), span), () =>
-        this.geminiClient.restoreImage({
-          prompt: enhancedPrompt,
-          images: [imageBuffer],
-          userContext
-        })
+      const variantPrompts = Array.from({ length: variantCount }, (_, index) =>
+        options.promptJitter ? this.promptEnhancer.varyPrompt(enhancedPrompt, index) : enhancedPrompt
       );
+      const outputs = [];
+      for (const [index, prompt] of variantPrompts.entries()) {
+        if (index > 0) {
+          this._throwIfCancelled(signal);
+        }
+        outputs.push(
+          await context.with(trace.setSpan(context.active(), span), () =>
+            this.geminiClient.restoreImage({
+              prompt,
+              images: inputs,
+              userContext
+            })
+          )
+        );
+      }
       timings.restore_ms = Date.now() - restoreStart;
 
       // Calculate total time
       timings.total_ms = Date.now() - startTime;
 
-      span.addEvent('restoration_complete', {
+      this._recordStage(span, onProgress, 'restoration_complete', {
         'restoration.duration_ms': timings.restore_ms,
         'restoration.total_duration_ms': timings.total_ms
       });
 
+      // Step 4: Measure what the provider changed
+      stage = 'QUALITY_METRICS';
+      const measured = await this._measureQuality(inputs[0], outputs[0].base64Image, { span, timings, startTime });
+
+      // Step 5: Retry outputs that drifted from the (first) input with a conservative prompt
+      stage = 'FIDELITY_CHECK';
+      const guarded = await this._guardFidelity(inputs[0], outputs, {
+        prompts: variantPrompts,
+        images: inputs,
+        userContext,
+        span,
+        onProgress,
+        signal,
+        timings,
+        startTime
+      });
+      const [restorationResult] = guarded.outputs;
+      const providerCalls = [...outputs, ...guarded.retries];
+      const estimatedCostUsd = sumMetric(providerCalls, 'estimatedCostUsd');
+      // A conservative retry replaced the primary output; describe the one delivered
+      const quality =
+        restorationResult === outputs[0]
+          ? measured
+          : await this._measureQuality(inputs[0], restorationResult.base64Image, { span, timings, startTime });
+
+      // Step 6: Resample to the original resolution and/or re-encode every output
+      stage = 'POST_PROCESSING';
+      const { images: restoredImages, resolution } = await this._postProcess(
+        guarded.outputs.map((output) => output.base64Image),
+        options,
+        { span, onProgress, timings, startTime }
+      );
+
       // Prepare final result
       const result = {
         success: true,
-        restoredImage: restorationResult.base64Image,
+        restoredImage: restoredImages[0],
         degradationAnalysis: degradation,
-        enhancedPrompt,
+        // The conservative prompt when a retry replaced the primary output
+        enhancedPrompt: guarded.prompts[0],
         timings,
         metadata: {
           providerRequestId: restorationResult.metadata.providerRequestId,
-          estimatedCostUsd: restorationResult.metadata.estimatedCostUsd,
-          billedTokens: restorationResult.metadata.billedTokens,
+          estimatedCostUsd,
+          billedTokens: sumMetric(providerCalls, 'billedTokens'),
           processingTime: timings.total_ms,
-          classificationIssues: Object.entries(degradation)
-            .filter(([_, score]) => score > 0.3)
-            .map(([type, score]) => ({ type, confidence: score }))
+          classificationIssues: toIssues(degradation),
+          ...(options.output && { output: { format: options.output.format, quality: options.output.quality ?? null } }),
+          ...(resolution && { resolution }),
+          ...(quality && { quality }),
+          ...(guarded.fidelity && { fidelity: guarded.fidelity })
         }
       };
 
+      if (variantCount > 1) {
+        result.variants = restoredImages.map((restoredImage, index) => ({
+          index,
+          restoredImage,
+          ...((options.promptJitter || guarded.checks[index]?.conservativePrompt) && { prompt: guarded.prompts[index] })
+        }));
+        result.metadata.variants = guarded.outputs.map((output, index) => ({
+          index,
+          providerRequestId: output.metadata.providerRequestId,
+          estimatedCostUsd: output.metadata.estimatedCostUsd,
+          ...(guarded.checks[index] && { fidelity: guarded.checks[index] })
+        }));
+      }
+
+      if (fusion) {
+        result.metadata.fusion = {
+          inputCount: inputs.length,
+          inputs: analyses.map((analysis, index) => ({
+            index,
+            degradation: analysis,
+            issues: toIssues(analysis)
+          }))
+        };
+      }
+
       span.setAttributes({
         'restoration.success': true,
-        'restoration.cost_usd': restorationResult.metadata.estimatedCostUsd || 0,
+        'restoration.cost_usd': estimatedCostUsd || 0,
         'restoration.provider_request_id': restorationResult.metadata.providerRequestId || 'unknown',
         'restoration.total_duration_ms': timings.total_ms
       });
@@ -130,7 +340,7 @@ export class RestoratorService {
       this.logger.info('[restorator] Restoration completed successfully', {
         userId: userContext?.userId,
         timings,
-        costUsd: restorationResult.metadata.estimatedCostUsd,
+        costUsd: estimatedCostUsd,
         providerRequestId: restorationResult.metadata.providerRequestId,
         issuesDetected: result.metadata.classificationIssues.length
       });
@@ -139,33 +349,363 @@ export class RestoratorService {
       return result;
 
     } catch (error) {
+      return this._failureResult(error, { span, timings, startTime, userContext, stage });
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Restore a large scan tile by tile at native resolution instead of
+   * shrinking it. The downsized guide image is classified once and yields a
+   * single prompt shared by every tile, so exposure and colour stay
+   * consistent across the scan; each tile is still classified for its own
+   * metadata. Restored tiles are feather-blended across their overlaps.
+   * @param {Object} params - Restoration parameters
+   * @param {Buffer} params.imageBuffer - Full-resolution source image
+   * @param {Buffer} params.guideBuffer - Downsized copy of the whole image for the global classification
+   * @param {string} params.userPrompt - Optional user prompt
+   * @param {Object} params.userContext - User context (userId, etc.)
+   * @param {Object} params.options - `tileSize` and `overlap`, plus `output` as for restore()
+   * @param {Function} params.onProgress - Receives the usual stages plus one `tile_complete` per tile
+   * @param {AbortSignal} params.signal - Optional signal; checked before every tile's Gemini call
+   * @returns {Promise<Object>} Restoration result shaped like restore(), with metadata.tiling
+   */
+  async restoreTiled({ imageBuffer, guideBuffer, userPrompt, userContext, options = {}, onProgress, signal }) {
+    const tracer = trace.getTracer('restorator');
+    const span = tracer.startSpan('restorator.restoreTiled', {
+      attributes: {
+        'restoration.user_id': userContext?.userId || 'anonymous',
+        'restoration.has_user_prompt': !!userPrompt,
+        'restoration.image_size_bytes': imageBuffer?.length ?? 0
+      }
+    });
+
+    const startTime = Date.now();
+    const timings = {};
+    let stage = 'CLASSIFICATION';
+
+    try {
+      if (!Buffer.isBuffer(imageBuffer) || !Buffer.isBuffer(guideBuffer)) {
+        throw new Error('Invalid input: tiled restoration needs the source and guide image buffers');
+      }
+
+      this._throwIfCancelled(signal);
+
+      // Decode once; every tile is cut from these pixels
+      const { data: pixels, info } = await sharp(imageBuffer, { failOnError: false })
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const { width, height } = info;
+      const plan = planTiles({ width, height }, { tileSize: options.tileSize, overlap: options.overlap });
+
+      span.setAttributes({
+        'restoration.image_width': width,
+        'restoration.image_height': height,
+        'restoration.tile_count': plan.tiles.length
+      });
+      this.logger.info('[restorator] Starting tiled restoration', {
+        userId: userContext?.userId,
+        width,
+        height,
+        tileCount: plan.tiles.length
+      });
+
+      // Step 1: Classify the whole image once
+      const classifyStart = Date.now();
+      const degradation = await context.with(trace.setSpan(context.active(), span), () =>
+        this.classifier.analyze(guideBuffer)
+      );
+      timings.classify_ms = Date.now() - classifyStart;
+
+      this._recordStage(span, onProgress, 'classification_complete', {
+        'classification.duration_ms': timings.classify_ms,
+        'classification.issues_detected': toIssues(degradation).length
+      });
+
+      // Step 2: One prompt for every tile
+      stage = 'PROMPT_ENHANCEMENT';
+      const promptStart = Date.now();
+      const enhancedPrompt = await context.with(trace.setSpan(context.active(), span), () =>
+        this.promptEnhancer.enhance({ degradation, userPrompt, options })
+      );
+      timings.prompt_ms = Date.now() - promptStart;
+
+      this._recordStage(span, onProgress, 'prompt_enhancement_complete', {
+        'prompt.duration_ms': timings.prompt_ms,
+        'prompt.final_length': enhancedPrompt.length
+      });
+
+      // Step 3: Restore each tile, then blend
+      stage = 'AI_RESTORATION';
+      const restoreStart = Date.now();
+      const layers = [];
+      const tiles = [];
+      const outputs = [];
+      for (const tile of plan.tiles) {
+        this._throwIfCancelled(signal);
+
+        const region = { left: tile.left, top: tile.top, width: tile.width, height: tile.height };
+        const tileBuffer = await sharp(pixels, { raw: { width, height, channels: info.channels } })
+          .extract(region)
+          .jpeg({ quality: 95, chromaSubsampling: '4:4:4' })
+          .toBuffer();
+        const tileDegradation = await context.with(trace.setSpan(context.active(), span), () =>
+          this.classifier.analyze(tileBuffer)
+        );
+        const output = await context.with(trace.setSpan(context.active(), span), () =>
+          this.geminiClient.restoreImage({ prompt: enhancedPrompt, images: [tileBuffer], userContext })
+        );
+        outputs.push(output);
+
+        const left = plan.tiles[tile.index - 1];
+        const above = plan.tiles[tile.index - plan.columns];
+        const mask = featherMask(tile, {
+          overlapLeft: tile.column > 0 ? left.left + left.width - tile.left : 0,
+          overlapTop: tile.row > 0 ? above.top + above.height - tile.top : 0
+        });
+        layers.push({
+          input: await sharp(Buffer.from(output.base64Image, 'base64'))
+            .resize({ width: tile.width, height: tile.height, fit: 'fill' })
+            .flatten({ background: '#ffffff' })
+            .toColourspace('srgb')
+            .joinChannel(mask, { raw: { width: tile.width, height: tile.height, channels: 1 } })
+            .raw()
+            .toBuffer(),
+          raw: { width: tile.width, height: tile.height, channels: 4 },
+          left: tile.left,
+          top: tile.top
+        });
+        tiles.push({
+          ...tile,
+          issues: toIssues(tileDegradation),
+          providerRequestId: output.metadata.providerRequestId
+        });
+
+        this._recordStage(span, onProgress, 'tile_complete', {
+          'tile.index': tile.index,
+          'tile.count': plan.tiles.length,
+          'tile.row': tile.row,
+          'tile.column': tile.column
+        });
+      }
+
+      const blendStart = Date.now();
+      const blended = await sharp({ create: { width, height, channels: 3, background: '#000000' } })
+        .composite(layers)
+        .removeAlpha()
+        .png()
+        .toBuffer();
+      timings.blend_ms = Date.now() - blendStart;
+      timings.restore_ms = Date.now() - restoreStart;
       timings.total_ms = Date.now() - startTime;
 
-      span.recordException(error);
-      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      const estimatedCostUsd = sumMetric(outputs, 'estimatedCostUsd');
+      this._recordStage(span, onProgress, 'restoration_complete', {
+        'restoration.duration_ms': timings.restore_ms,
+        'restoration.total_duration_ms': timings.total_ms
+      });
 
-      this.logger.error('[restorator] Restoration failed', {
+      stage = 'QUALITY_METRICS';
+      const quality = await this._measureQuality(imageBuffer, blended.toString('base64'), { span, timings, startTime });
+
+      // Flag drift only: a conservative retry would mean re-running every tile
+      stage = 'FIDELITY_CHECK';
+      const { fidelity } = await this._guardFidelity(imageBuffer, [{ base64Image: blended.toString('base64') }], {
+        userContext,
+        span,
+        onProgress,
+        signal,
+        timings,
+        startTime,
+        maxRetries: 0
+      });
+
+      // Step 4: Re-encode as requested; the blend is already at full size
+      stage = 'POST_PROCESSING';
+      const { images: restoredImages } = await this._postProcess(
+        [blended.toString('base64')],
+        { output: options.output },
+        { span, onProgress, timings, startTime }
+      );
+
+      span.setAttributes({
+        'restoration.success': true,
+        'restoration.cost_usd': estimatedCostUsd || 0,
+        'restoration.total_duration_ms': timings.total_ms
+      });
+      this.logger.info('[restorator] Tiled restoration completed successfully', {
         userId: userContext?.userId,
-        error: error.message,
+        tileCount: plan.tiles.length,
         timings,
-        stack: error.stack
+        costUsd: estimatedCostUsd
       });
 
-      // Return structured error result
+      span.setStatus({ code: SpanStatusCode.OK });
       return {
-        success: false,
-        error: {
-          message: error.message,
-          code: error.code || 'RESTORATION_FAILED',
-          type: this._classifyError(error)
-        },
+        success: true,
+        restoredImage: restoredImages[0],
+        degradationAnalysis: degradation,
+        enhancedPrompt,
         timings,
         metadata: {
+          providerRequestId: outputs[0].metadata.providerRequestId,
+          estimatedCostUsd,
+          billedTokens: sumMetric(outputs, 'billedTokens'),
           processingTime: timings.total_ms,
-          failureStage: this._determineFailureStage(timings)
+          classificationIssues: toIssues(degradation),
+          ...(options.output && { output: { format: options.output.format, quality: options.output.quality ?? null } }),
+          ...(quality && { quality }),
+          ...(fidelity && { fidelity }),
+          tiling: {
+            width,
+            height,
+            columns: plan.columns,
+            rows: plan.rows,
+            tileSize: plan.tileSize,
+            overlap: plan.overlap,
+            tileCount: plan.tiles.length,
+            tiles
+          }
         }
       };
+    } catch (error) {
+      return this._failureResult(error, { span, timings, startTime, userContext, stage });
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Restore only the region selected by a mask. The mask's bounding box, with
+   * some surrounding context, is cut from the full-resolution source and
+   * restored through restore(); the result is composited back over the
+   * source through the mask, so unselected pixels stay exactly as uploaded.
+   * @param {Object} params - Restoration parameters
+   * @param {Buffer} params.imageBuffer - Full-resolution source image
+   * @param {Buffer} params.maskBuffer - Single-channel mask at the source's displayed size (non-zero = restore)
+   * @param {string} params.userPrompt - Optional user prompt
+   * @param {Object} params.userContext - User context (userId, etc.)
+   * @param {Object} params.options - `output` as for restore()
+   * @param {Function} params.onProgress - Optional callback receiving each stage event name and attributes
+   * @param {AbortSignal} params.signal - Optional signal, passed on to restore()
+   * @returns {Promise<Object>} Restoration result shaped like restore(), with metadata.mask
+   */
+  async restoreMasked({ imageBuffer, maskBuffer, userPrompt, userContext, options = {}, onProgress, signal }) {
+    const tracer = trace.getTracer('restorator');
+    const span = tracer.startSpan('restorator.restoreMasked', {
+      attributes: {
+        'restoration.user_id': userContext?.userId || 'anonymous',
+        'restoration.has_user_prompt': !!userPrompt,
+        'restoration.image_size_bytes': imageBuffer?.length ?? 0
+      }
+    });
+
+    const startTime = Date.now();
+    const timings = {};
+    let stage = 'CLASSIFICATION';
+
+    try {
+      if (!Buffer.isBuffer(imageBuffer) || !Buffer.isBuffer(maskBuffer)) {
+        throw new Error('Invalid input: masked restoration needs the source and mask image buffers');
+      }
+
+      const { data: pixels, info } = await sharp(imageBuffer, { failOnError: false })
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const { width, height } = info;
+      const mask = await sharp(maskBuffer)
+        .resize({ width, height, fit: 'fill' })
+        .extractChannel(0)
+        .raw()
+        .toBuffer();
+      const region = maskRegion(mask, { width, height });
+      if (!region) {
+        throw new Error('Invalid input: the mask does not select any pixels');
+      }
+
+      span.setAttributes({
+        'restoration.image_width': width,
+        'restoration.image_height': height,
+        'restoration.mask_region_width': region.width,
+        'restoration.mask_region_height': region.height
+      });
+
+      const regionBuffer = await sharp(pixels, { raw: { width, height, channels: info.channels } })
+        .extract(region)
+        .resize({ width: MASK_REGION_MAX_DIMENSION, height: MASK_REGION_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 95, chromaSubsampling: '4:4:4' })
+        .toBuffer();
 
+      const restored = await context.with(trace.setSpan(context.active(), span), () =>
+        this.restore({ imageBuffer: regionBuffer, userPrompt, userContext, onProgress, signal })
+      );
+      if (!restored.success) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: restored.error.message });
+        return restored;
+      }
+      Object.assign(timings, restored.timings);
+
+      // Step 4: Put the restored region back through the mask
+      stage = 'POST_PROCESSING';
+      const compositeStart = Date.now();
+      const regionMask = await sharp(mask, { raw: { width, height, channels: 1 } })
+        .extract(region)
+        .extractChannel(0)
+        .raw()
+        .toBuffer();
+      const layer = await sharp(Buffer.from(restored.restoredImage, 'base64'))
+        .resize({ width: region.width, height: region.height, fit: 'fill' })
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .joinChannel(regionMask, { raw: { width: region.width, height: region.height, channels: 1 } })
+        .raw()
+        .toBuffer();
+      const composited = await sharp(pixels, { raw: { width, height, channels: info.channels } })
+        .composite([{ input: layer, raw: { width: region.width, height: region.height, channels: 4 }, left: region.left, top: region.top }])
+        .removeAlpha()
+        .png()
+        .toBuffer();
+      timings.composite_ms = Date.now() - compositeStart;
+      timings.total_ms = Date.now() - startTime;
+
+      const { images: restoredImages } = await this._postProcess(
+        [composited.toString('base64')],
+        { output: options.output },
+        { span, onProgress, timings, startTime }
+      );
+
+      span.setAttributes({
+        'restoration.success': true,
+        'restoration.cost_usd': restored.metadata.estimatedCostUsd || 0,
+        'restoration.total_duration_ms': timings.total_ms
+      });
+      this.logger.info('[restorator] Masked restoration completed successfully', {
+        userId: userContext?.userId,
+        region,
+        timings
+      });
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      return {
+        ...restored,
+        restoredImage: restoredImages[0],
+        timings,
+        metadata: {
+          ...restored.metadata,
+          processingTime: timings.total_ms,
+          ...(options.output && { output: { format: options.output.format, quality: options.output.quality ?? null } }),
+          mask: { width, height, region }
+        }
+      };
+    } catch (error) {
+      return this._failureResult(error, { span, timings, startTime, userContext, stage });
     } finally {
       span.end();
     }
@@ -176,9 +716,12 @@ export class RestoratorService {
    * @param {Array} images - Array of image buffers
    * @param {string} userPrompt - Optional user prompt
    * @param {Object} userContext - User context
+   * @param {Function} onItemComplete - Optional async callback (index, result) run as each image finishes
+   * @param {AbortSignal} signal - Optional signal that cancels every image not yet past the Gemini call
+   * @param {Array<AbortSignal>} signals - Optional per-image signals, e.g. one per batch child job
    * @returns {Promise<Array>} Array of restoration results
    */
-  async restoreBatch({ images, userPrompt, userContext, options = {} }) {
+  async restoreBatch({ images, userPrompt, userContext, options = {}, onItemComplete, signal, signals }) {
     const tracer = trace.getTracer('restorator');
     const span = tracer.startSpan('restorator.restoreBatch', {
       attributes: {
@@ -201,12 +744,24 @@ export class RestoratorService {
             await new Promise((resolve) => setTimeout(resolve, BATCH_REQUEST_DELAY_MS));
           }
 
-          return this.restore({
+          const itemSignals = [signal, signals?.[index]].filter(Boolean);
+          const result = await this.restore({
             imageBuffer,
             userPrompt,
             userContext,
-            options: { ...options, batchIndex: index, batchSize: images.length }
+            options: { ...options, batchIndex: index, batchSize: images.length },
+            signal: itemSignals.length > 1 ? AbortSignal.any(itemSignals) : itemSignals[0]
           });
+
+          if (typeof onItemComplete === 'function') {
+            try {
+              await onItemComplete(index, result);
+            } catch (error) {
+              this.logger.warn('[restorator] Batch item callback failed', { batchIndex: index, error: error.message });
+            }
+          }
+
+          return result;
         })
       );
 
@@ -235,10 +790,270 @@ export class RestoratorService {
     }
   }
 
+  /**
+   * Stop the workflow when the caller has aborted (e.g. the job was cancelled)
+   */
+  _throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Restoration cancelled');
+      error.code = 'CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * Post-processing stage shared by every restore method: resample
+   * and/or re-encode every output. A no-op unless one was requested.
+   * @returns {Promise<Object>} { images: base64 outputs, resolution }
+   */
+  async _postProcess(images, options, { span, onProgress, timings, startTime }) {
+    if (!options.output && !options.targetSize) {
+      return { images, resolution: null };
+    }
+
+    const postprocessStart = Date.now();
+    const processedImages = [];
+    let resolution = null;
+    for (const image of images) {
+      const processed = await context.with(trace.setSpan(context.active(), span), () =>
+        this.postProcessor.encode(Buffer.from(image, 'base64'), options.output ?? null, {
+          targetSize: options.targetSize,
+          detailSource: options.detailSource
+        })
+      );
+      processedImages.push(processed.buffer.toString('base64'));
+      resolution ??= processed.resolution;
+    }
+    timings.postprocess_ms = Date.now() - postprocessStart;
+    timings.total_ms = Date.now() - startTime;
+
+    this._recordStage(span, onProgress, 'postprocessing_complete', {
+      'postprocess.duration_ms': timings.postprocess_ms,
+      ...(options.output && { 'postprocess.format': options.output.format }),
+      ...(resolution && {
+        'postprocess.scale_x': resolution.scale.x,
+        'postprocess.scale_y': resolution.scale.y
+      })
+    });
+    return { images: processedImages, resolution };
+  }
+
+  /**
+   * SSIM, PSNR and per-channel histogram deltas between the input and the
+   * provider's output, recorded on the span. Metrics describe the result but
+   * never decide it, so a failure is logged and yields null.
+   * @returns {Promise<Object|null>} See compareImages()
+   */
+  async _measureQuality(reference, output, { span, timings, startTime }) {
+    const qualityStart = Date.now();
+    try {
+      const quality = await compareImages(reference, Buffer.from(output, 'base64'));
+      span.setAttributes({
+        'restoration.quality.ssim': quality.ssim,
+        'restoration.quality.psnr_db': quality.psnr,
+        'restoration.quality.histogram_delta_r': quality.histogramDelta.r,
+        'restoration.quality.histogram_delta_g': quality.histogramDelta.g,
+        'restoration.quality.histogram_delta_b': quality.histogramDelta.b
+      });
+      return quality;
+    } catch (error) {
+      this.logger.warn('[restorator] Quality metrics failed', { error: error.message });
+      return null;
+    } finally {
+      timings.quality_ms = Date.now() - qualityStart;
+      timings.total_ms = Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Identity-drift guard. Each output whose structure strays below the
+   * fidelity floor is re-run with the conservative prompt, keeping whichever
+   * attempt scores higher. Outputs still below the floor are kept but
+   * flagged, and the result is low fidelity when every checked output is.
+   * A failed check or retry leaves the output as it was.
+   * @param {Buffer} reference - The (first) input as sent to the provider
+   * @param {Array<Object>} outputs - Provider results, one per variant
+   * @param {Object} options
+   * @param {Array<string>} options.prompts - The prompt each output was made with
+   * @param {number} options.maxRetries - Re-runs per output (default the service's)
+   * @returns {Promise<Object>} { outputs, prompts: the prompt behind each kept
+   *   output, retries: the retry provider results, checks: per-output verdict
+   *   or null, fidelity: summary or null }
+   */
+  async _guardFidelity(reference, outputs, {
+    prompts,
+    images,
+    userContext,
+    span,
+    onProgress,
+    signal,
+    timings,
+    startTime,
+    maxRetries = this.fidelityRetries
+  }) {
+    if (!(this.fidelityFloor > 0)) {
+      return { outputs, prompts, retries: [], checks: [], fidelity: null };
+    }
+
+    const fidelityStart = Date.now();
+    const guarded = [];
+    const usedPrompts = [];
+    const retries = [];
+    const checks = [];
+    for (const [index, output] of outputs.entries()) {
+      let best = output;
+      let bestPrompt = prompts?.[index];
+      let score = await this._checkFidelity(reference, output.base64Image);
+      let attempts = 0;
+      while (score && score.similarity < this.fidelityFloor && attempts < maxRetries) {
+        this._throwIfCancelled(signal);
+        attempts += 1;
+        this._recordStage(span, onProgress, 'fidelity_retry', {
+          'fidelity.variant_index': index,
+          'fidelity.similarity': score.similarity,
+          'fidelity.floor': this.fidelityFloor
+        });
+
+        let conservativePrompt;
+        let retry;
+        try {
+          conservativePrompt = this.promptEnhancer.conservePrompt(prompts[index]);
+          retry = await context.with(trace.setSpan(context.active(), span), () =>
+            this.geminiClient.restoreImage({
+              prompt: conservativePrompt,
+              images,
+              userContext
+            })
+          );
+        } catch (error) {
+          this.logger.warn('[restorator] Fidelity retry failed', { variantIndex: index, error: error.message });
+          break;
+        }
+        retries.push(retry);
+
+        const retryScore = await this._checkFidelity(reference, retry.base64Image);
+        if (retryScore && retryScore.similarity > score.similarity) {
+          best = retry;
+          bestPrompt = conservativePrompt;
+          score = retryScore;
+        }
+      }
+      guarded.push(best);
+      usedPrompts.push(bestPrompt);
+      checks.push(
+        score && {
+          ...score,
+          retries: attempts,
+          conservativePrompt: best !== output,
+          lowFidelity: score.similarity < this.fidelityFloor
+        }
+      );
+    }
+    timings.fidelity_ms = Date.now() - fidelityStart;
+    timings.total_ms = Date.now() - startTime;
+
+    const verdicts = checks.filter(Boolean);
+    if (verdicts.length === 0) {
+      return { outputs: guarded, prompts: usedPrompts, retries, checks, fidelity: null };
+    }
+
+    const [primary] = checks;
+    const fidelity = {
+      floor: this.fidelityFloor,
+      similarity: primary?.similarity ?? null,
+      lumaSsim: primary?.lumaSsim ?? null,
+      edgeSsim: primary?.edgeSsim ?? null,
+      retries: retries.length,
+      conservativePrompt: primary?.conservativePrompt ?? false,
+      lowFidelity: verdicts.every((verdict) => verdict.lowFidelity)
+    };
+    span.setAttributes({
+      ...(fidelity.similarity !== null && { 'restoration.fidelity.similarity': fidelity.similarity }),
+      'restoration.fidelity.retries': fidelity.retries,
+      'restoration.fidelity.low_fidelity': fidelity.lowFidelity
+    });
+    if (fidelity.lowFidelity) {
+      this.logger.warn('[restorator] Restoration drifted from the original', {
+        userId: userContext?.userId,
+        similarity: fidelity.similarity,
+        floor: fidelity.floor
+      });
+    }
+    return { outputs: guarded, prompts: usedPrompts, retries, checks, fidelity };
+  }
+
+  /**
+   * Structural similarity of one output to the input, or null when it cannot
+   * be measured (an undecodable output is not evidence of drift)
+   */
+  async _checkFidelity(reference, output) {
+    try {
+      return await compareStructure(reference, Buffer.from(output, 'base64'));
+    } catch (error) {
+      this.logger.warn('[restorator] Fidelity check failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record a failed workflow on its span and describe it for the caller
+   * @param {Error} error - What was thrown
+   * @param {Object} state - The workflow's span, timings, start time and user context,
+   *   plus `stage`, the step that was running when it threw
+   */
+  _failureResult(error, { span, timings, startTime, userContext, stage }) {
+    timings.total_ms = Date.now() - startTime;
+
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+
+    this.logger.error('[restorator] Restoration failed', {
+      userId: userContext?.userId,
+      error: error.message,
+      timings,
+      stack: error.stack
+    });
+
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code || 'RESTORATION_FAILED',
+        type: this._classifyError(error)
+      },
+      timings,
+      metadata: {
+        processingTime: timings.total_ms,
+        failureStage: stage
+      }
+    };
+  }
+
+  /**
+   * Add a stage event to the span and forward it to the progress callback
+   */
+  _recordStage(span, onProgress, name, attributes) {
+    span.addEvent(name, attributes);
+
+    if (typeof onProgress !== 'function') {
+      return;
+    }
+
+    try {
+      onProgress(name, attributes);
+    } catch (error) {
+      this.logger.warn('[restorator] Progress callback failed', { stage: name, error: error.message });
+    }
+  }
+
   /**
    * Classify error type for better error handling
    */
   _classifyError(error) {
+    if (error.code === 'CANCELLED') {
+      return 'CANCELLED';
+    }
+
     const message = error.message.toLowerCase();
     
     if (message.includes('rate limit') || message.includes('429')) {
@@ -264,25 +1079,6 @@ export class RestoratorService {
     return 'UNKNOWN_ERROR';
   }
 
-  /**
-   * Determine which stage of the workflow failed
-   */
-  _determineFailureStage(timings) {
-    if (timings.classify_ms && !timings.prompt_ms) {
-      return 'PROMPT_ENHANCEMENT';
-    }
-    
-    if (timings.prompt_ms && !timings.restore_ms) {
-      return 'AI_RESTORATION';
-    }
-    
-    if (!timings.classify_ms) {
-      return 'CLASSIFICATION';
-    }
-    
-    return 'UNKNOWN';
-  }
-
   /**
    * Get service health status
    */
@@ -314,6 +1110,6 @@ export class RestoratorService {
   }
 }
 
-export function createRestoratorService({ geminiClient, logger } = {}) {
-  return new RestoratorService({ geminiClient, logger });
+export function createRestoratorService({ geminiClient, logger, fidelityFloor, fidelityRetries } = {}) {
+  return new RestoratorService({ geminiClient, logger, fidelityFloor, fidelityRetries });
 }
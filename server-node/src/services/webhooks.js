@@ -0,0 +1,389 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+
+/**
+ * Webhooks Service - Signed job completion callbacks
+ *
+ * Each account has one signing secret (`webhook_secrets/{userId}`). Every
+ * callback is a delivery document in `webhook_deliveries` whose `attempts`
+ * array records the outcome of each POST, so integrators can audit what was
+ * sent. Retries are scheduled by the webhook queue, not by this service.
+ *
+ * Signature: `X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>`
+ * where `<timestamp>` is the Unix seconds value sent in `X-Webhook-Timestamp`.
+ */
+
+const SECRETS_COLLECTION = 'webhook_secrets';
+const DELIVERIES_COLLECTION = 'webhook_deliveries';
+const DEFAULT_TIMEOUT_MS = Number(process.env.WEBHOOKS_TIMEOUT_MS ?? 10000);
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const USER_AGENT = 'image-restoration-webhooks/1.0';
+// Local receivers during development only; never enable this in production
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOKS_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Loopback, link-local (cloud metadata), private and otherwise internal ranges
+const INTERNAL_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10]
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export const WEBHOOK_EVENTS = Object.freeze({
+  JOB_SUCCEEDED: 'job.succeeded',
+  JOB_FAILED: 'job.failed'
+});
+
+export const DELIVERY_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  RETRYING: 'retrying',
+  FAILED: 'failed'
+});
+
+/**
+ * Compute the signature header value for a payload
+ * @param {Object} params
+ * @param {string} params.secret - Account signing secret
+ * @param {number|string} params.timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} params.body - Raw request body
+ * @returns {string} `sha256=<hex digest>`
+ */
+export function signWebhookPayload({ secret, timestamp, body }) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a received callback. Rejects stale timestamps to prevent replay.
+ * @returns {boolean} Whether the signature is valid and fresh
+ */
+export function verifyWebhookSignature({
+  secret,
+  timestamp,
+  body,
+  signature,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+}) {
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now / 1000 - sentAt) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload({ secret, timestamp, body }));
+  const received = Buffer.from(String(signature ?? ''));
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+function isInternalAddress(address) {
+  const family = isIP(address);
+  return family !== 0 && INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isInternalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host);
+}
+
+/**
+ * Explain why a callback URL is refused: it must be https (plain http is
+ * accepted outside production so local receivers work) and must not name a
+ * loopback, link-local or private host
+ * @param {string} value - Submitted callbackUrl
+ * @param {Object} options
+ * @param {boolean} options.allowPrivateHosts - Accept internal hosts (development receivers)
+ * @returns {string|null} Problem detail, or null when the URL is acceptable
+ */
+export function describeCallbackUrlProblem(value, { allowPrivateHosts = ALLOW_PRIVATE_HOSTS } = {}) {
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    url = null;
+  }
+
+  if (!url || !(url.protocol === 'https:' || (allowHttp && url.protocol === 'http:'))) {
+    return allowHttp
+      ? 'callbackUrl must be an absolute http or https URL.'
+      : 'callbackUrl must be an absolute https URL.';
+  }
+  if (!allowPrivateHosts && isInternalHost(url.hostname)) {
+    return 'callbackUrl must not point to a loopback, link-local or private network host.';
+  }
+  return null;
+}
+
+export class WebhookDeliveryError extends Error {
+  constructor(message, { statusCode = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'WebhookDeliveryError';
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+export class WebhooksService {
+  constructor({
+    firestoreClient,
+    logger,
+    fetchImpl = fetch,
+    lookupImpl = lookup,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    allowPrivateHosts = ALLOW_PRIVATE_HOSTS
+  } = {}) {
+    if (!firestoreClient) {
+      throw new Error('WebhooksService requires a firestoreClient');
+    }
+
+    this.firestore = firestoreClient;
+    this.logger = logger ?? console;
+    this.fetch = fetchImpl;
+    this.lookup = lookupImpl;
+    this.timeoutMs = timeoutMs;
+    this.allowPrivateHosts = allowPrivateHosts;
+  }
+
+  /**
+   * Return the account's signing secret, creating one on first use
+   * @param {string} userId - Account identifier
+   * @returns {Promise<Object>} { secret, createdAt }
+   */
+  async getSecret(userId) {
+    const snapshot = await this.firestore.collection(SECRETS_COLLECTION).doc(userId).get();
+    if (snapshot.exists) {
+      const { secret, createdAt } = snapshot.data();
+      return { secret, createdAt };
+    }
+    return this.rotateSecret(userId);
+  }
+
+  /**
+   * Replace the account's signing secret. Pending retries are signed with the new one.
+   * @param {string} userId - Account identifier
+   * @returns {Promise<Object>} { secret, createdAt }
+   */
+  async rotateSecret(userId) {
+    const record = {
+      secret: `whsec_${randomBytes(32).toString('hex')}`,
+      createdAt: new Date()
+    };
+    await this.firestore.collection(SECRETS_COLLECTION).doc(userId).set({ userId, ...record });
+
+    this.logger.info('[webhooks] Signing secret issued', { userId });
+    return record;
+  }
+
+  /**
+   * Record a pending delivery for a finished job
+   * @param {Object} params
+   * @param {string} params.userId - Job owner
+   * @param {string} params.jobId - Job identifier
+   * @param {string} params.url - Callback URL supplied at submission
+   * @param {string} params.event - One of WEBHOOK_EVENTS
+   * @param {Object} params.data - Event payload data
+   * @returns {Promise<Object>} Delivery document
+   */
+  async createDelivery({ userId, jobId, url, event, data }) {
+    const deliveryId = randomUUID();
+    const now = new Date();
+    const delivery = {
+      deliveryId,
+      userId,
+      jobId,
+      url,
+      event,
+      payload: {
+        id: deliveryId,
+        type: event,
+        createdAt: now.toISOString(),
+        data
+      },
+      status: DELIVERY_STATUSES.PENDING,
+      attempts: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this._doc(deliveryId).set(delivery);
+    return delivery;
+  }
+
+  /**
+   * POST a delivery once and record the attempt
+   * @param {string} deliveryId - Delivery identifier
+   * @param {Object} options
+   * @param {number} options.attempt - 1-based attempt number
+   * @returns {Promise<Object>} Recorded attempt
+   * @throws {WebhookDeliveryError} When the receiver is unreachable or answers non-2xx
+   */
+  async attemptDelivery(deliveryId, { attempt = 1 } = {}) {
+    const tracer = trace.getTracer('webhooks');
+    const span = tracer.startSpan('webhooks.attemptDelivery', {
+      attributes: {
+        'webhooks.delivery_id': deliveryId,
+        'webhooks.attempt': attempt
+      }
+    });
+
+    try {
+      const delivery = await this.getDelivery(deliveryId);
+      if (!delivery) {
+        throw new Error(`Webhook delivery ${deliveryId} not found`);
+      }
+
+      const { secret } = await this.getSecret(delivery.userId);
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      span.setAttributes({ 'webhooks.job_id': delivery.jobId, 'webhooks.event': delivery.event });
+
+      const startedAt = Date.now();
+      let statusCode = null;
+      let failure = null;
+      let retryable = true;
+      try {
+        // Checked again here: the URL may predate the rule, and a public
+        // name can resolve to an internal address
+        const refusal = await this._checkDestination(delivery.url);
+        if (refusal) {
+          retryable = false;
+          throw new Error(refusal);
+        }
+        const response = await this.fetch(delivery.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signWebhookPayload({ secret, timestamp, body })
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+          failure = `Receiver responded with ${response.status}`;
+        }
+      } catch (error) {
+        failure = error.message;
+      }
+
+      const record = {
+        attempt,
+        attemptedAt: new Date(startedAt),
+        durationMs: Date.now() - startedAt,
+        statusCode,
+        error: failure
+      };
+      await this._doc(deliveryId).set(
+        {
+          status: failure ? DELIVERY_STATUSES.RETRYING : DELIVERY_STATUSES.DELIVERED,
+          attempts: [...delivery.attempts, record],
+          deliveredAt: failure ? null : new Date(),
+          updatedAt: new Date()
+        },
+        { merge: true }
+      );
+
+      span.setAttribute('webhooks.status_code', statusCode ?? 0);
+
+      if (failure) {
+        this.logger.warn('[webhooks] Delivery attempt failed', { deliveryId, attempt, statusCode, error: failure });
+        throw new WebhookDeliveryError(failure, { statusCode, retryable });
+      }
+
+      this.logger.info('[webhooks] Delivered', { deliveryId, jobId: delivery.jobId, attempt, statusCode });
+      span.setStatus({ code: SpanStatusCode.OK });
+      return record;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Mark a delivery as permanently failed after its retries are exhausted
+   */
+  async markFailed(deliveryId) {
+    await this._doc(deliveryId).set(
+      { status: DELIVERY_STATUSES.FAILED, updatedAt: new Date() },
+      { merge: true }
+    );
+  }
+
+  async getDelivery(deliveryId) {
+    const snapshot = await this._doc(deliveryId).get();
+    return snapshot.exists ? snapshot.data() : null;
+  }
+
+  /**
+   * List an account's deliveries, optionally for a single job
+   * @param {Object} params
+   * @param {string} params.userId - Account identifier
+   * @param {string} params.jobId - Optional job filter
+   * @param {number} params.limit - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries, newest first
+   */
+  async listDeliveries({ userId, jobId, limit = 50 }) {
+    let query = this.firestore.collection(DELIVERIES_COLLECTION).where('userId', '==', userId);
+    if (jobId) {
+      query = query.where('jobId', '==', jobId);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  /**
+   * Apply the callback URL rule to a delivery's URL and to every address its
+   * host resolves to
+   * @returns {Promise<string|null>} Why the destination is refused, or null
+   */
+  async _checkDestination(url) {
+    const options = { allowPrivateHosts: this.allowPrivateHosts };
+    const problem = describeCallbackUrlProblem(url, options);
+    if (problem || this.allowPrivateHosts) {
+      return problem;
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (isIP(hostname)) {
+      return null;
+    }
+    const addresses = await this.lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isInternalAddress(address))
+      ? `callbackUrl host ${hostname} resolves to a loopback, link-local or private network address.`
+      : null;
+  }
+
+  _doc(deliveryId) {
+    return this.firestore.collection(DELIVERIES_COLLECTION).doc(deliveryId);
+  }
+}
+
+export function createWebhooksService({ firestoreClient, logger, fetchImpl, lookupImpl, timeoutMs } = {}) {
+  return new WebhooksService({ firestoreClient, logger, fetchImpl, lookupImpl, timeoutMs });
+}
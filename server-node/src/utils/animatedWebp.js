@@ -0,0 +1,98 @@
+/**
+ * Minimal animated WebP muxer. sharp can encode still WebP frames but cannot
+ * assemble them into an animation, so the frames' bitstream chunks are
+ * wrapped in the extended container: RIFF → VP8X → ANIM → one ANMF per frame.
+ * See https://developers.google.com/speed/webp/docs/riff_container
+ */
+
+const VP8X_ANIMATION_FLAG = 0x02;
+const VP8X_ALPHA_FLAG = 0x10;
+
+function writeUInt24LE(buffer, value, offset) {
+  buffer.writeUIntLE(value, offset, 3);
+}
+
+function chunk(fourcc, payload) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'ascii');
+  header.writeUInt32LE(payload.length, 4);
+  const padding = payload.length % 2 === 1 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, payload, padding]);
+}
+
+/**
+ * Pull the image-data chunks (ALPH, VP8, VP8L) out of a still WebP file
+ * @param {Buffer} webp - Complete still WebP file
+ * @returns {Object} { data, hasAlpha }
+ */
+function extractFrameData(webp) {
+  if (webp.toString('ascii', 0, 4) !== 'RIFF' || webp.toString('ascii', 8, 12) !== 'WEBP') {
+    throw new Error('Frame is not a WebP file');
+  }
+
+  const parts = [];
+  let hasAlpha = false;
+  let offset = 12;
+  while (offset + 8 <= webp.length) {
+    const fourcc = webp.toString('ascii', offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+
+    if (fourcc === 'ALPH' || fourcc === 'VP8 ' || fourcc === 'VP8L') {
+      parts.push(webp.subarray(offset, end));
+      // VP8L carries alpha in the bitstream; the header flag bit says whether it is used
+      hasAlpha ||= fourcc === 'ALPH' || (fourcc === 'VP8L' && (webp[offset + 12] & 0x10) !== 0);
+    }
+    offset = end;
+  }
+
+  if (parts.length === 0) {
+    throw new Error('WebP frame has no image data');
+  }
+  return { data: Buffer.concat(parts), hasAlpha };
+}
+
+/**
+ * Combine still WebP frames of identical size into a looping animation
+ * @param {Array<Object>} frames - { webp: Buffer, durationMs: number } in display order
+ * @param {Object} options
+ * @param {number} options.width - Canvas width (every frame must match)
+ * @param {number} options.height - Canvas height
+ * @param {number} options.loopCount - 0 loops forever
+ * @returns {Buffer} Animated WebP file
+ */
+export function muxAnimatedWebp(frames, { width, height, loopCount = 0 }) {
+  if (frames.length === 0) {
+    throw new Error('An animation needs at least one frame');
+  }
+
+  let hasAlpha = false;
+  const anmfChunks = frames.map(({ webp, durationMs }) => {
+    const frame = extractFrameData(webp);
+    hasAlpha ||= frame.hasAlpha;
+
+    const header = Buffer.alloc(16);
+    writeUInt24LE(header, 0, 0); // X offset / 2
+    writeUInt24LE(header, 0, 3); // Y offset / 2
+    writeUInt24LE(header, width - 1, 6);
+    writeUInt24LE(header, height - 1, 9);
+    writeUInt24LE(header, Math.min(Math.max(Math.round(durationMs), 0), 0xffffff), 12);
+    header[15] = 0; // alpha-blend onto the previous frame, no disposal
+    return chunk('ANMF', Buffer.concat([header, frame.data]));
+  });
+
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = VP8X_ANIMATION_FLAG | (hasAlpha ? VP8X_ALPHA_FLAG : 0);
+  writeUInt24LE(vp8x, width - 1, 4);
+  writeUInt24LE(vp8x, height - 1, 7);
+
+  const anim = Buffer.alloc(6);
+  anim.writeUInt32LE(0xffffffff, 0); // background colour (BGRA), a hint only
+  anim.writeUInt16LE(loopCount, 4);
+
+  const body = Buffer.concat([Buffer.from('WEBP', 'ascii'), chunk('VP8X', vp8x), chunk('ANIM', anim), ...anmfChunks]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
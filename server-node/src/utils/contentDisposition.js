@@ -0,0 +1,14 @@
+/**
+ * Build a Content-Disposition value that survives non-ASCII filenames: a
+ * sanitized ASCII `filename` for old clients plus an RFC 5987 `filename*`.
+ * @param {'inline'|'attachment'} type - Disposition type
+ * @param {string} filename - Desired download name
+ * @returns {string} Header value
+ */
+export function formatContentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (char) =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
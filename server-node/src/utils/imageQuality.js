@@ -0,0 +1,231 @@
+import sharp from 'sharp';
+
+/**
+ * Full-reference comparisons between a restoration's input and output. Both
+ * images are compared at the input's aspect ratio and a bounded size: the
+ * quality metrics at roughly viewing resolution, the structural fidelity
+ * check much smaller.
+ */
+
+export const QUALITY_MAX_DIMENSION = Number(process.env.QUALITY_MAX_DIMENSION ?? 512);
+// Identity drift shows in the layout of a face or scene, which survives
+// heavy downscaling, while grain, scratches and JPEG blocks do not
+export const FIDELITY_DIMENSION = Number(process.env.FIDELITY_DIMENSION ?? 128);
+
+// Wang et al. (2004): 11x11 Gaussian window, sigma 1.5, K1 0.01, K2 0.03, L 255
+const SSIM_SIGMA = 1.5;
+const SSIM_RADIUS = 5;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+// Identical images have infinite PSNR; report a ceiling instead
+const PSNR_MAX_DB = 100;
+
+const KERNEL = (() => {
+  const weights = Array.from({ length: SSIM_RADIUS * 2 + 1 }, (_, index) =>
+    Math.exp(-((index - SSIM_RADIUS) ** 2) / (2 * SSIM_SIGMA ** 2))
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map((weight) => weight / total);
+})();
+
+/**
+ * Separable Gaussian blur with edge clamping
+ */
+function gaussianBlur(values, width, height) {
+  const horizontal = new Float64Array(values.length);
+  for (let y = 0; y < height; y += 1) {
+    const row = y * width;
+    for (let x = 0; x < width; x += 1) {
+      let sum = 0;
+      for (let k = -SSIM_RADIUS; k <= SSIM_RADIUS; k += 1) {
+        sum += KERNEL[k + SSIM_RADIUS] * values[row + Math.min(width - 1, Math.max(0, x + k))];
+      }
+      horizontal[row + x] = sum;
+    }
+  }
+
+  const blurred = new Float64Array(values.length);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      let sum = 0;
+      for (let k = -SSIM_RADIUS; k <= SSIM_RADIUS; k += 1) {
+        sum += KERNEL[k + SSIM_RADIUS] * horizontal[Math.min(height - 1, Math.max(0, y + k)) * width + x];
+      }
+      blurred[y * width + x] = sum;
+    }
+  }
+  return blurred;
+}
+
+/**
+ * Mean SSIM of two single-channel images of the same size
+ * @param {Uint8Array} a - 8-bit samples, row-major
+ * @param {Uint8Array} b - 8-bit samples, row-major
+ * @param {Object} dimensions - { width, height }
+ * @returns {number} -1 to 1; 1 when the images are identical
+ */
+export function structuralSimilarity(a, b, { width, height }) {
+  const count = width * height;
+  const aa = new Float64Array(count);
+  const bb = new Float64Array(count);
+  const ab = new Float64Array(count);
+  for (let i = 0; i < count; i += 1) {
+    aa[i] = a[i] * a[i];
+    bb[i] = b[i] * b[i];
+    ab[i] = a[i] * b[i];
+  }
+
+  const muA = gaussianBlur(a, width, height);
+  const muB = gaussianBlur(b, width, height);
+  const blurredAA = gaussianBlur(aa, width, height);
+  const blurredBB = gaussianBlur(bb, width, height);
+  const blurredAB = gaussianBlur(ab, width, height);
+
+  let total = 0;
+  for (let i = 0; i < count; i += 1) {
+    const varianceA = blurredAA[i] - muA[i] * muA[i];
+    const varianceB = blurredBB[i] - muB[i] * muB[i];
+    const covariance = blurredAB[i] - muA[i] * muB[i];
+    total +=
+      ((2 * muA[i] * muB[i] + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+      ((muA[i] ** 2 + muB[i] ** 2 + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+  }
+  return total / count;
+}
+
+// Rec. 601 luma of the RGB pixel at offset
+function toLuma(rgb, offset) {
+  return Math.round(0.299 * rgb[offset] + 0.587 * rgb[offset + 1] + 0.114 * rgb[offset + 2]);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Decode an image to 8-bit sRGB pixels at an exact size
+ */
+async function decodeAt(image, { width, height }) {
+  return sharp(image, { failOnError: false })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .resize({ width, height, fit: 'fill' })
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * The reference's displayed size, scaled down to fit maxDimension
+ */
+async function comparisonSize(reference, maxDimension) {
+  const { width, height, orientation } = await sharp(reference, { failOnError: false }).metadata();
+  const [orientedWidth, orientedHeight] = orientation >= 5 ? [height, width] : [width, height];
+  const scale = Math.min(1, maxDimension / Math.max(orientedWidth, orientedHeight));
+  return {
+    width: Math.max(1, Math.round(orientedWidth * scale)),
+    height: Math.max(1, Math.round(orientedHeight * scale))
+  };
+}
+
+/**
+ * Luminance only, for the structural comparison
+ */
+async function decodeLumaAt(image, size) {
+  const rgb = await decodeAt(image, size);
+  const luma = new Uint8Array(size.width * size.height);
+  for (let i = 0; i < luma.length; i += 1) {
+    luma[i] = toLuma(rgb, i * 3);
+  }
+  return luma;
+}
+
+/**
+ * Compare a restoration's output with its input
+ * @param {Buffer} reference - The input as sent to the provider
+ * @param {Buffer} candidate - The provider's output; resampled to the reference's size
+ * @param {Object} options
+ * @param {number} options.maxDimension - Longest side the comparison runs at
+ * @returns {Promise<Object>} { ssim, psnr, histogramDelta: { r, g, b }, width, height }.
+ *   ssim is luminance SSIM (-1 to 1), psnr is over RGB in dB (capped at 100),
+ *   and each histogram delta is the share of pixels (0 to 1) whose value
+ *   would have to move for the channel histograms to match.
+ */
+export async function compareImages(reference, candidate, { maxDimension = QUALITY_MAX_DIMENSION } = {}) {
+  const size = await comparisonSize(reference, maxDimension);
+  const [a, b] = await Promise.all([decodeAt(reference, size), decodeAt(candidate, size)]);
+  const count = size.width * size.height;
+
+  const lumaA = new Uint8Array(count);
+  const lumaB = new Uint8Array(count);
+  const histograms = [0, 1, 2].map(() => [new Float64Array(256), new Float64Array(256)]);
+  let squaredError = 0;
+  for (let i = 0; i < count; i += 1) {
+    const offset = i * 3;
+    for (let channel = 0; channel < 3; channel += 1) {
+      const difference = a[offset + channel] - b[offset + channel];
+      squaredError += difference * difference;
+      histograms[channel][0][a[offset + channel]] += 1;
+      histograms[channel][1][b[offset + channel]] += 1;
+    }
+    lumaA[i] = toLuma(a, offset);
+    lumaB[i] = toLuma(b, offset);
+  }
+
+  const mse = squaredError / (count * 3);
+  const psnr = mse === 0 ? PSNR_MAX_DB : Math.min(PSNR_MAX_DB, 10 * Math.log10((255 * 255) / mse));
+  const [r, g, bDelta] = histograms.map(([before, after]) => {
+    let distance = 0;
+    for (let value = 0; value < 256; value += 1) {
+      distance += Math.abs(before[value] - after[value]);
+    }
+    return round(distance / (2 * count), 4);
+  });
+
+  return {
+    ssim: round(structuralSimilarity(lumaA, lumaB, size), 4),
+    psnr: round(psnr, 2),
+    histogramDelta: { r, g, b: bDelta },
+    width: size.width,
+    height: size.height
+  };
+}
+
+/**
+ * Sobel gradient magnitude, clamped to 8 bits
+ */
+function edgeMap(luma, { width, height }) {
+  // Smooth first so leftover grain does not count as structure
+  const smoothed = gaussianBlur(luma, width, height);
+  const edges = new Uint8Array(width * height);
+  const at = (x, y) => smoothed[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const gx =
+        at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+      const gy =
+        at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+      edges[y * width + x] = Math.min(255, Math.round(Math.hypot(gx, gy) / 4));
+    }
+  }
+  return edges;
+}
+
+/**
+ * Structural similarity of a restoration to its input at low resolution:
+ * SSIM of the luminance and SSIM of the Sobel edge maps
+ * @param {Buffer} reference - The input as sent to the provider
+ * @param {Buffer} candidate - The provider's output; resampled to the reference's size
+ * @param {Object} options
+ * @param {number} options.maxDimension - Longest side the comparison runs at
+ * @returns {Promise<Object>} { lumaSsim, edgeSsim, similarity }; similarity is their mean
+ */
+export async function compareStructure(reference, candidate, { maxDimension = FIDELITY_DIMENSION } = {}) {
+  const size = await comparisonSize(reference, maxDimension);
+  const [a, b] = await Promise.all([decodeLumaAt(reference, size), decodeLumaAt(candidate, size)]);
+
+  const lumaSsim = round(structuralSimilarity(a, b, size), 4);
+  const edgeSsim = round(structuralSimilarity(edgeMap(a, size), edgeMap(b, size), size), 4);
+  return { lumaSsim, edgeSsim, similarity: round((lumaSsim + edgeSsim) / 2, 4) };
+}
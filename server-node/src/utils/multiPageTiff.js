@@ -0,0 +1,99 @@
+import { deflateSync } from 'zlib';
+
+/**
+ * Minimal multi-page TIFF writer. sharp only writes several pages when they
+ * come from one multi-page input of a single size, while restored album
+ * pages differ in size. Each page is 8-bit RGB in one Deflate-compressed
+ * strip with the horizontal predictor, which every TIFF reader supports.
+ */
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const ENTRY_SIZE = 12;
+
+/**
+ * Horizontal differencing (TIFF predictor 2), in place, row by row
+ */
+function applyPredictor(data, width, height) {
+  const rowBytes = width * 3;
+  for (let y = 0; y < height; y += 1) {
+    const rowStart = y * rowBytes;
+    for (let offset = rowStart + rowBytes - 1; offset >= rowStart + 3; offset -= 1) {
+      data[offset] = (data[offset] - data[offset - 3]) & 0xff;
+    }
+  }
+  return data;
+}
+
+/**
+ * @param {Array<Object>} pages - { width, height, data } with data as raw interleaved 8-bit RGB
+ * @returns {Buffer} Little-endian TIFF with one IFD per page, in order
+ */
+export function encodeMultiPageTiff(pages) {
+  if (pages.length === 0) {
+    throw new Error('A TIFF needs at least one page');
+  }
+
+  const strips = pages.map(({ width, height, data }) => deflateSync(applyPredictor(Buffer.from(data), width, height)));
+  const entryCount = 12;
+  const ifdSize = 2 + entryCount * ENTRY_SIZE + 4;
+  const bitsPerSampleSize = 6;
+
+  // Layout: header, then per page its strip, BitsPerSample values and IFD
+  let offset = 8;
+  const layout = strips.map((strip) => {
+    const stripOffset = offset;
+    offset += strip.length + (strip.length % 2);
+    const bitsOffset = offset;
+    offset += bitsPerSampleSize;
+    const ifdOffset = offset;
+    offset += ifdSize;
+    return { stripOffset, bitsOffset, ifdOffset };
+  });
+
+  const buffer = Buffer.alloc(offset);
+  buffer.write('II', 0, 'ascii');
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(layout[0].ifdOffset, 4);
+
+  pages.forEach(({ width, height }, index) => {
+    const { stripOffset, bitsOffset, ifdOffset } = layout[index];
+    strips[index].copy(buffer, stripOffset);
+    for (let sample = 0; sample < 3; sample += 1) {
+      buffer.writeUInt16LE(8, bitsOffset + sample * 2);
+    }
+
+    // Tags must be in ascending order
+    const entries = [
+      [256, TYPE_LONG, 1, width],
+      [257, TYPE_LONG, 1, height],
+      [258, TYPE_SHORT, 3, bitsOffset],
+      [259, TYPE_SHORT, 1, 8], // Adobe Deflate
+      [262, TYPE_SHORT, 1, 2], // RGB
+      [273, TYPE_LONG, 1, stripOffset],
+      [277, TYPE_SHORT, 1, 3],
+      [278, TYPE_LONG, 1, height],
+      [279, TYPE_LONG, 1, strips[index].length],
+      [284, TYPE_SHORT, 1, 1], // Chunky
+      [297, TYPE_SHORT, 2, index | (pages.length << 16)], // PageNumber: index, total
+      [317, TYPE_SHORT, 1, 2] // Horizontal predictor
+    ];
+
+    buffer.writeUInt16LE(entries.length, ifdOffset);
+    entries.forEach(([tag, type, count, value], entryIndex) => {
+      const entryOffset = ifdOffset + 2 + entryIndex * ENTRY_SIZE;
+      buffer.writeUInt16LE(tag, entryOffset);
+      buffer.writeUInt16LE(type, entryOffset + 2);
+      buffer.writeUInt32LE(count, entryOffset + 4);
+      if (type === TYPE_SHORT && count === 1) {
+        buffer.writeUInt16LE(value, entryOffset + 8);
+      } else {
+        buffer.writeUInt32LE(value, entryOffset + 8);
+      }
+    });
+    const next = index + 1 < pages.length ? layout[index + 1].ifdOffset : 0;
+    buffer.writeUInt32LE(next, ifdOffset + 2 + entries.length * ENTRY_SIZE);
+  });
+
+  return buffer;
+}
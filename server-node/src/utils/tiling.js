@@ -0,0 +1,51 @@
+/**
+ * Tile grids for restoring scans too large for a single provider call.
+ * Tiles match the provider's 1024 px output so no tile is resampled, and
+ * neighbours overlap so the seams can be feather-blended.
+ */
+
+export const TILE_SIZE = Number(process.env.TILED_TILE_SIZE ?? 1024);
+export const TILE_OVERLAP = Number(process.env.TILED_TILE_OVERLAP ?? 128);
+// 12 x 12 tiles cover a 10000 x 10000 px scan at the default size and overlap
+export const MAX_TILES = Number(process.env.TILED_MAX_TILES ?? 144);
+
+/**
+ * Tile starts along one axis, spread evenly so every overlap is at least
+ * `overlap` and the last tile ends exactly at the edge
+ */
+function planAxis(length, tileSize, overlap) {
+  if (length <= tileSize) {
+    return [{ start: 0, size: length }];
+  }
+  const count = Math.ceil((length - overlap) / (tileSize - overlap));
+  const step = (length - tileSize) / (count - 1);
+  return Array.from({ length: count }, (_, index) => ({ start: Math.round(index * step), size: tileSize }));
+}
+
+/**
+ * Lay out overlapping tiles over an image, row-major
+ * @param {Object} dimensions - { width, height } of the (oriented) image
+ * @param {Object} options - { tileSize, overlap }
+ * @returns {Object} { columns, rows, tileSize, overlap, tiles: [{ index, row, column, left, top, width, height }] }
+ */
+export function planTiles({ width, height }, { tileSize = TILE_SIZE, overlap = TILE_OVERLAP } = {}) {
+  if (overlap < 0 || overlap >= tileSize) {
+    throw new Error('Tile overlap must be smaller than the tile size');
+  }
+
+  const columns = planAxis(width, tileSize, overlap);
+  const rows = planAxis(height, tileSize, overlap);
+  const tiles = rows.flatMap((y, row) =>
+    columns.map((x, column) => ({
+      index: row * columns.length + column,
+      row,
+      column,
+      left: x.start,
+      top: y.start,
+      width: x.size,
+      height: y.size
+    }))
+  );
+
+  return { columns: columns.length, rows: rows.length, tileSize, overlap, tiles };
+}
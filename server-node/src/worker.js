@@ -0,0 +1,46 @@
+import { assertRequiredSecrets } from './config/secrets.js';
+import { getClients } from './context/clients.js';
+import { getServices } from './context/services.js';
+import { closeJobQueue, getJobQueueName, getWebhookQueueName } from './queues/jobQueue.js';
+import { createRestorationWorker } from './queues/workers/restorationWorker.js';
+import { createWebhookWorker } from './queues/workers/webhookWorker.js';
+
+assertRequiredSecrets();
+
+const clients = getClients();
+const services = getServices(clients);
+const worker = createRestorationWorker({ clients, services });
+const webhookWorker = createWebhookWorker({ clients, services });
+
+// Bucket lifecycle rules do this for GCS; the local driver sweeps from here
+if (clients.gcs.isLocal) {
+  clients.gcs.ensureLifecyclePolicies().catch((error) => {
+    console.error('[worker] Unable to start local storage sweeper', { error: error?.message });
+  });
+}
+
+console.log(`[worker] consuming ${getJobQueueName()} with concurrency ${worker.opts.concurrency}`);
+console.log(`[worker] consuming ${getWebhookQueueName()} with concurrency ${webhookWorker.opts.concurrency}`);
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  console.log(`[worker] received ${signal}; draining active jobs`);
+  try {
+    await Promise.all([worker.close(), webhookWorker.close()]);
+    await closeJobQueue();
+    clients.gcs.close?.();
+    process.exit(0);
+  } catch (error) {
+    console.error('[worker] Shutdown failed', { error: error?.message });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
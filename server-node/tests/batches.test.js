@@ -0,0 +1,520 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { once } from 'events';
+import { randomUUID } from 'crypto';
+import express from 'express';
+import sharp from 'sharp';
+import { createBatchesRouter } from '../src/routes/batchesRouter.js';
+import {
+  assembleBatchDocument,
+  processBatchJob,
+  handleFailedBatchJob,
+} from '../src/queues/workers/restorationWorker.js';
+import { BatchesService, summarizeBatch } from '../src/services/batches.js';
+import { DocumentService } from '../src/services/documents.js';
+import { CreditsService } from '../src/services/credits.js';
+import { JobsService } from '../src/services/jobs.js';
+import { JobEventsService } from '../src/services/jobEvents.js';
+import { WebhooksService } from '../src/services/webhooks.js';
+import { errorHandler } from '../src/utils/problem.js';
+import { createCleanImage, createScanPdf } from './utils/imageFixtures.js';
+import { createFirestoreMock, createRedisMock, createTestLogger } from './utils/mocks.js';
+
+async function submitDocument(baseUrl, buffer, { name = 'album.pdf', type = 'application/pdf' } = {}) {
+  const form = new FormData();
+  form.append('document', new Blob([buffer], { type }), name);
+
+  return fetch(`${baseUrl}/v1/batches/documents`, {
+    method: 'POST',
+    headers: { 'Idempotency-Key': randomUUID() },
+    body: form,
+  });
+}
+
+function createIdempotencyStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+    async set(key, value) {
+      entries.set(key, value);
+    },
+  };
+}
+
+async function submitBatch(baseUrl, files, { callbackUrl } = {}) {
+  const form = new FormData();
+  for (const { buffer, name, type = 'image/jpeg' } of files) {
+    form.append('images', new Blob([buffer], { type }), name);
+  }
+  form.append('prompt', 'remove the creases');
+  if (callbackUrl) {
+    form.append('callbackUrl', callbackUrl);
+  }
+
+  return fetch(`${baseUrl}/v1/batches`, {
+    method: 'POST',
+    headers: { 'Idempotency-Key': randomUUID() },
+    body: form,
+  });
+}
+
+describe('batches', () => {
+  let firestore;
+  let redis;
+  let logger;
+  let services;
+
+  beforeEach(() => {
+    firestore = createFirestoreMock();
+    redis = createRedisMock();
+    logger = createTestLogger();
+
+    const credits = new CreditsService({ redisClient: redis, firestoreClient: firestore, logger });
+    vi.spyOn(credits, '_getDailyFreeLimit').mockReturnValue(3);
+
+    services = {
+      credits,
+      jobs: new JobsService({ firestoreClient: firestore, logger }),
+      jobEvents: new JobEventsService({ redisClient: redis, logger }),
+      batches: new BatchesService({ firestoreClient: firestore, logger }),
+      webhooks: new WebhooksService({ firestoreClient: firestore, logger }),
+      moderation: { moderate: vi.fn().mockResolvedValue({ allowed: true, flags: {} }) },
+      restorator: { restoreBatch: vi.fn() },
+      documents: new DocumentService({ logger }),
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('summarizeBatch', () => {
+    it('reports partial success only once every child has finished', () => {
+      expect(summarizeBatch([{ status: 'succeeded' }, { status: 'processing' }])).toMatchObject({
+        status: 'processing',
+        progress: { total: 2, completed: 1, percent: 50 },
+      });
+      expect(summarizeBatch([{ status: 'succeeded' }, { status: 'failed' }]).status).toBe('partially_succeeded');
+      expect(summarizeBatch([{ status: 'failed' }, { status: 'cancelled' }]).status).toBe('failed');
+    });
+  });
+
+  describe('batches router', () => {
+    let clients;
+    let queue;
+    let server;
+    let baseUrl;
+    let currentUser;
+
+    beforeEach(async () => {
+      clients = {
+        redis: createIdempotencyStore(),
+        gcs: {
+          uploadObject: vi.fn().mockResolvedValue({}),
+          generateDownloadUrl: vi.fn().mockResolvedValue({ url: 'https://storage.example/signed' }),
+        },
+      };
+      queue = { add: vi.fn().mockResolvedValue({}) };
+      currentUser = { id: 'user-1', claims: {} };
+
+      const app = express();
+      app.use((req, _res, next) => {
+        req.context = { requestId: 'req-1' };
+        req.user = currentUser;
+        req.clients = clients;
+        req.services = services;
+        next();
+      });
+      app.use('/v1/batches', createBatchesRouter({ clients, getQueue: () => queue }));
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      server.close();
+      await once(server, 'close');
+    });
+
+    it('accepts valid files, rejects the rest per item and queues one batch job', async () => {
+      const image = await createCleanImage();
+      const response = await submitBatch(baseUrl, [
+        { buffer: image, name: 'first.jpg' },
+        { buffer: Buffer.from('not an image'), name: 'notes.jpg' },
+        { buffer: image, name: 'logo.svg', type: 'image/svg+xml' },
+        { buffer: image, name: 'second.jpg' },
+      ]);
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(response.headers.get('location')).toBe(`/v1/batches/${body.batchId}`);
+      expect(body.credits).toEqual({ charged: 2 });
+      expect(body.items.map(({ filename, status }) => [filename, status])).toEqual([
+        ['first.jpg', 'accepted'],
+        ['notes.jpg', 'rejected'],
+        ['logo.svg', 'rejected'],
+        ['second.jpg', 'accepted'],
+      ]);
+      expect(body.items[1].error).toMatchObject({ status: 415, title: 'Unsupported Media Type' });
+      expect(body.items[2].error).toMatchObject({ status: 415, title: 'Unsupported File Extension' });
+
+      const jobIds = [body.items[0].jobId, body.items[3].jobId];
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore-batch',
+        expect.objectContaining({ batchId: body.batchId, jobIds, userPrompt: 'remove the creases' }),
+        { jobId: body.batchId }
+      );
+      expect(firestore.__getDoc('jobs', jobIds[1])).toMatchObject({
+        batchId: body.batchId,
+        batchIndex: 3,
+        originalFilename: 'second.jpg',
+        status: 'queued',
+      });
+      expect(services.moderation.moderate).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns 402 without charging when the balance cannot cover every accepted file', async () => {
+      const image = await createCleanImage();
+      const files = Array.from({ length: 4 }, (_, index) => ({ buffer: image, name: `page-${index}.jpg` }));
+
+      const response = await submitBatch(baseUrl, files);
+      const body = await response.json();
+
+      expect(response.status).toBe(402);
+      expect(body).toMatchObject({ required: 4, available: 3 });
+      expect((await services.credits.getBalance('user-1')).totalAvailable).toBe(3);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects a callback URL on a private network before charging', async () => {
+      const image = await createCleanImage();
+
+      const response = await submitBatch(baseUrl, [{ buffer: image, name: 'first.jpg' }], {
+        callbackUrl: 'https://10.0.0.8/hooks',
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body).toMatchObject({
+        title: 'Invalid Callback URL',
+        detail: 'callbackUrl must not point to a loopback, link-local or private network host.',
+      });
+      expect((await services.credits.getBalance('user-1')).totalAvailable).toBe(3);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects a batch when no file passes moderation', async () => {
+      services.moderation.moderate.mockResolvedValue({
+        allowed: false,
+        flags: {},
+        rejection: { reason: 'unsafe', categories: ['violence'] },
+      });
+      const image = await createCleanImage();
+
+      const response = await submitBatch(baseUrl, [{ buffer: image, name: 'a.jpg' }]);
+      const body = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(body.title).toBe('Batch Rejected');
+      expect(body.items[0].error).toMatchObject({ title: 'Content Moderation Rejected Image' });
+    });
+
+    it('aggregates child progress for the owner and hides the batch from others', async () => {
+      await services.jobs.createJob({ jobId: 'job-a', userId: 'user-1', batchId: 'batch-1', batchIndex: 0 });
+      await services.jobs.createJob({ jobId: 'job-b', userId: 'user-1', batchId: 'batch-1', batchIndex: 1 });
+      await services.jobs.updateJob('job-a', { status: 'succeeded' });
+      await services.batches.createBatch({ batchId: 'batch-1', userId: 'user-1', jobIds: ['job-a', 'job-b'] });
+
+      const body = await (await fetch(`${baseUrl}/v1/batches/batch-1`)).json();
+      expect(body).toMatchObject({
+        status: 'processing',
+        progress: { total: 2, completed: 1, percent: 50, succeeded: 1, queued: 1 },
+      });
+      expect(body.jobs.map((job) => [job.jobId, job.status])).toEqual([
+        ['job-a', 'succeeded'],
+        ['job-b', 'queued'],
+      ]);
+      expect(body.jobs[0].statusUrl).toBe('/v1/jobs/job-a');
+
+      currentUser = { id: 'user-2', claims: {} };
+      expect((await fetch(`${baseUrl}/v1/batches/batch-1`)).status).toBe(404);
+    });
+
+    it('fans a scanned PDF out into one child job per page and rejects pages without a scan', async () => {
+      const pdf = await createScanPdf([
+        { width: 40, height: 30, color: '#3366cc', size: [400, 300] },
+        { size: [100, 100] },
+        { width: 20, height: 50, color: '#cc3333', format: 'png' },
+      ]);
+
+      const response = await submitDocument(baseUrl, pdf, { name: 'Album 3.pdf' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body.credits).toEqual({ charged: 2 });
+      expect(body.items.map(({ filename, status }) => [filename, status])).toEqual([
+        ['Album 3-page-1.jpg', 'accepted'],
+        ['Album 3-page-2.pdf', 'rejected'],
+        ['Album 3-page-3.png', 'accepted'],
+      ]);
+      expect(body.items[1].error).toMatchObject({ status: 422, title: 'Page Unreadable' });
+      expect(body.document).toMatchObject({ kind: 'pdf', filename: 'Album 3.pdf', pageCount: 3, status: 'pending' });
+
+      expect(firestore.__getDoc('batches', body.batchId).document.pages).toEqual([
+        { index: 0, pageSize: { width: 400, height: 300 } },
+        { index: 1, pageSize: { width: 100, height: 100 } },
+        { index: 2, pageSize: { width: 20, height: 50 } },
+      ]);
+      expect(firestore.__getDoc('jobs', body.items[2].jobId)).toMatchObject({ batchId: body.batchId, batchIndex: 2 });
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore-batch',
+        expect.objectContaining({ batchId: body.batchId, jobIds: [body.items[0].jobId, body.items[2].jobId] }),
+        { jobId: body.batchId }
+      );
+
+      const download = await fetch(`${baseUrl}/v1/batches/${body.batchId}/document`, { redirect: 'manual' });
+      expect(download.status).toBe(409);
+    });
+
+    it('rejects documents over the page limit and files that are not PDF or TIFF', async () => {
+      services.documents = new DocumentService({ maxPages: 1, logger });
+      const tooLong = await submitDocument(baseUrl, await createScanPdf());
+      expect(tooLong.status).toBe(413);
+      expect(await tooLong.json()).toMatchObject({ title: 'Too Many Pages', pageCount: 2, maxPages: 1 });
+
+      const image = await createCleanImage();
+      const disguised = await submitDocument(baseUrl, image, { name: 'album.tif', type: 'image/tiff' });
+      expect(disguised.status).toBe(415);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('links the assembled document and each restored page', async () => {
+      await services.jobs.createJob({ jobId: 'job-a', userId: 'user-1', batchId: 'batch-1', batchIndex: 0 });
+      await services.jobs.updateJob('job-a', { status: 'succeeded' });
+      await services.batches.createBatch({
+        batchId: 'batch-1',
+        userId: 'user-1',
+        jobIds: ['job-a'],
+        document: {
+          kind: 'tiff',
+          filename: 'scans/Album 3.tiff',
+          pageCount: 1,
+          status: 'assembled',
+          resultObjectName: 'restored/user-1/batches/batch-1.tif',
+          restoredPages: [0],
+          originalPages: [],
+          omittedPages: [],
+        },
+      });
+
+      const body = await (await fetch(`${baseUrl}/v1/batches/batch-1`)).json();
+      expect(body.document).toMatchObject({ status: 'assembled', restoredPages: [0], resultUrl: '/v1/batches/batch-1/document' });
+      expect(body.jobs[0].resultUrl).toBe('/v1/jobs/job-a/result');
+
+      const download = await fetch(`${baseUrl}/v1/batches/batch-1/document`, { redirect: 'manual' });
+      expect(download.status).toBe(302);
+      expect(download.headers.get('location')).toBe('https://storage.example/signed');
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith({
+        userId: 'user-1',
+        objectName: 'restored/user-1/batches/batch-1.tif',
+        filename: 'Album 3-restored.tif',
+        disposition: 'attachment',
+      });
+
+      currentUser = { id: 'user-2', claims: {} };
+      expect((await fetch(`${baseUrl}/v1/batches/batch-1/document`, { redirect: 'manual' })).status).toBe(404);
+    });
+  });
+
+  describe('batch worker', () => {
+    let clients;
+    let restored;
+
+    function createBatchJob(overrides = {}) {
+      return {
+        name: 'restore-batch',
+        attemptsMade: 0,
+        opts: { attempts: 2 },
+        data: { batchId: 'batch-1', userId: 'user-1', jobIds: ['job-a', 'job-b'], userPrompt: null },
+        ...overrides,
+      };
+    }
+
+    beforeEach(async () => {
+      restored = await createCleanImage({ width: 32, height: 32 });
+      clients = {
+        logger,
+        gcs: {
+          downloadObject: vi.fn().mockResolvedValue(Buffer.from('input')),
+          uploadObject: vi.fn().mockResolvedValue({}),
+        },
+      };
+
+      for (const jobId of ['job-a', 'job-b']) {
+        await services.jobs.createJob({
+          jobId,
+          userId: 'user-1',
+          batchId: 'batch-1',
+          inputObjectName: `originals/user-1/${jobId}.jpg`,
+          credits: { amount: 1 },
+        });
+      }
+      await services.batches.createBatch({ batchId: 'batch-1', userId: 'user-1', jobIds: ['job-a', 'job-b'] });
+    });
+
+    function mockBatchResults(results) {
+      services.restorator.restoreBatch.mockImplementation(async ({ images, onItemComplete }) => {
+        const outputs = results.slice(0, images.length);
+        for (const [index, result] of outputs.entries()) {
+          await onItemComplete(index, result);
+        }
+        return outputs;
+      });
+    }
+
+    const success = () => ({ success: true, restoredImage: restored.toString('base64'), timings: {}, metadata: {} });
+    const failure = () => ({
+      success: false,
+      error: { message: 'provider busy', type: 'SERVICE_UNAVAILABLE' },
+      metadata: { failureStage: 'AI_RESTORATION' },
+    });
+
+    it('settles each child independently and retries only the failed ones', async () => {
+      const refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      mockBatchResults([success(), failure()]);
+
+      await expect(processBatchJob(createBatchJob(), { clients, services })).rejects.toThrow(
+        '1 of 2 batch items failed'
+      );
+      expect(firestore.__getDoc('jobs', 'job-a').status).toBe('succeeded');
+      expect(firestore.__getDoc('jobs', 'job-b')).toMatchObject({ status: 'queued', lastError: { type: 'SERVICE_UNAVAILABLE' } });
+
+      mockBatchResults([failure()]);
+      const output = await processBatchJob(createBatchJob({ attemptsMade: 1 }), { clients, services });
+
+      expect(services.restorator.restoreBatch).toHaveBeenLastCalledWith(
+        expect.objectContaining({ images: [Buffer.from('input')], userContext: { userId: 'user-1', batchId: 'batch-1' } })
+      );
+      expect(output).toMatchObject({ processed: 1, failed: 1 });
+      expect(firestore.__getDoc('jobs', 'job-b').status).toBe('failed');
+      expect(refund).toHaveBeenCalledTimes(1);
+      expect(refund).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-b', amount: 1 }));
+      expect(firestore.__getDoc('batches', 'batch-1').completedAt).toBeInstanceOf(Date);
+    });
+
+    it('skips a child cancelled before the batch ran and refunds it once', async () => {
+      const refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      await services.jobs.updateJob('job-b', { cancellation: { reason: 'cancelled by user' } });
+      mockBatchResults([success()]);
+
+      const output = await processBatchJob(createBatchJob(), { clients, services });
+
+      expect(services.restorator.restoreBatch).toHaveBeenCalledWith(
+        expect.objectContaining({ images: [Buffer.from('input')] })
+      );
+      expect(output).toMatchObject({ processed: 1, succeeded: 1 });
+      expect(firestore.__getDoc('jobs', 'job-b')).toMatchObject({ status: 'cancelled', cancelledStage: 'QUEUED' });
+      expect(refund).toHaveBeenCalledTimes(1);
+      expect(refund).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-b' }));
+    });
+
+    it('aborts a child cancelled while the batch runs and refunds it once', async () => {
+      const refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      services.restorator.restoreBatch.mockImplementation(async ({ signals, onItemComplete }) => {
+        await onItemComplete(0, success());
+        await services.jobs.updateJob('job-b', { cancellation: { reason: 'cancelled by user' } });
+        await services.jobEvents.publish('job-b', 'cancel_requested', {});
+        expect(signals.map((signal) => signal.aborted)).toEqual([false, true]);
+        await onItemComplete(1, {
+          success: false,
+          error: { code: 'CANCELLED', type: 'CANCELLED' },
+          metadata: { failureStage: 'PROMPT_ENHANCEMENT' },
+        });
+      });
+
+      const output = await processBatchJob(createBatchJob(), { clients, services });
+
+      expect(output).toMatchObject({ succeeded: 1, cancelled: 1 });
+      expect(firestore.__getDoc('jobs', 'job-b')).toMatchObject({
+        status: 'cancelled',
+        cancelledStage: 'PROMPT_ENHANCEMENT',
+      });
+      expect(refund).toHaveBeenCalledTimes(1);
+    });
+
+    it('cancels rather than fails flagged children when the batch job gives up', async () => {
+      const refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      await services.jobs.updateJob('job-a', { cancellation: { reason: 'cancelled by user' } });
+
+      await handleFailedBatchJob(createBatchJob({ attemptsMade: 2 }), new Error('storage unavailable'), {
+        clients,
+        services,
+      });
+
+      expect(firestore.__getDoc('jobs', 'job-a').status).toBe('cancelled');
+      expect(firestore.__getDoc('jobs', 'job-b').status).toBe('failed');
+      expect(refund).toHaveBeenCalledTimes(2);
+      expect(refund).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-a', reason: 'cancelled by user' }));
+    });
+
+    it('fails and refunds unfinished children when the batch job gives up', async () => {
+      const refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      await services.jobs.updateJob('job-a', { status: 'succeeded' });
+
+      await handleFailedBatchJob(createBatchJob({ attemptsMade: 2 }), new Error('storage unavailable'), {
+        clients,
+        services,
+      });
+
+      expect(firestore.__getDoc('jobs', 'job-a').status).toBe('succeeded');
+      expect(firestore.__getDoc('jobs', 'job-b')).toMatchObject({
+        status: 'failed',
+        error: { message: 'storage unavailable' },
+      });
+      expect(refund).toHaveBeenCalledTimes(1);
+    });
+    it('reassembles a document batch in page order, keeping the scan of pages that failed', async () => {
+      const scan = await createCleanImage({ width: 24, height: 16 });
+      await services.batches.updateBatch('batch-1', {
+        document: {
+          kind: 'tiff',
+          filename: 'album.tif',
+          pageCount: 3,
+          status: 'pending',
+          pages: [0, 1, 2].map((index) => ({ index, pageSize: null })),
+        },
+      });
+      await services.jobs.updateJob('job-a', { batchIndex: 2 });
+      await services.jobs.updateJob('job-b', { batchIndex: 0 });
+      clients.gcs.downloadObject.mockImplementation(async (objectName) =>
+        objectName.startsWith('restored/') ? restored : scan
+      );
+      vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      mockBatchResults([success(), failure()]);
+
+      await processBatchJob(createBatchJob({ attemptsMade: 1 }), { clients, services });
+
+      const { document } = firestore.__getDoc('batches', 'batch-1');
+      expect(document).toMatchObject({
+        status: 'assembled',
+        resultObjectName: 'restored/user-1/batches/batch-1.tif',
+        resultContentType: 'image/tiff',
+        restoredPages: [2],
+        originalPages: [0],
+        omittedPages: [1],
+      });
+      const upload = clients.gcs.uploadObject.mock.calls.find(([{ objectName }]) => objectName === document.resultObjectName)[0];
+      expect(upload.metadata).toEqual({ userId: 'user-1' });
+      expect(await sharp(upload.buffer).metadata()).toMatchObject({ pages: 2, width: 24 });
+      expect(await sharp(upload.buffer, { page: 1 }).metadata()).toMatchObject({ width: 32, height: 32 });
+
+      // Already assembled: a later completion does not rebuild it
+      clients.gcs.uploadObject.mockClear();
+      await assembleBatchDocument('batch-1', { clients, services });
+      expect(clients.gcs.uploadObject).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { ComparisonService } from '../src/services/comparisons.js';
+import { createTestLogger } from './utils/mocks.js';
+
+function solid(width, height, background) {
+  return sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+}
+
+async function pixelAt(buffer, x, y) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+}
+
+describe('ComparisonService', () => {
+  it('renders side-by-side, split-diagonal and an animated flip at the restored aspect ratio', async () => {
+    const service = new ComparisonService({ logger: createTestLogger() });
+    const before = await solid(300, 200, { r: 200, g: 0, b: 0 });
+    const after = await solid(600, 400, { r: 0, g: 0, b: 200 });
+
+    const [sideBySide, split, flip] = await service.render({ before, after });
+
+    expect(sideBySide).toMatchObject({ kind: 'comparison-side-by-side', contentType: 'image/jpeg', width: 1208, height: 400 });
+    expect((await pixelAt(sideBySide.buffer, 10, 10))[0]).toBeGreaterThan(150);
+    expect((await pixelAt(sideBySide.buffer, 1200, 390))[2]).toBeGreaterThan(150);
+
+    // Original above the diagonal, restored below it
+    expect(split).toMatchObject({ kind: 'comparison-split-diagonal', width: 600, height: 400 });
+    expect((await pixelAt(split.buffer, 10, 10))[0]).toBeGreaterThan(150);
+    expect((await pixelAt(split.buffer, 590, 390))[2]).toBeGreaterThan(150);
+
+    const flipMetadata = await sharp(flip.buffer, { animated: true }).metadata();
+    expect(flip).toMatchObject({ kind: 'comparison-flip', contentType: 'image/webp', width: 512, height: 341 });
+    expect(flipMetadata).toMatchObject({ format: 'webp', pages: 2, loop: 0, delay: [1000, 1000] });
+    const secondFrame = await sharp(flip.buffer, { page: 1 }).raw().toBuffer();
+    expect(secondFrame[2]).toBeGreaterThan(150);
+  });
+});
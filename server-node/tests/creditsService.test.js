@@ -73,6 +73,35 @@ describe('CreditsService', () => {
     expect(refundEntry?.originalTransactionId).toBeTruthy();
   });
 
+  it('refunds a job only once however many paths ask for it', async () => {
+    vi.spyOn(service, '_getDailyFreeLimit').mockReturnValue(0);
+    await redis.set('credits:user-twice', 3);
+    await service.checkAndDeduct({ userId: 'user-twice', jobId: 'job-twice' });
+
+    await service.refund({ userId: 'user-twice', jobId: 'job-twice', reason: 'Low fidelity result' });
+    const repeated = await service.refund({ userId: 'user-twice', jobId: 'job-twice', reason: 'Restoration failed' });
+
+    expect(repeated).toEqual({ success: true, alreadyRefunded: true });
+    expect(Number(await redis.get('credits:user-twice'))).toBe(3);
+    const refunds = firestore.__getLedger().filter((entry) => entry.jobId === 'job-twice' && entry.type === 'refund');
+    expect(refunds).toHaveLength(1);
+  });
+
+  it('charges and refunds multi-credit jobs against the free tier as a whole', async () => {
+    vi.spyOn(service, '_getDailyFreeLimit').mockReturnValue(3);
+    await redis.set('credits:user-multi', 5);
+
+    const fusion = await service.checkAndDeduct({ userId: 'user-multi', jobId: 'job-fusion', amount: 2 });
+    expect(fusion).toMatchObject({ allowed: true, type: 'free', dailyFreeUsed: 2, remainingCredits: 1 });
+
+    // One free credit left is not enough, so the whole amount comes from paid credits
+    const second = await service.checkAndDeduct({ userId: 'user-multi', jobId: 'job-fusion-2', amount: 2 });
+    expect(second).toMatchObject({ allowed: true, type: 'paid', remainingCredits: 3 });
+
+    await service.refund({ userId: 'user-multi', jobId: 'job-fusion', amount: 2 });
+    expect((await service.getBalance('user-multi')).dailyFreeUsed).toBe(0);
+  });
+
   it('reports total balance including free tier usage', async () => {
     vi.spyOn(service, '_getDailyFreeLimit').mockReturnValue(2);
 
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { DocumentService } from '../src/services/documents.js';
+import { createMultiPageTiff, createScanPdf } from './utils/imageFixtures.js';
+import { createTestLogger } from './utils/mocks.js';
+
+async function dominant(buffer) {
+  return (await sharp(buffer).stats()).dominant;
+}
+
+describe('DocumentService', () => {
+  const service = new DocumentService({ logger: createTestLogger() });
+
+  it('extracts the scanned image of each PDF page and reports pages without one', async () => {
+    const pdf = await createScanPdf([
+      { width: 40, height: 30, color: '#3366cc', size: [400, 300] },
+      { width: 20, height: 50, color: '#cc3333', size: [200, 500], format: 'png', rotation: 90 },
+      { size: [100, 100] },
+    ]);
+
+    expect(await service.countPages({ buffer: pdf, kind: 'pdf' })).toBe(3);
+    const pages = await service.split({ buffer: pdf, kind: 'pdf' });
+
+    expect(pages.map(({ index, ext, pageSize }) => [index, ext, pageSize])).toEqual([
+      [0, 'jpg', { width: 400, height: 300 }],
+      [1, 'png', { width: 500, height: 200 }],
+      [2, null, { width: 100, height: 100 }],
+    ]);
+    expect(await sharp(pages[0].buffer).metadata()).toMatchObject({ format: 'jpeg', width: 40, height: 30 });
+    // The page's /Rotate is applied to the image
+    expect(await sharp(pages[1].buffer).metadata()).toMatchObject({ format: 'png', width: 50, height: 20 });
+    expect(await dominant(pages[1].buffer)).toMatchObject({ r: 200, g: 56, b: 56 });
+    expect(pages[2]).toMatchObject({ buffer: null, error: 'The page has no scanned image.' });
+  });
+
+  it('reassembles PDF pages in order at their original page sizes', async () => {
+    const first = await sharp({ create: { width: 80, height: 60, channels: 3, background: '#00ff00' } }).png().toBuffer();
+    const second = await sharp({ create: { width: 30, height: 30, channels: 3, background: '#0000ff' } }).jpeg().toBuffer();
+
+    const assembled = await service.assemble({
+      kind: 'pdf',
+      pages: [
+        { buffer: first, pageSize: { width: 400, height: 300 } },
+        { buffer: second, pageSize: null },
+      ],
+    });
+
+    expect(assembled).toMatchObject({ contentType: 'application/pdf', ext: 'pdf', pageCount: 2 });
+    const document = await PDFDocument.load(assembled.buffer);
+    expect(document.getPages().map((page) => page.getSize())).toEqual([
+      { width: 400, height: 300 },
+      { width: 30, height: 30 },
+    ]);
+    const roundTrip = await service.split({ buffer: assembled.buffer, kind: 'pdf' });
+    expect(await dominant(roundTrip[0].buffer)).toMatchObject({ g: 248 });
+    expect(await dominant(roundTrip[1].buffer)).toMatchObject({ b: 248 });
+  });
+
+  it('splits a multi-page TIFF and reassembles pages of different sizes', async () => {
+    const tiff = await createMultiPageTiff({ colors: ['#ff0000', '#0000ff', '#00ff00'] });
+    const pages = await service.split({ buffer: tiff, kind: 'tiff' });
+
+    expect(pages.map(({ index, ext, pageSize }) => [index, ext, pageSize])).toEqual([
+      [0, 'tif', null],
+      [1, 'tif', null],
+      [2, 'tif', null],
+    ]);
+    expect(await dominant(pages[1].buffer)).toMatchObject({ r: 8, g: 8, b: 248 });
+
+    const wide = await sharp(pages[2].buffer).resize(60, 10).toBuffer();
+    const assembled = await service.assemble({
+      kind: 'tiff',
+      pages: [{ buffer: pages[0].buffer }, { buffer: pages[1].buffer }, { buffer: wide }],
+    });
+
+    expect(assembled).toMatchObject({ contentType: 'image/tiff', ext: 'tif', pageCount: 3 });
+    expect(await sharp(assembled.buffer).metadata()).toMatchObject({ format: 'tiff', pages: 3 });
+    const last = await sharp(assembled.buffer, { page: 2 }).png().toBuffer();
+    expect(await sharp(last).metadata()).toMatchObject({ width: 60, height: 10 });
+    expect(await dominant(last)).toMatchObject({ r: 8, g: 248, b: 8 });
+  });
+});
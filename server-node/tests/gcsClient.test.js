@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Readable } from 'stream';
+import { GcsClient, ObjectOwnershipError } from '../src/clients/gcsClient.js';
+
+function createBucket(objects) {
+  const files = new Map();
+  return {
+    file: vi.fn((objectName) => {
+      if (!files.has(objectName)) {
+        files.set(objectName, {
+          name: objectName,
+          getMetadata: vi.fn().mockResolvedValue([objects[objectName]]),
+          generateSignedUrl: vi.fn().mockResolvedValue(['https://storage.example/signed']),
+          setMetadata: vi.fn(),
+          createReadStream: vi.fn(() => Readable.from([Buffer.from('bytes')])),
+        });
+      }
+      return files.get(objectName);
+    }),
+  };
+}
+
+describe('GcsClient downloads', () => {
+  const objects = {
+    'restored/user-1/job-1.png': { contentType: 'image/png', size: '5', metadata: { userId: 'user-1', jobId: 'job-1' } },
+  };
+
+  it('signs a read URL for the recorded owner without rewriting metadata', async () => {
+    const bucket = createBucket(objects);
+    const gcs = new GcsClient({ bucketOverride: { bucket, bucketName: 'test' } });
+
+    const { url } = await gcs.generateDownloadUrl({
+      userId: 'user-1',
+      objectName: 'restored/user-1/job-1.png',
+      filename: 'Zoë-restored.png',
+      disposition: 'inline',
+    });
+
+    const file = bucket.file('restored/user-1/job-1.png');
+    expect(url).toBe('https://storage.example/signed');
+    expect(file.setMetadata).not.toHaveBeenCalled();
+    expect(file.generateSignedUrl).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'read',
+        responseType: 'image/png',
+        responseDisposition: `inline; filename="Zo_-restored.png"; filename*=UTF-8''Zo%C3%AB-restored.png`,
+      })
+    );
+  });
+
+  it('refuses to sign or stream objects recorded for another user', async () => {
+    const bucket = createBucket(objects);
+    const gcs = new GcsClient({ bucketOverride: { bucket, bucketName: 'test' } });
+    const request = { userId: 'user-2', objectName: 'restored/user-1/job-1.png' };
+
+    await expect(gcs.generateDownloadUrl(request)).rejects.toBeInstanceOf(ObjectOwnershipError);
+    await expect(gcs.openDownloadStream(request)).rejects.toBeInstanceOf(ObjectOwnershipError);
+    expect(bucket.file('restored/user-1/job-1.png').generateSignedUrl).not.toHaveBeenCalled();
+  });
+
+  it('opens a stream with the stored content type and size', async () => {
+    const gcs = new GcsClient({ bucketOverride: { bucket: createBucket(objects), bucketName: 'test' } });
+
+    const download = await gcs.openDownloadStream({ userId: 'user-1', objectName: 'restored/user-1/job-1.png' });
+
+    expect(download).toMatchObject({ contentType: 'image/png', size: 5 });
+    expect(download.stream).toBeInstanceOf(Readable);
+  });
+});
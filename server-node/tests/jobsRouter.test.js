@@ -0,0 +1,1256 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { once } from 'events';
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import express from 'express';
+import sharp from 'sharp';
+import { createJobsRouter } from '../src/routes/jobsRouter.js';
+import { CreditsService } from '../src/services/credits.js';
+import { JobsService } from '../src/services/jobs.js';
+import { JobEventsService } from '../src/services/jobEvents.js';
+import { RestorationCacheService } from '../src/services/restorationCache.js';
+import { PostProcessorService } from '../src/services/postProcessor.js';
+import { errorHandler } from '../src/utils/problem.js';
+import { createCleanImage } from './utils/imageFixtures.js';
+import { createFirestoreMock, createRedisMock, createTestLogger } from './utils/mocks.js';
+
+function createIdempotencyStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+    async set(key, value) {
+      entries.set(key, value);
+    },
+  };
+}
+
+async function startApp({ services, clients, queue, getUser }) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.context = { requestId: 'req-1' };
+    req.user = getUser();
+    req.clients = clients;
+    req.services = services;
+    next();
+  });
+  app.use('/v1/jobs', createJobsRouter({ clients, getQueue: () => queue, eventsHeartbeatMs: 20 }));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  await once(server, 'listening');
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+function parseEventStream(text) {
+  return text
+    .split('\n\n')
+    .filter((block) => block.includes('event: '))
+    .map((block) => {
+      const fields = Object.fromEntries(
+        block.split('\n').map((line) => {
+          const index = line.indexOf(': ');
+          return [line.slice(0, index), line.slice(index + 2)];
+        })
+      );
+      return {
+        id: fields.id ? Number(fields.id) : undefined,
+        type: fields.event,
+        data: JSON.parse(fields.data),
+      };
+    });
+}
+
+const ORIGINAL_OBJECT_NAME = /^originals\/user-1\/[0-9a-f]{64}\.jpg$/;
+
+async function submitImage(baseUrl, { prompt, callbackUrl, force, variants, outputFormat, quality } = {}) {
+  const form = new FormData();
+  const image = await createCleanImage();
+  form.append('image', new Blob([image], { type: 'image/jpeg' }), 'portrait.jpg');
+  if (prompt) {
+    form.append('prompt', prompt);
+  }
+  if (callbackUrl) {
+    form.append('callbackUrl', callbackUrl);
+  }
+  if (force) {
+    form.append('force', 'true');
+  }
+  if (variants !== undefined) {
+    form.append('variants', String(variants));
+  }
+  if (outputFormat !== undefined) {
+    form.append('outputFormat', outputFormat);
+  }
+  if (quality !== undefined) {
+    form.append('quality', String(quality));
+  }
+
+  return fetch(`${baseUrl}/v1/jobs`, {
+    method: 'POST',
+    headers: { 'Idempotency-Key': randomUUID() },
+    body: form,
+  });
+}
+
+describe('jobs router', () => {
+  let firestore;
+  let redis;
+  let services;
+  let clients;
+  let queue;
+  let server;
+  let baseUrl;
+  let currentUser;
+
+  beforeEach(async () => {
+    firestore = createFirestoreMock();
+    redis = createRedisMock();
+    const logger = createTestLogger();
+
+    const credits = new CreditsService({ redisClient: redis, firestoreClient: firestore, logger });
+    vi.spyOn(credits, '_getDailyFreeLimit').mockReturnValue(1);
+
+    services = {
+      credits,
+      jobs: new JobsService({ firestoreClient: firestore, logger }),
+      jobEvents: new JobEventsService({ redisClient: redis, logger }),
+      moderation: { moderate: vi.fn().mockResolvedValue({ allowed: true, flags: { adult: 'VERY_UNLIKELY' } }) },
+      restorationCache: new RestorationCacheService({ firestoreClient: firestore, logger }),
+      postProcessor: new PostProcessorService({ logger }),
+    };
+    clients = {
+      redis: createIdempotencyStore(),
+      gcs: {
+        uploadObject: vi.fn().mockResolvedValue({}),
+        generateDownloadUrl: vi.fn().mockResolvedValue({
+          url: 'https://storage.example/signed',
+          expiresAt: '2030-01-01T00:00:00.000Z',
+        }),
+      },
+    };
+    queue = { add: vi.fn().mockResolvedValue({}), getJob: vi.fn().mockResolvedValue(null) };
+    currentUser = { id: 'user-1', claims: {} };
+
+    ({ server, baseUrl } = await startApp({ services, clients, queue, getUser: () => currentUser }));
+  });
+
+  afterEach(async () => {
+    server.close();
+    await once(server, 'close');
+    vi.restoreAllMocks();
+  });
+
+  describe('POST /v1/jobs', () => {
+    it('charges credits, stores the image, enqueues the job and returns 202', async () => {
+      const response = await submitImage(baseUrl, { prompt: 'fix the scratches' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(response.headers.get('location')).toBe(`/v1/jobs/${body.jobId}`);
+      expect(body).toMatchObject({
+        status: 'queued',
+        statusUrl: `/v1/jobs/${body.jobId}`,
+        credits: { type: 'free', amount: 1, dailyFreeUsed: 1 },
+      });
+
+      expect(clients.gcs.uploadObject).toHaveBeenCalledWith(
+        expect.objectContaining({
+          objectName: expect.stringMatching(ORIGINAL_OBJECT_NAME),
+          contentType: 'image/jpeg',
+        })
+      );
+
+      expect(clients.gcs.uploadObject).toHaveBeenCalledWith(
+        expect.objectContaining({
+          objectName: expect.stringMatching(/^originals\/user-1\/[0-9a-f]{64}\.source\.jpg$/),
+          contentType: 'image/jpeg',
+        })
+      );
+
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({
+          jobId: body.jobId,
+          userId: 'user-1',
+          userPrompt: 'fix the scratches',
+          sourceObjectName: expect.stringMatching(/\.source\.jpg$/),
+        }),
+        { jobId: body.jobId }
+      );
+
+      const job = firestore.__getDoc('jobs', body.jobId);
+      expect(job).toMatchObject({ status: 'queued', userId: 'user-1', originalFilename: 'portrait.jpg' });
+
+      const events = await services.jobEvents.getHistory(body.jobId);
+      expect(events).toEqual([expect.objectContaining({ id: 1, type: 'queued' })]);
+    });
+
+    it('rejects with 402 when the user has no credits left', async () => {
+      vi.spyOn(services.credits, '_getDailyFreeLimit').mockReturnValue(0);
+
+      const response = await submitImage(baseUrl);
+      const body = await response.json();
+
+      expect(response.status).toBe(402);
+      expect(response.headers.get('content-type')).toMatch(/application\/problem\+json/);
+      expect(body.title).toBe('Insufficient Credits');
+      expect(queue.add).not.toHaveBeenCalled();
+      expect(clients.gcs.uploadObject).not.toHaveBeenCalled();
+    });
+
+    it('stores the callback URL on the job and in the queue payload', async () => {
+      const response = await submitImage(baseUrl, { callbackUrl: 'https://partner.example/hooks' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({ callbackUrl: 'https://partner.example/hooks' }),
+        { jobId: body.jobId }
+      );
+      expect(firestore.__getDoc('jobs', body.jobId).callbackUrl).toBe('https://partner.example/hooks');
+    });
+
+    it('rejects callback URLs that are not http(s) before charging credits', async () => {
+      const response = await submitImage(baseUrl, { callbackUrl: 'ftp://partner.example/hooks' });
+      const body = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(body.title).toBe('Invalid Callback URL');
+      expect(body.detail).toBe('callbackUrl must be an absolute http or https URL.');
+      expect(firestore.__getLedger()).toEqual([]);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects callback URLs that point at loopback, link-local or private hosts', async () => {
+      for (const callbackUrl of [
+        'http://localhost:8080/hooks',
+        'https://127.0.0.1/hooks',
+        'http://169.254.169.254/latest/meta-data',
+        'https://10.1.2.3/hooks',
+        'https://[::1]/hooks',
+      ]) {
+        const response = await submitImage(baseUrl, { callbackUrl });
+        const body = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(body.detail).toBe('callbackUrl must not point to a loopback, link-local or private network host.');
+      }
+      expect(firestore.__getLedger()).toEqual([]);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('refunds credits and marks the job failed when enqueueing fails', async () => {
+      queue.add.mockRejectedValue(new Error('redis down'));
+
+      const response = await submitImage(baseUrl);
+      const body = await response.json();
+
+      expect(response.status).toBe(503);
+      expect(body.title).toBe('Job Submission Failed');
+
+      const ledger = firestore.__getLedger();
+      expect(ledger.map((entry) => entry.type)).toEqual(['free', 'refund']);
+
+      const jobId = ledger[0].jobId;
+      expect(firestore.__getDoc('jobs', jobId)).toMatchObject({
+        status: 'failed',
+        error: { code: 'SUBMISSION_FAILED' },
+      });
+    });
+  });
+
+  describe('POST /v1/jobs with a direct upload', () => {
+    function submitObject(objectName) {
+      return fetch(`${baseUrl}/v1/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': randomUUID() },
+        body: JSON.stringify({ objectName, prompt: 'restore the colors' }),
+      });
+    }
+
+    beforeEach(async () => {
+      const image = await createCleanImage();
+      clients.gcs.describeUpload = vi.fn(async (objectName) =>
+        objectName === 'uploads/user-1/staged'
+          ? { objectName, size: image.length, contentType: 'image/jpeg', userId: 'user-1', filename: 'attic.jpg' }
+          : null
+      );
+      clients.gcs.downloadObject = vi.fn().mockResolvedValue(image);
+    });
+
+    it('validates, preprocesses and moderates the stored object before queueing', async () => {
+      const response = await submitObject('uploads/user-1/staged');
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(clients.gcs.downloadObject).toHaveBeenCalledWith('uploads/user-1/staged');
+      expect(services.moderation.moderate).toHaveBeenCalledTimes(1);
+      expect(clients.gcs.uploadObject).toHaveBeenCalledWith(
+        expect.objectContaining({ objectName: expect.stringMatching(ORIGINAL_OBJECT_NAME), contentType: 'image/jpeg' })
+      );
+      expect(firestore.__getDoc('jobs', body.jobId)).toMatchObject({
+        originalFilename: 'attic.jpg',
+        uploadObjectName: 'uploads/user-1/staged',
+        userPrompt: 'restore the colors',
+      });
+    });
+
+    it('answers 404 for uploads that are missing or belong to someone else', async () => {
+      const missing = await submitObject('uploads/user-1/nothing');
+      const foreign = await submitObject('uploads/user-2/staged');
+
+      expect(missing.status).toBe(404);
+      expect(foreign.status).toBe(404);
+      expect(clients.gcs.downloadObject).not.toHaveBeenCalled();
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects stored objects that are not images', async () => {
+      clients.gcs.downloadObject.mockResolvedValue(Buffer.from('plain text pretending to be a photo'));
+
+      const response = await submitObject('uploads/user-1/staged');
+
+      expect(response.status).toBe(415);
+      expect(firestore.__getLedger()).toHaveLength(0);
+    });
+  });
+
+  describe('restoration cache', () => {
+    async function cacheResultOf(jobId) {
+      const { cacheKey } = firestore.__getDoc('jobs', jobId);
+      await services.restorationCache.remember(cacheKey, {
+        sourceJobId: jobId,
+        userId: 'user-1',
+        resultObjectName: `restored/user-1/${jobId}.png`,
+        resultContentType: 'image/png',
+        degradation: { blur: 0.4 },
+        degradationTypes: ['blur'],
+      });
+    }
+
+    beforeEach(async () => {
+      await redis.set('credits:user-1', 5);
+    });
+
+    it('answers an identical resubmission from the cache without charging', async () => {
+      const first = await (await submitImage(baseUrl, { prompt: 'fix the scratches' })).json();
+      await cacheResultOf(first.jobId);
+
+      const response = await submitImage(baseUrl, { prompt: 'fix the scratches' });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({
+        status: 'succeeded',
+        credits: { type: 'cache', amount: 0 },
+        cache: { hit: true, sourceJobId: first.jobId },
+      });
+      expect(queue.add).toHaveBeenCalledTimes(1);
+      expect(firestore.__getLedger()).toHaveLength(1);
+
+      const status = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+      expect(status).toMatchObject({ status: 'succeeded', result: { contentType: 'image/png' } });
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith(
+        expect.objectContaining({ objectName: `restored/user-1/${first.jobId}.png` })
+      );
+      const events = await services.jobEvents.getHistory(body.jobId);
+      expect(events.map((event) => event.type)).toEqual(['result']);
+    });
+
+    it('misses when the prompt differs and bypasses the cache with force=true', async () => {
+      const first = await (await submitImage(baseUrl, { prompt: 'fix the scratches' })).json();
+      await cacheResultOf(first.jobId);
+
+      const otherPrompt = await submitImage(baseUrl, { prompt: 'colorize it' });
+      const forced = await submitImage(baseUrl, { prompt: 'fix the scratches', force: true });
+
+      expect(otherPrompt.status).toBe(202);
+      expect(forced.status).toBe(202);
+      expect((await forced.json()).credits).toMatchObject({ amount: 1 });
+      expect(queue.add).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('POST /v1/jobs/fusion', () => {
+    async function submitFusion(files) {
+      const form = new FormData();
+      for (const [index, buffer] of files.entries()) {
+        form.append('images', new Blob([buffer], { type: 'image/jpeg' }), `print-${index + 1}.jpg`);
+      }
+      return fetch(`${baseUrl}/v1/jobs/fusion`, {
+        method: 'POST',
+        headers: { 'Idempotency-Key': randomUUID() },
+        body: form,
+      });
+    }
+
+    it('charges one credit per input and queues a single fusion job', async () => {
+      await redis.set('credits:user-1', 5);
+      const first = await createCleanImage();
+      const second = await createCleanImage({ width: 320, height: 240 });
+
+      const response = await submitFusion([first, second, first]);
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body.credits).toMatchObject({ type: 'paid', amount: 3, remainingCredits: 2 });
+      expect(services.moderation.moderate).toHaveBeenCalledTimes(3);
+
+      // The repeated print is stored once
+      const inputObjectNames = firestore.__getDoc('jobs', body.jobId).inputObjectNames;
+      expect(inputObjectNames).toHaveLength(3);
+      expect(inputObjectNames[0]).toBe(inputObjectNames[2]);
+      expect(clients.gcs.uploadObject.mock.calls.map(([{ objectName }]) => objectName)).toEqual(
+        inputObjectNames.slice(0, 2)
+      );
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({
+          jobId: body.jobId,
+          inputObjectNames,
+          credits: expect.objectContaining({ amount: 3 }),
+        }),
+        { jobId: body.jobId }
+      );
+
+      const status = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+      expect(status).toMatchObject({ mode: 'fusion', inputCount: 3 });
+    });
+
+    it('requires two or three inputs', async () => {
+      const image = await createCleanImage();
+
+      const single = await submitFusion([image]);
+      const tooMany = await submitFusion([image, image, image, image]);
+
+      expect(single.status).toBe(400);
+      expect((await single.json()).title).toBe('Invalid File Count');
+      expect(tooMany.status).toBe(400);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects the request when any input fails moderation and names that input', async () => {
+      services.moderation.moderate
+        .mockResolvedValueOnce({ allowed: true, flags: {} })
+        .mockResolvedValueOnce({ allowed: false, flags: {}, rejection: { reason: 'unsafe', categories: ['violence'] } });
+      const image = await createCleanImage();
+
+      const response = await submitFusion([image, image]);
+      const body = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(body).toMatchObject({ inputIndex: 1, filename: 'print-2.jpg' });
+      expect(firestore.__getLedger()).toHaveLength(0);
+    });
+  });
+
+  describe('GET /v1/jobs/:id', () => {
+    beforeEach(async () => {
+      await services.jobs.createJob({ jobId: 'job-done', userId: 'user-1', userPrompt: 'fix it' });
+      await services.jobs.updateJob('job-done', {
+        status: 'succeeded',
+        resultObjectName: 'restored/user-1/job-done.png',
+        resultContentType: 'image/png',
+        timings: { classify_ms: 10, prompt_ms: 2, restore_ms: 300, total_ms: 312 },
+        degradation: { blur: 0.7, noise: 0.1 },
+        metadata: {
+          classificationIssues: [{ type: 'blur', confidence: 0.7 }],
+          quality: { ssim: 0.82, psnr: 27.4, histogramDelta: { r: 0.12, g: 0.08, b: 0.1 }, width: 512, height: 384 },
+        },
+      });
+
+      await services.jobs.createJob({ jobId: 'job-failed', userId: 'user-1' });
+      await services.jobs.updateJob('job-failed', {
+        status: 'failed',
+        timings: { classify_ms: 10, prompt_ms: 2 },
+        error: { code: 'RESTORATION_FAILED', message: 'timeout', type: 'TIMEOUT', failureStage: 'AI_RESTORATION' },
+      });
+    });
+
+    it('returns state, stage timings, degradation and a signed result link to the owner', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-done`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({
+        jobId: 'job-done',
+        status: 'succeeded',
+        timings: { classify_ms: 10, prompt_ms: 2, restore_ms: 300 },
+        degradation: { issues: [{ type: 'blur', confidence: 0.7 }] },
+        quality: { ssim: 0.82, psnr: 27.4, histogramDelta: { r: 0.12, g: 0.08, b: 0.1 } },
+        error: null,
+        result: { url: 'https://storage.example/signed', contentType: 'image/png' },
+      });
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-1', objectName: 'restored/user-1/job-done.png' })
+      );
+    });
+
+    it('reports the failure stage and type for failed jobs', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-failed`);
+      const body = await response.json();
+
+      expect(body.status).toBe('failed');
+      expect(body.error).toMatchObject({ type: 'TIMEOUT', failureStage: 'AI_RESTORATION' });
+      expect(body.result).toBeNull();
+      expect(body.quality).toBeNull();
+      expect(body.fidelity).toBeNull();
+    });
+
+    it('reports low-fidelity results as not charged', async () => {
+      const fidelity = { floor: 0.65, similarity: 0.48, lumaSsim: 0.52, edgeSsim: 0.44, retries: 1, lowFidelity: true };
+      await services.jobs.createJob({ jobId: 'job-drifted', userId: 'user-1', credits: { amount: 2 } });
+      await services.jobs.updateJob('job-drifted', {
+        status: 'succeeded',
+        resultObjectName: 'restored/user-1/job-drifted.png',
+        resultContentType: 'image/png',
+        metadata: { estimatedCostUsd: 0.08, fidelity },
+      });
+
+      const body = await (await fetch(`${baseUrl}/v1/jobs/job-drifted`)).json();
+
+      expect(body.status).toBe('succeeded');
+      expect(body.fidelity).toEqual(fidelity);
+      expect(body.lineage.accumulatedCost).toEqual({ credits: 0, estimatedCostUsd: 0.08 });
+    });
+
+    it('hides jobs owned by other users behind a 404', async () => {
+      currentUser = { id: 'user-2', claims: {} };
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-done`);
+      const body = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(body.title).toBe('Job Not Found');
+    });
+
+    it('lets admins read any job', async () => {
+      currentUser = { id: 'ops-1', claims: { admin: true } };
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-done`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('returns 404 for unknown jobs', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/missing`);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /v1/jobs/:id/result', () => {
+    beforeEach(async () => {
+      await services.jobs.createJob({ jobId: 'job-done', userId: 'user-1', originalFilename: 'Oma 1952.jpeg' });
+      await services.jobs.updateJob('job-done', {
+        status: 'succeeded',
+        resultObjectName: 'restored/user-1/job-done.png',
+        resultContentType: 'image/png',
+      });
+      await services.jobs.createJob({ jobId: 'job-queued', userId: 'user-1' });
+    });
+
+    it('redirects the owner to a signed URL named after the original upload', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-done/result?disposition=inline`, { redirect: 'manual' });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('location')).toBe('https://storage.example/signed');
+      expect(response.headers.get('cache-control')).toBe('private, no-store');
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith({
+        userId: 'user-1',
+        objectName: 'restored/user-1/job-done.png',
+        filename: 'Oma 1952-restored.png',
+        disposition: 'inline',
+      });
+    });
+
+    it('streams the bytes with a Content-Disposition header when asked', async () => {
+      const bytes = Buffer.from('png-bytes');
+      clients.gcs.openDownloadStream = vi.fn().mockResolvedValue({
+        stream: Readable.from([bytes]),
+        contentType: 'image/png',
+        size: bytes.length,
+      });
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-done/result?delivery=stream`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('image/png');
+      expect(response.headers.get('content-disposition')).toBe(
+        `attachment; filename="Oma 1952-restored.png"; filename*=UTF-8''Oma%201952-restored.png`
+      );
+      expect(Buffer.from(await response.arrayBuffer())).toEqual(bytes);
+    });
+
+    it('returns 409 until the job has a result and 400 for unknown options', async () => {
+      const pending = await fetch(`${baseUrl}/v1/jobs/job-queued/result`);
+      const invalid = await fetch(`${baseUrl}/v1/jobs/job-done/result?disposition=download`);
+
+      expect(pending.status).toBe(409);
+      expect(await pending.json()).toMatchObject({ title: 'Result Not Available', status: 409, jobStatus: 'queued' });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('hides other users\' results behind a 404', async () => {
+      currentUser = { id: 'user-2', claims: {} };
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-done/result`, { redirect: 'manual' });
+
+      expect(response.status).toBe(404);
+      expect(clients.gcs.generateDownloadUrl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('output formats', () => {
+    it('queues the requested encoding and validates it before charging', async () => {
+      const response = await submitImage(baseUrl, { outputFormat: 'AVIF', quality: 50 });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({ output: { format: 'avif', quality: 50 } }),
+        { jobId: body.jobId }
+      );
+      const resource = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+      expect(resource.output).toEqual({ format: 'avif', quality: 50 });
+
+      for (const options of [{ outputFormat: 'bmp' }, { outputFormat: 'png', quality: 80 }, { outputFormat: 'jpeg', quality: 0 }, { quality: 80 }]) {
+        const rejected = await submitImage(baseUrl, options);
+        expect(rejected.status).toBe(400);
+        expect((await rejected.json()).title).toBe('Invalid Output Options');
+      }
+      expect(queue.add).toHaveBeenCalledTimes(1);
+    });
+
+    it('targets the original upload size unless opted out', async () => {
+      const submit = (fields) => {
+        const form = new FormData();
+        return createCleanImage({ width: 300, height: 200 }).then((image) => {
+          form.append('image', new Blob([image], { type: 'image/jpeg' }), 'wide.jpg');
+          for (const [name, value] of Object.entries(fields)) {
+            form.append(name, value);
+          }
+          return fetch(`${baseUrl}/v1/jobs`, { method: 'POST', headers: { 'Idempotency-Key': randomUUID() }, body: form });
+        });
+      };
+
+      await redis.set('credits:user-1', 5);
+      const guided = await (await submit({ detailTransfer: 'true' })).json();
+      const providerSized = await (await submit({ originalResolution: 'false', detailTransfer: 'true' })).json();
+
+      const payloads = Object.fromEntries(queue.add.mock.calls.map(([, data]) => [data.jobId, data]));
+      expect(payloads[guided.jobId]).toMatchObject({ targetSize: { width: 300, height: 200 }, detailTransfer: true });
+      expect(payloads[providerSized.jobId]).not.toHaveProperty('targetSize');
+
+      const resource = await (await fetch(`${baseUrl}/v1/jobs/${guided.jobId}`)).json();
+      expect(resource.resolution).toEqual({ target: { width: 300, height: 200 }, detailTransfer: true, scale: null });
+    });
+
+    it('charges one credit per tile for tiled restoration', async () => {
+      await redis.set('credits:user-1', 10);
+      const submit = async (fields) => {
+        const form = new FormData();
+        const image = await createCleanImage({ width: 1500, height: 1100 });
+        form.append('image', new Blob([image], { type: 'image/jpeg' }), 'scan.jpg');
+        for (const [name, value] of Object.entries(fields)) {
+          form.append(name, value);
+        }
+        return fetch(`${baseUrl}/v1/jobs`, { method: 'POST', headers: { 'Idempotency-Key': randomUUID() }, body: form });
+      };
+
+      const response = await submit({ tiled: 'true' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body.credits).toMatchObject({ amount: 4 });
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({ tiling: { tileSize: 1024, overlap: 128 }, sourceObjectName: expect.any(String) }),
+        { jobId: body.jobId }
+      );
+      expect(queue.add.mock.calls[0][1]).not.toHaveProperty('targetSize');
+      const resource = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+      expect(resource.tiling).toEqual({ columns: 2, rows: 2, tileSize: 1024, overlap: 128, tileCount: 4 });
+
+      const withVariants = await submit({ tiled: 'true', variants: '2' });
+      expect(withVariants.status).toBe(400);
+      expect((await withVariants.json()).title).toBe('Invalid Tiling');
+    });
+
+    it('tiles a 10000 px scan within the default limits', async () => {
+      await redis.set('credits:user-1', 200);
+      const form = new FormData();
+      const image = await createCleanImage({ width: 10000, height: 10000 });
+      form.append('image', new Blob([image], { type: 'image/jpeg' }), 'album-page.jpg');
+      form.append('tiled', 'true');
+
+      const response = await fetch(`${baseUrl}/v1/jobs`, { method: 'POST', headers: { 'Idempotency-Key': randomUUID() }, body: form });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body.credits).toMatchObject({ amount: 144 });
+      const resource = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+      expect(resource.tiling).toEqual({ columns: 12, rows: 12, tileSize: 1024, overlap: 128, tileCount: 144 });
+    }, 30000);
+
+    describe('region masks', () => {
+      async function submitWithMask(mask, fields = {}) {
+        const form = new FormData();
+        form.append('image', new Blob([await createCleanImage({ width: 200, height: 100 })], { type: 'image/jpeg' }), 'torn.jpg');
+        if (mask) {
+          form.append('mask', new Blob([mask], { type: 'image/png' }), 'mask.png');
+        }
+        for (const [name, value] of Object.entries(fields)) {
+          form.append(name, value);
+        }
+        return fetch(`${baseUrl}/v1/jobs`, { method: 'POST', headers: { 'Idempotency-Key': randomUUID() }, body: form });
+      }
+
+      // White top-left quarter on black, at half the image's resolution
+      async function quarterMask({ width = 100, height = 50, fill = 255 } = {}) {
+        const pixels = Buffer.alloc(width * height);
+        for (let y = 0; y < height / 2; y += 1) pixels.fill(fill, y * width, y * width + width / 2);
+        return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+      }
+
+      it('stores a normalized mask and queues a masked restoration', async () => {
+        const response = await submitWithMask(await quarterMask());
+        const body = await response.json();
+
+        expect(response.status).toBe(202);
+        expect(body.credits).toMatchObject({ amount: 1 });
+        const [[, payload]] = queue.add.mock.calls;
+        expect(payload.maskObjectName).toMatch(/^masks\/user-1\/[0-9a-f]{64}\.png$/);
+        expect(payload).not.toHaveProperty('targetSize');
+        const [storedMask] = clients.gcs.uploadObject.mock.calls
+          .map(([upload]) => upload)
+          .filter((upload) => upload.objectName === payload.maskObjectName);
+        expect(await sharp(storedMask.buffer).metadata()).toMatchObject({ width: 200, height: 100, channels: 1 });
+
+        const resource = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+        expect(resource.mask).toEqual({
+          source: 'image',
+          coverage: 0.25,
+          bounds: { left: 0, top: 0, width: 100, height: 50 },
+          region: null,
+        });
+      });
+
+      it('rasterizes polygon masks in fractions of the image size', async () => {
+        const response = await submitWithMask(null, { maskPolygons: JSON.stringify([[[0.5, 0.5], [1, 0.5], [1, 1], [0.5, 1]]]) });
+        const body = await response.json();
+
+        expect(response.status).toBe(202);
+        const resource = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+        expect(resource.mask).toMatchObject({ source: 'polygons', bounds: { left: 100, top: 50, width: 100, height: 50 } });
+      });
+
+      it('rejects masks that do not fit the image or are not binary', async () => {
+        const cases = [
+          [await quarterMask({ width: 100, height: 100 }), {}, 'same aspect ratio'],
+          [await quarterMask({ fill: 128 }), {}, 'black and white'],
+          [await quarterMask({ fill: 0 }), {}, 'does not select'],
+          [await quarterMask(), { variants: '2' }, 'one variant'],
+          [null, { maskPolygons: '[[[0, 0], [2, 0], [1, 1]]]' }, 'fractions'],
+        ];
+
+        for (const [mask, fields, detail] of cases) {
+          const response = await submitWithMask(mask, fields);
+          const problem = await response.json();
+          expect(response.status).toBe(400);
+          expect(problem).toMatchObject({ title: 'Invalid Mask', detail: expect.stringContaining(detail) });
+        }
+        expect(queue.add).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('result download', () => {
+      beforeEach(async () => {
+        const png = await sharp({ create: { width: 24, height: 16, channels: 3, background: '#204060' } }).png().toBuffer();
+        clients.gcs.openDownloadStream = vi.fn(async () => ({
+          stream: Readable.from([png]),
+          contentType: 'image/png',
+          size: png.length,
+        }));
+        await services.jobs.createJob({ jobId: 'job-png', userId: 'user-1', originalFilename: 'barn.jpg' });
+        await services.jobs.updateJob('job-png', {
+          status: 'succeeded',
+          resultObjectName: 'restored/user-1/job-png.png',
+          resultContentType: 'image/png',
+        });
+      });
+
+      it('serves the stored result whenever Accept allows it', async () => {
+        const response = await fetch(`${baseUrl}/v1/jobs/job-png/result`, {
+          headers: { Accept: 'image/avif,image/webp,*/*;q=0.8' },
+          redirect: 'manual',
+        });
+
+        expect(response.status).toBe(302);
+        expect(response.headers.get('vary')).toMatch(/Accept/);
+        expect(clients.gcs.openDownloadStream).not.toHaveBeenCalled();
+      });
+
+      it('converts to an acceptable format and streams it', async () => {
+        const response = await fetch(`${baseUrl}/v1/jobs/job-png/result`, {
+          headers: { Accept: 'image/jpeg;q=0.5, image/webp' },
+          redirect: 'manual',
+        });
+        const bytes = Buffer.from(await response.arrayBuffer());
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('image/webp');
+        expect(response.headers.get('content-disposition')).toMatch(/filename="barn-restored\.webp"/);
+        expect(await sharp(bytes).metadata()).toMatchObject({ format: 'webp', width: 24, height: 16 });
+      });
+
+      it('answers 406 when no supported format is acceptable', async () => {
+        const response = await fetch(`${baseUrl}/v1/jobs/job-png/result`, { headers: { Accept: 'image/gif' } });
+
+        expect(response.status).toBe(406);
+        expect(await response.json()).toMatchObject({ title: 'Not Acceptable', available: expect.arrayContaining(['image/tiff']) });
+      });
+    });
+  });
+
+  describe('restoration variants', () => {
+    beforeEach(async () => {
+      await services.jobs.createJob({ jobId: 'job-variants', userId: 'user-1', originalFilename: 'pier.jpg' });
+      await services.jobs.updateJob('job-variants', {
+        status: 'succeeded',
+        resultObjectName: 'restored/user-1/job-variants/variant-0.png',
+        resultContentType: 'image/png',
+        variants: [0, 1, 2].map((index) => ({
+          index,
+          objectName: `restored/user-1/job-variants/variant-${index}.png`,
+          contentType: 'image/png',
+        })),
+        preferredVariant: null,
+      });
+    });
+
+    it('charges one credit per variant and validates the count', async () => {
+      await redis.set('credits:user-1', 5);
+
+      const response = await submitImage(baseUrl, { variants: 3 });
+      const body = await response.json();
+      const tooMany = await submitImage(baseUrl, { variants: 5 });
+
+      expect(response.status).toBe(202);
+      expect(body.credits).toMatchObject({ type: 'paid', amount: 3, remainingCredits: 2 });
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({ jobId: body.jobId, variantCount: 3, promptJitter: false }),
+        { jobId: body.jobId }
+      );
+      expect(tooMany.status).toBe(400);
+      expect((await tooMany.json()).title).toBe('Invalid Variants');
+      expect(queue.add).toHaveBeenCalledTimes(1);
+    });
+
+    it('records the preferred variant and makes it the job result', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-variants/preferred-variant`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variant: 2 }),
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({ variantCount: 3, preferredVariant: 2 });
+      expect(body.result.variants.map(({ index }) => index)).toEqual([0, 1, 2]);
+      expect(firestore.__getDoc('jobs', 'job-variants')).toMatchObject({
+        preferredVariant: 2,
+        resultObjectName: 'restored/user-1/job-variants/variant-2.png',
+      });
+
+      const preferences = await firestore.collection('variant_preferences').where('jobId', '==', 'job-variants').get();
+      expect(preferences.docs.map((doc) => doc.data())).toEqual([
+        expect.objectContaining({ userId: 'user-1', variant: 2, previousVariant: null, variantCount: 3 }),
+      ]);
+
+      const invalid = await fetch(`${baseUrl}/v1/jobs/job-variants/preferred-variant`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variant: 3 }),
+      });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('downloads a specific variant by index', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-variants/result?variant=1`, { redirect: 'manual' });
+
+      expect(response.status).toBe(302);
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith(
+        expect.objectContaining({
+          objectName: 'restored/user-1/job-variants/variant-1.png',
+          filename: 'pier-restored-variant-1.png',
+        })
+      );
+      expect((await fetch(`${baseUrl}/v1/jobs/job-variants/result?variant=7`)).status).toBe(400);
+    });
+  });
+
+  describe('comparison assets', () => {
+    beforeEach(async () => {
+      await services.jobs.createJob({ jobId: 'job-assets', userId: 'user-1', originalFilename: 'harbour.jpg' });
+      await services.jobs.updateJob('job-assets', {
+        status: 'succeeded',
+        resultObjectName: 'restored/user-1/job-assets.png',
+        resultContentType: 'image/png',
+        assets: [
+          {
+            kind: 'comparison-side-by-side',
+            objectName: 'restored/user-1/job-assets/comparison-side-by-side.jpg',
+            contentType: 'image/jpeg',
+            width: 1608,
+            height: 800,
+            bytes: 120000,
+          },
+          {
+            kind: 'comparison-flip',
+            objectName: 'restored/user-1/job-assets/comparison-flip.webp',
+            contentType: 'image/webp',
+            width: 512,
+            height: 512,
+            bytes: 30000,
+          },
+        ],
+      });
+    });
+
+    it('lists renditions with dimensions and sizes for srcset', async () => {
+      await services.jobs.updateJob('job-assets', {
+        renditions: [
+          { format: 'webp', objectName: 'restored/user-1/job-assets/rendition-256.webp', contentType: 'image/webp', width: 256, height: 171, bytes: 9000 },
+          { format: 'webp', objectName: 'restored/user-1/job-assets/rendition-768.webp', contentType: 'image/webp', width: 768, height: 512, bytes: 61000 },
+        ],
+      });
+
+      const body = await (await fetch(`${baseUrl}/v1/jobs/job-assets`)).json();
+
+      expect(body.result.renditions).toEqual([
+        { format: 'webp', width: 256, height: 171, bytes: 9000, contentType: 'image/webp', url: 'https://storage.example/signed', expiresAt: '2030-01-01T00:00:00.000Z' },
+        { format: 'webp', width: 768, height: 512, bytes: 61000, contentType: 'image/webp', url: 'https://storage.example/signed', expiresAt: '2030-01-01T00:00:00.000Z' },
+      ]);
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith(
+        expect.objectContaining({ filename: 'harbour-restored-768w.webp' })
+      );
+    });
+
+    it('lists signed asset links on the job', async () => {
+      const body = await (await fetch(`${baseUrl}/v1/jobs/job-assets`)).json();
+
+      expect(body.result.assets).toEqual([
+        expect.objectContaining({ kind: 'comparison-side-by-side', contentType: 'image/jpeg', width: 1608, url: 'https://storage.example/signed' }),
+        expect.objectContaining({ kind: 'comparison-flip', contentType: 'image/webp', bytes: 30000 }),
+      ]);
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith(
+        expect.objectContaining({ filename: 'harbour-comparison-flip.webp' })
+      );
+    });
+
+    it('downloads an asset by kind and 404s unknown kinds', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-assets/assets/comparison-flip?disposition=inline`, {
+        redirect: 'manual',
+      });
+
+      expect(response.status).toBe(302);
+      expect(clients.gcs.generateDownloadUrl).toHaveBeenCalledWith({
+        userId: 'user-1',
+        objectName: 'restored/user-1/job-assets/comparison-flip.webp',
+        filename: 'harbour-comparison-flip.webp',
+        disposition: 'inline',
+      });
+
+      const missing = await fetch(`${baseUrl}/v1/jobs/job-assets/assets/comparison-split-diagonal`);
+      expect(missing.status).toBe(404);
+      expect(await missing.json()).toMatchObject({
+        title: 'Asset Not Found',
+        availableKinds: ['comparison-side-by-side', 'comparison-flip'],
+      });
+    });
+  });
+
+  describe('POST /v1/jobs/:id/follow-ups', () => {
+    function submitFollowUp(jobId, body = {}) {
+      return fetch(`${baseUrl}/v1/jobs/${jobId}/follow-ups`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': randomUUID() },
+        body: JSON.stringify(body),
+      });
+    }
+
+    beforeEach(async () => {
+      await redis.set('credits:user-1', 5);
+      clients.gcs.downloadObject = vi.fn().mockResolvedValue(await createCleanImage());
+      await services.jobs.createJob({
+        jobId: 'job-parent',
+        userId: 'user-1',
+        originalFilename: 'wedding.jpg',
+        credits: { amount: 2 },
+      });
+      await services.jobs.updateJob('job-parent', {
+        status: 'succeeded',
+        resultObjectName: 'restored/user-1/job-parent.jpg',
+        resultContentType: 'image/jpeg',
+        metadata: { estimatedCostUsd: 0.04 },
+      });
+    });
+
+    it('restores the parent result again and records the lineage', async () => {
+      const response = await submitFollowUp('job-parent', { prompt: 'remove the yellow cast' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(clients.gcs.downloadObject).toHaveBeenCalledWith('restored/user-1/job-parent.jpg');
+      expect(queue.add).toHaveBeenCalledWith(
+        'restore',
+        expect.objectContaining({ jobId: body.jobId, userPrompt: 'remove the yellow cast' }),
+        { jobId: body.jobId }
+      );
+      expect(firestore.__getDoc('jobs', body.jobId)).toMatchObject({
+        originalFilename: 'wedding.jpg',
+        lineage: { parentJobId: 'job-parent', rootJobId: 'job-parent', generation: 2, priorCredits: 2, priorCostUsd: 0.04 },
+      });
+
+      const status = await (await fetch(`${baseUrl}/v1/jobs/${body.jobId}`)).json();
+      expect(status.lineage).toEqual({
+        parentJobId: 'job-parent',
+        rootJobId: 'job-parent',
+        generation: 2,
+        accumulatedCost: { credits: 3, estimatedCostUsd: 0.04 },
+      });
+
+      const history = await (await fetch(`${baseUrl}/v1/jobs`)).json();
+      expect(history.jobs.find((job) => job.jobId === 'job-parent').lineage).toMatchObject({
+        parentJobId: null,
+        generation: 1,
+        accumulatedCost: { credits: 2 },
+      });
+    });
+
+    it('refuses parents without a result and hides other users\' jobs', async () => {
+      await services.jobs.createJob({ jobId: 'job-queued', userId: 'user-1' });
+
+      const pending = await submitFollowUp('job-queued');
+      expect(pending.status).toBe(409);
+
+      currentUser = { id: 'user-2', claims: { admin: true } };
+      const foreign = await submitFollowUp('job-parent');
+      expect(foreign.status).toBe(404);
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /v1/jobs', () => {
+    async function seedJob(jobId, { userId = 'user-1', createdAt, ...fields }) {
+      await services.jobs.createJob({ jobId, userId });
+      await services.jobs.updateJob(jobId, { createdAt: new Date(createdAt), ...fields });
+    }
+
+    beforeEach(async () => {
+      await seedJob('job-a', { createdAt: '2025-01-01T10:00:00Z', status: 'succeeded', degradationTypes: ['blur'] });
+      await seedJob('job-b', { createdAt: '2025-01-02T10:00:00Z', status: 'failed', degradationTypes: [] });
+      await seedJob('job-c', { createdAt: '2025-01-03T10:00:00Z', status: 'succeeded', degradationTypes: ['blur', 'noise'] });
+      await seedJob('job-d', { createdAt: '2025-01-03T10:00:00Z', status: 'succeeded', degradationTypes: ['scratch'] });
+      await seedJob('job-x', { userId: 'user-2', createdAt: '2025-01-04T10:00:00Z', status: 'succeeded' });
+    });
+
+    it('pages through the caller\'s jobs newest first with opaque cursors and Link headers', async () => {
+      const first = await fetch(`${baseUrl}/v1/jobs?limit=3`);
+      const firstBody = await first.json();
+
+      expect(first.status).toBe(200);
+      expect(firstBody.jobs.map((job) => job.jobId)).toEqual(['job-d', 'job-c', 'job-b']);
+      expect(firstBody.nextCursor).toEqual(expect.any(String));
+      expect(first.headers.get('link')).toBe(
+        `</v1/jobs?limit=3>; rel="first", </v1/jobs?limit=3&cursor=${firstBody.nextCursor}>; rel="next"`
+      );
+
+      const nextUrl = first.headers.get('link').match(/<([^>]+)>; rel="next"/)[1];
+      const second = await fetch(`${baseUrl}${nextUrl}`);
+      const secondBody = await second.json();
+
+      expect(secondBody.jobs.map((job) => job.jobId)).toEqual(['job-a']);
+      expect(secondBody.nextCursor).toBeNull();
+      expect(second.headers.get('link')).not.toContain('rel="next"');
+    });
+
+    it('filters by status, degradation type and date range', async () => {
+      const byStatus = await (await fetch(`${baseUrl}/v1/jobs?status=failed`)).json();
+      const byDegradation = await (await fetch(`${baseUrl}/v1/jobs?degradation=blur`)).json();
+      const byRange = await (
+        await fetch(`${baseUrl}/v1/jobs?from=2025-01-02T00:00:00Z&to=2025-01-03T00:00:00Z`)
+      ).json();
+
+      expect(byStatus.jobs.map((job) => job.jobId)).toEqual(['job-b']);
+      expect(byDegradation.jobs.map((job) => job.jobId)).toEqual(['job-c', 'job-a']);
+      expect(byRange.jobs.map((job) => job.jobId)).toEqual(['job-b']);
+    });
+
+    it('rejects malformed cursors and filters with 400', async () => {
+      const badCursor = await fetch(`${baseUrl}/v1/jobs?cursor=not-a-cursor`);
+      const badStatus = await fetch(`${baseUrl}/v1/jobs?status=done`);
+      const badLimit = await fetch(`${baseUrl}/v1/jobs?limit=500`);
+
+      expect(badCursor.status).toBe(400);
+      expect((await badCursor.json()).title).toBe('Invalid Query');
+      expect(badStatus.status).toBe(400);
+      expect(badLimit.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /v1/jobs/:id', () => {
+    let refund;
+
+    beforeEach(async () => {
+      refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      await services.jobs.createJob({ jobId: 'job-1', userId: 'user-1', credits: { amount: 1 } });
+    });
+
+    it('removes a waiting job from the queue and refunds its credit', async () => {
+      const queued = { getState: vi.fn().mockResolvedValue('waiting'), remove: vi.fn().mockResolvedValue() };
+      queue.getJob.mockResolvedValue(queued);
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-1`, { method: 'DELETE' });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({
+        status: 'cancelled',
+        cancellation: { reason: 'cancelled by user', stage: 'QUEUED' },
+      });
+      expect(queued.remove).toHaveBeenCalled();
+      expect(refund).toHaveBeenCalledWith({ userId: 'user-1', jobId: 'job-1', amount: 1, reason: 'cancelled by user' });
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({
+        status: 'cancelled',
+        cancellation: { requestedBy: 'user-1', reason: 'cancelled by user' },
+      });
+
+      const events = await services.jobEvents.getHistory('job-1');
+      expect(events.map((event) => event.type)).toEqual(['cancelled']);
+    });
+
+    it('asks the worker to stop a running job and leaves the refund to it', async () => {
+      await services.jobs.updateJob('job-1', { status: 'processing' });
+      queue.getJob.mockResolvedValue({ getState: vi.fn().mockResolvedValue('active'), remove: vi.fn() });
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-1`, { method: 'DELETE' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body).toMatchObject({ status: 'processing', cancellation: { reason: 'cancelled by user' } });
+      expect(refund).not.toHaveBeenCalled();
+
+      const events = await services.jobEvents.getHistory('job-1');
+      expect(events.map((event) => event.type)).toEqual(['cancel_requested']);
+    });
+
+    it('leaves a queued batch child to the batch worker instead of refunding it', async () => {
+      await services.jobs.createJob({ jobId: 'job-child', userId: 'user-1', batchId: 'batch-1', credits: { amount: 1 } });
+      queue.getJob.mockResolvedValue(null);
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-child`, { method: 'DELETE' });
+      const body = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(body).toMatchObject({ status: 'queued', cancellation: { reason: 'cancelled by user' } });
+      expect(queue.getJob).not.toHaveBeenCalled();
+      expect(refund).not.toHaveBeenCalled();
+      const events = await services.jobEvents.getHistory('job-child');
+      expect(events.map((event) => event.type)).toEqual(['cancel_requested']);
+    });
+
+    it('rejects cancelling a finished job with 409', async () => {
+      await services.jobs.updateJob('job-1', { status: 'succeeded' });
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-1`, { method: 'DELETE' });
+      const body = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(response.headers.get('content-type')).toMatch(/application\/problem\+json/);
+      expect(body).toMatchObject({ title: 'Job Not Cancellable', status: 409, jobStatus: 'succeeded' });
+      expect(refund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /v1/jobs/:id/events', () => {
+    beforeEach(async () => {
+      await services.jobs.createJob({ jobId: 'job-live', userId: 'user-1' });
+      await services.jobEvents.publish('job-live', 'queued', { status: 'queued' });
+      await services.jobEvents.publish('job-live', 'processing', { status: 'processing', attempt: 1 });
+    });
+
+    it('replays recorded events and streams live ones until the job finishes', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-live/events`);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/text\/event-stream/);
+
+      await services.jobEvents.publish('job-live', 'classification_complete', { 'classification.duration_ms': 12 });
+      await services.jobEvents.publish('job-live', 'result', { status: 'succeeded' });
+
+      const events = parseEventStream(await response.text());
+      expect(events.map((event) => event.type)).toEqual([
+        'status',
+        'queued',
+        'processing',
+        'classification_complete',
+        'result',
+      ]);
+      expect(events[0].data).toEqual({ jobId: 'job-live', status: 'queued' });
+      expect(events.slice(1).map((event) => event.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('resumes after Last-Event-ID', async () => {
+      await services.jobEvents.publish('job-live', 'error', { status: 'failed' });
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-live/events`, {
+        headers: { 'Last-Event-ID': '2' },
+      });
+      const events = parseEventStream(await response.text());
+
+      expect(events.map((event) => [event.id, event.type])).toEqual([
+        [undefined, 'status'],
+        [3, 'error'],
+      ]);
+    });
+
+    it('sends heartbeats while the job is still running', async () => {
+      const response = await fetch(`${baseUrl}/v1/jobs/job-live/events`);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+
+      let received = '';
+      while (!received.includes(': heartbeat')) {
+        const { value } = await reader.read();
+        received += decoder.decode(value);
+      }
+      await reader.cancel();
+
+      expect(received).toContain('event: processing');
+    });
+
+    it('closes immediately for finished jobs without a recorded terminal event', async () => {
+      await services.jobs.createJob({ jobId: 'job-old', userId: 'user-1' });
+      await services.jobs.updateJob('job-old', { status: 'succeeded' });
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-old/events`);
+      const events = parseEventStream(await response.text());
+
+      expect(events).toEqual([{ id: undefined, type: 'status', data: { jobId: 'job-old', status: 'succeeded' } }]);
+    });
+
+    it('hides other users\' event streams behind a 404', async () => {
+      currentUser = { id: 'user-2', claims: {} };
+
+      const response = await fetch(`${baseUrl}/v1/jobs/job-live/events`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { once } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { LocalStorageClient } from '../src/clients/localStorageClient.js';
+import { ObjectOwnershipError } from '../src/clients/gcsClient.js';
+import { createLocalStorageRouter } from '../src/routes/localStorageRouter.js';
+import { errorHandler } from '../src/utils/problem.js';
+import { createTestLogger } from './utils/mocks.js';
+
+describe('LocalStorageClient', () => {
+  let rootDir;
+  let storage;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+
+    const app = express();
+    app.use(express.json());
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    storage = new LocalStorageClient({ rootDir, secret: 'test-secret', publicUrl: baseUrl, logger: createTestLogger() });
+    app.use('/storage', createLocalStorageRouter({ storage }));
+    app.use(errorHandler);
+  });
+
+  afterEach(async () => {
+    storage.close();
+    server.close();
+    await once(server, 'close');
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('accepts a signed upload only with the signed headers and describes it afterwards', async () => {
+    const upload = await storage.generateUploadUrl({
+      userId: 'user-1',
+      contentType: 'image/png',
+      filename: 'grandma.png',
+      maxBytes: 16,
+    });
+
+    const missingHeaders = await fetch(upload.url, { method: 'PUT', body: Buffer.from('png') });
+    expect(missingHeaders.status).toBe(403);
+
+    const tooLarge = await fetch(upload.url, { method: 'PUT', headers: upload.headers, body: Buffer.alloc(32) });
+    expect(tooLarge.status).toBe(400);
+
+    const response = await fetch(upload.url, { method: 'PUT', headers: upload.headers, body: Buffer.from('png-bytes') });
+    expect(response.status).toBe(200);
+    expect(await storage.describeUpload(upload.objectName)).toEqual({
+      objectName: upload.objectName,
+      size: 9,
+      contentType: 'image/png',
+      userId: 'user-1',
+      filename: 'grandma.png',
+    });
+    expect(await storage.downloadObject(upload.objectName)).toEqual(Buffer.from('png-bytes'));
+
+    const tampered = upload.url.replace('/uploads/user-1/', '/uploads/user-2/');
+    expect((await fetch(tampered, { method: 'PUT', headers: upload.headers, body: 'x' })).status).toBe(403);
+  });
+
+  it('serves owner-checked downloads with the signed disposition', async () => {
+    await storage.uploadObject({
+      objectName: 'restored/user-1/job-1.png',
+      buffer: Buffer.from('restored'),
+      contentType: 'image/png',
+      metadata: { userId: 'user-1' },
+    });
+
+    await expect(
+      storage.generateDownloadUrl({ userId: 'user-2', objectName: 'restored/user-1/job-1.png' })
+    ).rejects.toBeInstanceOf(ObjectOwnershipError);
+
+    const { url } = await storage.generateDownloadUrl({
+      userId: 'user-1',
+      objectName: 'restored/user-1/job-1.png',
+      filename: 'scan-restored.png',
+      disposition: 'inline',
+    });
+    const response = await fetch(url);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('image/png');
+    expect(response.headers.get('content-disposition')).toContain('inline; filename="scan-restored.png"');
+    expect(Buffer.from(await response.arrayBuffer()).toString()).toBe('restored');
+
+    expect((await fetch(url.replace(/token=[^&]+/, 'token=forged.sig'))).status).toBe(403);
+  });
+
+  it('sweeps objects past their prefix retention', async () => {
+    await storage.uploadObject({ objectName: 'uploads/user-1/a', buffer: Buffer.from('a') });
+    await storage.uploadObject({ objectName: 'restored/user-1/b.jpg', buffer: Buffer.from('b') });
+
+    const twoDaysLater = Date.now() + 2 * 24 * 60 * 60 * 1000;
+    const { deleted } = await storage.sweep(twoDaysLater);
+
+    expect(deleted).toEqual(['uploads/user-1/a']);
+    expect(await storage.describeUpload('uploads/user-1/a')).toBeNull();
+    expect(await storage.downloadObject('restored/user-1/b.jpg')).toEqual(Buffer.from('b'));
+  });
+
+  it('refuses object names that escape the storage root', async () => {
+    await expect(storage.downloadObject('../outside.txt')).rejects.toThrow('Invalid object name');
+  });
+});
@@ -2,7 +2,8 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { validateUploadedImage } from '../src/middleware/uploadValidation.js';
 import { preprocessImage } from '../src/middleware/imagePreprocess.js';
 import { moderateImage } from '../src/middleware/moderateImage.js';
-import { createCleanImage } from './utils/imageFixtures.js';
+import sharp from 'sharp';
+import { createBmpImage, createCleanImage, createMultiPageTiff } from './utils/imageFixtures.js';
 
 function createReq({ fileBuffer = null, services = {}, body = {}, user = { id: 'user-1' }, context = { requestId: 'req-1' } } = {}) {
   const req = { file: fileBuffer ? { buffer: fileBuffer, originalname: 'sample.jpg' } : null, services, body, user, context };
@@ -60,6 +61,77 @@ describe('middleware', () => {
       expect(req.file.buffer.equals(req.file.originalBuffer)).toBe(false);
     });
 
+    async function preprocessUpload(buffer, { originalname, body = {} }) {
+      const req = createReq({ fileBuffer: buffer, body });
+      req.file.originalname = originalname;
+      await validateUploadedImage(req, {}, next);
+      await preprocessImage(req, {}, next);
+      return req;
+    }
+
+    async function firstPixel(buffer) {
+      return [...(await sharp(buffer).raw().toBuffer()).subarray(0, 3)];
+    }
+
+    it('decodes BMP uploads and keeps them as PNG originals', async () => {
+      const req = await preprocessUpload(createBmpImage(), { originalname: 'scan.bmp' });
+
+      expect(next.mock.calls).toEqual([[], []]);
+      expect(req.file.preprocessOperations).toContain('decode_bmp');
+      expect(req.file).toMatchObject({ originalMimetype: 'image/png', originalExt: 'png', mimetype: 'image/jpeg' });
+      expect(req.file.originalMetadata).toMatchObject({ format: 'png', width: 4, height: 2 });
+      const [r, g, b] = await firstPixel(req.file.buffer);
+      expect(r).toBeGreaterThan(180);
+      expect(Math.max(g, b)).toBeLessThan(60);
+    });
+
+    it('restores the requested page of a multi-page TIFF', async () => {
+      const tiff = await createMultiPageTiff();
+
+      const req = await preprocessUpload(tiff, { originalname: 'album.tif', body: { page: '1' } });
+
+      expect(req.file.preprocessOperations).toContain('select_page_1');
+      expect(req.file.originalMimetype).toBe('image/tiff');
+      expect((await firstPixel(req.file.buffer))[2]).toBeGreaterThan(200);
+      expect((await firstPixel(req.file.originalBuffer))[2]).toBeGreaterThan(200);
+
+      next.mockClear();
+      await preprocessUpload(tiff, { originalname: 'album.tif', body: { page: '2' } });
+      const problem = next.mock.calls[1][0];
+      expect(problem).toMatchObject({ status: 400, title: 'Invalid Page', extras: { pageCount: 2 } });
+    });
+
+    it('maps 16-bit scans to 8-bit using the bit depth they actually use', async () => {
+      // 14-bit data in a 16-bit container: a naive conversion leaves it at a quarter brightness
+      const base = await sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 60, g: 30, b: 15 } } })
+        .png()
+        .toBuffer();
+      const tiff16 = await sharp(base).toColourspace('rgb16').tiff({ compression: 'deflate' }).toBuffer();
+
+      const req = await preprocessUpload(tiff16, { originalname: 'scan.tiff' });
+
+      expect(req.file.preprocessOperations).toContain('tone_map_16bit');
+      const [r, g, b] = await firstPixel(req.file.buffer);
+      expect(r).toBeGreaterThan(230);
+      expect(g).toBeGreaterThan(100);
+      expect(b).toBeGreaterThan(40);
+    });
+
+    it('converts CMYK uploads to sRGB', async () => {
+      const cmyk = await sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 200, g: 40, b: 40 } } })
+        .toColourspace('cmyk')
+        .tiff()
+        .toBuffer();
+
+      const req = await preprocessUpload(cmyk, { originalname: 'print.tif' });
+
+      expect(req.file.preprocessOperations).toContain('cmyk_to_srgb');
+      expect(req.file.processedMetadata).toMatchObject({ space: 'srgb', channels: 3 });
+      const [r, g] = await firstPixel(req.file.buffer);
+      expect(r).toBeGreaterThan(170);
+      expect(g).toBeLessThan(80);
+    });
+
     it('uses original buffer when missing file', async () => {
       const req = createReq();
       await preprocessImage(req, {}, next);
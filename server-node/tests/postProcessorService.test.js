@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { PostProcessorService } from '../src/services/postProcessor.js';
+import { createNoisyImage } from './utils/imageFixtures.js';
+import { createTestLogger } from './utils/mocks.js';
+
+describe('PostProcessorService', () => {
+  const service = new PostProcessorService({ logger: createTestLogger() });
+
+  it('encodes 16-bit TIFF and lossy formats at the requested quality', async () => {
+    const image = await createNoisyImage({ width: 64, height: 48 });
+
+    const tiff = await service.encode(image, { format: 'tiff' });
+    const low = await service.encode(image, { format: 'jpeg', quality: 20 });
+    const high = await service.encode(image, { format: 'jpeg', quality: 95 });
+
+    expect(tiff).toMatchObject({ contentType: 'image/tiff', ext: 'tif', resolution: null });
+    expect(await sharp(tiff.buffer).metadata()).toMatchObject({ format: 'tiff', depth: 'ushort' });
+    expect(low.buffer.length).toBeLessThan(high.buffer.length);
+  });
+
+  it('resamples to the target size, keeps the input format and reports the scale', async () => {
+    const restored = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#806040' } }).png().toBuffer();
+
+    const processed = await service.encode(restored, null, { targetSize: { width: 300, height: 200 } });
+
+    expect(processed).toMatchObject({
+      format: 'png',
+      resolution: { from: { width: 100, height: 100 }, to: { width: 300, height: 200 }, scale: { x: 3, y: 2 }, detailTransfer: false },
+    });
+    expect(await sharp(processed.buffer).metadata()).toMatchObject({ format: 'png', width: 300, height: 200 });
+  });
+
+  it('re-adds the original\'s fine detail when guiding the upscale', async () => {
+    const original = await createNoisyImage({ width: 240, height: 240 });
+    const restored = await sharp(original).resize(60, 60).blur(2).png().toBuffer();
+    const target = { targetSize: { width: 240, height: 240 } };
+
+    const plain = await service.encode(restored, { format: 'png' }, target);
+    const guided = await service.encode(restored, { format: 'png' }, { ...target, detailSource: original });
+
+    const [plainStats, guidedStats] = await Promise.all([sharp(plain.buffer).stats(), sharp(guided.buffer).stats()]);
+    expect(guided.resolution.detailTransfer).toBe(true);
+    expect(guidedStats.sharpness).toBeGreaterThan(plainStats.sharpness * 2);
+  });
+});
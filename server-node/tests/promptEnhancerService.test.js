@@ -56,4 +56,33 @@ describe('PromptEnhancerService', () => {
     expect(enhanced).toContain('User request:');
     expect(enhanced.endsWith('...')).toBe(true);
   });
+
+  it('points fusion prompts at the best-preserved input for each issue', async () => {
+    const service = new PromptEnhancerService({ logger: createTestLogger() });
+    const fusionInputs = [
+      { ...baseDegradation, scratch: 0.8, fade: 0.2 },
+      { ...baseDegradation, scratch: 0.2, fade: 0.7 },
+    ];
+
+    const enhanced = await service.enhance({
+      degradation: { ...baseDegradation, scratch: 0.2, fade: 0.2 },
+      options: { fusionInputs },
+    });
+
+    expect(enhanced).toContain('These 2 photos show the same subject');
+    expect(enhanced).toContain('image 2 has the least scratches and physical damage');
+    expect(enhanced).toContain('image 1 has the least fading');
+  });
+
+  it('leads the conservative retry prompt with the preservation instructions', async () => {
+    const service = new PromptEnhancerService({ logger: createTestLogger() });
+    const enhanced = await service.enhance({ degradation: { ...baseDegradation, scratch: 0.8 } });
+
+    const conservative = service.conservePrompt(enhanced);
+
+    expect(conservative).toMatch(/^Strict preservation: Preserve the original composition/);
+    expect(conservative).toContain('do not add, remove, or move people or objects');
+    expect(conservative).toContain(enhanced);
+    expect(service.conservePrompt('enhance '.repeat(300)).length).toBeLessThanOrEqual(1000);
+  });
 });
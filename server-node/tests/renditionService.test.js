@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { RenditionService, resolveRenditionConfig } from '../src/services/renditions.js';
+import { createTestLogger } from './utils/mocks.js';
+
+describe('RenditionService', () => {
+  it('renders each width in each format without enlarging small results', async () => {
+    const service = new RenditionService({ widths: [64, 160, 400], formats: ['webp', 'avif'], logger: createTestLogger() });
+    const image = await sharp({ create: { width: 200, height: 100, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    const renditions = await service.render(image);
+
+    expect(renditions.map(({ format, width, height }) => [format, width, height])).toEqual([
+      ['webp', 64, 32],
+      ['webp', 160, 80],
+      ['webp', 200, 100],
+      ['avif', 64, 32],
+      ['avif', 160, 80],
+      ['avif', 200, 100],
+    ]);
+    const avif = await sharp(renditions[3].buffer).metadata();
+    expect(avif).toMatchObject({ format: 'heif', compression: 'av1', width: 64 });
+    expect(renditions[3].contentType).toBe('image/avif');
+  });
+
+  it('reads widths and formats from the environment', () => {
+    expect(resolveRenditionConfig({})).toEqual({ widths: [256, 768, 1600], formats: ['webp', 'avif'] });
+    expect(resolveRenditionConfig({ RENDITION_WIDTHS: '1200, 300,300', RENDITION_FORMATS: 'WEBP' })).toEqual({
+      widths: [300, 1200],
+      formats: ['webp'],
+    });
+    expect(() => resolveRenditionConfig({ RENDITION_FORMATS: 'gif' })).toThrow(/unsupported format: gif/);
+    expect(() => resolveRenditionConfig({ RENDITION_WIDTHS: '256,big' })).toThrow(/invalid width/);
+  });
+});
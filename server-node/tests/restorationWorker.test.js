@@ -0,0 +1,520 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  processRestorationJob,
+  handleFailedJob,
+  RestorationFailedError,
+} from '../src/queues/workers/restorationWorker.js';
+import { CreditsService } from '../src/services/credits.js';
+import { JobsService } from '../src/services/jobs.js';
+import { JobEventsService } from '../src/services/jobEvents.js';
+import { WebhooksService } from '../src/services/webhooks.js';
+import { ComparisonService } from '../src/services/comparisons.js';
+import { RenditionService } from '../src/services/renditions.js';
+import { createCleanImage } from './utils/imageFixtures.js';
+import { createFirestoreMock, createRedisMock, createTestLogger } from './utils/mocks.js';
+
+function createJob(overrides = {}) {
+  return {
+    attemptsMade: 0,
+    opts: { attempts: 3 },
+    data: {
+      jobId: 'job-1',
+      userId: 'user-1',
+      inputObjectName: 'originals/user-1/job-1.jpg',
+      userPrompt: 'restore the colors',
+      credits: { amount: 1, type: 'paid' },
+    },
+    ...overrides,
+  };
+}
+
+describe('restoration worker', () => {
+  let firestore;
+  let redis;
+  let services;
+  let clients;
+  let inputBuffer;
+
+  beforeEach(async () => {
+    firestore = createFirestoreMock();
+    redis = createRedisMock();
+    const logger = createTestLogger();
+    inputBuffer = await createCleanImage();
+
+    services = {
+      jobs: new JobsService({ firestoreClient: firestore, logger }),
+      credits: new CreditsService({ redisClient: redis, firestoreClient: firestore, logger }),
+      jobEvents: new JobEventsService({ redisClient: redis, logger }),
+      webhooks: new WebhooksService({ firestoreClient: firestore, logger }),
+      restorator: { restore: vi.fn() },
+      restorationCache: { remember: vi.fn().mockResolvedValue({}) },
+    };
+    clients = {
+      logger,
+      gcs: {
+        downloadObject: vi.fn().mockResolvedValue(inputBuffer),
+        uploadObject: vi.fn().mockResolvedValue({}),
+      },
+    };
+
+    await services.jobs.createJob({ jobId: 'job-1', userId: 'user-1' });
+  });
+
+  describe('processRestorationJob', () => {
+    it('restores the stored input and records the result', async () => {
+      const restored = await createCleanImage({ width: 64, height: 64 });
+      services.restorator.restore.mockImplementation(async ({ onProgress }) => {
+        onProgress('classification_complete', { 'classification.duration_ms': 5 });
+        return {
+          success: true,
+          restoredImage: restored.toString('base64'),
+          degradationAnalysis: { blur: 0.6 },
+          enhancedPrompt: 'enhanced',
+          timings: { classify_ms: 5, prompt_ms: 1, restore_ms: 20, total_ms: 26 },
+          metadata: { providerRequestId: 'req-1', classificationIssues: [{ type: 'blur', confidence: 0.6 }] },
+        };
+      });
+
+      const job = createJob();
+      job.data.cacheKey = 'cache-key-1';
+      const output = await processRestorationJob(job, { clients, services });
+
+      expect(clients.gcs.downloadObject).toHaveBeenCalledWith('originals/user-1/job-1.jpg');
+      expect(services.restorator.restore).toHaveBeenCalledWith({
+        imageBuffer: inputBuffer,
+        userPrompt: 'restore the colors',
+        userContext: { userId: 'user-1', jobId: 'job-1' },
+        options: { variants: 1, promptJitter: false },
+        onProgress: expect.any(Function),
+        signal: expect.any(AbortSignal),
+      });
+      expect(output.resultObjectName).toBe('restored/user-1/job-1.jpg');
+      expect(clients.gcs.uploadObject).toHaveBeenCalledWith(
+        expect.objectContaining({ objectName: 'restored/user-1/job-1.jpg', contentType: 'image/jpeg' })
+      );
+
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({
+        status: 'succeeded',
+        attempts: 1,
+        resultObjectName: 'restored/user-1/job-1.jpg',
+        timings: { restore_ms: 20 },
+        degradationTypes: ['blur'],
+      });
+
+      expect(services.restorationCache.remember).toHaveBeenCalledWith(
+        'cache-key-1',
+        expect.objectContaining({ sourceJobId: 'job-1', resultObjectName: 'restored/user-1/job-1.jpg' })
+      );
+
+      const events = await services.jobEvents.getHistory('job-1');
+      expect(events.map((event) => event.type)).toEqual(['processing', 'classification_complete', 'result']);
+    });
+
+    it('downloads every input of a fusion job', async () => {
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: {},
+      });
+      const job = createJob();
+      job.data.inputObjectNames = ['originals/user-1/job-1/0.jpg', 'originals/user-1/job-1/1.jpg'];
+
+      await processRestorationJob(job, { clients, services });
+
+      expect(clients.gcs.downloadObject.mock.calls).toEqual([
+        ['originals/user-1/job-1/0.jpg'],
+        ['originals/user-1/job-1/1.jpg'],
+      ]);
+      expect(services.restorator.restore).toHaveBeenCalledWith(
+        expect.objectContaining({ imageBuffers: [inputBuffer, inputBuffer] })
+      );
+    });
+
+    it('stores every variant and keeps the first as the result', async () => {
+      const outputs = await Promise.all([createCleanImage({ width: 32, height: 32 }), createCleanImage({ width: 40, height: 40 })]);
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: outputs[0].toString('base64'),
+        variants: outputs.map((output, index) => ({ index, restoredImage: output.toString('base64'), prompt: `prompt ${index}` })),
+        timings: {},
+        metadata: {},
+      });
+      const job = createJob();
+      job.data.variantCount = 2;
+      job.data.promptJitter = true;
+
+      const output = await processRestorationJob(job, { clients, services });
+
+      expect(services.restorator.restore).toHaveBeenCalledWith(
+        expect.objectContaining({ options: { variants: 2, promptJitter: true } })
+      );
+      expect(clients.gcs.uploadObject.mock.calls.map(([{ objectName }]) => objectName)).toEqual([
+        'restored/user-1/job-1/variant-0.jpg',
+        'restored/user-1/job-1/variant-1.jpg',
+      ]);
+      expect(output.resultObjectName).toBe('restored/user-1/job-1/variant-0.jpg');
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({
+        preferredVariant: null,
+        variants: [
+          { index: 0, objectName: 'restored/user-1/job-1/variant-0.jpg', contentType: 'image/jpeg', prompt: 'prompt 0' },
+          { index: 1, objectName: 'restored/user-1/job-1/variant-1.jpg', contentType: 'image/jpeg', prompt: 'prompt 1' },
+        ],
+      });
+    });
+
+    it('stores comparison assets built from the untouched source upload', async () => {
+      const source = await createCleanImage({ width: 96, height: 96 });
+      clients.gcs.downloadObject.mockImplementation(async (objectName) =>
+        objectName.includes('.source.') ? source : inputBuffer
+      );
+      services.comparisons = new ComparisonService({ logger: clients.logger });
+      const render = vi.spyOn(services.comparisons, 'render');
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 64, height: 64 })).toString('base64'),
+        timings: {},
+        metadata: {},
+      });
+      const job = createJob();
+      job.data.sourceObjectName = 'originals/user-1/abc.source.png';
+
+      await processRestorationJob(job, { clients, services });
+
+      expect(render).toHaveBeenCalledWith(expect.objectContaining({ before: source }));
+      expect(clients.gcs.uploadObject.mock.calls.map(([{ objectName }]) => objectName)).toEqual([
+        'restored/user-1/job-1.jpg',
+        'restored/user-1/job-1/comparison-side-by-side.jpg',
+        'restored/user-1/job-1/comparison-split-diagonal.jpg',
+        'restored/user-1/job-1/comparison-flip.webp',
+      ]);
+      expect(firestore.__getDoc('jobs', 'job-1').assets).toEqual([
+        expect.objectContaining({ kind: 'comparison-side-by-side', contentType: 'image/jpeg', width: 136, height: 64 }),
+        expect.objectContaining({ kind: 'comparison-split-diagonal', width: 64, height: 64 }),
+        expect.objectContaining({ kind: 'comparison-flip', contentType: 'image/webp', bytes: expect.any(Number) }),
+      ]);
+    });
+
+    it('stores gallery renditions of the result and caches them with it', async () => {
+      services.renditions = new RenditionService({ widths: [16, 48], formats: ['webp', 'avif'], logger: clients.logger });
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: {},
+      });
+      const job = createJob();
+      job.data.cacheKey = 'cache-key-1';
+
+      await processRestorationJob(job, { clients, services });
+
+      const renditions = [
+        { format: 'webp', objectName: 'restored/user-1/job-1/rendition-16.webp', contentType: 'image/webp', width: 16, height: 16 },
+        { format: 'webp', objectName: 'restored/user-1/job-1/rendition-32.webp', contentType: 'image/webp', width: 32, height: 32 },
+        { format: 'avif', objectName: 'restored/user-1/job-1/rendition-16.avif', contentType: 'image/avif', width: 16, height: 16 },
+        { format: 'avif', objectName: 'restored/user-1/job-1/rendition-32.avif', contentType: 'image/avif', width: 32, height: 32 },
+      ].map((rendition) => ({ ...rendition, bytes: expect.any(Number) }));
+      expect(firestore.__getDoc('jobs', 'job-1').renditions).toEqual(renditions);
+      expect(services.restorationCache.remember).toHaveBeenCalledWith('cache-key-1', expect.objectContaining({ renditions }));
+    });
+
+    it('resamples to the original size using the stored source for detail', async () => {
+      const source = await createCleanImage({ width: 96, height: 64 });
+      clients.gcs.downloadObject.mockImplementation(async (objectName) =>
+        objectName.includes('.source.') ? source : inputBuffer
+      );
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: { resolution: { scale: { x: 3, y: 2 } } },
+      });
+      const job = createJob();
+      Object.assign(job.data, {
+        sourceObjectName: 'originals/user-1/abc.source.jpg',
+        targetSize: { width: 96, height: 64 },
+        detailTransfer: true,
+      });
+
+      await processRestorationJob(job, { clients, services });
+
+      expect(services.restorator.restore).toHaveBeenCalledWith(
+        expect.objectContaining({
+          options: { variants: 1, promptJitter: false, targetSize: { width: 96, height: 64 }, detailSource: source },
+        })
+      );
+      expect(firestore.__getDoc('jobs', 'job-1').metadata.resolution.scale).toEqual({ x: 3, y: 2 });
+    });
+
+    it('restores tiled jobs from the stored full-resolution source', async () => {
+      const source = await createCleanImage({ width: 96, height: 64 });
+      clients.gcs.downloadObject.mockImplementation(async (objectName) =>
+        objectName.includes('.source.') ? source : inputBuffer
+      );
+      services.restorator.restoreTiled = vi.fn().mockResolvedValue({
+        success: true,
+        restoredImage: source.toString('base64'),
+        timings: {},
+        metadata: { tiling: { tileCount: 4 } },
+      });
+      const job = createJob();
+      Object.assign(job.data, {
+        sourceObjectName: 'originals/user-1/abc.source.jpg',
+        tiling: { tileSize: 1024, overlap: 128 },
+        credits: { amount: 4, type: 'paid' },
+      });
+
+      await processRestorationJob(job, { clients, services });
+
+      expect(services.restorator.restore).not.toHaveBeenCalled();
+      expect(services.restorator.restoreTiled).toHaveBeenCalledWith(
+        expect.objectContaining({
+          imageBuffer: source,
+          guideBuffer: inputBuffer,
+          options: { tileSize: 1024, overlap: 128 },
+          signal: expect.any(AbortSignal),
+        })
+      );
+      expect(firestore.__getDoc('jobs', 'job-1').status).toBe('succeeded');
+    });
+
+    it('restores masked jobs from the stored source and mask', async () => {
+      const source = await createCleanImage({ width: 96, height: 64 });
+      const mask = Buffer.from('mask-png');
+      clients.gcs.downloadObject.mockImplementation(async (objectName) => {
+        if (objectName.startsWith('masks/')) return mask;
+        return objectName.includes('.source.') ? source : inputBuffer;
+      });
+      services.restorator.restoreMasked = vi.fn().mockResolvedValue({
+        success: true,
+        restoredImage: source.toString('base64'),
+        timings: {},
+        metadata: { mask: { width: 96, height: 64, region: { left: 0, top: 0, width: 48, height: 32 } } },
+      });
+      const job = createJob();
+      Object.assign(job.data, {
+        sourceObjectName: 'originals/user-1/abc.source.jpg',
+        maskObjectName: 'masks/user-1/def.png',
+      });
+
+      await processRestorationJob(job, { clients, services });
+
+      expect(services.restorator.restore).not.toHaveBeenCalled();
+      expect(services.restorator.restoreMasked).toHaveBeenCalledWith(
+        expect.objectContaining({ imageBuffer: source, maskBuffer: mask, options: {} })
+      );
+      expect(firestore.__getDoc('jobs', 'job-1').status).toBe('succeeded');
+    });
+
+    it('still succeeds when the comparisons cannot be rendered', async () => {
+      services.comparisons = { render: vi.fn().mockRejectedValue(new Error('vips failure')) };
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: {},
+      });
+
+      await processRestorationJob(createJob(), { clients, services });
+
+      const stored = firestore.__getDoc('jobs', 'job-1');
+      expect(stored.status).toBe('succeeded');
+      expect(stored.assets).toBeUndefined();
+    });
+
+    it('refunds a low-fidelity result and keeps it out of the cache', async () => {
+      const refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: { fidelity: { floor: 0.65, similarity: 0.41, retries: 1, lowFidelity: true } },
+      });
+
+      const job = createJob();
+      job.data.cacheKey = 'cache-key-1';
+      await processRestorationJob(job, { clients, services });
+
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({
+        status: 'succeeded',
+        metadata: { fidelity: { lowFidelity: true } },
+      });
+      expect(refund).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-1', jobId: 'job-1', amount: 1, reason: 'Low fidelity result' })
+      );
+      expect(services.restorationCache.remember).not.toHaveBeenCalled();
+      const events = await services.jobEvents.getHistory('job-1');
+      expect(events.at(-1)).toMatchObject({ type: 'result', data: { lowFidelity: true } });
+    });
+
+    it('still succeeds when the low-fidelity refund fails', async () => {
+      vi.spyOn(services.credits, 'refund').mockRejectedValue(new Error('transaction conflict'));
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: { fidelity: { floor: 0.65, similarity: 0.41, retries: 1, lowFidelity: true } },
+      });
+
+      await expect(processRestorationJob(createJob(), { clients, services })).resolves.toMatchObject({
+        resultObjectName: expect.any(String),
+      });
+      expect(firestore.__getDoc('jobs', 'job-1').status).toBe('succeeded');
+    });
+
+    it('refunds a low-fidelity job once when recording it fails and the job is retried', async () => {
+      vi.spyOn(services.credits, '_getDailyFreeLimit').mockReturnValue(0);
+      await redis.set('credits:user-1', 3);
+      await services.credits.checkAndDeduct({ userId: 'user-1', jobId: 'job-1' });
+      services.restorator.restore.mockResolvedValue({
+        success: true,
+        restoredImage: (await createCleanImage({ width: 32, height: 32 })).toString('base64'),
+        timings: {},
+        metadata: { fidelity: { floor: 0.65, similarity: 0.41, retries: 1, lowFidelity: true } },
+      });
+      const updateJob = services.jobs.updateJob.bind(services.jobs);
+      vi.spyOn(services.jobs, 'updateJob').mockImplementation(async (jobId, update) => {
+        if (update.status === 'succeeded') {
+          throw new Error('transaction conflict');
+        }
+        return updateJob(jobId, update);
+      });
+
+      const error = await processRestorationJob(createJob(), { clients, services }).catch((failure) => failure);
+      expect(error.message).toBe('transaction conflict');
+      expect(Number(await redis.get('credits:user-1'))).toBe(2);
+      await handleFailedJob(createJob({ attemptsMade: 1 }), error, { clients, services });
+
+      services.jobs.updateJob.mockImplementation(updateJob);
+      await processRestorationJob(createJob({ attemptsMade: 1 }), { clients, services });
+      // A failure reported after the job succeeded leaves it alone
+      await handleFailedJob(createJob({ attemptsMade: 3 }), new Error('late failure'), { clients, services });
+
+      expect(firestore.__getDoc('jobs', 'job-1').status).toBe('succeeded');
+      expect(Number(await redis.get('credits:user-1'))).toBe(3);
+      const refunds = firestore.__getLedger().filter((entry) => entry.jobId === 'job-1' && entry.type === 'refund');
+      expect(refunds).toHaveLength(1);
+    });
+
+    it('skips jobs that already finished instead of restoring them again', async () => {
+      await services.jobs.updateJob('job-1', { status: 'succeeded', resultObjectName: 'restored/user-1/job-1.jpg' });
+
+      const output = await processRestorationJob(createJob(), { clients, services });
+
+      expect(output).toEqual({ skipped: true, status: 'succeeded' });
+      expect(services.restorator.restore).not.toHaveBeenCalled();
+      expect(clients.gcs.uploadObject).not.toHaveBeenCalled();
+    });
+
+    it('throws a RestorationFailedError carrying the failure stage', async () => {
+      services.restorator.restore.mockResolvedValue({
+        success: false,
+        error: { message: 'provider timeout', code: 'RESTORATION_FAILED', type: 'TIMEOUT' },
+        timings: { classify_ms: 5, prompt_ms: 1 },
+        metadata: { failureStage: 'AI_RESTORATION' },
+      });
+
+      const promise = processRestorationJob(createJob(), { clients, services });
+
+      await expect(promise).rejects.toBeInstanceOf(RestorationFailedError);
+      await expect(promise).rejects.toMatchObject({ type: 'TIMEOUT', failureStage: 'AI_RESTORATION' });
+      expect(clients.gcs.uploadObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancellation', () => {
+    let refund;
+
+    beforeEach(() => {
+      refund = vi.spyOn(services.credits, 'refund').mockResolvedValue({ success: true });
+    });
+
+    it('skips restoration when cancellation was requested before pickup', async () => {
+      await services.jobs.updateJob('job-1', { cancellation: { reason: 'cancelled by user' } });
+
+      const output = await processRestorationJob(createJob(), { clients, services });
+
+      expect(output).toEqual({ cancelled: true, stage: 'QUEUED' });
+      expect(clients.gcs.downloadObject).not.toHaveBeenCalled();
+      expect(services.restorator.restore).not.toHaveBeenCalled();
+      expect(refund).toHaveBeenCalledWith(
+        expect.objectContaining({ jobId: 'job-1', amount: 1, reason: 'cancelled by user' })
+      );
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({ status: 'cancelled', cancelledStage: 'QUEUED' });
+    });
+
+    it('aborts a running restoration when a cancel request arrives', async () => {
+      services.restorator.restore.mockImplementation(async ({ signal }) => {
+        await services.jobEvents.publish('job-1', 'cancel_requested', {});
+        return signal.aborted
+          ? { success: false, error: { code: 'CANCELLED', type: 'CANCELLED' }, metadata: { failureStage: 'AI_RESTORATION' } }
+          : { success: false, error: { message: 'signal was not aborted' } };
+      });
+
+      const output = await processRestorationJob(createJob(), { clients, services });
+
+      expect(output).toEqual({ cancelled: true, stage: 'AI_RESTORATION' });
+      expect(clients.gcs.uploadObject).not.toHaveBeenCalled();
+      expect(refund).toHaveBeenCalledTimes(1);
+      expect(firestore.__getDoc('jobs', 'job-1').status).toBe('cancelled');
+    });
+  });
+
+  describe('handleFailedJob', () => {
+    it('requeues without refunding while attempts remain', async () => {
+      const refund = vi.spyOn(services.credits, 'refund');
+      const error = new RestorationFailedError({ error: { message: 'busy', type: 'SERVICE_UNAVAILABLE' } });
+
+      await handleFailedJob(createJob({ attemptsMade: 1 }), error, { clients, services });
+
+      expect(refund).not.toHaveBeenCalled();
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({
+        status: 'queued',
+        lastError: { type: 'SERVICE_UNAVAILABLE' },
+      });
+    });
+
+    it('marks the job failed and refunds credits after the final attempt', async () => {
+      vi.spyOn(services.credits, '_getDailyFreeLimit').mockReturnValue(0);
+      await redis.set('credits:user-1', 3);
+      await services.credits.checkAndDeduct({ userId: 'user-1', jobId: 'job-1' });
+
+      const error = new RestorationFailedError({
+        error: { message: 'provider timeout', type: 'TIMEOUT' },
+        metadata: { failureStage: 'AI_RESTORATION' },
+      });
+
+      await handleFailedJob(createJob({ attemptsMade: 3 }), error, { clients, services });
+
+      expect(firestore.__getDoc('jobs', 'job-1')).toMatchObject({
+        status: 'failed',
+        error: { type: 'TIMEOUT', failureStage: 'AI_RESTORATION' },
+      });
+      expect(Number(await redis.get('credits:user-1'))).toBe(3);
+      expect(firestore.__getLedger().some((entry) => entry.type === 'refund' && entry.jobId === 'job-1')).toBe(true);
+
+      const [event] = await services.jobEvents.getHistory('job-1');
+      expect(event).toMatchObject({ type: 'error', data: { status: 'failed', error: { type: 'TIMEOUT' } } });
+    });
+
+    it('queues a job.failed callback when the submitter asked for one', async () => {
+      const webhookQueue = { add: vi.fn().mockResolvedValue({}) };
+      const job = createJob({ attemptsMade: 3 });
+      job.data.callbackUrl = 'https://partner.example/hooks';
+
+      await handleFailedJob(job, new RestorationFailedError({ error: { message: 'provider timeout' } }), {
+        clients,
+        services,
+        getWebhookQueue: () => webhookQueue,
+      });
+
+      const [[, { deliveryId }]] = webhookQueue.add.mock.calls;
+      expect(await services.webhooks.getDelivery(deliveryId)).toMatchObject({
+        jobId: 'job-1',
+        url: 'https://partner.example/hooks',
+        event: 'job.failed',
+        payload: { type: 'job.failed', data: { jobId: 'job-1', status: 'failed' } },
+      });
+    });
+  });
+});
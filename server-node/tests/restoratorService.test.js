@@ -1,6 +1,7 @@
 import { describe, it, expect, vi } from 'vitest';
+import sharp from 'sharp';
 import { RestoratorService } from '../src/services/restorator.js';
-import { createCleanImage } from './utils/imageFixtures.js';
+import { createCleanImage, createNoisyImage } from './utils/imageFixtures.js';
 import { createTestLogger } from './utils/mocks.js';
 
 describe('RestoratorService', () => {
@@ -32,10 +33,12 @@ describe('RestoratorService', () => {
     service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('enhanced prompt') };
 
     const imageBuffer = await createCleanImage();
+    const onProgress = vi.fn();
     const result = await service.restore({
       imageBuffer,
       userPrompt: 'touch up blemishes',
       userContext,
+      onProgress,
     });
 
     expect(service.classifier.analyze).toHaveBeenCalledWith(imageBuffer);
@@ -55,6 +58,117 @@ describe('RestoratorService', () => {
     expect(result.metadata.classificationIssues.length).toBeGreaterThanOrEqual(1);
     expect(result.timings).toHaveProperty('classify_ms');
     expect(result.timings.classify_ms).toBeGreaterThanOrEqual(0);
+    expect(onProgress.mock.calls.map(([stage]) => stage)).toEqual([
+      'classification_complete',
+      'prompt_enhancement_complete',
+      'restoration_complete',
+    ]);
+  });
+
+  it('measures SSIM, PSNR and histogram deltas between the input and the output', async () => {
+    const imageBuffer = await createNoisyImage({ width: 160, height: 120 });
+    const unchanged = await sharp(imageBuffer).png().toBuffer();
+    // Darker and half the size: the metrics compare at the input's size
+    const darkened = await sharp(imageBuffer).linear(0.6, 0).resize(80, 60).png().toBuffer();
+    const geminiClient = {
+      restoreImage: vi
+        .fn()
+        .mockResolvedValueOnce({ base64Image: unchanged.toString('base64'), metadata: {} })
+        .mockResolvedValueOnce({ base64Image: darkened.toString('base64'), metadata: {} })
+        .mockResolvedValueOnce({ base64Image: 'ZmFrZS1kYXRh', metadata: {} }),
+    };
+
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('prompt') };
+
+    const same = await service.restore({ imageBuffer, userContext });
+    expect(same.metadata.quality).toEqual({
+      ssim: 1,
+      psnr: 100,
+      histogramDelta: { r: 0, g: 0, b: 0 },
+      width: 160,
+      height: 120,
+    });
+    expect(same.timings).toHaveProperty('quality_ms');
+
+    const changed = await service.restore({ imageBuffer, userContext });
+    expect(changed.metadata.quality.ssim).toBeLessThan(0.9);
+    expect(changed.metadata.quality.psnr).toBeLessThan(20);
+    expect(changed.metadata.quality.histogramDelta.r).toBeGreaterThan(0.5);
+
+    // Metrics never fail a restoration
+    const undecodable = await service.restore({ imageBuffer, userContext });
+    expect(undecodable.success).toBe(true);
+    expect(undecodable.metadata).not.toHaveProperty('quality');
+  });
+
+  it('retries an output that drifted from the input with the conservative prompt', async () => {
+    const imageBuffer = await createNoisyImage({ width: 160, height: 120 });
+    const drifted = await sharp(imageBuffer).flop().png().toBuffer();
+    const faithful = await sharp(imageBuffer).median(3).png().toBuffer();
+    const geminiClient = {
+      restoreImage: vi
+        .fn()
+        .mockResolvedValueOnce({ base64Image: drifted.toString('base64'), metadata: { estimatedCostUsd: 0.04 } })
+        .mockResolvedValueOnce({ base64Image: faithful.toString('base64'), metadata: { estimatedCostUsd: 0.04 } }),
+    };
+    const onProgress = vi.fn();
+
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    vi.spyOn(service.promptEnhancer, 'enhance').mockResolvedValue('remove the grain');
+
+    const result = await service.restore({ imageBuffer, userContext, onProgress });
+
+    expect(result.success).toBe(true);
+    expect(result.restoredImage).toBe(faithful.toString('base64'));
+    const [, [{ prompt: retryPrompt }]] = geminiClient.restoreImage.mock.calls;
+    expect(retryPrompt).toMatch(/^Strict preservation: /);
+    expect(retryPrompt).toContain('remove the grain');
+    expect(result.enhancedPrompt).toBe(retryPrompt);
+    expect(result.metadata.fidelity).toMatchObject({ floor: 0.65, retries: 1, conservativePrompt: true, lowFidelity: false });
+    expect(result.metadata.fidelity.similarity).toBeGreaterThanOrEqual(0.65);
+    expect(result.metadata.estimatedCostUsd).toBeCloseTo(0.08);
+    expect(result.timings).toHaveProperty('fidelity_ms');
+    expect(onProgress.mock.calls.map(([stage]) => stage)).toEqual([
+      'classification_complete',
+      'prompt_enhancement_complete',
+      'restoration_complete',
+      'fidelity_retry',
+    ]);
+  });
+
+  it('marks the result low fidelity when the retry drifts as well', async () => {
+    const imageBuffer = await createNoisyImage({ width: 160, height: 120 });
+    const flipped = await sharp(imageBuffer).flop().png().toBuffer();
+    const rotated = await sharp(imageBuffer).rotate(180).png().toBuffer();
+    const geminiClient = {
+      restoreImage: vi
+        .fn()
+        .mockResolvedValueOnce({ base64Image: flipped.toString('base64'), metadata: {} })
+        .mockResolvedValueOnce({ base64Image: rotated.toString('base64'), metadata: {} })
+        .mockResolvedValueOnce({ base64Image: flipped.toString('base64'), metadata: {} }),
+    };
+
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('prompt'), conservePrompt: (prompt) => prompt };
+
+    const result = await service.restore({ imageBuffer, userContext });
+
+    expect(result.success).toBe(true);
+    expect(geminiClient.restoreImage).toHaveBeenCalledTimes(2);
+    expect(result.metadata.fidelity).toMatchObject({ retries: 1, lowFidelity: true });
+    expect(result.metadata.fidelity.similarity).toBeLessThan(0.65);
+
+    // A floor of 0 turns the guard off
+    const unguarded = new RestoratorService({ geminiClient, logger: createTestLogger(), fidelityFloor: 0 });
+    unguarded.classifier = service.classifier;
+    unguarded.promptEnhancer = service.promptEnhancer;
+    const accepted = await unguarded.restore({ imageBuffer, userContext });
+    expect(geminiClient.restoreImage).toHaveBeenCalledTimes(3);
+    expect(accepted.metadata).not.toHaveProperty('fidelity');
   });
 
   it('returns structured errors when restoration fails', async () => {
@@ -74,6 +188,366 @@ describe('RestoratorService', () => {
       message: 'provider unavailable',
       code: 'RESTORATION_FAILED',
     });
-    expect(result.metadata.failureStage).toBe('CLASSIFICATION');
+    expect(result.metadata.failureStage).toBe('AI_RESTORATION');
+  });
+
+  it('passes each batch image its cancellation signal', async () => {
+    const geminiClient = { restoreImage: vi.fn().mockResolvedValue({ base64Image: 'ZmFrZS1kYXRh', metadata: {} }) };
+    const cancelled = new AbortController();
+    cancelled.abort();
+
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('prompt') };
+
+    const image = await createCleanImage();
+    const results = await service.restoreBatch({
+      images: [image, image],
+      userContext,
+      signals: [new AbortController().signal, cancelled.signal],
+    });
+
+    expect(results[0].success).toBe(true);
+    expect(results[1]).toMatchObject({ success: false, error: { code: 'CANCELLED' } });
+    expect(geminiClient.restoreImage).toHaveBeenCalledTimes(1);
+
+    // The batch-wide signal stops every image
+    const all = await service.restoreBatch({ images: [image], userContext, signal: cancelled.signal });
+    expect(all[0].error.code).toBe('CANCELLED');
+    expect(geminiClient.restoreImage).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops before the Gemini call once the signal is aborted', async () => {
+    const geminiClient = { restoreImage: vi.fn() };
+    const controller = new AbortController();
+
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = {
+      enhance: vi.fn().mockImplementation(async () => {
+        controller.abort();
+        return 'prompt';
+      }),
+    };
+
+    const result = await service.restore({
+      imageBuffer: await createCleanImage(),
+      userContext,
+      signal: controller.signal,
+    });
+
+    expect(geminiClient.restoreImage).not.toHaveBeenCalled();
+    expect(result.success).toBe(false);
+    expect(result.error).toMatchObject({ code: 'CANCELLED', type: 'CANCELLED' });
+    expect(result.metadata.failureStage).toBe('AI_RESTORATION');
+  });
+
+  it('classifies each fusion input and sends them all to Gemini', async () => {
+    const geminiClient = {
+      restoreImage: vi.fn().mockResolvedValue({ base64Image: 'ZmFrZS1kYXRh', metadata: {} }),
+    };
+    const scratched = { ...degradation, scratch: 0.8 };
+
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = {
+      analyze: vi.fn().mockResolvedValueOnce(scratched).mockResolvedValueOnce(degradation),
+    };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('fusion prompt') };
+
+    const first = await createCleanImage();
+    const second = await createCleanImage({ width: 96, height: 96 });
+    const result = await service.restore({ imageBuffers: [first, second], userContext });
+
+    expect(service.classifier.analyze).toHaveBeenCalledTimes(2);
+    expect(service.promptEnhancer.enhance).toHaveBeenCalledWith({
+      degradation: { ...degradation, scratch: 0.1 },
+      userPrompt: undefined,
+      options: { fusionInputs: [scratched, degradation] },
+    });
+    expect(geminiClient.restoreImage).toHaveBeenCalledWith(
+      expect.objectContaining({ images: [first, second] })
+    );
+    expect(result.metadata.fusion).toMatchObject({
+      inputCount: 2,
+      inputs: [
+        { index: 0, issues: expect.arrayContaining([{ type: 'scratch', confidence: 0.8 }]) },
+        { index: 1 },
+      ],
+    });
+  });
+
+  it('makes one provider call per variant with jittered prompts and sums the cost', async () => {
+    const geminiClient = {
+      restoreImage: vi
+        .fn()
+        .mockResolvedValueOnce({ base64Image: 'djA=', metadata: { providerRequestId: 'req-0', estimatedCostUsd: 0.1 } })
+        .mockResolvedValueOnce({ base64Image: 'djE=', metadata: { providerRequestId: 'req-1', estimatedCostUsd: 0.1 } })
+        .mockResolvedValueOnce({ base64Image: 'djI=', metadata: { providerRequestId: 'req-2', estimatedCostUsd: 0.1 } }),
+    };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer.enhance = vi.fn().mockResolvedValue('enhanced prompt');
+
+    const result = await service.restore({
+      imageBuffer: await createCleanImage(),
+      userContext,
+      options: { variants: 3, promptJitter: true },
+    });
+
+    const prompts = geminiClient.restoreImage.mock.calls.map(([{ prompt }]) => prompt);
+    expect(prompts[0]).toBe('enhanced prompt');
+    expect(new Set(prompts).size).toBe(3);
+    expect(result.restoredImage).toBe('djA=');
+    expect(result.variants.map(({ index, restoredImage }) => [index, restoredImage])).toEqual([
+      [0, 'djA='],
+      [1, 'djE='],
+      [2, 'djI='],
+    ]);
+    expect(result.variants[1].prompt).toBe(prompts[1]);
+    expect(result.metadata.estimatedCostUsd).toBeCloseTo(0.3);
+    expect(result.metadata.variants.map(({ providerRequestId }) => providerRequestId)).toEqual(['req-0', 'req-1', 'req-2']);
+  });
+
+  it('rejects a variant count outside 1-4', async () => {
+    const geminiClient = { restoreImage: vi.fn() };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+
+    const result = await service.restore({ imageBuffer: await createCleanImage(), userContext, options: { variants: 5 } });
+
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('INVALID_INPUT');
+    expect(geminiClient.restoreImage).not.toHaveBeenCalled();
+  });
+
+  it('rejects more than three fusion inputs', async () => {
+    const geminiClient = { restoreImage: vi.fn() };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    const image = await createCleanImage();
+
+    const result = await service.restore({ imageBuffers: [image, image, image, image], userContext });
+
+    expect(geminiClient.restoreImage).not.toHaveBeenCalled();
+    expect(result.error.type).toBe('INVALID_INPUT');
+  });
+
+  it('re-encodes every output in the requested format as a post-processing stage', async () => {
+    const outputs = await Promise.all([createCleanImage({ width: 48, height: 32 }), createNoisyImage({ width: 48, height: 32 })]);
+    const geminiClient = {
+      restoreImage: vi.fn()
+        .mockResolvedValueOnce({ base64Image: outputs[0].toString('base64'), metadata: {} })
+        .mockResolvedValueOnce({ base64Image: outputs[1].toString('base64'), metadata: {} }),
+    };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('enhanced prompt'), varyPrompt: vi.fn() };
+    const onProgress = vi.fn();
+
+    const result = await service.restore({
+      imageBuffer: await createCleanImage(),
+      userContext,
+      options: { variants: 2, output: { format: 'tiff' } },
+      onProgress,
+    });
+
+    expect(result.success).toBe(true);
+    for (const variant of result.variants) {
+      const metadata = await sharp(Buffer.from(variant.restoredImage, 'base64')).metadata();
+      expect(metadata).toMatchObject({ format: 'tiff', depth: 'ushort', width: 48, height: 32 });
+    }
+    expect(result.restoredImage).toBe(result.variants[0].restoredImage);
+    expect(result.metadata.output).toEqual({ format: 'tiff', quality: null });
+    expect(result.timings.postprocess_ms).toBeGreaterThanOrEqual(0);
+    expect(onProgress.mock.calls.map(([stage]) => stage)).toContain('postprocessing_complete');
+  });
+
+  it('reports POST_PROCESSING when the output cannot be re-encoded', async () => {
+    const geminiClient = {
+      restoreImage: vi.fn().mockResolvedValue({ base64Image: 'bm90LWFuLWltYWdl', metadata: {} }),
+    };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('enhanced prompt') };
+
+    const result = await service.restore({
+      imageBuffer: await createCleanImage(),
+      userContext,
+      options: { output: { format: 'webp', quality: 70 } },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.metadata.failureStage).toBe('POST_PROCESSING');
+  });
+
+  it('reports FIDELITY_CHECK when cancelled during the conservative retry', async () => {
+    const imageBuffer = await createNoisyImage({ width: 160, height: 120 });
+    const drifted = await sharp(imageBuffer).flop().png().toBuffer();
+    const geminiClient = {
+      restoreImage: vi.fn().mockResolvedValue({ base64Image: drifted.toString('base64'), metadata: {} }),
+    };
+    const controller = new AbortController();
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('prompt'), conservePrompt: (prompt) => prompt };
+
+    const measureQuality = vi.spyOn(service, '_measureQuality');
+
+    const result = await service.restore({
+      imageBuffer,
+      userContext,
+      signal: controller.signal,
+      onProgress: (stage) => stage === 'restoration_complete' && controller.abort(),
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('CANCELLED');
+    expect(result.metadata.failureStage).toBe('FIDELITY_CHECK');
+    expect(geminiClient.restoreImage).toHaveBeenCalledTimes(1);
+    // Measured as soon as the provider answered, before the guard gave up
+    expect(measureQuality).toHaveBeenCalledWith(imageBuffer, drifted.toString('base64'), expect.any(Object));
+    expect(await measureQuality.mock.results[0].value).toMatchObject({ width: 160, height: 120 });
+  });
+
+  it('reports QUALITY_METRICS when measuring the output fails', async () => {
+    const geminiClient = {
+      restoreImage: vi.fn().mockResolvedValue({ base64Image: 'ZmFrZS1kYXRh', metadata: {} }),
+    };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('prompt') };
+    vi.spyOn(service, '_measureQuality').mockRejectedValue(new Error('out of memory'));
+
+    const result = await service.restore({ imageBuffer: await createCleanImage(), userContext });
+
+    expect(result.success).toBe(false);
+    expect(result.metadata.failureStage).toBe('QUALITY_METRICS');
+    expect(result.timings).not.toHaveProperty('postprocess_ms');
+  });
+
+  it('reports the stage that threw even when later steps have nothing to do', async () => {
+    const imageBuffer = await createNoisyImage({ width: 160, height: 120 });
+    const geminiClient = {
+      restoreImage: vi.fn().mockResolvedValue({ base64Image: imageBuffer.toString('base64'), metadata: {} }),
+    };
+    const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+    service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+    service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('prompt') };
+    vi.spyOn(service, '_guardFidelity').mockRejectedValue(new Error('out of memory'));
+
+    const result = await service.restore({ imageBuffer, userContext });
+
+    expect(result.success).toBe(false);
+    expect(result.metadata.failureStage).toBe('FIDELITY_CHECK');
+    expect(result.timings).toHaveProperty('quality_ms');
+  });
+
+  describe('restoreTiled', () => {
+    function createTiledService(restoreTile) {
+      const geminiClient = { restoreImage: vi.fn(restoreTile) };
+      const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+      service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+      service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('global prompt') };
+      return { service, geminiClient };
+    }
+
+    it('restores overlapping tiles with one prompt and blends them at full size', async () => {
+      // Each tile comes back brighter than the last, as if restored inconsistently
+      let call = 0;
+      const { service, geminiClient } = createTiledService(async ({ images }) => ({
+        base64Image: (await sharp(images[0]).linear(1, call++ * 20).resize(96, 96, { fit: 'fill' }).png().toBuffer()).toString('base64'),
+        metadata: { providerRequestId: `req-${call}`, estimatedCostUsd: 0.02 },
+      }));
+      const source = await sharp({ create: { width: 150, height: 100, channels: 3, background: '#404040' } }).png().toBuffer();
+      const onProgress = vi.fn();
+
+      const result = await service.restoreTiled({
+        imageBuffer: source,
+        guideBuffer: await createCleanImage({ width: 60, height: 40 }),
+        userContext,
+        options: { tileSize: 64, overlap: 16 },
+        onProgress,
+      });
+
+      expect(result.success).toBe(true);
+      expect(geminiClient.restoreImage).toHaveBeenCalledTimes(6);
+      expect(geminiClient.restoreImage.mock.calls.every(([{ prompt }]) => prompt === 'global prompt')).toBe(true);
+      expect(service.classifier.analyze).toHaveBeenCalledTimes(7);
+      expect(result.metadata).toMatchObject({
+        estimatedCostUsd: expect.closeTo(0.12),
+        tiling: { width: 150, height: 100, columns: 3, rows: 2, tileCount: 6 },
+        // The blend is compared with the whole source
+        quality: { width: 150, height: 100, ssim: expect.any(Number) },
+      });
+      const tileEvents = onProgress.mock.calls.filter(([stage]) => stage === 'tile_complete');
+      expect(tileEvents.map(([, attributes]) => attributes['tile.index'])).toEqual([0, 1, 2, 3, 4, 5]);
+
+      // Feathering turns the tiles' brightness steps into gradients
+      const blended = Buffer.from(result.restoredImage, 'base64');
+      expect(await sharp(blended).metadata()).toMatchObject({ width: 150, height: 100, channels: 3 });
+      const row = await sharp(blended).extract({ left: 0, top: 10, width: 150, height: 1 }).raw().toBuffer();
+      let largestStep = 0;
+      for (let offset = 3; offset < row.length; offset += 3) {
+        largestStep = Math.max(largestStep, Math.abs(row[offset] - row[offset - 3]));
+      }
+      expect(row[row.length - 3] - row[0]).toBeGreaterThan(30);
+      expect(largestStep).toBeLessThanOrEqual(3);
+    });
+
+    it('stops before the next tile once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const { service, geminiClient } = createTiledService(async ({ images }) => {
+        controller.abort();
+        return { base64Image: images[0].toString('base64'), metadata: {} };
+      });
+      const source = await createCleanImage({ width: 150, height: 100 });
+
+      const result = await service.restoreTiled({
+        imageBuffer: source,
+        guideBuffer: source,
+        userContext,
+        options: { tileSize: 64, overlap: 16 },
+        signal: controller.signal,
+      });
+
+      expect(geminiClient.restoreImage).toHaveBeenCalledTimes(1);
+      expect(result.error.type).toBe('CANCELLED');
+    });
+  });
+
+  describe('restoreMasked', () => {
+    it('restores the masked region with some context and leaves the rest untouched', async () => {
+      const geminiClient = {
+        restoreImage: vi.fn(async ({ images }) => ({
+          base64Image: (await sharp(images[0]).linear(0, 250).png().toBuffer()).toString('base64'),
+          metadata: { providerRequestId: 'req-mask', estimatedCostUsd: 0.02 },
+        })),
+      };
+      const service = new RestoratorService({ geminiClient, logger: createTestLogger() });
+      service.classifier = { analyze: vi.fn().mockResolvedValue(degradation) };
+      service.promptEnhancer = { enhance: vi.fn().mockResolvedValue('enhanced prompt') };
+
+      const source = await createNoisyImage({ width: 400, height: 300 });
+      // Restore a 40x40 square near the bottom-right corner
+      const mask = Buffer.alloc(400 * 300);
+      for (let y = 220; y < 260; y += 1) mask.fill(255, y * 400 + 340, y * 400 + 380);
+      const maskBuffer = await sharp(mask, { raw: { width: 400, height: 300, channels: 1 } }).png().toBuffer();
+
+      const result = await service.restoreMasked({ imageBuffer: source, maskBuffer, userContext });
+
+      expect(result.success).toBe(true);
+      expect(result.metadata).toMatchObject({
+        providerRequestId: 'req-mask',
+        mask: { width: 400, height: 300, region: { left: 308, top: 188, width: 92, height: 104 } },
+      });
+      const [{ images }] = geminiClient.restoreImage.mock.calls[0];
+      expect(await sharp(images[0]).metadata()).toMatchObject({ width: 92, height: 104 });
+
+      const original = await sharp(source).raw().toBuffer();
+      const restored = await sharp(Buffer.from(result.restoredImage, 'base64')).raw().toBuffer();
+      const pixel = (buffer, x, y) => [...buffer.subarray((y * 400 + x) * 3, (y * 400 + x) * 3 + 3)];
+      expect(pixel(restored, 360, 240)).toEqual([250, 250, 250]);
+      expect(pixel(restored, 330, 240)).toEqual(pixel(original, 330, 240));
+      expect(pixel(restored, 10, 10)).toEqual(pixel(original, 10, 10));
+    });
   });
 });
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { once } from 'events';
+import express from 'express';
+import { GcsClient } from '../src/clients/gcsClient.js';
+import { createUploadsRouter } from '../src/routes/uploadsRouter.js';
+import { errorHandler } from '../src/utils/problem.js';
+
+function createBucket(files = {}) {
+  return {
+    file: vi.fn((objectName) => ({
+      generateSignedUrl: vi.fn().mockResolvedValue([`https://storage.example/${objectName}?signed`]),
+      async getMetadata() {
+        if (!files[objectName]) {
+          throw Object.assign(new Error('No such object'), { code: 404 });
+        }
+        return [files[objectName]];
+      },
+    })),
+  };
+}
+
+describe('direct uploads', () => {
+  describe('GcsClient', () => {
+    it('signs ownership and filename headers into the upload URL', async () => {
+      const bucket = createBucket();
+      const gcs = new GcsClient({ bucketOverride: { bucket, bucketName: 'test' } });
+
+      const upload = await gcs.generateUploadUrl({
+        userId: 'user-1',
+        contentType: 'image/png',
+        filename: 'grandma 1952.png',
+        maxBytes: 1024,
+      });
+
+      expect(upload.objectName).toMatch(/^uploads\/user-1\/[0-9a-f-]{36}$/);
+      expect(upload.headers).toEqual({
+        'Content-Type': 'image/png',
+        'x-goog-meta-user-id': 'user-1',
+        'x-goog-meta-filename': 'grandma%201952.png',
+        'x-goog-content-length-range': '0,1024',
+      });
+      const signed = bucket.file.mock.results[0].value.generateSignedUrl;
+      expect(signed).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'write',
+          contentType: 'image/png',
+          extensionHeaders: {
+            'x-goog-meta-user-id': 'user-1',
+            'x-goog-meta-filename': 'grandma%201952.png',
+            'x-goog-content-length-range': '0,1024',
+          },
+        })
+      );
+    });
+
+    it('describes completed uploads and returns null for missing ones', async () => {
+      const bucket = createBucket({
+        'uploads/user-1/a': {
+          size: '2048',
+          contentType: 'image/jpeg',
+          metadata: { 'user-id': 'user-1', filename: 'scan%20one.jpg' },
+        },
+      });
+      const gcs = new GcsClient({ bucketOverride: { bucket, bucketName: 'test' } });
+
+      expect(await gcs.describeUpload('uploads/user-1/a')).toEqual({
+        objectName: 'uploads/user-1/a',
+        size: 2048,
+        contentType: 'image/jpeg',
+        userId: 'user-1',
+        filename: 'scan one.jpg',
+      });
+      expect(await gcs.describeUpload('uploads/user-1/missing')).toBeNull();
+    });
+  });
+
+  describe('uploads router', () => {
+    let gcs;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      gcs = {
+        generateUploadUrl: vi.fn().mockResolvedValue({
+          url: 'https://storage.example/signed',
+          objectName: 'uploads/user-1/abc',
+          headers: { 'Content-Type': 'image/jpeg', 'x-goog-meta-user-id': 'user-1' },
+          expiresAt: '2030-01-01T00:00:00.000Z',
+        }),
+      };
+
+      const app = express();
+      app.use(express.json());
+      app.use((req, _res, next) => {
+        req.user = { id: 'user-1', claims: {} };
+        req.clients = { gcs };
+        next();
+      });
+      app.use('/v1/uploads', createUploadsRouter());
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      server.close();
+      await once(server, 'close');
+    });
+
+    function requestUpload(body) {
+      return fetch(`${baseUrl}/v1/uploads`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+    }
+
+    it('issues a signed PUT URL with the headers the client must send', async () => {
+      const response = await requestUpload({ contentType: 'image/jpeg', filename: 'portrait.jpg' });
+      const body = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(body).toMatchObject({
+        objectName: 'uploads/user-1/abc',
+        uploadUrl: 'https://storage.example/signed',
+        method: 'PUT',
+        headers: { 'x-goog-meta-user-id': 'user-1' },
+        maxBytes: 100 * 1024 * 1024,
+      });
+      expect(gcs.generateUploadUrl).toHaveBeenCalledWith({
+        userId: 'user-1',
+        contentType: 'image/jpeg',
+        filename: 'portrait.jpg',
+        maxBytes: 100 * 1024 * 1024,
+      });
+    });
+
+    it('refuses content types the pipeline cannot process', async () => {
+      const response = await requestUpload({ contentType: 'image/svg+xml', filename: 'logo.svg' });
+
+      expect(response.status).toBe(415);
+      expect(gcs.generateUploadUrl).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,4 +1,6 @@
 import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { muxAnimatedWebp } from '../../src/utils/animatedWebp.js';
 
 const DEFAULT_SIZE = { width: 128, height: 128 };
 
@@ -91,3 +93,65 @@ export async function createScratchedImage({ width = DEFAULT_SIZE.width, height
 export async function createCleanImage(options = {}) {
   return createBaseImage(options);
 }
+
+/**
+ * Uncompressed 24-bit BMP (sharp cannot write BMP)
+ */
+export function createBmpImage({ width = 4, height = 2, color = { r: 200, g: 40, b: 20 } } = {}) {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const buffer = Buffer.alloc(54 + rowSize * height);
+  buffer.write('BM', 0, 'ascii');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.writeUInt32LE(rowSize * height, 34);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      buffer.set([color.b, color.g, color.r], 54 + y * rowSize + x * 3);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Multi-page TIFF with one solid page per colour
+ */
+export async function createMultiPageTiff({ width = 20, height = 10, colors = ['#ff0000', '#0000ff'] } = {}) {
+  const frames = await Promise.all(
+    colors.map(async (background) => ({
+      webp: await sharp({ create: { width, height, channels: 3, background } }).webp({ lossless: true }).toBuffer(),
+      durationMs: 100,
+    }))
+  );
+  // sharp only writes multi-page output from multi-page input
+  return sharp(muxAnimatedWebp(frames, { width, height, loopCount: 0 }), { animated: true }).tiff().toBuffer();
+}
+
+/**
+ * Scanner-style PDF: each page is one full-page image, embedded as JPEG or
+ * (Flate) PNG. A page without a colour has text only, like a cover sheet.
+ */
+export async function createScanPdf(
+  pages = [
+    { width: 40, height: 30, color: '#3366cc', size: [400, 300] },
+    { width: 20, height: 50, color: '#cc3333', size: [200, 500], format: 'png' },
+  ]
+) {
+  const document = await PDFDocument.create();
+  for (const { width, height, color, size = [width, height], format = 'jpeg', rotation = 0 } of pages) {
+    const page = document.addPage(size);
+    page.setRotation({ type: 'degrees', angle: rotation });
+    if (!color) {
+      page.drawText('Album 3');
+      continue;
+    }
+    const buffer = await sharp({ create: { width, height, channels: 3, background: color } })[format]().toBuffer();
+    const image = format === 'png' ? await document.embedPng(buffer) : await document.embedJpg(buffer);
+    page.drawImage(image, { x: 0, y: 0, width: size[0], height: size[1] });
+  }
+  return Buffer.from(await document.save());
+}
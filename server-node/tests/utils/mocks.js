@@ -1,27 +1,61 @@
 import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
 import { vi } from 'vitest';
 
-class LedgerQuery {
-  constructor(records) {
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const RECORD_OPERATORS = {
+  '==': (a, b) => comparable(a) === comparable(b),
+  '<': (a, b) => comparable(a) < comparable(b),
+  '<=': (a, b) => comparable(a) <= comparable(b),
+  '>': (a, b) => comparable(a) > comparable(b),
+  '>=': (a, b) => comparable(a) >= comparable(b),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+class RecordQuery {
+  constructor(records, orders = []) {
     this.records = records;
+    this.orders = orders;
   }
 
   where(field, operator, value) {
-    let filtered = this.records;
-    if (operator === '==') {
-      filtered = filtered.filter((item) => item[field] === value);
-    } else if (operator === '<') {
-      filtered = filtered.filter((item) => item[field] < value);
-    } else if (operator === '>') {
-      filtered = filtered.filter((item) => item[field] > value);
-    } else {
+    const matches = RECORD_OPERATORS[operator];
+    if (!matches) {
       throw new Error(`Unsupported operator: ${operator}`);
     }
-    return new LedgerQuery(filtered);
+    return new RecordQuery(
+      this.records.filter((item) => matches(item[field], value)),
+      this.orders
+    );
+  }
+
+  orderBy(field, direction = 'asc') {
+    const orders = [...this.orders, { field, sign: direction === 'desc' ? -1 : 1 }];
+    const compare = (a, b) => {
+      for (const { field: key, sign } of orders) {
+        if (comparable(a[key]) < comparable(b[key])) return -sign;
+        if (comparable(a[key]) > comparable(b[key])) return sign;
+      }
+      return 0;
+    };
+    return new RecordQuery([...this.records].sort(compare), orders);
+  }
+
+  startAfter(...values) {
+    const sortsAfterCursor = (record) => {
+      for (const [position, { field, sign }] of this.orders.entries()) {
+        const a = comparable(record[field]);
+        const b = comparable(values[position]);
+        if (a !== b) return (a > b ? 1 : -1) === sign;
+      }
+      return false;
+    };
+    return new RecordQuery(this.records.filter(sortsAfterCursor), this.orders);
   }
 
   limit(count) {
-    return new LedgerQuery(this.records.slice(0, count));
+    return new RecordQuery(this.records.slice(0, count), this.orders);
   }
 
   async get() {
@@ -35,9 +69,45 @@ class LedgerQuery {
   }
 }
 
+function createDocumentCollection(docs) {
+  return {
+    doc(id) {
+      return {
+        id,
+        async set(data, options = {}) {
+          const existing = options.merge ? docs.get(id) ?? {} : {};
+          docs.set(id, { ...existing, ...data });
+        },
+        async get() {
+          const data = docs.get(id);
+          return {
+            id,
+            exists: Boolean(data),
+            data: () => (data ? { ...data } : undefined),
+          };
+        },
+      };
+    },
+    async add(data) {
+      const id = randomUUID();
+      docs.set(id, { ...data });
+      return { id };
+    },
+    where(field, operator, value) {
+      const records = [...docs.entries()].map(([id, data]) => ({ id, ...data }));
+      return new RecordQuery(records).where(field, operator, value);
+    },
+    orderBy(field, direction) {
+      const records = [...docs.entries()].map(([id, data]) => ({ id, ...data }));
+      return new RecordQuery(records).orderBy(field, direction);
+    },
+  };
+}
+
 export function createFirestoreMock() {
   const users = new Map();
   const ledger = [];
+  const collections = new Map();
 
   return {
     isMock: true,
@@ -50,7 +120,7 @@ export function createFirestoreMock() {
             return { id: record.id };
           },
           where(field, operator, value) {
-            return new LedgerQuery(ledger).where(field, operator, value);
+            return new RecordQuery(ledger).where(field, operator, value);
           },
         };
       }
@@ -79,7 +149,10 @@ export function createFirestoreMock() {
         };
       }
 
-      throw new Error(`Unsupported collection: ${name}`);
+      if (!collections.has(name)) {
+        collections.set(name, new Map());
+      }
+      return createDocumentCollection(collections.get(name));
     },
     async healthCheck() {
       return { ok: true };
@@ -90,12 +163,17 @@ export function createFirestoreMock() {
     __getUserDoc(id) {
       return users.get(id);
     },
+    __getDoc(collection, id) {
+      return collections.get(collection)?.get(id);
+    },
   };
 }
 
 export function createRedisMock() {
   const store = new Map();
   const expirations = new Map();
+  const lists = new Map();
+  const channels = new EventEmitter();
 
   const getValue = (key) => {
     const expiresAt = expirations.get(key);
@@ -140,6 +218,25 @@ export function createRedisMock() {
     async decr(key) {
       return this.incrBy(key, -1);
     },
+    async appendToList(key, value) {
+      const values = lists.get(key) ?? [];
+      values.push(value);
+      lists.set(key, values);
+      return values.length;
+    },
+    async readList(key, start = 0) {
+      return (lists.get(key) ?? []).slice(start);
+    },
+    async publish(channel, message) {
+      channels.emit(channel, message);
+      return channels.listenerCount(channel);
+    },
+    async subscribe(channel, listener) {
+      channels.on(channel, listener);
+      return async () => {
+        channels.off(channel, listener);
+      };
+    },
     async eval(_script, { keys = [], arguments: args = [] } = {}) {
       const key = keys[0];
       if (!key) {
@@ -148,11 +245,12 @@ export function createRedisMock() {
 
       if (key.startsWith('free_usage:')) {
         const limit = Number(args[0] ?? 0);
+        const amount = Number(args[1] ?? 1);
         const current = Number((await this.get(key)) ?? 0);
-        if (current >= limit) {
+        if (current + amount > limit) {
           return 0;
         }
-        const next = current + 1;
+        const next = current + amount;
         await this.set(key, next);
         await this.expire(key, 86400);
         return next;
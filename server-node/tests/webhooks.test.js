@@ -0,0 +1,297 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { once } from 'events';
+import http from 'http';
+import express from 'express';
+import { UnrecoverableError } from 'bullmq';
+import {
+  WebhooksService,
+  WebhookDeliveryError,
+  describeCallbackUrlProblem,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from '../src/services/webhooks.js';
+import {
+  enqueueWebhook,
+  handleFailedWebhook,
+  processWebhookDelivery,
+} from '../src/queues/workers/webhookWorker.js';
+import { createWebhooksRouter } from '../src/routes/webhooksRouter.js';
+import { errorHandler } from '../src/utils/problem.js';
+import { createFirestoreMock, createTestLogger } from './utils/mocks.js';
+
+async function startReceiver() {
+  const requests = [];
+  let nextStatus = 200;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = nextStatus;
+      res.end();
+    });
+  });
+  server.listen(0);
+  await once(server, 'listening');
+
+  return {
+    server,
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    respondWith(status) {
+      nextStatus = status;
+    },
+  };
+}
+
+describe('webhooks', () => {
+  let firestore;
+  let logger;
+  let webhooks;
+  let receiver;
+
+  beforeEach(async () => {
+    firestore = createFirestoreMock();
+    logger = createTestLogger();
+    // The test receiver listens on loopback
+    webhooks = new WebhooksService({ firestoreClient: firestore, logger, allowPrivateHosts: true });
+    receiver = await startReceiver();
+  });
+
+  afterEach(async () => {
+    receiver.server.close();
+    await once(receiver.server, 'close');
+  });
+
+  describe('WebhooksService', () => {
+    it('posts a signed, timestamped payload the receiver can verify', async () => {
+      const { secret } = await webhooks.getSecret('user-1');
+      const delivery = await webhooks.createDelivery({
+        userId: 'user-1',
+        jobId: 'job-1',
+        url: receiver.url,
+        event: 'job.succeeded',
+        data: { jobId: 'job-1', status: 'succeeded' },
+      });
+
+      await webhooks.attemptDelivery(delivery.deliveryId, { attempt: 1 });
+
+      const [request] = receiver.requests;
+      expect(request.headers['x-webhook-id']).toBe(delivery.deliveryId);
+      expect(request.headers['x-webhook-event']).toBe('job.succeeded');
+      expect(JSON.parse(request.body)).toMatchObject({
+        id: delivery.deliveryId,
+        type: 'job.succeeded',
+        data: { jobId: 'job-1', status: 'succeeded' },
+      });
+      expect(
+        verifyWebhookSignature({
+          secret,
+          timestamp: request.headers['x-webhook-timestamp'],
+          body: request.body,
+          signature: request.headers['x-webhook-signature'],
+        })
+      ).toBe(true);
+
+      expect(await webhooks.getDelivery(delivery.deliveryId)).toMatchObject({
+        status: 'delivered',
+        attempts: [{ attempt: 1, statusCode: 200, error: null }],
+      });
+    });
+
+    it('records failed attempts and throws so the queue retries', async () => {
+      receiver.respondWith(503);
+      const delivery = await webhooks.createDelivery({
+        userId: 'user-1',
+        jobId: 'job-1',
+        url: receiver.url,
+        event: 'job.failed',
+        data: { jobId: 'job-1', status: 'failed' },
+      });
+
+      await expect(webhooks.attemptDelivery(delivery.deliveryId, { attempt: 1 })).rejects.toBeInstanceOf(
+        WebhookDeliveryError
+      );
+
+      receiver.respondWith(204);
+      await webhooks.attemptDelivery(delivery.deliveryId, { attempt: 2 });
+
+      const stored = await webhooks.getDelivery(delivery.deliveryId);
+      expect(stored.status).toBe('delivered');
+      expect(stored.attempts.map((attempt) => attempt.statusCode)).toEqual([503, 204]);
+    });
+
+    it('explains which callback URLs are refused', () => {
+      expect(describeCallbackUrlProblem('https://partner.example/hooks')).toBeNull();
+      expect(describeCallbackUrlProblem('http://partner.example/hooks')).toBeNull();
+      expect(describeCallbackUrlProblem('ftp://partner.example/hooks')).toBe(
+        'callbackUrl must be an absolute http or https URL.'
+      );
+      for (const url of [
+        'http://localhost/hooks',
+        'http://app.localhost/hooks',
+        'http://2130706433/hooks',
+        'https://172.20.0.5/hooks',
+        'https://192.168.1.10/hooks',
+        'https://[fd00::1]/hooks',
+        'https://[::ffff:169.254.169.254]/hooks',
+      ]) {
+        expect(describeCallbackUrlProblem(url)).toBe(
+          'callbackUrl must not point to a loopback, link-local or private network host.'
+        );
+      }
+      expect(describeCallbackUrlProblem('http://127.0.0.1:8080/hooks', { allowPrivateHosts: true })).toBeNull();
+
+      vi.stubEnv('NODE_ENV', 'production');
+      try {
+        expect(describeCallbackUrlProblem('http://partner.example/hooks')).toBe(
+          'callbackUrl must be an absolute https URL.'
+        );
+      } finally {
+        vi.unstubAllEnvs();
+      }
+    });
+
+    it('refuses to deliver to a host that resolves to an internal address', async () => {
+      const fetchImpl = vi.fn();
+      const lookupImpl = vi.fn().mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+      const guarded = new WebhooksService({ firestoreClient: firestore, logger, fetchImpl, lookupImpl });
+      const delivery = await guarded.createDelivery({
+        userId: 'user-1',
+        jobId: 'job-1',
+        url: 'https://metadata.partner.example/hooks',
+        event: 'job.succeeded',
+        data: {},
+      });
+      const job = { attemptsMade: 0, opts: { attempts: 8 }, data: { deliveryId: delivery.deliveryId, jobId: 'job-1' } };
+      const deps = { clients: { logger }, services: { webhooks: guarded } };
+
+      const error = await processWebhookDelivery(job, deps).catch((failure) => failure);
+      expect(error).toBeInstanceOf(UnrecoverableError);
+      expect(lookupImpl).toHaveBeenCalledWith('metadata.partner.example', { all: true });
+      expect(fetchImpl).not.toHaveBeenCalled();
+
+      await handleFailedWebhook({ ...job, attemptsMade: 1 }, error, deps);
+      expect(await guarded.getDelivery(delivery.deliveryId)).toMatchObject({
+        status: 'failed',
+        attempts: [{ attempt: 1, statusCode: null, error: expect.stringContaining('resolves to a loopback') }],
+      });
+    });
+
+    it('rejects stale timestamps and tampered bodies', () => {
+      const secret = 'whsec_test';
+      const body = '{"id":"d-1"}';
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = signWebhookPayload({ secret, timestamp, body });
+
+      expect(verifyWebhookSignature({ secret, timestamp, body: '{"id":"d-2"}', signature })).toBe(false);
+      expect(
+        verifyWebhookSignature({ secret, timestamp, body, signature, now: (timestamp + 600) * 1000 })
+      ).toBe(false);
+    });
+  });
+
+  describe('webhook worker', () => {
+    it('creates a delivery and queues it only when a callback was requested', async () => {
+      const queue = { add: vi.fn().mockResolvedValue({}) };
+      const deps = { services: { webhooks }, getWebhookQueue: () => queue };
+
+      expect(
+        await enqueueWebhook({ jobData: { jobId: 'job-1', userId: 'user-1' }, event: 'job.succeeded', data: {} }, deps)
+      ).toBeNull();
+
+      const delivery = await enqueueWebhook(
+        {
+          jobData: { jobId: 'job-1', userId: 'user-1', callbackUrl: receiver.url },
+          event: 'job.succeeded',
+          data: { jobId: 'job-1' },
+        },
+        deps
+      );
+
+      expect(queue.add).toHaveBeenCalledWith(
+        'deliver',
+        { deliveryId: delivery.deliveryId, jobId: 'job-1' },
+        { jobId: delivery.deliveryId }
+      );
+    });
+
+    it('delivers using the BullMQ attempt number and marks exhausted deliveries failed', async () => {
+      receiver.respondWith(500);
+      const delivery = await webhooks.createDelivery({
+        userId: 'user-1',
+        jobId: 'job-1',
+        url: receiver.url,
+        event: 'job.succeeded',
+        data: {},
+      });
+      const job = { attemptsMade: 2, opts: { attempts: 3 }, data: { deliveryId: delivery.deliveryId, jobId: 'job-1' } };
+      const deps = { clients: { logger }, services: { webhooks } };
+
+      const error = await processWebhookDelivery(job, deps).catch((failure) => failure);
+      expect(error).toBeInstanceOf(WebhookDeliveryError);
+
+      await handleFailedWebhook({ ...job, attemptsMade: 2 }, error, deps);
+      expect((await webhooks.getDelivery(delivery.deliveryId)).status).toBe('retrying');
+
+      await handleFailedWebhook({ ...job, attemptsMade: 3 }, error, deps);
+      expect(await webhooks.getDelivery(delivery.deliveryId)).toMatchObject({
+        status: 'failed',
+        attempts: [{ attempt: 3, statusCode: 500 }],
+      });
+    });
+  });
+
+  describe('webhooks router', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      const app = express();
+      app.use((req, _res, next) => {
+        req.user = { id: 'user-1', claims: {} };
+        req.services = { webhooks };
+        next();
+      });
+      app.use('/v1/webhooks', createWebhooksRouter());
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      server.close();
+      await once(server, 'close');
+    });
+
+    it('issues a stable secret until it is rotated', async () => {
+      const first = await (await fetch(`${baseUrl}/v1/webhooks/secret`)).json();
+      const again = await (await fetch(`${baseUrl}/v1/webhooks/secret`)).json();
+      const rotated = await fetch(`${baseUrl}/v1/webhooks/secret/rotate`, { method: 'POST' });
+
+      expect(first.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+      expect(again.secret).toBe(first.secret);
+      expect(rotated.status).toBe(201);
+      expect((await rotated.json()).secret).not.toBe(first.secret);
+    });
+
+    it('lists the caller\'s deliveries filtered by job', async () => {
+      await webhooks.createDelivery({ userId: 'user-1', jobId: 'job-1', url: receiver.url, event: 'job.succeeded', data: {} });
+      await webhooks.createDelivery({ userId: 'user-1', jobId: 'job-2', url: receiver.url, event: 'job.failed', data: {} });
+      await webhooks.createDelivery({ userId: 'user-2', jobId: 'job-3', url: receiver.url, event: 'job.failed', data: {} });
+
+      const all = await (await fetch(`${baseUrl}/v1/webhooks/deliveries`)).json();
+      const filtered = await (await fetch(`${baseUrl}/v1/webhooks/deliveries?jobId=job-2`)).json();
+
+      expect(all.deliveries.map((delivery) => delivery.jobId).sort()).toEqual(['job-1', 'job-2']);
+      expect(filtered.deliveries).toEqual([
+        expect.objectContaining({ jobId: 'job-2', event: 'job.failed', status: 'pending', attempts: [] }),
+      ]);
+    });
+  });
+});